@@ -0,0 +1,360 @@
+#!/usr/bin/env node
+// Command-line client for the NUI logger. It talks to a running server over the same HTTP API as
+// the viewer, signed in with a session token (`nui-logger login`, or NUI_LOGGER_TOKEN).
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { parseArgs } = require('util');
+const { loadConfig, CONFIG_FILE_NAME, ENV_VARS } = require('../config');
+
+// --- Configuration ---
+const SESSION_FILE = path.join(os.homedir(), '.nui-logger-session.json'); // Written by `login`, readable only by you
+const TAIL_LINES = 20; // Entries `tail` prints before following
+const RECONNECT_DELAY_MS = 3000;
+const LOG_TYPES = ['lua_to_nui', 'nui_to_lua', 'fetch_call', 'callback_response', 'console'];
+
+const USAGE = `Usage: nui-logger <command> [options]
+
+Commands:
+  login [--user <name>]                 Sign in and remember the session token
+  logout                                End the remembered session
+  servers                               List servers with logs
+  resources <server>                    List a server's resources
+  tail <server> [resource]              Print the latest entries and follow new ones
+      [-n <lines>] [--no-follow]
+  query [server] [resource]             Search logs (newest --limit matches, oldest first)
+      [--limit <n>]
+  export [server] [resource]            Download logs
+      [--format ndjson|csv|har] [-o <file>]
+  clear <server> <resource>             Delete a resource's logs (Operator)
+      [--archive] [--yes]
+
+Filters (tail, query, export):
+  --type <a,b>       ${LOG_TYPES.join(', ')}
+  --from <time>      ISO time or relative (15m, 2h, 1d); also --to
+  --match <pattern>  Text the callback or URL contains, or a /regex/
+  --text <text>      Free text anywhere in the entry
+  --where <expr>     Field predicate such as data.id==7 (repeatable)
+  --capture <id>     Entries recorded in a capture session
+
+Options:
+  --json             Print entries as NDJSON
+  --url <url>        Server URL (default: http://localhost:<port>)
+  --token <token>    Session token (default: the remembered one)
+
+Settings come from ${CONFIG_FILE_NAME} or ${Object.values(ENV_VARS).join(', ')}.`;
+
+const OPTIONS = {
+    help: { type: 'boolean', short: 'h' },
+    url: { type: 'string' },
+    token: { type: 'string' },
+    json: { type: 'boolean' },
+    user: { type: 'string' },
+    type: { type: 'string', multiple: true },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    match: { type: 'string' },
+    text: { type: 'string' },
+    where: { type: 'string', multiple: true },
+    capture: { type: 'string' },
+    limit: { type: 'string' },
+    lines: { type: 'string', short: 'n' },
+    'no-follow': { type: 'boolean' },
+    format: { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    archive: { type: 'boolean' },
+    yes: { type: 'boolean', short: 'y' },
+};
+
+// --- Output ---
+// Icons and colours match the viewer
+const TYPE_ICONS = { 'lua_to_nui': '📨', 'nui_to_lua': '📤', 'fetch_call': '🌐', 'callback_response': '↩️', 'console': '🖥️' };
+const TYPE_COLORS = { 'lua_to_nui': '34', 'nui_to_lua': '32', 'fetch_call': '33', 'callback_response': '38;5;208', 'console': '35' };
+const useColor = process.stdout.isTTY && !process.env.NO_COLOR;
+
+function paint(color, text) {
+    return useColor ? `\x1b[${color}m${text}\x1b[0m` : text;
+}
+
+function formatValue(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function summarizeEntry(entry) {
+    switch (entry.type) {
+        case 'lua_to_nui': return formatValue(entry.event);
+        case 'nui_to_lua': return `${entry.callback} ${formatValue(entry.data === undefined ? null : entry.data)}`;
+        case 'fetch_call': return `${(entry.options && entry.options.method) || 'GET'} ${entry.url}`;
+        case 'callback_response': {
+            const failed = entry.error || (Number.isInteger(entry.status) && (entry.status === 0 || entry.status >= 400));
+            const outcome = `${entry.callback} → ${entry.error || entry.status || ''}${entry.duration !== undefined ? ` (${entry.duration}ms)` : ''}`;
+            return failed ? paint('31', outcome) : `${outcome} ${formatValue(entry.body === undefined ? null : entry.body)}`;
+        }
+        case 'console': {
+            const text = (Array.isArray(entry.args) ? entry.args : [entry.message]).map(formatValue).join(' ');
+            const level = entry.level || 'log';
+            return `[${level}] ${level === 'error' ? paint('31', text) : level === 'warn' ? paint('33', text) : text}`;
+        }
+        default: return formatValue(entry);
+    }
+}
+
+function printEntry(entry, server, resource, options) {
+    if (options.json) return console.log(JSON.stringify({ ...entry, _server: server, _resource: resource }));
+    const time = new Date(entry.timestamp);
+    const clock = Number.isNaN(time.getTime()) ? String(entry.timestamp) : time.toTimeString().slice(0, 8) + '.' + String(time.getMilliseconds()).padStart(3, '0');
+    const type = paint(TYPE_COLORS[entry.type] || '37', `${TYPE_ICONS[entry.type] || '📝'} ${entry.type}`);
+    console.log(`${paint('2', clock)} ${type} ${paint('90', `[${server} / ${resource}]`)} ${summarizeEntry(entry)}`);
+}
+
+// --- HTTP ---
+function readSession() {
+    try {
+        return JSON.parse(fs.readFileSync(SESSION_FILE, 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+function resolveToken(config, options) {
+    if (options.token) return options.token;
+    if (config.token) return config.token;
+    const session = readSession();
+    return session && session.url === config.url ? session.token : null;
+}
+
+function buildQuery(params) {
+    const query = new URLSearchParams();
+    for (const [name, value] of Object.entries(params)) {
+        if (value === undefined || value === null || value === '') continue;
+        for (const item of Array.isArray(value) ? value : [value]) query.append(name, String(item));
+    }
+    const text = query.toString();
+    return text ? `?${text}` : '';
+}
+
+async function request(context, method, pathname, { query = {}, body, headers = {}, signal } = {}) {
+    const url = `${context.config.url}${pathname}${buildQuery(query)}`;
+    if (context.token) headers.Authorization = `Bearer ${context.token}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    let response;
+    try {
+        response = await fetch(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body), redirect: 'manual', signal });
+    } catch (error) {
+        throw new Error(`Could not reach ${context.config.url}: ${(error.cause && error.cause.message) || error.message}`);
+    }
+    // Without a token the server sends the browser to its login page
+    if (response.status >= 300 && response.status < 400 && /\/login/.test(response.headers.get('Location') || '')) {
+        throw new Error('Not logged in. Run "nui-logger login" first.');
+    }
+    if (!response.ok) {
+        const result = await response.json().catch(() => null);
+        throw new Error((result && (result.error || result.message)) || `${response.status} ${response.statusText}`);
+    }
+    return response;
+}
+
+async function requestJson(context, method, pathname, options) {
+    return (await request(context, method, pathname, options)).json();
+}
+
+// Server-sent events, one { event, data, id } per message
+async function* readEvents(response) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            const message = { event: 'message', data: '', id: null };
+            for (const line of block.split('\n')) {
+                if (!line || line.startsWith(':')) continue;
+                const colon = line.indexOf(':');
+                const field = colon === -1 ? line : line.slice(0, colon);
+                const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+                if (field === 'event') message.event = value;
+                else if (field === 'data') message.data += (message.data ? '\n' : '') + value;
+                else if (field === 'id') message.id = value;
+            }
+            yield message;
+        }
+    }
+}
+
+// --- Prompts ---
+function ask(question, { hidden = false } = {}) {
+    return new Promise(resolve => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        rl.question(question, answer => {
+            rl.close();
+            if (hidden) process.stdout.write('\n');
+            resolve(answer);
+        });
+        // The question is already written; what is typed after it is not echoed
+        if (hidden) rl._writeToOutput = () => {};
+    });
+}
+
+// --- Commands ---
+function filterQuery(options) {
+    return {
+        type: options.type && options.type.join(','),
+        from: options.from,
+        to: options.to,
+        match: options.match,
+        q: options.text,
+        where: options.where,
+        capture: options.capture,
+    };
+}
+
+function parseCount(value, name, fallback) {
+    if (value === undefined) return fallback;
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 1) throw new Error(`${name} must be a positive whole number.`);
+    return count;
+}
+
+function requireArgs(args, names, command) {
+    if (args.length < names.length) throw new Error(`Usage: nui-logger ${command} ${names.map(name => `<${name}>`).join(' ')}`);
+}
+
+const commands = {
+    async login(context, args, options) {
+        const username = options.user || await ask('Username: ');
+        const password = await ask('Password: ', { hidden: true });
+        const result = await requestJson(context, 'POST', '/login/token', { body: { username, password } });
+        fs.writeFileSync(SESSION_FILE, JSON.stringify({ url: context.config.url, token: result.token, username: result.username, expiresAt: result.expiresAt }, null, 2), { mode: 0o600 });
+        console.log(`🔓 Logged in to ${context.config.url} as ${result.username} (${result.role}) until ${new Date(result.expiresAt).toLocaleString()}`);
+    },
+
+    async logout(context) {
+        const session = readSession();
+        if (!context.token) return console.log('Not logged in.');
+        await request(context, 'POST', '/logout').catch(() => {}); // An expired token is already over
+        if (session && session.token === context.token) fs.unlinkSync(SESSION_FILE);
+        console.log('👋 Logged out.');
+    },
+
+    async servers(context, args, options) {
+        const servers = await requestJson(context, 'GET', '/logs');
+        if (options.json) return console.log(JSON.stringify(servers));
+        if (!servers.length) return console.log('No servers have logged anything yet.');
+        servers.forEach(server => console.log(server));
+    },
+
+    async resources(context, args, options) {
+        requireArgs(args, ['server'], 'resources');
+        const resources = await requestJson(context, 'GET', '/logs', { query: { server: args[0] } });
+        if (options.json) return console.log(JSON.stringify(resources));
+        if (!resources.length) return console.log(`No resources on "${args[0]}".`);
+        resources.forEach(resource => console.log(resource));
+    },
+
+    // The stream is opened first so nothing logged while the history loads is missed;
+    // entries in both are printed once.
+    async tail(context, args, options) {
+        requireArgs(args, ['server'], 'tail [resource]');
+        const [server, resource] = args;
+        const lines = parseCount(options.lines, '--lines', TAIL_LINES);
+        const filters = filterQuery(options);
+        const printed = new Set();
+        const printOnce = (entry, entryServer, entryResource) => {
+            const key = `${entryServer}/${entryResource}/${entry._cursor}`;
+            if (printed.has(key)) return;
+            printed.add(key);
+            printEntry(entry, entryServer, entryResource, options);
+        };
+        const printHistory = async () => {
+            const page = await requestJson(context, 'GET', '/search', { query: { server, resource, ...filters, limit: lines } });
+            page.entries.forEach(entry => printOnce(entry, entry._server, entry._resource));
+        };
+
+        if (options['no-follow']) return printHistory();
+
+        let lastEventId = null;
+        let hasHistory = false;
+        for (;;) {
+            try {
+                const headers = lastEventId ? { 'Last-Event-ID': lastEventId } : {};
+                const response = await request(context, 'GET', '/stream', { query: { server, resource, ...filters }, headers });
+                for await (const message of readEvents(response)) {
+                    if (message.id) lastEventId = message.id;
+                    if (message.event === 'ready' && !hasHistory) {
+                        await printHistory();
+                        hasHistory = true;
+                        if (!options.json) console.error(paint('2', `Following ${resource ? `${server} / ${resource}` : server}... (Ctrl+C to stop)`));
+                    } else if (message.event === 'reset') {
+                        console.error(paint('33', '⚠️  Some entries were missed while reconnecting.'));
+                    } else if (message.event === 'log') {
+                        const payload = JSON.parse(message.data);
+                        printOnce(payload.entry, payload.server, payload.resource);
+                    }
+                }
+                console.error(paint('33', '⚠️  Stream closed, reconnecting...'));
+            } catch (error) {
+                if (/Not logged in|Invalid or expired token/.test(error.message)) throw error;
+                console.error(paint('33', `⚠️  ${error.message}, reconnecting...`));
+            }
+            await new Promise(resolve => setTimeout(resolve, RECONNECT_DELAY_MS));
+        }
+    },
+
+    async query(context, args, options) {
+        const [server, resource] = args;
+        const limit = parseCount(options.limit, '--limit', undefined);
+        const page = await requestJson(context, 'GET', '/search', { query: { server, resource, ...filterQuery(options), limit } });
+        page.entries.forEach(entry => printEntry(entry, entry._server, entry._resource, options));
+        if (!options.json && !page.entries.length) console.error('No matching entries.');
+        if (page.hasMore) console.error(paint('2', 'More entries match; narrow the filters or raise --limit.'));
+    },
+
+    async export(context, args, options) {
+        const [server, resource] = args;
+        const format = options.format || 'ndjson';
+        const response = await request(context, 'GET', '/export', { query: { server, resource, format, ...filterQuery(options) } });
+        const output = options.output ? fs.createWriteStream(options.output) : process.stdout;
+        await pipeline(Readable.fromWeb(response.body), output);
+        if (options.output) console.error(`📦 Exported to ${options.output}`);
+    },
+
+    async clear(context, args, options) {
+        requireArgs(args, ['server', 'resource'], 'clear');
+        const [server, resource] = args;
+        if (!options.yes) {
+            if (!process.stdin.isTTY) throw new Error('Pass --yes to clear logs without a prompt.');
+            const answer = await ask(`${options.archive ? 'Archive' : 'Delete'} all logs of ${server} / ${resource}? [y/N] `);
+            if (!/^y(es)?$/i.test(answer.trim())) return console.log('Nothing cleared.');
+        }
+        const result = await requestJson(context, 'POST', '/clear', { body: { server, resource, archive: Boolean(options.archive) } });
+        console.log(`${options.archive ? '🗄️' : '🗑️'} ${result.message}`);
+    },
+};
+
+// --- Main ---
+async function main() {
+    const { values: options, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+    const [name, ...args] = positionals;
+    if (options.help || !name) return console.log(USAGE);
+    if (!Object.hasOwn(commands, name)) throw new Error(`Unknown command "${name}". Run "nui-logger --help" for the list.`);
+    if (options.type) {
+        const unknown = options.type.flatMap(type => type.split(',')).find(type => !LOG_TYPES.includes(type.trim()));
+        if (unknown) throw new Error(`Unknown log type "${unknown}". Types are: ${LOG_TYPES.join(', ')}.`);
+    }
+
+    const config = loadConfig();
+    if (options.url) config.url = options.url.replace(/\/+$/, '');
+    const context = { config, token: resolveToken(config, options) };
+    await commands[name](context, args, options);
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
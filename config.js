@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- Shared Configuration ---
+// Settings read by both the server and the CLI. Environment variables win over the config file
+// (nui-logger.config.json in the working directory, or the file NUI_LOGGER_CONFIG names), which
+// wins over the defaults.
+const CONFIG_FILE_NAME = 'nui-logger.config.json';
+const DEFAULTS = {
+    port: 7654,
+    logDir: './logs',
+    url: null, // Where the CLI finds the server; http://localhost:<port> when unset
+    token: null, // CLI session token, instead of `nui-logger login`
+    replayUiRoot: null, // Folder the replay harness may load NUI pages from; off when unset
+};
+const ENV_VARS = {
+    port: 'NUI_LOGGER_PORT',
+    logDir: 'NUI_LOGGER_LOG_DIR',
+    url: 'NUI_LOGGER_URL',
+    token: 'NUI_LOGGER_TOKEN',
+    replayUiRoot: 'NUI_LOGGER_REPLAY_UI_ROOT',
+};
+
+function readConfigFile(filePath) {
+    if (!fs.existsSync(filePath)) return {};
+    let settings;
+    try {
+        settings = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+        throw new Error(`Could not read ${filePath}: ${e.message}`);
+    }
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) throw new Error(`${filePath} must hold a JSON object.`);
+    const unknown = Object.keys(settings).find(key => !Object.hasOwn(DEFAULTS, key));
+    if (unknown) throw new Error(`Unknown setting "${unknown}" in ${filePath}. Settings are: ${Object.keys(DEFAULTS).join(', ')}.`);
+    return settings;
+}
+
+function loadConfig(env = process.env) {
+    const filePath = path.resolve(env.NUI_LOGGER_CONFIG || CONFIG_FILE_NAME);
+    const config = { ...DEFAULTS, ...readConfigFile(filePath) };
+    for (const [key, name] of Object.entries(ENV_VARS)) {
+        if (env[name]) config[key] = env[name];
+    }
+
+    const port = Number(config.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error(`"port" must be a port number, got "${config.port}".`);
+    config.port = port;
+    if (typeof config.logDir !== 'string' || !config.logDir) throw new Error('"logDir" must be a directory.');
+    if (config.replayUiRoot !== null && (typeof config.replayUiRoot !== 'string' || !config.replayUiRoot)) throw new Error('"replayUiRoot" must be a directory.');
+    config.url = String(config.url || `http://localhost:${config.port}`).replace(/\/+$/, '');
+    return config;
+}
+
+module.exports = { loadConfig, CONFIG_FILE_NAME, ENV_VARS };
@@ -1,190 +1,4151 @@
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const net = require('net');
+const { pipeline, Readable } = require('stream');
+const archiver = require('archiver');
 const cookieParser = require('cookie-parser');
+const { loadConfig } = require('./config');
 const app = express();
 
 // --- Configuration ---
-const PORT = 7654;
-const LOG_DIR = './logs';
-const VIEWER_PIN = '280824'; // Your PIN
+const config = loadConfig(); // Shared with the CLI: nui-logger.config.json or NUI_LOGGER_* variables
+const PORT = config.port;
+const LOG_DIR = config.logDir;
 const AUTH_COOKIE_NAME = 'nui-logger-auth';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const LOGIN_MAX_ATTEMPTS = 5; // Failed logins allowed per address within LOGIN_WINDOW_MS
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+const INGEST_REQUIRE_KEY = true; // POST /log needs a per-server key in the X-Ingest-Key header
+const INGEST_MAX_BYTES = '1mb'; // Largest single entry POST /log accepts
+const INGEST_BATCH_MAX_BYTES = 20 * 1024 * 1024; // Largest (decompressed) body POST /log/batch accepts
+const INGEST_BATCH_MAX_ENTRIES = 5000;
+const WRITE_FLUSH_INTERVAL_MS = 200; // Buffered entries reach the disk at most this late...
+const WRITE_FLUSH_BYTES = 256 * 1024; // ...or as soon as a file has this much waiting
+const WRITE_BUFFER_MAX_BYTES = 16 * 1024 * 1024; // Ingestion waits while this much is waiting across all files
+const INITIAL_ADMIN_PASSWORD = process.env.NUI_LOGGER_ADMIN_PASSWORD; // Used when the first "admin" user is created
+const LOG_PAGE_SIZE = 200; // Default number of entries per /logs page
+const LOG_PAGE_MAX = 1000;
+const READ_CHUNK_SIZE = 64 * 1024;
+const ROTATE_MAX_BYTES = 20 * 1024 * 1024; // Rotate a resource's active log file past this size
+const ROTATE_DAILY = true; // Also start a new file on the first write of each (UTC) day
+const RETENTION_MAX_AGE_DAYS = 30; // Delete rotated segments older than this
+const RETENTION_MAX_SERVER_BYTES = 1024 * 1024 * 1024; // Per-server cap on active + rotated logs
+const RETENTION_INTERVAL_MS = 60 * 60 * 1000;
+const DATA_DIR = './data'; // Viewer-edited settings such as mock responses
 
 // --- Initialization ---
 if (!fs.existsSync(LOG_DIR)) {
     fs.mkdirSync(LOG_DIR);
 }
+if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR);
+}
 
 // --- Middleware ---
+// NUI pages post logs and call the mock backend from their own origin (https://cfx-nui-<resource>)
+const allowAnyOrigin = (req, res, next) => {
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Headers', req.get('Access-Control-Request-Headers') || 'Content-Type');
+    res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.set('Access-Control-Expose-Headers', 'Retry-After');
+    if (req.method === 'OPTIONS') return res.sendStatus(204);
+    next();
+};
+app.use('/log', allowAnyOrigin);
+// NUI pages often post JSON without a JSON content type, so mock callbacks read the raw text
+app.use('/mock', express.text({ type: () => true, limit: INGEST_MAX_BYTES }));
+app.use('/log/batch', express.raw({ type: () => true, limit: INGEST_BATCH_MAX_BYTES }));
+app.use('/log', express.json({ limit: INGEST_MAX_BYTES }));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 
-// --- Authentication Middleware ---
+// --- Users, Sessions & Roles ---
+// Users live in DATA_DIR/auth.json with scrypt password hashes. The session cookie is a signed,
+// expiring token that names the user, their account id and their session generation; bumping the
+// generation (new password, new role, "sign out everywhere") invalidates every session they have,
+// and a deleted and re-created account gets a new id, so old tokens don't carry over. Sessions
+// ended by logging out are kept in the same file until they would have expired anyway.
+const AUTH_FILE = 'auth.json';
+const ROLES = ['viewer', 'operator', 'admin']; // Each role can do everything the one before it can
+const USERNAME_PATTERN = /^[\w.-]{1,32}$/;
+const authStore = readDataFile(AUTH_FILE, { sessionSecret: null, users: {}, revokedSessions: {} });
+const loginAttempts = new Map(); // ip -> { count, resetAt }
+
+function saveAuthStore() {
+    writeDataFile(AUTH_FILE, authStore);
+}
+
+function getUser(username) {
+    return typeof username === 'string' && Object.hasOwn(authStore.users, username) ? authStore.users[username] : null;
+}
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    return `scrypt$${salt}$${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash || typeof password !== 'string') return false;
+    const expected = Buffer.from(hash, 'hex');
+    return crypto.timingSafeEqual(expected, crypto.scryptSync(password, salt, expected.length));
+}
+
+function createUserRecord(password, role) {
+    return { id: crypto.randomBytes(8).toString('hex'), passwordHash: hashPassword(password), role, generation: 1, createdAt: new Date().toISOString() };
+}
+
+function signSessionBody(body) {
+    return crypto.createHmac('sha256', authStore.sessionSecret).update(body).digest('base64url');
+}
+
+function createSessionToken(username, user) {
+    const body = Buffer.from(JSON.stringify({ user: username, uid: user.id, gen: user.generation, exp: Date.now() + SESSION_TTL_MS })).toString('base64url');
+    return `${body}.${signSessionBody(body)}`;
+}
+
+// Returns the signed-in user, or null for forged, expired, logged-out or outdated tokens
+function readSessionToken(token) {
+    if (typeof token !== 'string') return null;
+    const [body, tokenSignature] = token.split('.');
+    if (!body || !tokenSignature || Object.hasOwn(authStore.revokedSessions, tokenSignature)) return null;
+    const expected = signSessionBody(body);
+    if (tokenSignature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(tokenSignature), Buffer.from(expected))) return null;
+
+    let session;
+    try {
+        session = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (e) {
+        return null;
+    }
+    const user = getUser(session.user);
+    if (!user || user.id !== session.uid || user.generation !== session.gen || !(session.exp > Date.now())) return null;
+    return { username: session.user, role: user.role, expiresAt: session.exp, signature: tokenSignature };
+}
+
+function setSessionCookie(req, res, username, user) {
+    res.cookie(AUTH_COOKIE_NAME, createSessionToken(username, user), {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.protocol === 'https',
+        maxAge: SESSION_TTL_MS
+    });
+}
+
+function hasRole(user, role) {
+    return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function isLoginBlocked(ip) {
+    const attempts = loginAttempts.get(ip);
+    if (attempts && attempts.resetAt < Date.now()) loginAttempts.delete(ip);
+    return Boolean(attempts && attempts.resetAt >= Date.now() && attempts.count >= LOGIN_MAX_ATTEMPTS);
+}
+
+function recordFailedLogin(ip) {
+    const attempts = loginAttempts.get(ip);
+    if (attempts && attempts.resetAt >= Date.now()) attempts.count++;
+    else loginAttempts.set(ip, { count: 1, resetAt: Date.now() + LOGIN_WINDOW_MS });
+}
+
+function countAdmins() {
+    return Object.values(authStore.users).filter(user => user.role === 'admin').length;
+}
+
+// Makes sure there is a session secret and someone to log in as
+function initAuthStore() {
+    let changed = false;
+    if (!authStore.sessionSecret) {
+        authStore.sessionSecret = crypto.randomBytes(32).toString('hex');
+        changed = true;
+    }
+    if (!Object.keys(authStore.users).length) {
+        const password = INITIAL_ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+        authStore.users.admin = createUserRecord(password, 'admin');
+        changed = true;
+        console.log(`🔑 Created user "admin"${INITIAL_ADMIN_PASSWORD ? '' : ` with password: ${password}`} - manage users at /admin/users`);
+    }
+    if (changed) saveAuthStore();
+}
+initAuthStore();
+
+// The CLI sends its session token as `Authorization: Bearer <token>` instead of the cookie
+function readBearerToken(req) {
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+}
+
+// Any signed-in user
 const checkAuth = (req, res, next) => {
-    if (req.cookies[AUTH_COOKIE_NAME] === VIEWER_PIN) {
+    const bearer = readBearerToken(req);
+    const user = readSessionToken(bearer || req.cookies[AUTH_COOKIE_NAME]);
+    if (user) {
+        req.user = user;
         return next();
     }
+    if (bearer) return res.status(401).json({ error: 'Invalid or expired token. Log in again.' });
     res.redirect('/login');
 };
 
+// Signed-in users with at least `role`
+const requireRole = (role) => (req, res, next) => checkAuth(req, res, () => {
+    if (hasRole(req.user, role)) return next();
+    res.status(403).json({ error: `This needs the ${role} role.` });
+});
+
 // --- Helper Functions ---
 function sanitizeName(name) { // Renamed from sanitizeResourceName
     if (!name || typeof name !== 'string') return 'unknown';
     return name.replace(/[^a-zA-Z0-9_-]/g, '_');
 }
 
-function writeLog(server, resource, data) {
+// NUI callbacks and fetches go to https://<resource>/<callback>, which names the resource
+function detectResource(logData) {
+    try {
+        let urlToParse = null;
+        if ((logData.type === 'nui_to_lua' || logData.type === 'callback_response') && logData.callback) {
+            urlToParse = logData.callback;
+        } else if (logData.type === 'fetch_call' && typeof logData.url === 'string') {
+            urlToParse = logData.url;
+        }
+
+        if (urlToParse) {
+            const match = urlToParse.match(/^https?:\/\/([a-zA-Z0-9_-]+)\//);
+            if (match && match[1]) {
+                return match[1];
+            }
+        }
+    } catch (e) {
+        console.warn('Error parsing resource from log data:', e);
+    }
+    return null;
+}
+
+function listServers() {
+    return fs.readdirSync(LOG_DIR, { withFileTypes: true })
+        .filter(dirent => dirent.isDirectory())
+        .map(dirent => dirent.name);
+}
+
+// A resource is listed while it has an active file or any rotated segment
+function listResources(safeServer) {
+    const serverDir = path.join(LOG_DIR, safeServer);
+    if (!fs.existsSync(serverDir) || !fs.statSync(serverDir).isDirectory()) return [];
+    const resources = new Set();
+    for (const file of fs.readdirSync(serverDir)) {
+        const match = file.match(ACTIVE_FILE_PATTERN) || file.match(SEGMENT_FILE_PATTERN);
+        if (match) resources.add(match[1]);
+    }
+    return [...resources];
+}
+
+// Resolves a search scope (one resource, one server or everything) to resources with logs
+function listScopedResources(server, resource) {
+    const servers = server ? [sanitizeName(server)] : listServers();
+    return servers.flatMap(safeServer => {
+        const resources = resource ? [sanitizeName(resource)] : listResources(safeServer);
+        return resources.map(safeResource => ({ server: safeServer, resource: safeResource }));
+    }).filter(({ server: safeServer, resource: safeResource }) => listSegments(safeServer, safeResource).length > 0);
+}
+
+// Small JSON documents under DATA_DIR. Writes go through a temp file so a crash never leaves half a file.
+function readDataFile(name, fallback) {
+    const filePath = path.join(DATA_DIR, name);
+    if (!fs.existsSync(filePath)) return fallback;
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Could not read ${filePath}, starting empty:`, error);
+        return fallback;
+    }
+}
+
+function writeDataFile(name, value) {
+    const filePath = path.join(DATA_DIR, name);
+    fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(value, null, 2));
+    fs.renameSync(`${filePath}.tmp`, filePath);
+}
+
+// `silent` skips the live stream and console output, for bulk writes such as imports.
+// The entry is buffered and reaches the disk shortly after; see "Buffered Log Writing".
+function writeLog(server, resource, data, { silent = false } = {}) {
     const safeServer = sanitizeName(server || 'default_server');
     const safeResource = sanitizeName(resource);
     
     // Create server directory if it doesn't exist
     const serverDir = path.join(LOG_DIR, safeServer);
-    if (!fs.existsSync(serverDir)) {
-        fs.mkdirSync(serverDir, { recursive: true });
+    if (!knownServerDirs.has(serverDir)) {
+        if (!fs.existsSync(serverDir)) {
+            fs.mkdirSync(serverDir, { recursive: true });
+            publishEvent('server', { server: safeServer }, safeServer);
+        }
+        knownServerDirs.add(serverDir);
     }
 
     const logFilePath = path.join(serverDir, `${safeResource}.jsonl`);
-    const logEntry = { timestamp: new Date().toISOString(), ...data };
+    const file = getLogFileState(logFilePath);
+    const isNewResource = !file.exists;
+    const capture = silent ? undefined : activeCaptures.get(safeServer);
+    const { entry: logEntry } = redactEntry({ timestamp: new Date().toISOString(), ...data, ...(capture && { capture: capture.id }) }, getRedactionRules(safeServer));
     const logLine = JSON.stringify(logEntry) + '\n';
-    fs.appendFileSync(logFilePath, logLine);
+    const cursor = bufferLogLine(logFilePath, file, logLine);
+    if (capture) countCaptureEntry(capture, safeResource, cursor);
+    const schemaIssues = trackSchema(safeServer, safeResource, logEntry, cursor);
+
+    if (isNewResource) {
+        publishEvent('resource', { server: safeServer, resource: safeResource }, safeServer, safeResource);
+    }
+    if (silent) return;
+    recordTraffic(safeServer, safeResource, logEntry, Buffer.byteLength(logLine));
+    const alertMarks = evaluateAlertRules(safeServer, safeResource, logEntry, cursor);
+    const entry = { ...logEntry, _cursor: cursor, ...(schemaIssues && { _schemaIssues: schemaIssues }), ...(alertMarks.length && { _alerts: alertMarks }) };
+    publishEvent('log', { server: safeServer, resource: safeResource, entry }, safeServer, safeResource);
 
-    const icons = { 'lua_to_nui': '📨', 'nui_to_lua': '📤', 'fetch_call': '🌐', 'console': '🖥️' };
-    const icon = icons[data.type] || '📝';
-    const logData = data.data || data.event || data.callback || data.url;
-    console.log(`${icon} [${safeServer} / ${safeResource} - ${data.type}]`, JSON.stringify(logData, null, 2));
+    const icons = { 'lua_to_nui': '📨', 'nui_to_lua': '📤', 'fetch_call': '🌐', 'callback_response': '↩️', 'console': '🖥️' };
+    const icon = icons[logEntry.type] || '📝';
+    const logData = logEntry.data || logEntry.event || logEntry.callback || logEntry.url;
+    console.log(`${icon} [${safeServer} / ${safeResource} - ${logEntry.type}]`, JSON.stringify(logData, null, 2));
+    if (schemaIssues) console.warn(`⚠️ [${safeServer} / ${safeResource}] Payload does not match the inferred schema:`, schemaIssues.join('; '));
 }
 
-// --- API Endpoints ---
+// --- Log Segments, Rotation & Retention ---
+// Each resource writes to an active `<resource>.jsonl` file. Once it grows past
+// ROTATE_MAX_BYTES, or on the first write of a new (UTC) day, it is renamed to
+// `<resource>.<segmentId>.jsonl` and gzipped in the background. The segment id is
+// the time the file's first entry arrived, so cursors handed out for the active file stay
+// valid after it has been rotated. Active files' ids are kept in DATA_DIR/active-segments.json
+// to survive restarts: the entries' own timestamps are whatever clients sent.
+const ACTIVE_FILE_PATTERN = /^([\w-]+)\.jsonl$/;
+const SEGMENT_FILE_PATTERN = /^([\w-]+)\.(\d{8}T\d{9}Z(?:-\d+)?)\.jsonl(\.gz)?$/;
+const ARCHIVE_DIR_NAME = '_archive';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACTIVE_SEGMENTS_FILE = 'active-segments.json';
+const activeSegmentIds = new Map( // active file path -> segment id
+    Object.entries(readDataFile(ACTIVE_SEGMENTS_FILE, {})).map(([file, id]) => [path.join(LOG_DIR, file), id])
+);
+const compressingSegments = new Set();
+const decompressedSegments = new Map(); // small cache so paging through a segment doesn't gunzip it every time
 
-// Main logging endpoint
-app.post('/log', (req, res) => {
-    try {
-        const server = req.body.server;
-        let actualResource = req.body.resource;
-        const logData = { ...req.body };
-        delete logData.resource;
-        delete logData.server;
+function segmentIdFor(timestamp) {
+    const date = new Date(timestamp);
+    return (Number.isNaN(date.getTime()) ? new Date() : date).toISOString().replace(/[-:.]/g, '');
+}
+
+// Records (or with no `id`, forgets) the segment id of an active file
+function setActiveSegmentId(filePath, id) {
+    if (id) activeSegmentIds.set(filePath, id);
+    else activeSegmentIds.delete(filePath);
+    writeDataFile(ACTIVE_SEGMENTS_FILE, Object.fromEntries([...activeSegmentIds].map(([file, segmentId]) => [path.relative(LOG_DIR, file), segmentId])));
+}
+
+function getActiveSegmentId(filePath) {
+    if (activeSegmentIds.has(filePath)) return activeSegmentIds.get(filePath);
+
+    // Files started before ids were recorded go by their first entry's date. Entries are
+    // written with `timestamp` as their first key, so the first bytes are enough.
+    const fd = fs.openSync(filePath, 'r');
+    const head = Buffer.alloc(128);
+    const bytesRead = fs.readSync(fd, head, 0, head.length, 0);
+    fs.closeSync(fd);
+    const match = head.toString('utf8', 0, bytesRead).match(/^\{"timestamp":"([^"]+)"/);
+    const id = segmentIdFor(match ? match[1] : fs.statSync(filePath).mtime);
+    if (bytesRead > 0) activeSegmentIds.set(filePath, id);
+    return id;
+}
+
+// Rotated segments (oldest first) followed by the active file, if there is one
+function listSegments(safeServer, safeResource) {
+    const serverDir = path.join(LOG_DIR, safeServer);
+    if (!fs.existsSync(serverDir)) return [];
+
+    const segmentsById = new Map();
+    for (const file of fs.readdirSync(serverDir)) {
+        const match = file.match(SEGMENT_FILE_PATTERN);
+        if (!match || match[1] !== safeResource) continue;
+        // While a segment is being compressed both copies exist; read the plain one
+        const existing = segmentsById.get(match[2]);
+        if (existing && !existing.compressed) continue;
+        segmentsById.set(match[2], { id: match[2], filePath: path.join(serverDir, file), compressed: !!match[3] });
+    }
 
+    const segments = [...segmentsById.values()].sort((a, b) => (a.id < b.id ? -1 : 1));
+    const activePath = path.join(serverDir, `${safeResource}.jsonl`);
+    if (fs.existsSync(activePath)) {
+        segments.push({ id: getActiveSegmentId(activePath), filePath: activePath, compressed: false, active: true });
+    }
+    return segments;
+}
+
+// Daily rotation follows the server's clock, so neither a backdated batch nor an entry dated
+// in the future can rotate the file early or hold it open past its day
+function shouldRotate(segmentId, nextSize, now) {
+    if (nextSize > ROTATE_MAX_BYTES) return true;
+    return ROTATE_DAILY && segmentIdFor(now).slice(0, 8) > segmentId.slice(0, 8);
+}
+
+function compressSegment(segmentPath) {
+    if (compressingSegments.has(segmentPath)) return;
+    compressingSegments.add(segmentPath);
+
+    const tempPath = `${segmentPath}.gz.tmp`;
+    pipeline(fs.createReadStream(segmentPath), zlib.createGzip(), fs.createWriteStream(tempPath), (error) => {
         try {
-            let urlToParse = null;
-            if (logData.type === 'nui_to_lua' && logData.callback) {
-                urlToParse = logData.callback;
-            } else if (logData.type === 'fetch_call' && typeof logData.url === 'string') {
-                urlToParse = logData.url;
+            if (error) throw error;
+            fs.renameSync(tempPath, `${segmentPath}.gz`);
+            fs.unlinkSync(segmentPath);
+        } catch (e) {
+            console.error(`❌ Error compressing log segment "${segmentPath}":`, e);
+            fs.rmSync(tempPath, { force: true });
+        } finally {
+            compressingSegments.delete(segmentPath);
+        }
+    });
+}
+
+// Moves the active file out of the way as a segment, into `targetDir` (its own directory by default)
+function rotateLogFile(filePath, targetDir = path.dirname(filePath)) {
+    const resource = path.basename(filePath, '.jsonl');
+    const id = getActiveSegmentId(filePath);
+    fs.mkdirSync(targetDir, { recursive: true });
+
+    let segmentPath = path.join(targetDir, `${resource}.${id}.jsonl`);
+    for (let n = 1; fs.existsSync(segmentPath) || fs.existsSync(`${segmentPath}.gz`); n++) {
+        segmentPath = path.join(targetDir, `${resource}.${id}-${n}.jsonl`);
+    }
+
+    fs.renameSync(filePath, segmentPath);
+    setActiveSegmentId(filePath, null);
+    compressSegment(segmentPath);
+    console.log(`📦 Rotated ${filePath} -> ${segmentPath}.gz`);
+    return `${segmentPath}.gz`;
+}
+
+// Moves every segment of a resource, including the active file, into the server's archive
+function archiveResource(safeServer, safeResource) {
+    const archiveDir = path.join(LOG_DIR, safeServer, ARCHIVE_DIR_NAME);
+    fs.mkdirSync(archiveDir, { recursive: true });
+    for (const segment of listSegments(safeServer, safeResource)) {
+        if (segment.active) {
+            if (fs.statSync(segment.filePath).size > 0) {
+                rotateLogFile(segment.filePath, archiveDir);
+            } else {
+                fs.unlinkSync(segment.filePath);
+                setActiveSegmentId(segment.filePath, null);
             }
+        } else {
+            fs.renameSync(segment.filePath, path.join(archiveDir, path.basename(segment.filePath)));
+        }
+    }
+}
 
-            if (urlToParse) {
-                const match = urlToParse.match(/^https?:\/\/([a-zA-Z0-9_-]+)\//);
-                if (match && match[1]) {
-                    actualResource = match[1];
-                }
+function readCompressedSegment(filePath) {
+    if (!decompressedSegments.has(filePath)) {
+        decompressedSegments.set(filePath, zlib.gunzipSync(fs.readFileSync(filePath)));
+        if (decompressedSegments.size > 2) decompressedSegments.delete(decompressedSegments.keys().next().value);
+    }
+    return decompressedSegments.get(filePath);
+}
+
+// Deletes rotated segments past RETENTION_MAX_AGE_DAYS, then the oldest ones until each
+// server fits in RETENTION_MAX_SERVER_BYTES. Active files and the archive are never touched.
+function enforceRetention() {
+    const cutoff = Date.now() - RETENTION_MAX_AGE_DAYS * DAY_MS;
+    for (const safeServer of listServers()) {
+        const serverDir = path.join(LOG_DIR, safeServer);
+        let totalBytes = 0;
+        const segments = [];
+
+        for (const file of fs.readdirSync(serverDir)) {
+            const filePath = path.join(serverDir, file);
+            if (file.match(ACTIVE_FILE_PATTERN)) {
+                totalBytes += fs.statSync(filePath).size;
+                continue;
             }
-        } catch (e) {
-            console.warn('Error parsing resource from log data:', e);
+            const match = file.match(SEGMENT_FILE_PATTERN);
+            if (!match || compressingSegments.has(filePath)) continue;
+            if (!match[3]) {
+                // Left uncompressed by a restart during compression
+                compressSegment(filePath);
+                continue;
+            }
+            const stat = fs.statSync(filePath);
+            if (stat.mtimeMs < cutoff) {
+                fs.unlinkSync(filePath);
+                console.log(`🧹 Retention: removed ${filePath} (older than ${RETENTION_MAX_AGE_DAYS} days)`);
+                continue;
+            }
+            totalBytes += stat.size;
+            segments.push({ id: match[2], filePath, size: stat.size });
         }
 
-        if (!actualResource) {
-            return res.status(400).json({ error: 'Resource name is required.' });
+        segments.sort((a, b) => (a.id < b.id ? -1 : 1));
+        while (totalBytes > RETENTION_MAX_SERVER_BYTES && segments.length) {
+            const oldest = segments.shift();
+            fs.unlinkSync(oldest.filePath);
+            decompressedSegments.delete(oldest.filePath);
+            totalBytes -= oldest.size;
+            console.log(`🧹 Retention: removed ${oldest.filePath} (${safeServer} over size limit)`);
         }
-        
-        writeLog(server, actualResource, logData); // Use server and resource
-        res.sendStatus(200);
+    }
+}
+
+// --- Buffered Log Writing ---
+// writeLog() only queues lines in memory; each file's queue is appended asynchronously once it
+// holds WRITE_FLUSH_BYTES or WRITE_FLUSH_INTERVAL_MS after its first line, in order, one flush
+// at a time per file. Cursors are handed out from the size the file will have, and rotations are
+// queued between lines, so they stay correct before the data lands. Readers call flushLogFiles()
+// first so they see everything written so far.
+const knownServerDirs = new Set();
+const logFiles = new Map(); // active file path -> { exists, size, segmentId, queue, queuedBytes, timer, flushing }
+const bufferWaiters = [];
+let bufferedBytes = 0;
+
+// Looks at the disk only the first time a file is written to in this process
+function getLogFileState(filePath) {
+    let file = logFiles.get(filePath);
+    if (!file) {
+        const exists = fs.existsSync(filePath);
+        const size = exists ? fs.statSync(filePath).size : 0;
+        file = { exists, size, segmentId: size > 0 ? getActiveSegmentId(filePath) : null, queue: [], queuedBytes: 0, timer: null, flushing: null };
+        logFiles.set(filePath, file);
+    }
+    return file;
+}
+
+// Queues a line (rotating first when due) and returns the entry's cursor. Segments are named
+// for when their first line was queued.
+function bufferLogLine(filePath, file, line) {
+    const bytes = Buffer.byteLength(line);
+    const now = Date.now();
+    if (file.size > 0 && shouldRotate(file.segmentId, file.size + bytes, now)) {
+        file.queue.push({ rotate: true });
+        file.size = 0;
+    }
+    if (file.size === 0) {
+        file.segmentId = segmentIdFor(now);
+        file.queue.push({ segmentId: file.segmentId });
+    }
+
+    const cursor = `${file.segmentId}:${file.size}`;
+    file.queue.push(line);
+    file.exists = true;
+    file.size += bytes;
+    file.queuedBytes += bytes;
+    bufferedBytes += bytes;
+
+    if (file.queuedBytes >= WRITE_FLUSH_BYTES) flushLogFile(filePath);
+    else if (!file.timer) file.timer = setTimeout(() => flushLogFile(filePath), WRITE_FLUSH_INTERVAL_MS);
+    return cursor;
+}
+
+function releaseBufferedBytes(bytes) {
+    bufferedBytes -= bytes;
+    while (bufferedBytes < WRITE_BUFFER_MAX_BYTES && bufferWaiters.length) bufferWaiters.shift()();
+}
+
+// Resolves once there is room in the write buffer. Ingestion awaits this, which slows clients down
+// to the speed of the disk instead of letting the buffer grow without bound.
+function waitForWriteBuffer() {
+    if (bufferedBytes < WRITE_BUFFER_MAX_BYTES) return Promise.resolve();
+    flushLogFiles();
+    return new Promise(resolve => bufferWaiters.push(resolve));
+}
+
+async function flushLogFile(filePath) {
+    const file = logFiles.get(filePath);
+    if (!file) return;
+    while (file.flushing) await file.flushing;
+    clearTimeout(file.timer);
+    file.timer = null;
+    if (!file.queue.length) return;
+
+    const queue = file.queue;
+    file.queue = [];
+    file.flushing = (async () => {
+        let lines = [];
+        const writeLines = async () => {
+            if (!lines.length) return;
+            const chunk = lines.join('');
+            lines = [];
+            const bytes = Buffer.byteLength(chunk);
+            try {
+                await fs.promises.appendFile(filePath, chunk);
+            } catch (error) {
+                console.error(`❌ Error writing ${bytes} bytes to "${filePath}":`, error);
+            } finally {
+                file.queuedBytes -= bytes;
+                releaseBufferedBytes(bytes);
+            }
+        };
+        for (const item of queue) {
+            if (typeof item === 'string') {
+                lines.push(item);
+                continue;
+            }
+            await writeLines();
+            if (item.rotate) rotateLogFile(filePath);
+            else setActiveSegmentId(filePath, item.segmentId);
+        }
+        await writeLines();
+    })();
+
+    try {
+        await file.flushing;
     } catch (error) {
-        console.error('❌ Error logging data:', error);
-        res.status(500).json({ error: error.message });
+        console.error(`❌ Error flushing "${filePath}":`, error);
+    } finally {
+        file.flushing = null;
     }
-});
+}
 
-// API for log data
-app.get('/logs', checkAuth, (req, res) => {
+function flushLogFiles() {
+    return Promise.all([...logFiles.keys()].map(flushLogFile));
+}
+
+// Forgets a file's buffered state after it was cleared or archived, dropping anything still queued
+function resetLogFile(filePath) {
+    const file = logFiles.get(filePath);
+    if (!file) return;
+    clearTimeout(file.timer);
+    logFiles.delete(filePath);
+    // Lines already being appended release their own bytes
+    const queued = file.queue.filter(item => typeof item === 'string');
+    releaseBufferedBytes(queued.reduce((total, line) => total + Buffer.byteLength(line), 0));
+}
+
+// Route middleware for endpoints that read logs from disk
+const flushBeforeRead = async (req, res, next) => {
+    await flushLogFiles();
+    next();
+};
+
+// --- Paged Log Reading ---
+// A cursor is "<segmentId>:<byteOffset>", pointing at the start of an entry's line in
+// one segment, so pages can be read from either direction without loading whole files.
+function openSegment(segment) {
+    if (segment.compressed) {
+        const data = readCompressedSegment(segment.filePath);
+        return {
+            size: data.length,
+            read: (buffer, position) => data.copy(buffer, 0, position, position + buffer.length),
+            close: () => {},
+        };
+    }
+    const fd = fs.openSync(segment.filePath, 'r');
+    return {
+        size: fs.fstatSync(fd).size,
+        read: (buffer, position) => fs.readSync(fd, buffer, 0, buffer.length, position),
+        close: () => fs.closeSync(fd),
+    };
+}
+
+function parseLogLine(buffer, start, end, cursor, entries) {
+    const line = buffer.toString('utf8', start, end).trim();
+    if (!line) return;
     try {
-        const { server, resource } = req.query;
+        entries.push({ ...JSON.parse(line), _cursor: cursor });
+    } catch (e) {
+        console.warn(`Skipping malformed log line at byte ${cursor}`);
+    }
+}
 
-        if (server && resource) {
-            // Case 1: Get logs for a specific resource on a specific server
-            const safeServer = sanitizeName(server);
-            const safeResource = sanitizeName(resource);
-            const logFilePath = path.join(LOG_DIR, safeServer, `${safeResource}.jsonl`);
-            
-            if (!fs.existsSync(logFilePath)) return res.json([]);
+// Reads up to `limit` entries that start before byte `before` (or the end of the segment)
+function readEntriesBefore(source, before, limit) {
+    let position = before === undefined ? source.size : Math.min(before, source.size);
+    let carry = Buffer.alloc(0);
+    const entries = [];
 
-            const logs = fs.readFileSync(logFilePath, 'utf8')
-                .split('\n').filter(line => line.trim())
-                .map(line => JSON.parse(line)).slice(-200);
-            return res.json(logs);
+    while (position > 0 && entries.length < limit) {
+        const readSize = Math.min(READ_CHUNK_SIZE, position);
+        position -= readSize;
+        const chunk = Buffer.alloc(readSize);
+        source.read(chunk, position);
+        const buffer = Buffer.concat([chunk, carry]);
 
-        } else if (server) {
-            // Case 2: Get all resources for a specific server
-            const safeServer = sanitizeName(server);
-            const serverDir = path.join(LOG_DIR, safeServer);
-            
-            if (!fs.existsSync(serverDir) || !fs.statSync(serverDir).isDirectory()) {
-                return res.json([]);
-            }
+        let end = buffer.length;
+        for (let i = buffer.length - 1; i >= 0 && entries.length < limit; i--) {
+            if (buffer[i] !== 0x0a) continue;
+            parseLogLine(buffer, i + 1, end, position + i + 1, entries);
+            end = i;
+        }
+        carry = buffer.subarray(0, end);
+        if (position === 0 && entries.length < limit) parseLogLine(carry, 0, carry.length, 0, entries);
+    }
 
-            const files = fs.readdirSync(serverDir)
-                .filter(file => file.endsWith('.jsonl'))
-                .map(file => file.replace('.jsonl', ''));
-            return res.json(files);
+    entries.reverse();
+    return { entries, hasMore: entries.length > 0 && entries[0]._cursor > 0 };
+}
 
-        } else {
-            // Case 3: Get all servers (directories)
-            const dirs = fs.readdirSync(LOG_DIR, { withFileTypes: true })
-                .filter(dirent => dirent.isDirectory())
-                .map(dirent => dirent.name);
-            return res.json(dirs);
+// Reads up to `limit` entries that start after the entry at byte `after` (or from the start)
+function readEntriesAfter(source, after, limit) {
+    let position = after === undefined ? 0 : after;
+    let carry = Buffer.alloc(0);
+    let carryStart = position;
+    let skipFirstLine = after !== undefined; // The line at `after` is the entry the client already has
+    const entries = [];
+
+    while (position < source.size && entries.length < limit) {
+        const readSize = Math.min(READ_CHUNK_SIZE, source.size - position);
+        const chunk = Buffer.alloc(readSize);
+        source.read(chunk, position);
+        position += readSize;
+        const buffer = Buffer.concat([carry, chunk]);
+
+        let start = 0;
+        for (let i = 0; i < buffer.length && entries.length < limit; i++) {
+            if (buffer[i] !== 0x0a) continue;
+            if (!skipFirstLine) parseLogLine(buffer, start, i, carryStart + start, entries);
+            skipFirstLine = false;
+            start = i + 1;
         }
-    } catch (error) {
-        console.error(`❌ Error reading logs for "${req.query.server} / ${req.query.resource}":`, error);
-        res.status(500).json({ error: error.message });
+        carry = buffer.subarray(start);
+        carryStart += start;
     }
-});
 
-// Clear logs for a specific resource
-app.post('/clear', checkAuth, (req, res) => {
+    return { entries, hasMore: entries.length === limit && carryStart < source.size };
+}
+
+function readSegmentPage(segment, read, offset, limit) {
+    const source = openSegment(segment);
     try {
-        const { server, resource } = req.body;
-        if (!server) return res.status(400).json({ error: 'Server name is required.' });
-        if (!resource) return res.status(400).json({ error: 'Resource name is required.' });
+        const page = read(source, offset, limit);
+        page.entries.forEach(entry => { entry._cursor = `${segment.id}:${entry._cursor}`; });
+        return page;
+    } finally {
+        source.close();
+    }
+}
 
-        const safeServer = sanitizeName(server);
-        const safeResource = sanitizeName(resource);
-        const logFilePath = path.join(LOG_DIR, safeServer, `${safeResource}.jsonl`);
+// Reads up to `limit` entries before `cursor` (or the newest ones), walking back through segments
+function readPageBefore(safeServer, safeResource, cursor, limit) {
+    const segments = listSegments(safeServer, safeResource)
+        .filter(segment => !cursor || segment.id <= cursor.segment);
+    const entries = [];
+    let hasMore = false;
+
+    for (let i = segments.length - 1; i >= 0 && entries.length < limit; i--) {
+        const offset = cursor && segments[i].id === cursor.segment ? cursor.offset : undefined;
+        const page = readSegmentPage(segments[i], readEntriesBefore, offset, limit - entries.length);
+        entries.unshift(...page.entries);
+        hasMore = page.hasMore || i > 0;
+    }
+    return { entries, hasMore };
+}
+
+// Reads up to `limit` entries after `cursor` (or the oldest ones), walking forward through segments
+function readPageAfter(safeServer, safeResource, cursor, limit) {
+    const segments = listSegments(safeServer, safeResource)
+        .filter(segment => !cursor || segment.id >= cursor.segment);
+    const entries = [];
+    let hasMore = false;
+
+    for (let i = 0; i < segments.length && entries.length < limit; i++) {
+        const offset = cursor && segments[i].id === cursor.segment ? cursor.offset : undefined;
+        const page = readSegmentPage(segments[i], readEntriesAfter, offset, limit - entries.length);
+        entries.push(...page.entries);
+        hasMore = page.hasMore || i < segments.length - 1;
+    }
+    return { entries, hasMore };
+}
+
+// Yields entries newest first (starting before cursor `before`), giving the event loop a turn between pages
+async function* iterateEntriesBackward(safeServer, safeResource, before) {
+    while (true) {
+        const page = readPageBefore(safeServer, safeResource, before, LOG_PAGE_MAX);
+        for (let i = page.entries.length - 1; i >= 0; i--) yield page.entries[i];
+        if (!page.hasMore || !page.entries.length) return;
+        before = parseCursor(page.entries[0]._cursor);
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+// Yields entries oldest first
+async function* iterateEntriesForward(safeServer, safeResource, after) {
+    while (true) {
+        const page = readPageAfter(safeServer, safeResource, after, LOG_PAGE_MAX);
+        yield* page.entries;
+        if (!page.hasMore || !page.entries.length) return;
+        after = parseCursor(page.entries[page.entries.length - 1]._cursor);
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+// Merges per-resource iterators ({ server, resource, iterator }) into one stream ordered by timestamp
+async function* mergeEntries(sources, newestFirst = false) {
+    const heads = [];
+    for (const source of sources) {
+        const next = await source.iterator.next();
+        if (!next.done) heads.push({ ...source, entry: next.value });
+    }
+
+    while (heads.length) {
+        let pick = 0;
+        for (let i = 1; i < heads.length; i++) {
+            const order = String(heads[i].entry.timestamp).localeCompare(String(heads[pick].entry.timestamp));
+            if (newestFirst ? order > 0 : order < 0) pick = i;
+        }
+        const head = heads[pick];
+        yield { server: head.server, resource: head.resource, entry: head.entry };
+
+        const next = await head.iterator.next();
+        if (next.done) heads.splice(pick, 1);
+        else head.entry = next.value;
+    }
+}
+
+// Returns undefined when absent and null when malformed
+function parseCursor(value) {
+    if (value === undefined || value === '') return undefined;
+    const match = String(value).match(/^([\w-]+):(\d+)$/);
+    if (!match) return null;
+    const offset = Number(match[2]);
+    return Number.isSafeInteger(offset) ? { segment: match[1], offset } : null;
+}
+
+// --- Search & Filtering ---
+const LOG_TYPES = ['lua_to_nui', 'nui_to_lua', 'fetch_call', 'callback_response', 'console'];
+const PREDICATE_PATTERN = /^([\w$.[\]-]+?)\s*(==|!=|>=|<=|=|>|<|~|\?)\s*(.*)$/s;
+const RELATIVE_TIME_PATTERN = /^-?(\d+(?:\.\d+)?)(s|m|h|d)$/;
+const TIME_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+function toArray(value) {
+    if (value === undefined || value === '') return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+// Accepts ISO dates or durations relative to now such as "-15m", "1h" or "7d"
+function parseTime(value) {
+    const relative = String(value).trim().match(RELATIVE_TIME_PATTERN);
+    if (relative) return Date.now() - Number(relative[1]) * TIME_UNITS[relative[2]];
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+}
+
+// Stringified JSON (e.g. a fetch_call body) is decoded so paths can reach inside it
+function decodeJsonString(value) {
+    if (typeof value !== 'string') return value;
+    const trimmed = value.trim();
+    if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) return value;
+    try {
+        return JSON.parse(trimmed);
+    } catch (e) {
+        return value;
+    }
+}
+
+function resolvePath(value, pathText) {
+    const keys = pathText.replace(/\[(\w+)\]/g, '.$1').split('.').filter(Boolean);
+    let current = value;
+    for (const key of keys) {
+        current = decodeJsonString(current);
+        if (current === null || typeof current !== 'object') return undefined;
+        current = current[key];
+    }
+    return current;
+}
+
+// Builds a test from a pattern: "/regex/flags" or a case-insensitive substring
+function parsePattern(pattern) {
+    const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+        const regex = new RegExp(regexMatch[1], regexMatch[2]);
+        return text => regex.test(text);
+    }
+    const needle = pattern.toLowerCase();
+    return text => text.toLowerCase().includes(needle);
+}
+
+// Parses a field predicate such as "data.money.cash>1000", "event.type==ON_OPEN" or "data.items?"
+function parsePredicate(text) {
+    const match = text.trim().match(PREDICATE_PATTERN);
+    if (!match) throw new Error(`Invalid field predicate "${text}".`);
+    const [, fieldPath, operator, rawValue] = match;
+    let expected = rawValue.trim();
+    try {
+        expected = JSON.parse(expected);
+    } catch (e) {
+        // Unquoted strings are compared as-is
+    }
+
+    const regex = operator === '~' ? new RegExp(rawValue.trim(), 'i') : null;
+    const compare = (actual) => {
+        const a = Number(actual);
+        const b = Number(expected);
+        if (typeof actual !== 'object' && actual !== '' && Number.isFinite(a) && Number.isFinite(b)) return a - b;
+        return String(actual).localeCompare(String(expected));
+    };
+    const equals = (actual) => {
+        if (actual !== null && typeof actual === 'object') return JSON.stringify(actual) === JSON.stringify(expected);
+        return actual === expected || String(actual) === String(expected);
+    };
 
-        if (fs.existsSync(logFilePath)) {
-            fs.writeFileSync(logFilePath, '');
-            console.log(`🗑️ Logs cleared for: ${safeServer} / ${safeResource}`);
-            return res.json({ message: `Logs cleared for ${safeServer} / ${safeResource}` });
+    return (entry) => {
+        const actual = resolvePath(entry, fieldPath);
+        if (operator === '?') return actual !== undefined;
+        if (actual === undefined) return false;
+        switch (operator) {
+            case '=':
+            case '==': return equals(actual);
+            case '!=': return !equals(actual);
+            case '>': return compare(actual) > 0;
+            case '>=': return compare(actual) >= 0;
+            case '<': return compare(actual) < 0;
+            case '<=': return compare(actual) <= 0;
+            case '~': return regex.test(typeof actual === 'string' ? actual : JSON.stringify(actual));
         }
-        return res.status(404).json({ message: `No logs found for ${safeServer} / ${safeResource}` });
+        return false;
+    };
+}
+
+// Turns the shared query parameters (type, from, to, match, q, where, capture) into an entry filter.
+// Returns `{ error }` when a parameter can't be parsed.
+function parseLogFilter(query) {
+    try {
+        const types = toArray(query.type).flatMap(type => type.split(',')).map(type => type.trim()).filter(Boolean);
+        const unknownType = types.find(type => !LOG_TYPES.includes(type));
+        if (unknownType) return { error: `Unknown log type "${unknownType}".` };
+
+        const from = query.from ? parseTime(query.from) : null;
+        const to = query.to ? parseTime(query.to) : null;
+        if (from === null && query.from) return { error: `Invalid "from" time "${query.from}".` };
+        if (to === null && query.to) return { error: `Invalid "to" time "${query.to}".` };
+
+        const matchesPattern = query.match ? parsePattern(query.match) : null;
+        const text = query.q ? String(query.q).toLowerCase() : null;
+        const predicates = toArray(query.where).map(parsePredicate);
+        const capture = query.capture ? String(query.capture) : null;
+
+        const active = types.length > 0 || from !== null || to !== null || !!matchesPattern || !!text || predicates.length > 0 || !!capture;
+        const matches = (entry) => {
+            if (capture && entry.capture !== capture) return false;
+            if (types.length && !types.includes(entry.type)) return false;
+            if (from !== null || to !== null) {
+                const time = Date.parse(entry.timestamp);
+                if (from !== null && !(time >= from)) return false;
+                if (to !== null && !(time <= to)) return false;
+            }
+            if (matchesPattern) {
+                const target = entry.callback || entry.url;
+                if (typeof target !== 'string' || !matchesPattern(target)) return false;
+            }
+            if (text && !JSON.stringify(entry).toLowerCase().includes(text)) return false;
+            return predicates.every(predicate => predicate(entry));
+        };
+        return { active, from, to, matches };
     } catch (error) {
-        console.error(`❌ Error clearing logs for "${req.body.server} / ${req.body.resource}":`, error);
-        res.status(500).json({ error: error.message });
+        return { error: error.message };
     }
-});
+}
 
-// Health check
-app.get('/health', (req, res) => {
-    res.json({ status: 'running', logDirectory: LOG_DIR, timestamp: new Date().toISOString() });
-});
+// --- Export ---
+const HAR_TYPES = ['fetch_call', 'nui_to_lua'];
+const CSV_FIXED_COLUMNS = ['timestamp', 'server', 'resource', 'type'];
+const CSV_MAX_COLUMNS = 1000;
 
-// --- Login Page Endpoints ---
-app.get('/login', (req, res) => {
-    const html = `
-<!DOCTYPE html>
-<html lang="en" class="dark">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>NUI Logger - Login</title>
-    <script src="https://cdn.tailwindcss.com"></script>
-</head>
-<body class="bg-gray-900 text-gray-300 font-mono h-screen flex items-center justify-center">
+// Entries matching `filter` across the scope, oldest first
+async function* iterateFilteredEntries(server, resource, filter) {
+    const sources = listScopedResources(server, resource).map(scope => ({
+        ...scope,
+        iterator: iterateEntriesForward(scope.server, scope.resource),
+    }));
+    for await (const item of mergeEntries(sources)) {
+        if (filter.matches(item.entry)) yield item;
+    }
+}
+
+// Writes a chunk and waits for the socket to drain when its buffer is full
+function writeChunk(res, chunk) {
+    if (res.write(chunk)) return Promise.resolve();
+    return new Promise(resolve => res.once('drain', resolve));
+}
+
+function stripInternalFields(entry) {
+    const { _cursor, _server, _resource, ...rest } = entry;
+    return rest;
+}
+
+function toHarHeaders(headers) {
+    if (!headers || typeof headers !== 'object') return [];
+    const pairs = Array.isArray(headers) ? headers : Object.entries(headers);
+    return pairs.filter(pair => Array.isArray(pair) && pair.length >= 2)
+        .map(([name, value]) => ({ name: String(name), value: String(value) }));
+}
+
+function toHarEntry({ server, resource, entry }) {
+    let url, method, headers, body;
+    if (entry.type === 'fetch_call') {
+        const options = entry.options || {};
+        url = entry.url;
+        body = options.body !== undefined ? options.body : entry.body; // Older captures kept `body` at the top level
+        method = options.method || (body !== undefined ? 'POST' : 'GET');
+        headers = toHarHeaders(options.headers);
+    } else {
+        url = entry.callback;
+        method = 'POST';
+        body = entry.data !== undefined ? JSON.stringify(entry.data) : undefined;
+        headers = [{ name: 'Content-Type', value: 'application/json' }];
+    }
+    if (typeof url !== 'string') return null;
+
+    const bodyText = body === undefined || body === null ? null : (typeof body === 'string' ? body : JSON.stringify(body));
+    const contentType = headers.find(header => header.name.toLowerCase() === 'content-type');
+    let queryString = [];
+    try {
+        queryString = [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+    } catch (e) {
+        // Not every logged URL is absolute
+    }
+
+    return {
+        startedDateTime: entry.timestamp,
+        time: 0,
+        request: {
+            method: String(method).toUpperCase(),
+            url,
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers,
+            queryString,
+            ...(bodyText !== null && { postData: { mimeType: contentType ? contentType.value : 'application/json', text: bodyText } }),
+            headersSize: -1,
+            bodySize: bodyText !== null ? Buffer.byteLength(bodyText) : 0,
+        },
+        // The interceptor only records the outgoing call
+        response: {
+            status: 0,
+            statusText: '',
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: [],
+            content: { size: 0, mimeType: 'x-unknown' },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: -1,
+        },
+        cache: {},
+        timings: { send: 0, wait: 0, receive: 0 },
+        _resourceType: 'fetch',
+        _type: entry.type,
+        _server: server,
+        _resource: resource,
+    };
+}
+
+function flattenEntry(value, prefix = '', row = {}) {
+    const isContainer = value !== null && typeof value === 'object';
+    if (isContainer && Object.keys(value).length > 0) {
+        for (const [key, child] of Object.entries(value)) {
+            flattenEntry(child, prefix ? `${prefix}.${key}` : key, row);
+        }
+    } else if (prefix) {
+        row[prefix] = isContainer ? JSON.stringify(value) : value;
+    }
+    return row;
+}
+
+function toCsvCell(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow({ server, resource, entry }) {
+    return flattenEntry({ ...stripInternalFields(entry), server, resource });
+}
+
+async function writeHarExport(res, items) {
+    await writeChunk(res, `{"log":{"version":"1.2","creator":{"name":"FiveM NUI Logger","version":"1.0.0"},"pages":[],"entries":[`);
+    let first = true;
+    for await (const item of items) {
+        if (res.destroyed) return;
+        if (!HAR_TYPES.includes(item.entry.type)) continue;
+        const harEntry = toHarEntry(item);
+        if (!harEntry) continue;
+        await writeChunk(res, (first ? '\n' : ',\n') + JSON.stringify(harEntry));
+        first = false;
+    }
+    res.end('\n]}}\n');
+}
+
+// CSV needs every column up front, so the entries are read twice
+async function writeCsvExport(res, getItems) {
+    const columns = new Set();
+    for await (const item of getItems()) {
+        for (const column of Object.keys(toCsvRow(item))) {
+            if (columns.size >= CSV_MAX_COLUMNS) break;
+            if (!CSV_FIXED_COLUMNS.includes(column)) columns.add(column);
+        }
+    }
+
+    const header = [...CSV_FIXED_COLUMNS, ...[...columns].sort()];
+    await writeChunk(res, header.map(toCsvCell).join(',') + '\r\n');
+    for await (const item of getItems()) {
+        if (res.destroyed) return;
+        const row = toCsvRow(item);
+        await writeChunk(res, header.map(column => toCsvCell(row[column])).join(',') + '\r\n');
+    }
+    res.end();
+}
+
+async function writeNdjsonExport(res, items) {
+    for await (const { server, resource, entry } of items) {
+        if (res.destroyed) return;
+        await writeChunk(res, JSON.stringify({ ...stripInternalFields(entry), server, resource }) + '\n');
+    }
+    res.end();
+}
+
+function exportFileName(server, resource, extension) {
+    const scope = [server, resource].filter(Boolean).map(sanitizeName).join('-') || 'all-servers';
+    return `${scope}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+// --- Import ---
+const IMPORT_MAX_BYTES = '200mb';
+const IMPORT_ERROR_SAMPLE = 20; // How many rejected entries to describe in the response
+
+function harHeadersToObject(headers) {
+    const result = {};
+    (Array.isArray(headers) ? headers : []).forEach(header => {
+        if (header && header.name) result[header.name] = header.value;
+    });
+    return result;
+}
+
+function fromHarEntry(harEntry) {
+    const request = (harEntry && harEntry.request) || {};
+    const options = { method: request.method || 'GET', headers: harHeadersToObject(request.headers) };
+    if (request.postData && request.postData.text !== undefined) options.body = request.postData.text;
+    return { timestamp: harEntry && harEntry.startedDateTime, type: 'fetch_call', url: request.url, options };
+}
+
+// Accepts our own JSONL (optionally gzipped), a JSON array of entries, or a HAR file
+function parseImportPayload(body) {
+    if (!Buffer.isBuffer(body)) {
+        // Already parsed by express.json() because it was sent as application/json
+        if (body && body.log && Array.isArray(body.log.entries)) return body.log.entries.map(fromHarEntry);
+        return Array.isArray(body) ? body : [body];
+    }
+
+    const data = body[0] === 0x1f && body[1] === 0x8b ? zlib.gunzipSync(body) : body;
+    const text = data.toString('utf8').replace(/^\uFEFF/, '').trim();
+    if (!text) return [];
+
+    // A whole-document parse only succeeds for HAR files, arrays and single-entry files
+    try {
+        const parsed = JSON.parse(text);
+        if (parsed && parsed.log && Array.isArray(parsed.log.entries)) return parsed.log.entries.map(fromHarEntry);
+        return Array.isArray(parsed) ? parsed : [parsed];
+    } catch (e) {
+        // Fall through to line-by-line parsing
+    }
+
+    return text.split('\n').map((line, index) => {
+        if (!line.trim()) return null;
+        try {
+            return JSON.parse(line);
+        } catch (e) {
+            return { _importError: `Line ${index + 1}: invalid JSON` };
+        }
+    }).filter(Boolean);
+}
+
+// Validates a record and splits it into its target resource and the entry to store.
+// `resource` forces the resource; `defaultResource` is only used when none can be detected.
+function normalizeImportRecord(record, { resource, defaultResource }) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) return { error: 'Not an object' };
+    if (record._importError) return { error: record._importError };
+
+    const { server, resource: recordResource, _cursor, _server, _resource, ...entry } = record;
+    if (!LOG_TYPES.includes(entry.type)) return { error: `Unknown type "${entry.type}"` };
+    const time = Date.parse(entry.timestamp);
+    if (Number.isNaN(time)) return { error: `Invalid timestamp "${entry.timestamp}"` };
+    entry.timestamp = new Date(time).toISOString();
+
+    const targetResource = resource || detectResource(entry) || recordResource || _resource || defaultResource;
+    if (!targetResource) return { error: `Could not determine the resource for a ${entry.type} entry` };
+    return { resource: sanitizeName(targetResource), entry };
+}
+
+// --- Replay Harness ---
+const REPLAY_MAX_EVENTS = 5000;
+const REPLAY_UI_ROOT = config.replayUiRoot; // The harness only serves UIs from inside this folder, and none when unset
+
+// Resolves a replay UI file to a real path inside REPLAY_UI_ROOT, following symlinks.
+// Returns { folder, file } or a rejection ({ status, error }).
+function resolveReplayUiFile(encodedFolder, file) {
+    if (!REPLAY_UI_ROOT) return { status: 403, error: 'Loading UIs is off. Set "replayUiRoot" in the config to the folder holding your resources.' };
+    const isInside = (parent, child) => {
+        const relative = path.relative(parent, child);
+        return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+    };
+    let root;
+    let folder;
+    let filePath;
+    try {
+        root = fs.realpathSync(REPLAY_UI_ROOT);
+        folder = fs.realpathSync(path.resolve(root, Buffer.from(encodedFolder, 'base64url').toString('utf8')));
+        filePath = fs.realpathSync(path.resolve(folder, file));
+    } catch (e) {
+        return { status: 404, error: 'File not found.' };
+    }
+    if (!isInside(root, folder) || !isInside(folder, filePath)) return { status: 403, error: 'Only files inside the replay UI root can be served.' };
+    // Logs and settings (sessions, password hashes, keys) are never served, wherever the root points
+    const privateDirs = [LOG_DIR, DATA_DIR].filter(dir => fs.existsSync(dir)).map(dir => fs.realpathSync(dir));
+    if (privateDirs.some(dir => isInside(dir, filePath))) return { status: 403, error: 'Only files inside the replay UI root can be served.' };
+    if (!fs.statSync(filePath).isFile()) return { status: 404, error: 'File not found.' };
+    return { folder, file: path.relative(folder, filePath) };
+}
+
+function compareCursors(a, b) {
+    if (a.segment !== b.segment) return a.segment < b.segment ? -1 : 1;
+    return a.offset - b.offset;
+}
+
+// Collects the lua_to_nui events between two cursors, both inclusive
+function collectReplayEvents(safeServer, safeResource, from, to) {
+    // Starting just before `from` makes readPageAfter include the entry at `from` itself
+    let cursor = { segment: from.segment, offset: from.offset > 0 ? from.offset - 1 : undefined };
+    const events = [];
+
+    while (events.length < REPLAY_MAX_EVENTS) {
+        const page = readPageAfter(safeServer, safeResource, cursor, LOG_PAGE_MAX);
+        for (const entry of page.entries) {
+            if (compareCursors(parseCursor(entry._cursor), to) > 0) return events;
+            if (entry.type === 'lua_to_nui') events.push({ timestamp: entry.timestamp, event: entry.event, cursor: entry._cursor });
+            if (events.length >= REPLAY_MAX_EVENTS) break;
+        }
+        if (!page.hasMore || !page.entries.length) break;
+        cursor = parseCursor(page.entries[page.entries.length - 1]._cursor);
+    }
+    return events;
+}
+
+// Embeds a value in an inline <script> without letting it close the tag
+function toScriptJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+// --- Mock Lua Backend ---
+// Stands in for the Lua side while a NUI runs in a normal browser. The shim script rewrites the
+// page's fetch('https://<resource>/<callback>') calls to /mock/<server>/<resource>/<callback>.
+const MOCKS_FILE = 'mocks.json';
+const MOCK_MAX_LATENCY_MS = 30000;
+const MOCK_DEFAULT_RESPONSE = {}; // Answer for callbacks without a mock, like a Lua cb({}) would
+const TEMPLATE_PLACEHOLDER = /\{\{\s*([\w$.[\]-]+)\s*\}\}/g;
+const mocks = readDataFile(MOCKS_FILE, {}); // { [server]: { [resource]: { [callback]: mock } } }
+
+// "https://my-resource/inventory/use?x=1" -> "inventory/use"
+function callbackName(url) {
+    const match = typeof url === 'string' && url.match(/^https?:\/\/[a-zA-Z0-9_-]+\/([^?#]*)/);
+    return match ? match[1] : null;
+}
+
+function getResourceMocks(safeServer, safeResource) {
+    return (mocks[safeServer] && mocks[safeServer][safeResource]) || {};
+}
+
+function saveMock(safeServer, safeResource, callback, mock) {
+    mocks[safeServer] = mocks[safeServer] || {};
+    mocks[safeServer][safeResource] = mocks[safeServer][safeResource] || {};
+    mocks[safeServer][safeResource][callback] = { ...mock, updatedAt: new Date().toISOString() };
+    writeDataFile(MOCKS_FILE, mocks);
+}
+
+function deleteMock(safeServer, safeResource, callback) {
+    const resourceMocks = getResourceMocks(safeServer, safeResource);
+    if (!(callback in resourceMocks)) return false;
+    delete resourceMocks[callback];
+    writeDataFile(MOCKS_FILE, mocks);
+    return true;
+}
+
+// Validates a mock sent from the viewer. Returns { mock } or { error }.
+function normalizeMock(body) {
+    const status = body.status === undefined || body.status === '' ? 200 : Number(body.status);
+    if (!Number.isInteger(status) || status < 100 || status > 599) return { error: 'Status must be an HTTP status code.' };
+    const latencyMs = body.latencyMs === undefined || body.latencyMs === '' ? 0 : Number(body.latencyMs);
+    if (!Number.isFinite(latencyMs) || latencyMs < 0 || latencyMs > MOCK_MAX_LATENCY_MS) {
+        return { error: `Latency must be between 0 and ${MOCK_MAX_LATENCY_MS} ms.` };
+    }
+    const response = body.response === undefined ? MOCK_DEFAULT_RESPONSE : body.response;
+    return { mock: { response, status, latencyMs, source: body.source === 'recorded' ? 'recorded' : 'custom' } };
+}
+
+// Fills "{{body.items[0].id}}", "{{callback}}", "{{resource}}", "{{server}}" and "{{now}}" placeholders
+// in string values. A string that is nothing but a placeholder keeps the value's own type.
+function renderTemplate(value, context) {
+    if (typeof value === 'string') {
+        const whole = value.match(/^\{\{\s*([\w$.[\]-]+)\s*\}\}$/);
+        if (whole) return resolvePath(context, whole[1]);
+        return value.replace(TEMPLATE_PLACEHOLDER, (placeholder, pathText) => {
+            const resolved = resolvePath(context, pathText);
+            if (resolved === undefined) return '';
+            return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+        });
+    }
+    if (Array.isArray(value)) return value.map(item => renderTemplate(item, context));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderTemplate(item, context)]));
+    }
+    return value;
+}
+
+// Adds a mock for every callback the resource has been seen calling that has none yet.
+// Recorded Lua replies (a `response` field, as mocked calls have, or a successful callback_response)
+// seed it as the response.
+async function seedMocks(safeServer, safeResource) {
+    const existing = getResourceMocks(safeServer, safeResource);
+    const seen = new Map();
+    for await (const entry of iterateEntriesForward(safeServer, safeResource)) {
+        const callback = callbackName(callUrl(entry));
+        if (!callback || callback in existing) continue;
+        // The latest recorded reply wins; calls without one only register the callback
+        const reply = entry.type === 'callback_response' ? (isFailedResponse(entry) ? undefined : entry.body) : entry.response;
+        if (!seen.has(callback) || reply !== undefined) seen.set(callback, reply);
+    }
+
+    const added = [];
+    for (const [callback, response] of seen) {
+        saveMock(safeServer, safeResource, callback, {
+            response: response === undefined ? MOCK_DEFAULT_RESPONSE : response,
+            status: 200,
+            latencyMs: 0,
+            source: 'recorded',
+        });
+        added.push(callback);
+    }
+    return added;
+}
+
+// Loaded by the NUI page before its own scripts; points resource URLs at the mock endpoint
+function mockShimScript(origin, safeServer, resource) {
+    return `(function () {
+    var base = ${toScriptJson(`${origin}/mock/${safeServer}/`)};
+    var pattern = /^https?:\\/\\/([a-zA-Z0-9_-]+)\\/(.*)$/;
+    function rewrite(url) {
+        var match = typeof url === 'string' && url.match(pattern);
+        return match && match[1] !== 'localhost' ? base + match[1] + '/' + match[2] : url;
+    }
+    var originalFetch = window.fetch;
+    window.fetch = function (input, init) {
+        if (typeof input === 'string') return originalFetch.call(this, rewrite(input), init);
+        if (input && input.url && rewrite(input.url) !== input.url) return originalFetch.call(this, new Request(rewrite(input.url), input), init);
+        return originalFetch.call(this, input, init);
+    };
+    var originalOpen = XMLHttpRequest.prototype.open;
+    XMLHttpRequest.prototype.open = function (method, url) {
+        var args = Array.prototype.slice.call(arguments);
+        args[1] = rewrite(String(url));
+        return originalOpen.apply(this, args);
+    };
+    var resource = ${toScriptJson(resource || null)};
+    if (resource && !window.GetParentResourceName) window.GetParentResourceName = function () { return resource; };
+})();
+`;
+}
+
+// --- Client Interceptor ---
+// The script a NUI page loads before its own to log what it does. It records window `message`
+// events (lua_to_nui), fetch and $.post calls (nui_to_lua for https://<resource>/<callback>,
+// fetch_call otherwise) with their answers (callback_response), and console calls. Entries are
+// queued and sent to POST /log/batch with the original fetch, so its own traffic is never logged.
+const INTERCEPTOR_BATCH_SIZE = 50; // Entries per POST /log/batch
+const INTERCEPTOR_FLUSH_MS = 1000; // A partial batch waits at most this long
+const INTERCEPTOR_MAX_QUEUE = 1000; // Oldest entries are dropped past this many
+const INTERCEPTOR_MAX_BACKOFF_MS = 30 * 1000;
+const INTERCEPTOR_CONSOLE_LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+
+// Returns { types } or { error } for a comma-separated list; all types when it is empty
+function parseInterceptorTypes(value) {
+    if (value === undefined || value === '') return { types: LOG_TYPES };
+    const types = [...new Set(String(value).split(',').map(type => type.trim()).filter(Boolean))];
+    const unknown = types.filter(type => !LOG_TYPES.includes(type));
+    if (unknown.length) return { error: `Unknown type "${unknown[0]}". Types are: ${LOG_TYPES.join(', ')}.` };
+    return { types };
+}
+
+function interceptorScript(origin, { server, key, types, resource }) {
+    const config = {
+        endpoint: `${origin}/log/batch`,
+        server,
+        key: key || null,
+        keyHeader: INGEST_KEY_HEADER,
+        types,
+        resource: resource || null,
+        batchSize: INTERCEPTOR_BATCH_SIZE,
+        flushMs: INTERCEPTOR_FLUSH_MS,
+        maxQueue: INTERCEPTOR_MAX_QUEUE,
+        maxBackoffMs: INTERCEPTOR_MAX_BACKOFF_MS,
+        consoleLevels: INTERCEPTOR_CONSOLE_LEVELS,
+    };
+    return `(function () {
+    if (window.__nuiLogger) return;
+    var config = ${toScriptJson(config)};
+    var enabled = {};
+    config.types.forEach(function (type) { enabled[type] = true; });
+    var originalFetch = window.fetch;
+    var warn = console.warn ? console.warn.bind(console) : function () {};
+    var callbackPattern = /^https?:\\/\\/[a-zA-Z0-9_-]+\\//;
+    var idPrefix = Math.random().toString(36).slice(2, 8) + '-';
+    var queue = [];
+    var state = { nextId: 0, dropped: 0, sending: false, failures: 0, retryAt: 0, timer: null };
+
+    function resourceName() {
+        var name = config.resource;
+        try {
+            if (typeof window.GetParentResourceName === 'function') name = window.GetParentResourceName();
+        } catch (e) {}
+        return name ? String(name).replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64) : null;
+    }
+
+    // Copies a value into plain JSON: Errors keep their message, cycles and functions become markers
+    function toPlain(value, seen) {
+        if (value === null || value === undefined || typeof value === 'string' || typeof value === 'boolean') return value;
+        if (typeof value === 'number') return isFinite(value) ? value : String(value);
+        if (typeof value === 'function') return '[Function' + (value.name ? ': ' + value.name : '') + ']';
+        if (typeof value !== 'object') return String(value);
+        if (Object.prototype.toString.call(value) === '[object Error]') return { name: value.name, message: value.message, stack: value.stack };
+        if (typeof Node !== 'undefined' && value instanceof Node) return '[' + value.nodeName + ']';
+        if (seen.indexOf(value) !== -1) return '[Circular]';
+        if (seen.length >= 20) return '[Too deep]';
+        seen.push(value);
+        var copy;
+        if (Array.isArray(value)) {
+            copy = value.map(function (item) {
+                var plain = toPlain(item, seen);
+                return plain === undefined ? null : plain;
+            });
+        } else if (typeof value.toJSON === 'function') {
+            copy = toPlain(value.toJSON(), seen);
+        } else {
+            copy = {};
+            Object.keys(value).forEach(function (key) {
+                var plain = toPlain(value[key], seen);
+                if (plain !== undefined) copy[key] = plain;
+            });
+        }
+        seen.pop();
+        return copy;
+    }
+
+    // FormData, Blob and the like are only named
+    function describeBody(body) {
+        if (body === undefined || body === null || typeof body === 'string') return body === null ? undefined : body;
+        var kind = Object.prototype.toString.call(body).slice(8, -1);
+        return kind === 'Object' || kind === 'Array' ? toPlain(body, []) : '[' + kind + ']';
+    }
+
+    function decodeBody(body) {
+        if (typeof body !== 'string') return describeBody(body);
+        try {
+            return JSON.parse(body);
+        } catch (e) {
+            return body;
+        }
+    }
+
+    function describeHeaders(headers) {
+        var plain = {};
+        if (!headers) return plain;
+        if (typeof headers.forEach === 'function' && !Array.isArray(headers)) {
+            headers.forEach(function (value, name) { plain[name] = value; });
+        } else if (Array.isArray(headers)) {
+            headers.forEach(function (pair) { plain[pair[0]] = pair[1]; });
+        } else {
+            Object.keys(headers).forEach(function (name) { plain[name] = String(headers[name]); });
+        }
+        return plain;
+    }
+
+    function record(type, fields) {
+        if (!enabled[type]) return;
+        try {
+            var entry = { type: type, timestamp: new Date().toISOString(), server: config.server };
+            var resource = resourceName();
+            if (resource) entry.resource = resource;
+            Object.keys(fields).forEach(function (key) {
+                if (fields[key] !== undefined) entry[key] = fields[key];
+            });
+            queue.push(entry);
+            trimQueue();
+            schedule(queue.length >= config.batchSize ? 0 : config.flushMs);
+        } catch (e) {
+            warn('[nui-logger] Could not record a ' + type + ' entry:', e);
+        }
+    }
+
+    function trimQueue() {
+        while (queue.length > config.maxQueue) {
+            queue.shift();
+            state.dropped++;
+        }
+    }
+
+    function schedule(delay) {
+        if (state.sending || !queue.length) return;
+        var wait = Math.max(delay, state.retryAt - Date.now(), 0);
+        if (state.timer) {
+            if (wait > 0) return;
+            clearTimeout(state.timer);
+        }
+        state.timer = setTimeout(flush, wait);
+    }
+
+    function send(batch, keepalive) {
+        var headers = { 'Content-Type': 'application/json' };
+        if (config.key) headers[config.keyHeader] = config.key;
+        return originalFetch.call(window, config.endpoint, { method: 'POST', headers: headers, body: JSON.stringify(batch), keepalive: keepalive });
+    }
+
+    // The drop notice is rebuilt on the next try, so it never counts against the queue
+    function retryLater(batch, retryAfterSeconds, dropped) {
+        queue = (dropped ? batch.slice(1) : batch).concat(queue);
+        state.dropped += dropped;
+        trimQueue();
+        state.failures++;
+        var backoff = Math.min(config.maxBackoffMs, 1000 * Math.pow(2, state.failures - 1));
+        state.retryAt = Date.now() + Math.max(backoff, (retryAfterSeconds || 0) * 1000);
+    }
+
+    function flush() {
+        state.timer = null;
+        if (state.sending || !queue.length) return;
+        var batch = queue.splice(0, config.batchSize);
+        var dropped = enabled.console ? state.dropped : 0;
+        if (dropped) {
+            batch.unshift({ type: 'console', timestamp: new Date().toISOString(), server: config.server, resource: resourceName() || undefined, level: 'warn',
+                args: ['[nui-logger] Dropped ' + dropped + (dropped === 1 ? ' entry' : ' entries') + ' because the queue was full.'] });
+        }
+        state.dropped = 0;
+        state.sending = true;
+        send(batch, false).then(function (response) {
+            var retryAfter = Number(response.headers.get('Retry-After')) || 0;
+            if (response.status === 429 || response.status >= 500) return retryLater(batch, retryAfter, dropped);
+            state.failures = 0;
+            state.retryAt = retryAfter ? Date.now() + retryAfter * 1000 : 0;
+            if (!response.ok || retryAfter) {
+                return response.json().then(function (result) {
+                    warn('[nui-logger] The logger rejected ' + (response.ok ? result.rejected : batch.length) + ' entries:', result.error || result.errors);
+                }, function () {});
+            }
+        }, function () {
+            retryLater(batch, 0, dropped);
+        }).then(function () {
+            state.sending = false;
+            schedule(queue.length >= config.batchSize ? 0 : config.flushMs);
+        });
+    }
+
+    function startCall(url, method, headers, body) {
+        var call = { url: url, requestId: idPrefix + (++state.nextId), startedAt: Date.now() };
+        if (callbackPattern.test(url)) {
+            record('nui_to_lua', { callback: url, data: decodeBody(body), requestId: call.requestId });
+        } else {
+            record('fetch_call', { url: url, options: { method: method, headers: describeHeaders(headers), body: describeBody(body) }, requestId: call.requestId });
+        }
+        return call;
+    }
+
+    function finishCall(call, status, body, error) {
+        record('callback_response', {
+            callback: call.url,
+            requestId: call.requestId,
+            status: status,
+            body: decodeBody(body),
+            duration: Date.now() - call.startedAt,
+            error: error ? String(error) : undefined
+        });
+    }
+
+    if (enabled.lua_to_nui) {
+        // Captured on window before any of the page's own listeners, however they were added
+        window.addEventListener('message', function (event) {
+            record('lua_to_nui', { event: toPlain(event.data, []) });
+        }, true);
+    }
+
+    if ((enabled.nui_to_lua || enabled.fetch_call || enabled.callback_response) && typeof originalFetch === 'function') {
+        window.fetch = function (input, init) {
+            var isRequest = input && typeof input === 'object' && typeof input.url === 'string';
+            var url = isRequest ? input.url : String(input);
+            var options = init || {};
+            var call = startCall(url, options.method || (isRequest ? input.method : 'GET'), options.headers || (isRequest ? input.headers : null), options.body);
+            var pending = originalFetch.apply(this, arguments);
+            if (enabled.callback_response) {
+                pending.then(function (response) {
+                    response.clone().text().then(function (text) {
+                        finishCall(call, response.status, text);
+                    }, function (error) {
+                        finishCall(call, response.status, undefined, error && error.message);
+                    });
+                }, function (error) {
+                    finishCall(call, 0, undefined, (error && error.message) || 'Network error');
+                });
+            }
+            return pending;
+        };
+    }
+
+    // jQuery may load after this script, so $.post is wrapped as soon as it shows up
+    function wrapJQuery() {
+        var jq = window.jQuery || window.$;
+        if (!jq || typeof jq.post !== 'function' || jq.post.__nuiLogger) return;
+        var originalPost = jq.post;
+        jq.post = function (url, data) {
+            var settings = url && typeof url === 'object' ? url : null;
+            var call = startCall(String(settings ? settings.url : url), 'POST', settings && settings.headers, settings ? settings.data : (typeof data === 'function' ? undefined : data));
+            var request = originalPost.apply(this, arguments);
+            if (enabled.callback_response && request && typeof request.then === 'function') {
+                request.then(function (result, textStatus, xhr) {
+                    finishCall(call, (xhr && xhr.status) || 200, xhr && typeof xhr.responseText === 'string' ? xhr.responseText : toPlain(result, []));
+                }, function (xhr, textStatus, error) {
+                    finishCall(call, (xhr && xhr.status) || 0, xhr && xhr.responseText, error || textStatus || 'Request failed');
+                });
+            }
+            return request;
+        };
+        jq.post.__nuiLogger = true;
+    }
+    if (enabled.nui_to_lua || enabled.fetch_call || enabled.callback_response) {
+        wrapJQuery();
+        document.addEventListener('DOMContentLoaded', wrapJQuery);
+        window.addEventListener('load', wrapJQuery);
+    }
+
+    if (enabled.console) {
+        config.consoleLevels.forEach(function (level) {
+            var original = console[level];
+            if (typeof original !== 'function') return;
+            console[level] = function () {
+                record('console', { level: level, args: Array.prototype.map.call(arguments, function (arg) {
+                    var plain = toPlain(arg, []);
+                    return plain === undefined ? null : plain;
+                }) });
+                return original.apply(this, arguments);
+            };
+        });
+    }
+
+    // Whatever is still queued goes out with the page
+    window.addEventListener('pagehide', function () {
+        if (queue.length) send(queue.splice(0, config.batchSize), true).catch(function () {});
+    });
+
+    window.__nuiLogger = { flush: function () { schedule(0); } };
+})();
+`;
+}
+
+// --- Server Timeline ---
+// Merges a server's resources newest first by timestamp, reading each file only as far back as the
+// page needs. The page token records where every resource left off: a resource that contributed
+// nothing to a page only holds entries older than all of it, so it simply resumes where it was.
+function encodeTimelineToken(positions) {
+    return Buffer.from(JSON.stringify(positions)).toString('base64url');
+}
+
+// Returns { resource: cursor or null for the newest entry }, or null when malformed
+function decodeTimelineToken(token) {
+    try {
+        const positions = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+        if (!positions || typeof positions !== 'object' || Array.isArray(positions)) return null;
+        const isValid = Object.values(positions).every(cursor => cursor === null || parseCursor(cursor));
+        return isValid ? positions : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+async function readTimelinePage(safeServer, resources, positions, filter, limit) {
+    const next = {};
+    const sources = resources
+        .filter(resource => !positions || Object.hasOwn(positions, resource))
+        .map(resource => {
+            next[resource] = positions ? positions[resource] : null;
+            const before = next[resource] === null ? undefined : parseCursor(next[resource]);
+            return { server: safeServer, resource, iterator: iterateEntriesBackward(safeServer, resource, before) };
+        });
+
+    const entries = [];
+    let hasMore = false;
+    for await (const { resource, entry } of mergeEntries(sources, true)) {
+        // Skipped entries move the position too, so filtered pages do not scan them again
+        if (!filter.matches(entry)) {
+            next[resource] = entry._cursor;
+            continue;
+        }
+        if (entries.length === limit) {
+            hasMore = true;
+            break;
+        }
+        next[resource] = entry._cursor;
+        entries.push({ ...entry, _server: safeServer, _resource: resource });
+    }
+    return { entries: entries.reverse(), before: hasMore ? encodeTimelineToken(next) : null, hasMore };
+}
+
+// --- Callback Correlation ---
+// Calls (fetch_call, nui_to_lua) may carry a `requestId`. Once the Lua callback answers, the
+// interceptor sends a callback_response with the same id, the call's `callback` URL, the `status`,
+// the `body`, the `duration` in ms and, when it failed, an `error`. Responses without an id go to
+// the oldest unanswered call to the same URL in the CORRELATION_WINDOW_MS before them. Pairs are
+// worked out while reading, so imported and older logs pair up the same way.
+const CALL_TYPES = ['nui_to_lua', 'fetch_call'];
+const CORRELATION_WINDOW_MS = 30 * 1000;
+const CALLBACK_SLOW_MS = 500; // Answers slower than this are flagged
+const CALLBACK_SCAN_MAX = 20000; // Entries the waterfall looks back through
+const CALLBACK_PAGE_SIZE = 200;
+
+function callUrl(entry) {
+    if (entry.type === 'fetch_call') return entry.url;
+    return entry.type === 'nui_to_lua' || entry.type === 'callback_response' ? entry.callback : null;
+}
+
+function hasRequestId(entry) {
+    return entry.requestId !== undefined && entry.requestId !== null && entry.requestId !== '';
+}
+
+function isFailedResponse(entry) {
+    return Boolean(entry.error) || (Number.isInteger(entry.status) && (entry.status === 0 || entry.status >= 400));
+}
+
+// Pairs the calls in `entries` (oldest first) with their responses. Returns one record per call.
+function correlateCallbacks(entries) {
+    const calls = [];
+    const callsById = new Map();
+    const waiting = new Map(); // url -> calls without an id that have no response yet, oldest first
+
+    for (const entry of entries) {
+        const time = Date.parse(entry.timestamp);
+        if (CALL_TYPES.includes(entry.type)) {
+            const call = { entry, time, response: null, matchedBy: null };
+            // Calls answered by the mock backend carry their reply
+            if (entry.response !== undefined) call.matchedBy = 'inline';
+            else if (hasRequestId(entry)) callsById.set(String(entry.requestId), call);
+            else {
+                const url = callUrl(entry);
+                if (!waiting.has(url)) waiting.set(url, []);
+                waiting.get(url).push(call);
+            }
+            calls.push(call);
+            continue;
+        }
+        if (entry.type !== 'callback_response') continue;
+
+        let call = hasRequestId(entry) ? callsById.get(String(entry.requestId)) : null;
+        if (call) {
+            callsById.delete(String(entry.requestId));
+            call.matchedBy = 'id';
+        } else {
+            const queue = waiting.get(entry.callback) || [];
+            while (queue.length && queue[0].time < time - CORRELATION_WINDOW_MS) queue.shift();
+            call = queue.shift();
+            if (call) call.matchedBy = 'heuristic';
+        }
+        if (call) call.response = entry;
+    }
+    return calls.map(describeCallback);
+}
+
+function describeCallback({ entry, time, response, matchedBy }) {
+    const url = callUrl(entry);
+    let status = null;
+    let duration = null;
+    let failed = false;
+    if (matchedBy === 'inline') {
+        status = entry.status !== undefined ? entry.status : 200;
+        duration = typeof entry.duration === 'number' ? entry.duration : null;
+        failed = status >= 400;
+    } else if (response) {
+        status = response.status !== undefined ? response.status : null;
+        duration = typeof response.duration === 'number' ? response.duration : Math.max(0, Date.parse(response.timestamp) - time);
+        failed = isFailedResponse(response);
+    }
+
+    let state = 'ok';
+    if (!matchedBy) state = Date.now() - time > CORRELATION_WINDOW_MS ? 'unanswered' : 'pending';
+    else if (failed) state = 'failed';
+    else if (duration !== null && duration >= CALLBACK_SLOW_MS) state = 'slow';
+
+    return {
+        cursor: entry._cursor,
+        timestamp: entry.timestamp,
+        type: entry.type,
+        url,
+        callback: callbackName(url) || url,
+        requestId: hasRequestId(entry) ? entry.requestId : null,
+        matchedBy,
+        status,
+        duration,
+        state,
+        request: entry,
+        response: matchedBy === 'inline' ? { status, body: entry.response } : response,
+    };
+}
+
+function percentile(sortedValues, fraction) {
+    if (!sortedValues.length) return null;
+    return sortedValues[Math.min(sortedValues.length - 1, Math.floor(sortedValues.length * fraction))];
+}
+
+// Counts per state plus latency percentiles, overall and per callback
+function summarizeCallbacks(records) {
+    const summarize = list => {
+        const durations = list.map(record => record.duration).filter(duration => duration !== null).sort((a, b) => a - b);
+        const states = { ok: 0, slow: 0, failed: 0, pending: 0, unanswered: 0 };
+        list.forEach(record => states[record.state]++);
+        return { count: list.length, ...states, p50: percentile(durations, 0.5), p95: percentile(durations, 0.95), max: durations.length ? durations[durations.length - 1] : null };
+    };
+    const byCallback = new Map();
+    for (const record of records) {
+        if (!byCallback.has(record.callback)) byCallback.set(record.callback, []);
+        byCallback.get(record.callback).push(record);
+    }
+    return {
+        ...summarize(records),
+        callbacks: [...byCallback].map(([callback, list]) => ({ callback, ...summarize(list) }))
+            .sort((a, b) => (b.failed + b.unanswered) - (a.failed + a.unanswered) || (b.p95 || 0) - (a.p95 || 0)),
+    };
+}
+
+// The newest calls of a resource (optionally between `from` and `to`) with their responses
+async function collectCallbacks(safeServer, safeResource, { from = null, to = null, limit = CALLBACK_PAGE_SIZE } = {}) {
+    const entries = [];
+    let scanned = 0;
+    for await (const entry of iterateEntriesBackward(safeServer, safeResource)) {
+        const time = Date.parse(entry.timestamp);
+        // Responses up to a window after `to` can still answer calls inside the range
+        if (to !== null && time > to + CORRELATION_WINDOW_MS) continue;
+        if (++scanned > CALLBACK_SCAN_MAX) break;
+        // Imported and backdated entries sit after newer ones, so an older entry does not end the scan
+        if (from !== null && time < from - CORRELATION_WINDOW_MS) continue;
+        if (CALL_TYPES.includes(entry.type) || entry.type === 'callback_response') entries.push(entry);
+    }
+    entries.reverse();
+
+    const records = correlateCallbacks(entries).filter(record => {
+        const time = Date.parse(record.timestamp);
+        return (from === null || time >= from) && (to === null || time <= to);
+    });
+    return { records: records.slice(-limit), summary: summarizeCallbacks(records), truncated: scanned > CALLBACK_SCAN_MAX };
+}
+
+// The call at `cursor` with its response. Earlier unanswered calls to the same URL compete for the
+// same responses, so the entries around it are correlated too.
+async function findCallback(safeServer, safeResource, cursor) {
+    // Starting just before the cursor makes readPageAfter include the entry at it
+    const page = readPageAfter(safeServer, safeResource, { segment: cursor.segment, offset: cursor.offset > 0 ? cursor.offset - 1 : undefined }, 1);
+    const call = page.entries[0];
+    if (!call || call._cursor !== `${cursor.segment}:${cursor.offset}` || !CALL_TYPES.includes(call.type)) return null;
+
+    const time = Date.parse(call.timestamp);
+    const isRelevant = entry => CALL_TYPES.includes(entry.type) || entry.type === 'callback_response';
+    const earlier = [];
+    for await (const entry of iterateEntriesBackward(safeServer, safeResource, cursor)) {
+        if (Date.parse(entry.timestamp) < time - 2 * CORRELATION_WINDOW_MS || earlier.length >= CALLBACK_SCAN_MAX) break;
+        if (isRelevant(entry)) earlier.push(entry);
+    }
+    const later = [];
+    for await (const entry of iterateEntriesForward(safeServer, safeResource, cursor)) {
+        if (Date.parse(entry.timestamp) > time + CORRELATION_WINDOW_MS || later.length >= CALLBACK_SCAN_MAX) break;
+        if (isRelevant(entry)) later.push(entry);
+    }
+    return correlateCallbacks([...earlier.reverse(), call, ...later]).find(record => record.cursor === call._cursor);
+}
+
+// --- Schema Inference ---
+// Messages are grouped by discriminator (a lua_to_nui event's type/action, or the callback path of a
+// nui_to_lua/fetch_call) and every payload is merged into a "shape": the JSON types each field took and
+// how often. Optional fields and unions fall out of those counts when the shape becomes a JSON Schema.
+const SCHEMA_MAX_ENTRIES = 50000; // Most recent entries sampled when a resource's schema is first built
+const SCHEMA_MIN_SAMPLES = 5; // Payloads are only checked against groups with at least this many samples
+const SCHEMA_MAX_ISSUES = 10;
+const SCHEMA_MISMATCH_HISTORY = 100;
+const DISCRIMINATOR_FIELDS = ['type', 'action'];
+const resourceSchemas = new Map(); // "<server>/<resource>" -> { groups, mismatches, sampled, loaded, ready }
+
+function jsonType(value) {
+    if (value === null || value === undefined) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+// Which message an entry carries and its payload, or null for entries that are not messages
+function describeMessage(entry) {
+    if (entry.type === 'lua_to_nui') {
+        const event = entry.event;
+        const field = event && typeof event === 'object' ? DISCRIMINATOR_FIELDS.find(key => typeof event[key] === 'string') : undefined;
+        return { direction: 'lua_to_nui', name: field ? event[field] : '(untyped)', discriminator: field || null, payload: event };
+    }
+    const name = callbackName(entry.type === 'nui_to_lua' ? entry.callback : entry.type === 'fetch_call' ? entry.url : null);
+    if (!name) return null;
+    const body = entry.type === 'nui_to_lua' ? entry.data : entry.body !== undefined ? entry.body : entry.options && entry.options.body;
+    return { direction: 'nui_to_lua', name, discriminator: null, payload: decodeJsonString(body) };
+}
+
+function createShape() {
+    return { count: 0, types: {} };
+}
+
+function addSample(shape, value) {
+    shape.count++;
+    const type = jsonType(value);
+    const typeShape = shape.types[type] || (shape.types[type] = { count: 0 });
+    typeShape.count++;
+    if (type === 'object') {
+        typeShape.properties = typeShape.properties || {};
+        for (const [key, item] of Object.entries(value)) {
+            addSample(typeShape.properties[key] || (typeShape.properties[key] = createShape()), item);
+        }
+    } else if (type === 'array') {
+        typeShape.items = typeShape.items || createShape();
+        value.forEach(item => addSample(typeShape.items, item));
+    }
+}
+
+// Lists how `value` departs from what `shape` has seen so far
+function findShapeIssues(shape, value, pathText, issues = []) {
+    if (issues.length >= SCHEMA_MAX_ISSUES) return issues;
+    const type = jsonType(value);
+    const typeShape = shape.types[type] || (type === 'integer' ? shape.types.number : undefined);
+    if (!typeShape) {
+        issues.push(`${pathText}: ${type}, previously ${Object.keys(shape.types).join(' | ')}`);
+    } else if (type === 'object') {
+        const properties = typeShape.properties || {};
+        for (const key of Object.keys(value)) {
+            if (!properties[key]) issues.push(`${pathText}.${key}: new field`);
+            else findShapeIssues(properties[key], value[key], `${pathText}.${key}`, issues);
+        }
+        for (const [key, property] of Object.entries(properties)) {
+            if (property.count === typeShape.count && !(key in value)) issues.push(`${pathText}.${key}: missing`);
+        }
+    } else if (type === 'array' && typeShape.items && typeShape.items.count > 0) {
+        value.forEach((item, index) => findShapeIssues(typeShape.items, item, `${pathText}[${index}]`, issues));
+    }
+    return issues.slice(0, SCHEMA_MAX_ISSUES);
+}
+
+function shapeToJsonSchema(shape) {
+    const types = { ...shape.types };
+    if (types.integer && types.number) delete types.integer; // Integers are numbers too
+    const schemas = Object.entries(types).map(([type, typeShape]) => {
+        if (type === 'object') {
+            const schema = { type: 'object', properties: {} };
+            const required = [];
+            for (const [key, property] of Object.entries(typeShape.properties || {})) {
+                schema.properties[key] = shapeToJsonSchema(property);
+                if (property.count === typeShape.count) required.push(key);
+            }
+            if (required.length) schema.required = required;
+            return schema;
+        }
+        if (type === 'array') {
+            return { type: 'array', items: typeShape.items && typeShape.items.count ? shapeToJsonSchema(typeShape.items) : {} };
+        }
+        return { type };
+    });
+    if (!schemas.length) return {};
+    return schemas.length === 1 ? schemas[0] : { anyOf: schemas };
+}
+
+function addMessage(schema, message, timestamp) {
+    const key = `${message.direction}:${message.name}`;
+    let group = schema.groups.get(key);
+    if (!group) {
+        group = { direction: message.direction, name: message.name, discriminator: message.discriminator, shape: createShape(), firstSeen: timestamp, lastSeen: timestamp };
+        schema.groups.set(key, group);
+    }
+    addSample(group.shape, message.payload);
+    if (timestamp < group.firstSeen) group.firstSeen = timestamp;
+    if (timestamp > group.lastSeen) group.lastSeen = timestamp;
+    schema.sampled++;
+}
+
+// Reads the entries written before cursor `before`, once they have reached the disk. Anything
+// written after it is added by trackSchema, so no entry is counted twice.
+async function buildResourceSchema(safeServer, safeResource, schema, before) {
+    try {
+        await flushLogFile(path.join(LOG_DIR, safeServer, `${safeResource}.jsonl`));
+        for await (const entry of iterateEntriesBackward(safeServer, safeResource, parseCursor(before))) {
+            if (schema.sampled >= SCHEMA_MAX_ENTRIES) break;
+            const message = describeMessage(entry);
+            if (message) addMessage(schema, message, entry.timestamp);
+        }
+    } catch (error) {
+        console.error(`❌ Error inferring the schema for ${safeServer} / ${safeResource}:`, error);
+    }
+    schema.loaded = true;
+}
+
+// Built from the logs on first use, then kept current by trackSchema as entries are written.
+// The build reads in the background, never on the write that started it.
+function getResourceSchema(safeServer, safeResource, before) {
+    const key = `${safeServer}/${safeResource}`;
+    let schema = resourceSchemas.get(key);
+    if (!schema) {
+        schema = { groups: new Map(), mismatches: [], sampled: 0, loaded: false };
+        resourceSchemas.set(key, schema);
+        schema.ready = buildResourceSchema(safeServer, safeResource, schema, before);
+    }
+    return schema;
+}
+
+// Adds a newly written entry (at `cursor`) to its resource's schema. Returns the ways it did not match, if any.
+function trackSchema(safeServer, safeResource, entry, cursor) {
+    const message = describeMessage(entry);
+    if (!message) return null;
+    const schema = getResourceSchema(safeServer, safeResource, cursor);
+
+    let issues = [];
+    if (schema.loaded) {
+        const group = schema.groups.get(`${message.direction}:${message.name}`);
+        if (!group && schema.sampled >= SCHEMA_MIN_SAMPLES) issues = [`new ${message.direction} message "${message.name}"`];
+        else if (group && group.shape.count >= SCHEMA_MIN_SAMPLES) issues = findShapeIssues(group.shape, message.payload, '$');
+    }
+    // The build stops short of this entry's cursor, even when this entry is what started it
+    addMessage(schema, message, entry.timestamp);
+    if (!issues.length) return null;
+
+    schema.mismatches.push({ timestamp: entry.timestamp, direction: message.direction, name: message.name, issues });
+    if (schema.mismatches.length > SCHEMA_MISMATCH_HISTORY) schema.mismatches.shift();
+    return issues;
+}
+
+function describeSchemaGroups(schema) {
+    return [...schema.groups.values()]
+        .sort((a, b) => a.direction.localeCompare(b.direction) || a.name.localeCompare(b.name))
+        .map(group => {
+            const jsonSchema = shapeToJsonSchema(group.shape);
+            // The discriminator is the one field whose value is known for every message in the group
+            if (group.discriminator && jsonSchema.properties) {
+                jsonSchema.properties[group.discriminator] = { type: 'string', const: group.name };
+            }
+            return {
+                direction: group.direction,
+                name: group.name,
+                count: group.shape.count,
+                firstSeen: group.firstSeen,
+                lastSeen: group.lastSeen,
+                schema: jsonSchema,
+            };
+        });
+}
+
+// "ON_OPEN" -> "OnOpen", "inventory/useItem" -> "InventoryUseItem"
+function toPascalCase(text) {
+    const name = String(text).split(/[^a-zA-Z0-9]+/).filter(Boolean)
+        .map(word => word === word.toUpperCase() ? word[0] + word.slice(1).toLowerCase() : word[0].toUpperCase() + word.slice(1))
+        .join('');
+    return !name || /^\d/.test(name) ? `T${name}` : name;
+}
+
+function toTsKey(key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+function jsonSchemaToTs(schema, depth = 0) {
+    if (schema.const !== undefined) return JSON.stringify(schema.const);
+    if (schema.anyOf) return schema.anyOf.map(option => jsonSchemaToTs(option, depth)).join(' | ');
+    switch (schema.type) {
+        case 'object': {
+            const keys = Object.keys(schema.properties || {});
+            if (!keys.length) return 'Record<string, unknown>';
+            const required = new Set(schema.required || []);
+            const indent = '    '.repeat(depth + 1);
+            const lines = keys.map(key => `${indent}${toTsKey(key)}${required.has(key) ? '' : '?'}: ${jsonSchemaToTs(schema.properties[key], depth + 1)};`);
+            return `{\n${lines.join('\n')}\n${'    '.repeat(depth)}}`;
+        }
+        case 'array': {
+            const item = jsonSchemaToTs(schema.items, depth);
+            return schema.items.anyOf ? `Array<${item}>` : `${item}[]`;
+        }
+        case 'integer':
+        case 'number':
+            return 'number';
+        case 'string':
+        case 'boolean':
+        case 'null':
+            return schema.type;
+        default:
+            return 'unknown';
+    }
+}
+
+// One .d.ts per resource: an interface per message, a union of everything Lua sends and a callback map
+function toTypeScript(safeServer, safeResource, groups, sampled) {
+    const usedNames = new Set();
+    const uniqueName = (base) => {
+        let name = base;
+        for (let i = 2; usedNames.has(name); i++) name = `${base}${i}`;
+        usedNames.add(name);
+        return name;
+    };
+    const declare = (name, schema) => schema.type === 'object' && Object.keys(schema.properties || {}).length
+        ? `export interface ${name} ${jsonSchemaToTs(schema)}`
+        : `export type ${name} = ${jsonSchemaToTs(schema)};`;
+
+    const lines = [
+        `// NUI message types for ${safeServer} / ${safeResource}, inferred from ${sampled} logged messages on ${new Date().toISOString()}.`,
+        '// Regenerate from the log viewer rather than editing by hand.',
+        '',
+    ];
+    const messages = [];
+    const callbacks = [];
+    for (const group of groups) {
+        const isEvent = group.direction === 'lua_to_nui';
+        const name = uniqueName(toPascalCase(group.name) + (isEvent ? 'Message' : 'Request'));
+        const description = isEvent ? `lua_to_nui "${group.name}"` : `Body posted to https://${safeResource}/${group.name}`;
+        lines.push(`/** ${description} (seen ${group.count} times) */`, declare(name, group.schema), '');
+        (isEvent ? messages : callbacks).push({ name, group });
+    }
+    if (messages.length) {
+        lines.push(`export type LuaToNuiMessage = ${messages.map(message => message.name).join(' | ')};`, '');
+    }
+    if (callbacks.length) {
+        lines.push('/** Request body of each NUI callback */', 'export interface NuiCallbacks {');
+        callbacks.forEach(callback => lines.push(`    ${JSON.stringify(callback.group.name)}: ${callback.name};`));
+        lines.push('}', '');
+    }
+    return lines.join('\n');
+}
+
+// --- PII Redaction ---
+// Rules run in writeLog() before an entry is written or broadcast: the global rules first, then the
+// server's own. A rule selects values by key name, by path ("body.data.charinfo.phone", where "*"
+// matches any key or index) or by regex over string values, and masks, hashes or drops them.
+// Stringified JSON such as a fetch_call body is decoded, redacted and stringified again.
+const REDACTION_FILE = 'redaction.json';
+const REDACTION_MATCHES = ['key', 'path', 'regex'];
+const REDACTION_ACTIONS = ['mask', 'hash', 'drop'];
+const REDACTION_MASK = '[REDACTED]';
+const REDACTION_PREVIEW_SCAN = 500; // Most recent entries a preview looks through
+const REDACTION_PREVIEW_LIMIT = 50; // Changed entries a preview returns
+const REDACTED_DROP = Symbol('dropped');
+const redactionStore = readDataFile(REDACTION_FILE, { hashKey: null, global: [], servers: {} });
+const compiledRedactionRules = new Map(); // server -> rules ready to run
+
+function saveRedactionStore() {
+    writeDataFile(REDACTION_FILE, redactionStore);
+    compiledRedactionRules.clear();
+}
+
+// Returns what is wrong with a rule, or null
+function validateRedactionRule(rule) {
+    if (!rule || typeof rule !== 'object') return 'Rules must be objects.';
+    if (!REDACTION_MATCHES.includes(rule.match)) return `"match" must be one of: ${REDACTION_MATCHES.join(', ')}.`;
+    if (!REDACTION_ACTIONS.includes(rule.action)) return `"action" must be one of: ${REDACTION_ACTIONS.join(', ')}.`;
+    if (typeof rule.pattern !== 'string' || !rule.pattern.trim()) return 'Every rule needs a pattern.';
+    if (rule.match === 'regex') {
+        try {
+            compileRedactionRule(rule);
+        } catch (error) {
+            return `Invalid regex "${rule.pattern}": ${error.message}`;
+        }
+    }
+    return null;
+}
+
+function normalizeRedactionRule(rule) {
+    return {
+        id: typeof rule.id === 'string' && rule.id ? rule.id : crypto.randomBytes(4).toString('hex'),
+        match: rule.match,
+        pattern: rule.pattern.trim(),
+        action: rule.action,
+        enabled: rule.enabled !== false,
+    };
+}
+
+function compileRedactionRule(rule) {
+    if (rule.match === 'key') return { ...rule, key: rule.pattern.toLowerCase() };
+    if (rule.match === 'path') return { ...rule, segments: rule.pattern.replace(/\[(\w+|\*)\]/g, '.$1').split('.').filter(Boolean) };
+    const regexMatch = rule.pattern.match(/^\/(.+)\/([a-z]*)$/);
+    const [source, flags] = regexMatch ? [regexMatch[1], regexMatch[2]] : [rule.pattern, ''];
+    return { ...rule, regex: new RegExp(source, flags.includes('g') ? flags : flags + 'g') };
+}
+
+function compileRedactionRules(rules) {
+    return rules.filter(rule => rule.enabled !== false).map(compileRedactionRule);
+}
+
+function getRedactionRules(safeServer) {
+    if (!compiledRedactionRules.has(safeServer)) {
+        const serverRules = Object.hasOwn(redactionStore.servers, safeServer) ? redactionStore.servers[safeServer] : [];
+        compiledRedactionRules.set(safeServer, compileRedactionRules([...redactionStore.global, ...serverRules]));
+    }
+    return compiledRedactionRules.get(safeServer);
+}
+
+// Keyed so equal values still hash equally (and can be correlated) without being guessable
+function hashRedactedValue(value) {
+    if (!redactionStore.hashKey) {
+        redactionStore.hashKey = crypto.randomBytes(32).toString('hex');
+        saveRedactionStore();
+    }
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return 'sha256:' + crypto.createHmac('sha256', redactionStore.hashKey).update(String(text)).digest('hex').slice(0, 16);
+}
+
+function applyRedaction(action, value) {
+    if (action === 'drop') return REDACTED_DROP;
+    return action === 'hash' ? hashRedactedValue(value) : REDACTION_MASK;
+}
+
+function formatRedactionPath(location) {
+    return location.map((key, i) => typeof key === 'number' ? `[${key}]` : (i ? '.' : '') + key).join('');
+}
+
+function isPathMatch(segments, location) {
+    return segments.length === location.length && segments.every((segment, i) => segment === '*' || segment === String(location[i]));
+}
+
+// Returns the redacted value, or REDACTED_DROP when it should be removed
+function redactNode(value, location, rules, changes) {
+    const key = location[location.length - 1];
+    const rule = rules.find(candidate =>
+        (candidate.match === 'key' && typeof key === 'string' && key.toLowerCase() === candidate.key)
+        || (candidate.match === 'path' && isPathMatch(candidate.segments, location)));
+    if (rule) {
+        changes.push({ path: formatRedactionPath(location), rule: rule.id, action: rule.action });
+        return applyRedaction(rule.action, value);
+    }
+    return redactContents(value, location, rules, changes);
+}
+
+function redactContents(value, location, rules, changes) {
+    if (typeof value === 'string') {
+        const decoded = decodeJsonString(value);
+        if (decoded !== value) {
+            const changeCount = changes.length;
+            const redacted = redactContents(decoded, location, rules, changes);
+            return changes.length > changeCount ? JSON.stringify(redacted) : value;
+        }
+        return redactText(value, location, rules, changes);
+    }
+    if (Array.isArray(value)) {
+        return value
+            .map((item, index) => redactNode(item, [...location, index], rules, changes))
+            .filter(item => item !== REDACTED_DROP);
+    }
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            const redacted = redactNode(item, [...location, key], rules, changes);
+            if (redacted !== REDACTED_DROP) result[key] = redacted;
+        }
+        return result;
+    }
+    return value;
+}
+
+function redactText(text, location, rules, changes) {
+    let result = text;
+    for (const rule of rules) {
+        if (rule.match !== 'regex') continue;
+        rule.regex.lastIndex = 0;
+        if (!rule.regex.test(result)) continue;
+        result = result.replace(rule.regex, match => rule.action === 'drop' ? '' : applyRedaction(rule.action, match));
+        changes.push({ path: formatRedactionPath(location), rule: rule.id, action: rule.action });
+    }
+    return result;
+}
+
+// Applies `rules` to everything but the entry's timestamp and type. Returns { entry, changes }.
+function redactEntry(entry, rules) {
+    if (!rules.length) return { entry, changes: [] };
+    const changes = [];
+    const redacted = {};
+    for (const [key, value] of Object.entries(entry)) {
+        const result = key === 'timestamp' || key === 'type' ? value : redactNode(value, [key], rules, changes);
+        if (result !== REDACTED_DROP) redacted[key] = result;
+    }
+    return { entry: redacted, changes };
+}
+
+// --- Capture Sessions ---
+// A capture is a named recording on one server. While it runs, writeLog() tags every entry the
+// server receives with the capture's id in `capture`, so the usual filters (?capture=<id>) can pick
+// it out of the resource logs. Only one capture per server records at a time; it stops by hand or
+// automatically after `autoStopMinutes` or `autoStopEntries`. Imports keep whatever tag they carry.
+// Each capture remembers the cursors of its first and last entry in every resource, so its entries
+// can be read back without scanning the rest of the log.
+const CAPTURES_FILE = 'captures.json';
+const CAPTURE_SAVE_DELAY_MS = 5000; // Entry counts are saved at most this often while recording
+const CAPTURE_COUNT_EVENT_MS = 1000; // and sent to the live stream at most this often
+const CAPTURE_NAME_MAX_LENGTH = 100;
+const captureStore = readDataFile(CAPTURES_FILE, { captures: [] });
+const activeCaptures = new Map(); // server -> capture record that is recording
+const captureTimers = new Map(); // capture id -> auto-stop timer
+const captureCountTimers = new Map(); // capture id -> pending "capture_entries" event
+let captureSaveTimer = null;
+
+function saveCaptureStore() {
+    clearTimeout(captureSaveTimer);
+    captureSaveTimer = null;
+    writeDataFile(CAPTURES_FILE, captureStore);
+}
+
+function scheduleCaptureSave() {
+    if (captureSaveTimer) return;
+    captureSaveTimer = setTimeout(saveCaptureStore, CAPTURE_SAVE_DELAY_MS);
+    captureSaveTimer.unref();
+}
+
+function findCapture(id) {
+    return captureStore.captures.find(capture => capture.id === id) || null;
+}
+
+function describeCapture(capture) {
+    const { cursors, ...details } = capture;
+    const autoStopAt = capture.autoStopMinutes ? new Date(Date.parse(capture.startedAt) + capture.autoStopMinutes * 60000).toISOString() : null;
+    return { ...details, recording: !capture.stoppedAt, autoStopAt: capture.stoppedAt ? null : autoStopAt };
+}
+
+function armCaptureTimer(capture) {
+    if (!capture.autoStopMinutes) return;
+    const remaining = Date.parse(capture.startedAt) + capture.autoStopMinutes * 60000 - Date.now();
+    const timer = setTimeout(() => stopCapture(capture, 'time'), Math.max(remaining, 0));
+    timer.unref();
+    captureTimers.set(capture.id, timer);
+}
+
+function startCapture(safeServer, { name, autoStopMinutes = null, autoStopEntries = null, startedBy = null }) {
+    const capture = {
+        id: crypto.randomBytes(6).toString('hex'),
+        server: safeServer,
+        name,
+        startedAt: new Date().toISOString(),
+        stoppedAt: null,
+        stopReason: null,
+        autoStopMinutes,
+        autoStopEntries,
+        entries: 0,
+        resources: [],
+        cursors: {}, // resource -> { first, last }
+        startedBy,
+    };
+    captureStore.captures.push(capture);
+    activeCaptures.set(safeServer, capture);
+    armCaptureTimer(capture);
+    saveCaptureStore();
+    publishEvent('capture', { server: safeServer, capture: describeCapture(capture) }, safeServer);
+    console.log(`⏺️ [${safeServer}] Started capture "${name}" (${capture.id})`);
+    return capture;
+}
+
+// `reason` is "manual", "time" or "entries"
+function stopCapture(capture, reason) {
+    if (capture.stoppedAt) return;
+    capture.stoppedAt = new Date().toISOString();
+    capture.stopReason = reason;
+    clearTimeout(captureTimers.get(capture.id));
+    captureTimers.delete(capture.id);
+    if (activeCaptures.get(capture.server) === capture) activeCaptures.delete(capture.server);
+    saveCaptureStore();
+    publishEvent('capture', { server: capture.server, capture: describeCapture(capture) }, capture.server);
+    console.log(`⏹️ [${capture.server}] Stopped capture "${capture.name}" after ${capture.entries} entries (${reason})`);
+}
+
+// Captures still recording when the logger last stopped carry on, unless their time is up
+function resumeCaptures() {
+    for (const capture of captureStore.captures) {
+        if (capture.stoppedAt) continue;
+        activeCaptures.set(capture.server, capture);
+        armCaptureTimer(capture);
+    }
+}
+
+// Tells stream clients such as the sessions page how far a recording capture has got, without
+// them having to follow every log entry
+function scheduleCaptureCountEvent(capture) {
+    if (captureCountTimers.has(capture.id)) return;
+    const timer = setTimeout(() => {
+        captureCountTimers.delete(capture.id);
+        publishEvent('capture_entries', { server: capture.server, capture: capture.id, entries: capture.entries, resources: capture.resources }, capture.server);
+    }, CAPTURE_COUNT_EVENT_MS);
+    timer.unref();
+    captureCountTimers.set(capture.id, timer);
+}
+
+// Called by writeLog() once an entry tagged with `capture` has its cursor
+function countCaptureEntry(capture, safeResource, cursor) {
+    capture.entries++;
+    if (!capture.resources.includes(safeResource)) capture.resources.push(safeResource);
+    if (capture.cursors[safeResource]) capture.cursors[safeResource].last = cursor;
+    else capture.cursors[safeResource] = { first: cursor, last: cursor };
+    scheduleCaptureCountEvent(capture);
+    if (capture.autoStopEntries && capture.entries >= capture.autoStopEntries) stopCapture(capture, 'entries');
+    else scheduleCaptureSave();
+}
+
+// What an entry is, for comparing captures: its type plus the event name or callback path
+function messageKind(entry) {
+    if (entry.type === 'lua_to_nui') {
+        const event = entry.event;
+        const name = event && typeof event === 'object' ? [event.type, event.action].find(value => typeof value === 'string') : null;
+        return name ? `lua_to_nui ${name}` : 'lua_to_nui';
+    }
+    const url = callUrl(entry);
+    if (typeof url !== 'string') return entry.type;
+    const match = url.match(/^https?:\/\/[^/]+(\/[^?#]*)/);
+    return `${entry.type} ${match ? match[1] : url}`;
+}
+
+// A capture's entries in one resource (oldest first), read from its first to its last cursor there.
+// Only the newest `limit` are kept. Returns { entries, truncated }.
+async function readCaptureEntries(capture, safeResource, limit) {
+    const span = capture.cursors[safeResource];
+    const first = span && parseCursor(span.first);
+    let entries = [];
+    if (!first) return { entries, truncated: false };
+
+    // Starting just before the first cursor makes the read include the entry at it
+    const start = { segment: first.segment, offset: first.offset > 0 ? first.offset - 1 : undefined };
+    let dropped = false;
+    for await (const entry of iterateEntriesForward(capture.server, safeResource, start)) {
+        if (entry.capture === capture.id) entries.push(entry);
+        if (entries.length >= 2 * limit) {
+            entries.splice(0, limit);
+            dropped = true;
+        }
+        if (entry._cursor === span.last) break;
+    }
+    const truncated = dropped || entries.length > limit;
+    if (entries.length > limit) entries = entries.slice(-limit);
+    return { entries, truncated };
+}
+
+// Validates the start/rename body. Returns `{ error }` or the cleaned-up settings.
+function parseCaptureSettings(body, { requireName = false } = {}) {
+    const settings = {};
+    if (body.name !== undefined || requireName) {
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!name || name.length > CAPTURE_NAME_MAX_LENGTH) return { error: `Capture names must be 1 to ${CAPTURE_NAME_MAX_LENGTH} characters.` };
+        settings.name = name;
+    }
+    for (const field of ['autoStopMinutes', 'autoStopEntries']) {
+        if (body[field] === undefined || body[field] === null || body[field] === '') continue;
+        const value = Number(body[field]);
+        if (!Number.isInteger(value) || value < 1) return { error: `"${field}" must be a positive whole number.` };
+        settings[field] = value;
+    }
+    return settings;
+}
+
+// --- Capture Comparison ---
+// Compares one resource's traffic in two captures. Each side is a capture session or a server,
+// optionally limited to a time range. Messages are grouped by kind (see messageKind()) and the
+// n-th message of a kind on one side is compared field by field with the n-th on the other.
+// Ignored fields are either a key name, left out wherever it appears, or the end of a path such
+// as "items[].id" ("*" stands for any one key).
+const COMPARE_MAX_ENTRIES = 20000; // Per side; the newest ones are compared
+const COMPARE_MAX_FIELD_CHANGES = 50; // Per message kind
+const COMPARE_DEFAULT_IGNORE = ['timestamp', 'requestId', 'duration', 'capture'];
+
+// Reads side `prefix` ("a" or "b") from query parameters such as a.server, a.capture, a.from, a.to
+function parseCompareSide(query, prefix) {
+    const repeated = ['server', 'capture', 'from', 'to'].find(name => query[`${prefix}.${name}`] !== undefined && typeof query[`${prefix}.${name}`] !== 'string');
+    if (repeated) return { error: `"${prefix}.${repeated}" may only be given once.` };
+    const value = name => (query[`${prefix}.${name}`] || '').trim();
+    const side = { server: null, capture: null, from: null, to: null };
+    if (value('capture')) {
+        const capture = findCapture(value('capture'));
+        if (!capture) return { error: `Unknown capture "${value('capture')}" for side ${prefix.toUpperCase()}.` };
+        side.capture = capture;
+        side.server = capture.server;
+    }
+    if (value('server')) side.server = sanitizeName(value('server'));
+    if (!side.server) return { error: `Side ${prefix.toUpperCase()} needs a server or a capture.` };
+    for (const field of ['from', 'to']) {
+        if (!value(field)) continue;
+        side[field] = parseTime(value(field));
+        if (side[field] === null) return { error: `Invalid "${prefix}.${field}" time "${value(field)}".` };
+    }
+    return side;
+}
+
+function describeCompareSide(side, entries, truncated) {
+    return {
+        server: side.server,
+        capture: side.capture ? { id: side.capture.id, name: side.capture.name } : null,
+        from: side.from !== null ? new Date(side.from).toISOString() : null,
+        to: side.to !== null ? new Date(side.to).toISOString() : null,
+        entries: entries.length,
+        truncated,
+    };
+}
+
+// The side's entries for the resource, oldest first
+async function readCompareSide(side, safeResource) {
+    const inRange = entry => {
+        const time = Date.parse(entry.timestamp);
+        return (side.from === null || time >= side.from) && (side.to === null || time <= side.to);
+    };
+    let entries = [];
+    let truncated = false;
+    if (side.capture) {
+        const captured = await readCaptureEntries(side.capture, safeResource, COMPARE_MAX_ENTRIES);
+        entries = captured.entries.filter(inRange);
+        truncated = captured.truncated;
+    } else if (listSegments(side.server, safeResource).length) {
+        for await (const entry of iterateEntriesBackward(side.server, safeResource)) {
+            if (!inRange(entry)) continue;
+            if (entries.length >= COMPARE_MAX_ENTRIES) {
+                truncated = true;
+                break;
+            }
+            entries.push(entry);
+        }
+        entries.reverse();
+    }
+    return { entries, truncated };
+}
+
+function compileIgnoreList(patterns) {
+    const keys = new Set();
+    const paths = [];
+    for (const pattern of patterns) {
+        if (!/[.[*]/.test(pattern)) keys.add(pattern);
+        else paths.push(new RegExp('(^|\\.)' + pattern.replace(/\[\d*\]/g, '[]').replace(/[\\^$+?.()|{}[\]]/g, '\\$&').replace(/\*/g, '[^.[]+') + '$'));
+    }
+    return (key, fieldPath) => keys.has(key) || paths.some(regex => regex.test(fieldPath));
+}
+
+// Collects field differences between two payloads. Array positions become "[]" in the path,
+// so the same field of every item is reported once.
+function diffPayloads(a, b, fieldPath, isIgnored, changes) {
+    a = decodeJsonString(a);
+    b = decodeJsonString(b);
+    const bothContainers = a !== null && b !== null && typeof a === 'object' && typeof b === 'object' && Array.isArray(a) === Array.isArray(b);
+    if (bothContainers) {
+        const isArray = Array.isArray(a);
+        for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+            const childPath = isArray ? `${fieldPath}[]` : (fieldPath ? `${fieldPath}.${key}` : key);
+            if (!isArray && isIgnored(key, childPath)) continue;
+            diffPayloads(a[key], b[key], childPath, isIgnored, changes);
+        }
+        return;
+    }
+    if (JSON.stringify(a) === JSON.stringify(b)) return;
+    const change = a === undefined ? 'added' : b === undefined ? 'removed' : 'changed';
+    const known = changes.get(fieldPath);
+    if (known) known.count++;
+    else changes.set(fieldPath, { path: fieldPath, change, count: 1, a, b });
+}
+
+function comparablePayload(entry) {
+    const { type, _cursor, _server, _resource, _schemaIssues, ...rest } = entry;
+    return rest;
+}
+
+// Kinds present on both sides, in the order each side first sent them. Kinds that are not part
+// of the longest common ordering are the ones that moved. Each kind appears once per side, so
+// that ordering is the longest increasing run of B positions taken in A's order, found by
+// patience sorting without a full n×m table.
+function compareKindOrder(orderA, orderB) {
+    const positionInB = new Map(orderB.map((kind, i) => [kind, i]));
+    const a = orderA.filter(kind => positionInB.has(kind));
+    const inA = new Set(a);
+    const b = orderB.filter(kind => inA.has(kind));
+    const tails = []; // tails[k]: index into `a` ending the best run of length k + 1
+    const previous = new Array(a.length);
+    a.forEach((kind, i) => {
+        const position = positionInB.get(kind);
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (positionInB.get(a[tails[middle]]) < position) low = middle + 1;
+            else high = middle;
+        }
+        previous[i] = low > 0 ? tails[low - 1] : -1;
+        tails[low] = i;
+    });
+    const kept = new Set();
+    for (let i = tails.length ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) kept.add(a[i]);
+    return { a, b, moved: a.filter(kind => !kept.has(kind)) };
+}
+
+function groupByKind(entries) {
+    const groups = new Map();
+    for (const entry of entries) {
+        const kind = messageKind(entry);
+        if (!groups.has(kind)) groups.set(kind, []);
+        groups.get(kind).push(entry);
+    }
+    return groups;
+}
+
+function compareCaptures(entriesA, entriesB, ignore) {
+    const isIgnored = compileIgnoreList(ignore);
+    const groupsA = groupByKind(entriesA);
+    const groupsB = groupByKind(entriesB);
+    const order = compareKindOrder([...groupsA.keys()], [...groupsB.keys()]);
+
+    const kinds = [...new Set([...groupsA.keys(), ...groupsB.keys()])].sort().map(kind => {
+        const a = groupsA.get(kind) || [];
+        const b = groupsB.get(kind) || [];
+        const changes = new Map();
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            diffPayloads(comparablePayload(a[i]), comparablePayload(b[i]), '', isIgnored, changes);
+        }
+        const fields = [...changes.values()].sort((x, y) => y.count - x.count);
+        let status = 'same';
+        if (!a.length) status = 'added';
+        else if (!b.length) status = 'removed';
+        else if (a.length !== b.length || fields.length || order.moved.includes(kind)) status = 'changed';
+        return {
+            kind,
+            status,
+            a: a.length,
+            b: b.length,
+            delta: b.length - a.length,
+            moved: order.moved.includes(kind),
+            fields: fields.slice(0, COMPARE_MAX_FIELD_CHANGES),
+            fieldsTruncated: fields.length > COMPARE_MAX_FIELD_CHANGES,
+        };
+    });
+
+    const summary = {
+        added: kinds.filter(item => item.status === 'added').length,
+        removed: kinds.filter(item => item.status === 'removed').length,
+        countChanged: kinds.filter(item => item.a && item.b && item.delta).length,
+        moved: order.moved.length,
+        fieldChanges: kinds.reduce((total, item) => total + item.fields.length, 0),
+    };
+    return { identical: kinds.every(item => item.status === 'same'), summary, kinds, order };
+}
+
+// --- Traffic Metrics ---
+// Running counters since startup, fed by writeLog() for everything received (imports are not
+// traffic and are left out). They are served in the Prometheus text format at /metrics and
+// summarized for the stats page, which also uses the per-minute counts kept for the last hour.
+// The counters name servers, resources and callbacks, so /metrics needs a login too, or the
+// NUI_LOGGER_METRICS_TOKEN a scraper sends as "Authorization: Bearer <token>".
+const METRICS_SIZE_BUCKETS = [256, 1024, 4096, 16384, 65536, 262144, 1048576]; // Payload bytes
+const METRICS_HISTORY_MINUTES = 60;
+const METRICS_RATE_MINUTES = 5; // Window for the current rate shown on the stats page
+const METRICS_MAX_CALLBACKS = 200; // Per resource; callbacks beyond this are counted as "(other)"
+const FRAME_RATE_PER_SECOND = 30; // A resource peaking above this is probably posting every frame
+const METRICS_STARTED_AT = Date.now();
+const METRICS_TOKEN = process.env.NUI_LOGGER_METRICS_TOKEN || null; // Unset: logged-in users only
+const trafficStats = new Map(); // "server/resource" -> counters
+
+function getTrafficStats(safeServer, safeResource) {
+    const key = `${safeServer}/${safeResource}`;
+    let stats = trafficStats.get(key);
+    if (!stats) {
+        stats = { server: safeServer, resource: safeResource, types: {}, callbacks: new Map(), consoleLevels: {}, errors: 0, minutes: [] };
+        trafficStats.set(key, stats);
+    }
+    return stats;
+}
+
+function recordTraffic(safeServer, safeResource, entry, bytes) {
+    const stats = getTrafficStats(safeServer, safeResource);
+    if (!Object.hasOwn(stats.types, entry.type)) {
+        stats.types[entry.type] = { count: 0, bytes: 0, buckets: new Array(METRICS_SIZE_BUCKETS.length + 1).fill(0) };
+    }
+    const typeStats = stats.types[entry.type];
+    typeStats.count++;
+    typeStats.bytes += bytes;
+    const bucket = METRICS_SIZE_BUCKETS.findIndex(limit => bytes <= limit);
+    typeStats.buckets[bucket === -1 ? METRICS_SIZE_BUCKETS.length : bucket]++;
+
+    let isError = false;
+    if (entry.type === 'console') {
+        const level = typeof entry.level === 'string' && entry.level ? entry.level.slice(0, 16) : 'log';
+        stats.consoleLevels[level] = (stats.consoleLevels[level] || 0) + 1;
+        isError = level === 'error';
+    } else if (entry.type === 'callback_response') {
+        isError = isFailedResponse(entry);
+    }
+    if (isError) stats.errors++;
+
+    const name = CALL_TYPES.includes(entry.type) || entry.type === 'callback_response' ? callbackName(callUrl(entry)) : null;
+    if (name) {
+        const callback = stats.callbacks.has(name) || stats.callbacks.size < METRICS_MAX_CALLBACKS ? name : '(other)';
+        if (!stats.callbacks.has(callback)) stats.callbacks.set(callback, { calls: 0, bytes: 0, errors: 0 });
+        const callbackStats = stats.callbacks.get(callback);
+        if (entry.type === 'callback_response') {
+            if (isError) callbackStats.errors++;
+        } else {
+            callbackStats.calls++;
+            callbackStats.bytes += bytes;
+        }
+    }
+
+    const minute = Math.floor(Date.now() / 60000);
+    let current = stats.minutes[stats.minutes.length - 1];
+    if (!current || current.minute !== minute) {
+        current = { minute, count: 0, bytes: 0 };
+        stats.minutes.push(current);
+        while (stats.minutes[0].minute <= minute - METRICS_HISTORY_MINUTES) stats.minutes.shift();
+    }
+    current.count++;
+    current.bytes += bytes;
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    return '{' + Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',') + '}';
+}
+
+// The Prometheus text exposition format (version 0.0.4)
+function renderMetrics() {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        samples.forEach(([labels, value, suffix = '']) => lines.push(`${name}${suffix}${labels ? formatLabels(labels) : ''} ${value}`));
+    };
+    const all = [...trafficStats.values()];
+    const perType = all.flatMap(stats => Object.entries(stats.types).map(([type, typeStats]) => [{ server: stats.server, resource: stats.resource, type }, typeStats]));
+
+    metric('nui_logger_messages_total', 'counter', 'Log entries received.', perType.map(([labels, typeStats]) => [labels, typeStats.count]));
+    metric('nui_logger_payload_bytes', 'histogram', 'Size of received log entries in bytes.', perType.flatMap(([labels, typeStats]) => {
+        let cumulative = 0;
+        const buckets = METRICS_SIZE_BUCKETS.map((limit, i) => {
+            cumulative += typeStats.buckets[i];
+            return [{ ...labels, le: limit }, cumulative, '_bucket'];
+        });
+        return [...buckets, [{ ...labels, le: '+Inf' }, typeStats.count, '_bucket'], [labels, typeStats.bytes, '_sum'], [labels, typeStats.count, '_count']];
+    }));
+    const perCallback = all.flatMap(stats => [...stats.callbacks].map(([callback, callbackStats]) => [{ server: stats.server, resource: stats.resource, callback }, callbackStats]));
+    metric('nui_logger_callback_calls_total', 'counter', 'NUI callback calls (nui_to_lua and fetch_call).', perCallback.map(([labels, callbackStats]) => [labels, callbackStats.calls]));
+    metric('nui_logger_callback_errors_total', 'counter', 'Callback responses that failed.', perCallback.map(([labels, callbackStats]) => [labels, callbackStats.errors]));
+    metric('nui_logger_console_messages_total', 'counter', 'Console entries by level.', all.flatMap(stats =>
+        Object.entries(stats.consoleLevels).map(([level, count]) => [{ server: stats.server, resource: stats.resource, level }, count])));
+    metric('nui_logger_errors_total', 'counter', 'Console errors plus failed callback responses.', all.map(stats => [{ server: stats.server, resource: stats.resource }, stats.errors]));
+    metric('nui_logger_ingest_rejections_total', 'counter', 'Ingestion requests and entries rejected, by reason.', Object.entries(ingestRejections).map(([reason, count]) => [{ reason }, count]));
+    metric('nui_logger_write_buffer_bytes', 'gauge', 'Bytes waiting to be written to disk.', [[null, bufferedBytes]]);
+    metric('nui_logger_stream_clients', 'gauge', 'Connected live stream clients.', [[null, streamClients.size]]);
+    metric('nui_logger_start_time_seconds', 'gauge', 'When the counters started, in seconds since the epoch.', [[null, Math.floor(METRICS_STARTED_AT / 1000)]]);
+    return lines.join('\n') + '\n';
+}
+
+// Per-minute message counts for the last hour, oldest first, with zeros for quiet minutes
+function minuteSeries(stats, nowMinute) {
+    const series = new Array(METRICS_HISTORY_MINUTES).fill(0);
+    stats.minutes.forEach(({ minute, count }) => {
+        const index = METRICS_HISTORY_MINUTES - 1 - (nowMinute - minute);
+        if (index >= 0) series[index] = count;
+    });
+    return series;
+}
+
+// What the stats page shows, optionally limited to one server
+function summarizeTraffic(safeServer) {
+    const now = Date.now();
+    const nowMinute = Math.floor(now / 60000);
+    const rateSeconds = Math.max(1, Math.min(METRICS_RATE_MINUTES * 60, (now - METRICS_STARTED_AT) / 1000));
+    const selected = [...trafficStats.values()].filter(stats => !safeServer || stats.server === safeServer);
+
+    const resources = selected.map(stats => {
+        const series = minuteSeries(stats, nowMinute);
+        const types = Object.fromEntries(Object.entries(stats.types).map(([type, { count, bytes }]) => [type, { count, bytes }]));
+        const total = Object.values(stats.types).reduce((sum, typeStats) => sum + typeStats.count, 0);
+        const bytes = Object.values(stats.types).reduce((sum, typeStats) => sum + typeStats.bytes, 0);
+        const histogram = new Array(METRICS_SIZE_BUCKETS.length + 1).fill(0);
+        Object.values(stats.types).forEach(typeStats => typeStats.buckets.forEach((count, i) => { histogram[i] += count; }));
+        const recent = stats.minutes.filter(({ minute }) => minute > nowMinute - METRICS_RATE_MINUTES).reduce((sum, { count }) => sum + count, 0);
+        const peakPerMinute = Math.max(0, ...series);
+        return {
+            server: stats.server,
+            resource: stats.resource,
+            total,
+            bytes,
+            errors: stats.errors,
+            perSecond: Math.round(recent / rateSeconds * 100) / 100,
+            peakPerMinute,
+            everyFrame: peakPerMinute / 60 >= FRAME_RATE_PER_SECOND,
+            types,
+            consoleLevels: stats.consoleLevels,
+            histogram,
+            series,
+        };
+    }).sort((a, b) => b.perSecond - a.perSecond || b.total - a.total);
+
+    const callbacks = selected.flatMap(stats => [...stats.callbacks].map(([callback, callbackStats]) => ({ server: stats.server, resource: stats.resource, callback, ...callbackStats })))
+        .sort((a, b) => b.calls - a.calls)
+        .slice(0, 50);
+
+    return {
+        since: new Date(METRICS_STARTED_AT).toISOString(),
+        seriesStart: new Date((nowMinute - METRICS_HISTORY_MINUTES + 1) * 60000).toISOString(),
+        sizeBuckets: METRICS_SIZE_BUCKETS,
+        frameRatePerSecond: FRAME_RATE_PER_SECOND,
+        resources,
+        callbacks,
+    };
+}
+
+// --- Alert Rules ---
+// Rules are checked in writeLog() against everything received (imports excluded). A rule matches
+// on server, resource and the usual filters (type, callback/URL pattern, field predicates); with a
+// threshold it only fires once more than `count` matches arrive within `seconds`. Every entry that
+// fires the rule is marked for highlighting in the live viewer (matches below the threshold are not),
+// but alerts themselves (history, browser notification, webhook, alerts log) are rate-limited per
+// rule and resource by `cooldownSeconds`, and the matches skipped meanwhile are counted in the next alert.
+const ALERT_RULES_FILE = 'alert-rules.json';
+const ALERT_HISTORY_FILE = 'alert-history.json';
+const ALERTS_LOG_FILE = path.join(LOG_DIR, 'alerts.jsonl'); // Appended to by rules with the "log" action
+const ALERT_HISTORY_MAX = 1000;
+const ALERT_SAVE_DELAY_MS = 5000;
+const ALERT_DEFAULT_COOLDOWN_SECONDS = 10;
+const ALERT_SUMMARY_MAX_LENGTH = 300;
+const ALERT_WEBHOOK_TIMEOUT_MS = 5000;
+const ALERT_WEBHOOK_LOCAL_ONLY = true; // Webhooks may only point at this machine or the local network
+const alertRuleStore = readDataFile(ALERT_RULES_FILE, { rules: [] });
+const alertHistory = readDataFile(ALERT_HISTORY_FILE, []);
+const alertStates = new Map(); // "rule/server/resource" -> { times, firedAt, suppressed }
+let compiledAlertRules = [];
+let alertSaveTimer = null;
+
+function saveAlertRules() {
+    writeDataFile(ALERT_RULES_FILE, alertRuleStore);
+    compileAlertRules();
+}
+
+function saveAlertHistory() {
+    clearTimeout(alertSaveTimer);
+    alertSaveTimer = null;
+    writeDataFile(ALERT_HISTORY_FILE, alertHistory);
+}
+
+function scheduleAlertSave() {
+    if (alertSaveTimer) return;
+    alertSaveTimer = setTimeout(saveAlertHistory, ALERT_SAVE_DELAY_MS);
+    alertSaveTimer.unref();
+}
+
+function compileAlertRules() {
+    alertStates.clear();
+    compiledAlertRules = alertRuleStore.rules.map(rule => ({ rule, filter: parseLogFilter(rule) }))
+        .filter(({ rule, filter }) => {
+            if (filter.error) console.error(`❌ Alert rule "${rule.name}" is invalid and was skipped: ${filter.error}`);
+            return !filter.error;
+        });
+}
+
+// `mutedUntil` is a time, or "forever" until unmuted
+function isAlertRuleMuted(rule, now = Date.now()) {
+    return rule.mutedUntil === 'forever' || (rule.mutedUntil !== null && Date.parse(rule.mutedUntil) > now);
+}
+
+// Only "localhost" and literal loopback or private addresses count: a DNS name such as
+// 10.example.com could resolve anywhere
+function isLocalWebhookUrl(url) {
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (host === 'localhost' || host === '::1') return true;
+    if (net.isIP(host) !== 4) return false;
+    const [a, b] = host.split('.').map(Number);
+    return a === 127 || a === 10 || (a === 192 && b === 168) || (a === 172 && b >= 16 && b <= 31);
+}
+
+// Validates a rule from the API. Returns `{ error }` or the rule (without id).
+function parseAlertRule(body) {
+    if (!body || typeof body !== 'object') return { error: 'The rule must be a JSON object.' };
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 100) return { error: 'Rule names must be 1 to 100 characters.' };
+    for (const field of ['server', 'resource']) {
+        if (body[field] && (typeof body[field] !== 'string' || !NAME_PATTERN.test(body[field]))) {
+            return { error: `"${field}" may only contain letters, digits, dashes and underscores.` };
+        }
+    }
+    const where = typeof body.where === 'string' ? body.where.split(';') : toArray(body.where);
+    const rule = {
+        name,
+        enabled: body.enabled !== false,
+        server: body.server || null,
+        resource: body.resource || null,
+        type: toArray(body.type).flatMap(type => String(type).split(',')).map(type => type.trim()).filter(Boolean),
+        match: typeof body.match === 'string' && body.match.trim() ? body.match.trim() : null,
+        where: where.map(predicate => String(predicate).trim()).filter(Boolean),
+        threshold: null,
+        cooldownSeconds: ALERT_DEFAULT_COOLDOWN_SECONDS,
+        actions: { highlight: false, pin: false, notify: false, log: false, webhook: null },
+        mutedUntil: null,
+    };
+
+    if (body.threshold) {
+        const count = Number(body.threshold.count);
+        const seconds = Number(body.threshold.seconds);
+        if (!Number.isInteger(count) || count < 1 || !Number.isInteger(seconds) || seconds < 1) {
+            return { error: 'A threshold needs a whole "count" and "seconds" of at least 1.' };
+        }
+        rule.threshold = { count, seconds };
+    }
+    if (body.cooldownSeconds !== undefined && body.cooldownSeconds !== '') {
+        const cooldown = Number(body.cooldownSeconds);
+        if (!Number.isInteger(cooldown) || cooldown < 0) return { error: '"cooldownSeconds" must be a whole number of at least 0.' };
+        rule.cooldownSeconds = cooldown;
+    }
+
+    const actions = body.actions || {};
+    for (const action of ['highlight', 'pin', 'notify', 'log']) rule.actions[action] = actions[action] === true;
+    if (actions.webhook) {
+        let url;
+        try {
+            url = new URL(actions.webhook);
+        } catch (e) {
+            return { error: 'The webhook must be a URL.' };
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) return { error: 'The webhook must be an http(s) URL.' };
+        if (ALERT_WEBHOOK_LOCAL_ONLY && !isLocalWebhookUrl(url)) return { error: 'The webhook must point at this machine or the local network.' };
+        rule.actions.webhook = url.href;
+    }
+
+    const filter = parseLogFilter(rule);
+    if (filter.error) return { error: filter.error };
+    return rule;
+}
+
+function summarizeAlertEntry(entry) {
+    const { timestamp, type, capture, ...rest } = entry;
+    const text = JSON.stringify(rest);
+    return text.length > ALERT_SUMMARY_MAX_LENGTH ? text.slice(0, ALERT_SUMMARY_MAX_LENGTH) + '…' : text;
+}
+
+function sendAlertWebhook(url, alert, entry) {
+    fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ alert, entry }),
+        signal: AbortSignal.timeout(ALERT_WEBHOOK_TIMEOUT_MS),
+        redirect: 'error', // A local endpoint must not bounce the alert elsewhere
+    }).then(response => {
+        if (!response.ok) console.error(`❌ Alert webhook ${url} answered ${response.status}`);
+    }, error => console.error(`❌ Alert webhook ${url} failed:`, error.message));
+}
+
+function fireAlert(rule, safeServer, safeResource, entry, cursor, { count, suppressed }) {
+    const alert = {
+        id: crypto.randomBytes(6).toString('hex'),
+        rule: rule.id,
+        name: rule.name,
+        server: safeServer,
+        resource: safeResource,
+        type: entry.type,
+        target: callUrl(entry) || null,
+        cursor,
+        timestamp: entry.timestamp,
+        firedAt: new Date().toISOString(),
+        count,
+        suppressed,
+        summary: summarizeAlertEntry(entry),
+        actions: { notify: rule.actions.notify, pin: rule.actions.pin },
+        acknowledgedAt: null,
+        acknowledgedBy: null,
+    };
+    alertHistory.push(alert);
+    if (alertHistory.length > ALERT_HISTORY_MAX) alertHistory.splice(0, alertHistory.length - ALERT_HISTORY_MAX);
+    scheduleAlertSave();
+    publishEvent('alert', { alert }, safeServer, safeResource);
+
+    if (rule.actions.log) {
+        fs.appendFile(ALERTS_LOG_FILE, JSON.stringify({ ...alert, entry }) + '\n', (error) => {
+            if (error) console.error(`❌ Could not append to ${ALERTS_LOG_FILE}:`, error);
+        });
+    }
+    if (rule.actions.webhook) sendAlertWebhook(rule.actions.webhook, alert, entry);
+    const times = count > 1 ? ` (${count} in ${rule.threshold.seconds}s)` : '';
+    console.warn(`🚨 [${safeServer} / ${safeResource}] Alert "${rule.name}"${times}: ${alert.summary}`);
+}
+
+// Called by writeLog() for each received entry. Returns the marks for the live viewer.
+function evaluateAlertRules(safeServer, safeResource, entry, cursor) {
+    const marks = [];
+    const now = Date.now();
+    for (const { rule, filter } of compiledAlertRules) {
+        if (!rule.enabled || isAlertRuleMuted(rule, now)) continue;
+        if ((rule.server && rule.server !== safeServer) || (rule.resource && rule.resource !== safeResource)) continue;
+        if (!filter.matches(entry)) continue;
+
+        const key = `${rule.id}/${safeServer}/${safeResource}`;
+        let state = alertStates.get(key);
+        if (!state) {
+            state = { times: [], firedAt: 0, suppressed: 0 };
+            alertStates.set(key, state);
+        }
+        let count = 1;
+        if (rule.threshold) {
+            state.times.push(now);
+            while (state.times[0] <= now - rule.threshold.seconds * 1000) state.times.shift();
+            if (state.times.length <= rule.threshold.count) continue;
+            count = state.times.length;
+            state.times = []; // Count afresh after crossing the threshold
+        }
+
+        if (rule.actions.highlight || rule.actions.pin) marks.push({ rule: rule.id, name: rule.name });
+        if (now - state.firedAt < rule.cooldownSeconds * 1000) {
+            state.suppressed += count;
+            continue;
+        }
+        fireAlert(rule, safeServer, safeResource, entry, cursor, { count, suppressed: state.suppressed });
+        state.firedAt = now;
+        state.suppressed = 0;
+    }
+    return marks;
+}
+
+compileAlertRules();
+
+// --- Live Stream (Server-Sent Events) ---
+// Every published event gets an id of the form "<bootId>:<n>" so a reconnecting
+// client can resume from the last event it saw, as long as it is still buffered.
+const STREAM_BOOT_ID = Date.now().toString(36);
+const STREAM_BUFFER_SIZE = 1000;
+const STREAM_HEARTBEAT_MS = 15000;
+const streamClients = new Set();
+const recentEvents = [];
+let lastEventSeq = 0;
+
+function isInStreamScope(client, record) {
+    // New servers are announced to everyone so the server list stays current
+    if (record.event === 'server' || record.event === 'alert_ack') return true;
+    if (client.server && record.server !== client.server) return false;
+    if (['resource', 'capture', 'capture_entries', 'alert'].includes(record.event)) return true;
+    if (client.resource && record.resource !== client.resource) return false;
+    if (record.event === 'log' && client.filter && !client.filter.matches(record.entry)) return false;
+    return true;
+}
+
+function sendStreamEvent(client, record) {
+    client.res.write(`id: ${STREAM_BOOT_ID}:${record.seq}\nevent: ${record.event}\ndata: ${record.data}\n\n`);
+}
+
+function publishEvent(event, payload, server, resource) {
+    const record = { seq: ++lastEventSeq, event, server, resource, entry: payload.entry, data: JSON.stringify(payload) };
+    recentEvents.push(record);
+    if (recentEvents.length > STREAM_BUFFER_SIZE) recentEvents.shift();
+
+    for (const client of streamClients) {
+        if (isInStreamScope(client, record)) sendStreamEvent(client, record);
+    }
+}
+
+// Replays buffered events after `lastEventId`. Returns false when the client has
+// missed more than we still hold (or the server restarted) and must reload instead.
+function replayStreamEvents(client, lastEventId) {
+    const [bootId, seqText] = String(lastEventId).split(':');
+    const seq = Number(seqText);
+    if (bootId !== STREAM_BOOT_ID || !Number.isInteger(seq) || seq > lastEventSeq) return false;
+
+    const oldestSeq = recentEvents.length ? recentEvents[0].seq : lastEventSeq + 1;
+    if (seq < oldestSeq - 1) return false;
+
+    recentEvents
+        .filter(record => record.seq > seq && isInStreamScope(client, record))
+        .forEach(record => sendStreamEvent(client, record));
+    return true;
+}
+
+// --- Ingestion Keys, Rate Limits & Validation ---
+// Game servers authenticate POST /log with a key issued for their server name. Only the key's
+// SHA-256 is stored; the key itself is shown once when issued. A server must also be on the
+// allow-list, so removing it there cuts off all of its keys at once.
+const INGEST_KEYS_FILE = 'ingest-keys.json';
+const INGEST_KEY_HEADER = 'X-Ingest-Key';
+const INGEST_RATE_PER_MINUTE = 600; // Default per-key rate, in entries per minute
+const INGEST_DAILY_QUOTA = 200000; // Default per-key entries per UTC day
+const NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const ingestStore = readDataFile(INGEST_KEYS_FILE, { allowedServers: [], keys: {} });
+const ingestUsage = new Map(); // key id (or mock:<server>) -> { tokens, refilledAt, day, today, accepted, rejected, lastUsedAt }
+const ingestRejections = {}; // reason -> count, since startup
+
+function saveIngestStore() {
+    writeDataFile(INGEST_KEYS_FILE, ingestStore);
+}
+
+function hashIngestKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function getIngestUsage(id, record) {
+    let usage = ingestUsage.get(id);
+    if (!usage) {
+        usage = { tokens: record.ratePerMinute, refilledAt: Date.now(), day: null, today: 0, accepted: 0, rejected: 0, lastUsedAt: null };
+        ingestUsage.set(id, usage);
+    }
+    return usage;
+}
+
+function issueIngestKey(server, { label = '', ratePerMinute = INGEST_RATE_PER_MINUTE, dailyQuota = INGEST_DAILY_QUOTA } = {}) {
+    const id = crypto.randomBytes(6).toString('hex');
+    const key = `nui_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+    ingestStore.keys[id] = { server, label, hash: hashIngestKey(key), ratePerMinute, dailyQuota, createdAt: new Date().toISOString(), revokedAt: null };
+    if (!ingestStore.allowedServers.includes(server)) ingestStore.allowedServers.push(server);
+    saveIngestStore();
+    return { id, key };
+}
+
+// Returns { id, record } for a usable key, or a rejection ({ status, reason, error })
+function authenticateIngest(key) {
+    if (!key) return { status: 401, reason: 'missing_key', error: `Missing ${INGEST_KEY_HEADER} header.` };
+    const match = key.match(/^nui_([a-f0-9]+)_/);
+    const id = match && match[1];
+    const record = id && Object.hasOwn(ingestStore.keys, id) ? ingestStore.keys[id] : null;
+    const isValid = record && crypto.timingSafeEqual(Buffer.from(record.hash, 'hex'), Buffer.from(hashIngestKey(key), 'hex'));
+    if (!isValid || record.revokedAt) return { status: 401, reason: 'invalid_key', error: 'Unknown or revoked ingestion key.' };
+    if (!ingestStore.allowedServers.includes(record.server)) {
+        return { id, status: 403, reason: 'server_not_allowed', error: `Server "${record.server}" is not on the allow-list.` };
+    }
+    return { id, record };
+}
+
+// A token bucket holding up to one minute of entries, plus a per-UTC-day quota.
+// Returns a rejection when the key has to wait, or null after using up one entry.
+function consumeIngestAllowance(id, record) {
+    const usage = getIngestUsage(id, record);
+    const now = Date.now();
+    const day = new Date(now).toISOString().slice(0, 10);
+    if (usage.day !== day) {
+        usage.day = day;
+        usage.today = 0;
+    }
+    usage.tokens = Math.min(record.ratePerMinute, usage.tokens + (now - usage.refilledAt) * record.ratePerMinute / 60000);
+    usage.refilledAt = now;
+
+    if (usage.today >= record.dailyQuota) {
+        const nextDay = Date.parse(`${day}T00:00:00Z`) + 24 * 60 * 60 * 1000;
+        return { status: 429, reason: 'quota_exceeded', error: `Daily quota of ${record.dailyQuota} entries used up.`, retryAfter: Math.ceil((nextDay - now) / 1000) };
+    }
+    if (usage.tokens < 1) {
+        return { status: 429, reason: 'rate_limited', error: `Rate limit of ${record.ratePerMinute} entries per minute exceeded.`, retryAfter: Math.ceil((1 - usage.tokens) * 60 / record.ratePerMinute) };
+    }
+    usage.tokens -= 1;
+    usage.today++;
+    return null;
+}
+
+// Mock callbacks carry no key, so their calls are only logged for servers on the allow-list, and
+// each server's mock calls share one allowance with the default per-key limits
+const MOCK_INGEST_LIMITS = { ratePerMinute: INGEST_RATE_PER_MINUTE, dailyQuota: INGEST_DAILY_QUOTA };
+
+// Returns why a mock call for `safeServer` must not be logged, or null after using up one entry
+function checkMockIngest(safeServer) {
+    if (!INGEST_REQUIRE_KEY) return null;
+    if (!ingestStore.allowedServers.includes(safeServer)) {
+        return { status: 403, reason: 'server_not_allowed', error: `Server "${safeServer}" is not on the allow-list.` };
+    }
+    return consumeIngestAllowance(`mock:${safeServer}`, MOCK_INGEST_LIMITS);
+}
+
+const ENTRY_VALIDATORS = {
+    lua_to_nui: entry => entry.event === undefined ? 'lua_to_nui entries need an "event".' : null,
+    nui_to_lua: entry => typeof entry.callback !== 'string' || !entry.callback ? 'nui_to_lua entries need a "callback" URL such as https://<resource>/<callback>.' : null,
+    fetch_call: entry => {
+        if (typeof entry.url !== 'string' || !entry.url) return 'fetch_call entries need a "url".';
+        if (entry.options !== undefined && (!entry.options || typeof entry.options !== 'object' || Array.isArray(entry.options))) return '"options" must be an object.';
+        return null;
+    },
+    callback_response: entry => {
+        if (typeof entry.callback !== 'string' || !entry.callback) return 'callback_response entries need the "callback" URL they answer.';
+        if (entry.status !== undefined && !(Number.isInteger(entry.status) && entry.status >= 0 && entry.status <= 599)) return '"status" must be an HTTP status code.';
+        if (entry.duration !== undefined && !(typeof entry.duration === 'number' && entry.duration >= 0)) return '"duration" must be a number of milliseconds.';
+        if (entry.error !== undefined && typeof entry.error !== 'string') return '"error" must be a string.';
+        return null;
+    },
+    console: () => null,
+};
+
+// Returns what is wrong with a POST /log body, or null when it can be stored
+function validateLogEntry(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return 'The body must be a JSON object.';
+    if (!LOG_TYPES.includes(body.type)) return `"type" must be one of: ${LOG_TYPES.join(', ')}.`;
+    for (const field of ['server', 'resource']) {
+        if (body[field] !== undefined && (typeof body[field] !== 'string' || !NAME_PATTERN.test(body[field]))) {
+            return `"${field}" may only contain letters, digits, dashes and underscores (at most 64).`;
+        }
+    }
+    if (body.timestamp !== undefined && Number.isNaN(Date.parse(body.timestamp))) return '"timestamp" must be a date.';
+    if (body.requestId !== undefined && !['string', 'number'].includes(typeof body.requestId)) return '"requestId" must be a string or number.';
+    return ENTRY_VALIDATORS[body.type](body);
+}
+
+function countIngestRejection(rejection) {
+    ingestRejections[rejection.reason] = (ingestRejections[rejection.reason] || 0) + 1;
+    if (rejection.id && Object.hasOwn(ingestStore.keys, rejection.id)) getIngestUsage(rejection.id, ingestStore.keys[rejection.id]).rejected++;
+}
+
+function rejectIngest(res, rejection) {
+    countIngestRejection(rejection);
+    if (rejection.retryAfter) res.set('Retry-After', String(rejection.retryAfter));
+    res.status(rejection.status).json({ error: rejection.error, reason: rejection.reason });
+}
+
+// Validates, rate-limits and writes one entry for an authenticated request.
+// Returns a rejection, or null once the entry is written.
+function ingestEntry(body, auth) {
+    const invalid = validateLogEntry(body);
+    if (invalid) return { id: auth.id, status: 400, reason: 'invalid_entry', error: invalid };
+
+    // Keys belong to one server, which is also the default when the entry names none
+    const server = body.server || (auth.record && auth.record.server);
+    if (auth.record && server !== auth.record.server) {
+        return { id: auth.id, status: 403, reason: 'wrong_server', error: `This key can only log for "${auth.record.server}".` };
+    }
+    const limited = auth.record && consumeIngestAllowance(auth.id, auth.record);
+    if (limited) return { id: auth.id, ...limited };
+
+    const logData = { ...body };
+    delete logData.resource;
+    delete logData.server;
+    delete logData.capture; // Only the logger tags captures
+
+    const actualResource = detectResource(logData) || body.resource;
+    if (!actualResource) {
+        return { id: auth.id, status: 400, reason: 'missing_resource', error: 'Resource name is required.' };
+    }
+
+    writeLog(server, actualResource, logData); // Use server and resource
+    if (auth.record) {
+        const usage = getIngestUsage(auth.id, auth.record);
+        usage.accepted++;
+        usage.lastUsedAt = new Date().toISOString();
+    }
+    return null;
+}
+
+// POST /log/batch bodies: a JSON array or NDJSON, optionally gzipped (by Content-Encoding or as a .gz body)
+function parseBatchPayload(body) {
+    if (!Buffer.isBuffer(body) || body.length === 0) return [];
+    const data = body[0] === 0x1f && body[1] === 0x8b ? zlib.gunzipSync(body, { maxOutputLength: INGEST_BATCH_MAX_BYTES }) : body;
+    const text = data.toString('utf8').replace(/^\uFEFF/, '').trim();
+    if (!text) return [];
+    if (text.startsWith('[')) return JSON.parse(text);
+
+    return text.split('\n').filter(line => line.trim()).map((line, index) => {
+        try {
+            return JSON.parse(line);
+        } catch (e) {
+            return { _batchError: `Line ${index + 1}: invalid JSON` };
+        }
+    });
+}
+
+function describeIngestKey(id, record) {
+    const { hash, ...details } = record;
+    const usage = ingestUsage.get(id);
+    return {
+        id,
+        ...details,
+        usage: usage ? { today: usage.day === new Date().toISOString().slice(0, 10) ? usage.today : 0, accepted: usage.accepted, rejected: usage.rejected, lastUsedAt: usage.lastUsedAt } : null,
+    };
+}
+
+// --- API Endpoints ---
+
+// Main logging endpoint
+app.post('/log', async (req, res) => {
+    try {
+        const auth = INGEST_REQUIRE_KEY ? authenticateIngest(req.get(INGEST_KEY_HEADER)) : {};
+        if (auth.error) return rejectIngest(res, auth);
+        await waitForWriteBuffer();
+        const rejection = ingestEntry(req.body, auth);
+        if (rejection) return rejectIngest(res, rejection);
+        res.sendStatus(200);
+    } catch (error) {
+        console.error('❌ Error logging data:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Many entries in one request, as a JSON array or NDJSON, optionally gzipped. Each entry is
+// checked like a POST /log body; the response says how many were accepted and why others were not.
+app.post('/log/batch', async (req, res) => {
+    try {
+        const auth = INGEST_REQUIRE_KEY ? authenticateIngest(req.get(INGEST_KEY_HEADER)) : {};
+        if (auth.error) return rejectIngest(res, auth);
+
+        let entries;
+        try {
+            entries = parseBatchPayload(req.body);
+        } catch (e) {
+            return rejectIngest(res, { id: auth.id, status: 400, reason: 'malformed_body', error: `Could not read the batch: ${e.message}` });
+        }
+        if (!Array.isArray(entries)) {
+            return rejectIngest(res, { id: auth.id, status: 400, reason: 'malformed_body', error: 'The batch must be a JSON array or NDJSON.' });
+        }
+        if (entries.length > INGEST_BATCH_MAX_ENTRIES) {
+            return rejectIngest(res, { id: auth.id, status: 413, reason: 'payload_too_large', error: `A batch may hold at most ${INGEST_BATCH_MAX_ENTRIES} entries.` });
+        }
+
+        let accepted = 0;
+        let retryAfter = 0;
+        const errors = [];
+        for (const [index, entry] of entries.entries()) {
+            await waitForWriteBuffer();
+            const rejection = entry && entry._batchError
+                ? { id: auth.id, status: 400, reason: 'malformed_body', error: entry._batchError }
+                : ingestEntry(entry, auth);
+            if (!rejection) {
+                accepted++;
+                continue;
+            }
+            countIngestRejection(rejection);
+            if (rejection.retryAfter) retryAfter = Math.max(retryAfter, rejection.retryAfter);
+            if (errors.length < IMPORT_ERROR_SAMPLE) errors.push({ index, reason: rejection.reason, error: rejection.error });
+        }
+
+        if (retryAfter) res.set('Retry-After', String(retryAfter));
+        // Nothing got through only because of limits: tell the client to back off as a whole
+        const status = accepted === 0 && retryAfter ? 429 : 200;
+        res.status(status).json({ accepted, rejected: entries.length - accepted, errors });
+    } catch (error) {
+        console.error('❌ Error logging batch:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// API for log data
+app.get('/logs', checkAuth, flushBeforeRead, (req, res) => {
+    try {
+        const { server, resource } = req.query;
+
+        if (server && resource) {
+            // Case 1: Get a page of logs for a specific resource on a specific server.
+            // Without a cursor this is the newest page; `before`/`after` page older/newer and
+            // `at` starts the page at that entry.
+            const safeServer = sanitizeName(server);
+            const safeResource = sanitizeName(resource);
+
+            const before = parseCursor(req.query.before);
+            const after = parseCursor(req.query.after);
+            const at = parseCursor(req.query.at);
+            if (before === null || after === null || at === null) return res.status(400).json({ error: 'Invalid cursor.' });
+            if ([before, after, at].filter(cursor => cursor !== undefined).length > 1) {
+                return res.status(400).json({ error: 'Use only one of "before", "after" and "at".' });
+            }
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || LOG_PAGE_SIZE, 1), LOG_PAGE_MAX);
+
+            let page;
+            if (at !== undefined) {
+                // Starting just before the cursor makes readPageAfter include the entry at it
+                page = readPageAfter(safeServer, safeResource, { segment: at.segment, offset: at.offset > 0 ? at.offset - 1 : undefined }, limit);
+            } else if (after !== undefined) {
+                page = readPageAfter(safeServer, safeResource, after, limit);
+            } else {
+                page = readPageBefore(safeServer, safeResource, before, limit);
+            }
+            const { entries } = page;
+            return res.json({
+                entries,
+                before: entries.length ? entries[0]._cursor : null,
+                after: entries.length ? entries[entries.length - 1]._cursor : null,
+                hasMore: page.hasMore,
+            });
+
+        } else if (server) {
+            // Case 2: Get all resources for a specific server
+            return res.json(listResources(sanitizeName(server)));
+
+        } else {
+            // Case 3: Get all servers (directories)
+            return res.json(listServers());
+        }
+    } catch (error) {
+        console.error(`❌ Error reading logs for "${req.query.server} / ${req.query.resource}":`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Search one resource, all resources on a server, or everything
+app.get('/search', checkAuth, flushBeforeRead, async (req, res) => {
+    try {
+        const { server, resource } = req.query;
+        if (resource && !server) return res.status(400).json({ error: 'Server name is required when searching a resource.' });
+
+        const filter = parseLogFilter(req.query);
+        if (filter.error) return res.status(400).json({ error: filter.error });
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || LOG_PAGE_SIZE, 1), LOG_PAGE_MAX);
+
+        const results = [];
+        let hasMore = false;
+        for (const file of listScopedResources(server, resource)) {
+            let found = 0;
+            // Imported and backdated entries sit after newer ones, so an entry older than `from`
+            // does not mean the rest of the file is; the whole file is checked
+            for await (const entry of iterateEntriesBackward(file.server, file.resource)) {
+                if (!filter.matches(entry)) continue;
+                results.push({ ...entry, _server: file.server, _resource: file.resource });
+                if (++found >= limit) {
+                    hasMore = true;
+                    break;
+                }
+            }
+        }
+
+        results.sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+        if (results.length > limit) hasMore = true;
+        const entries = results.slice(0, limit).reverse();
+        res.json({ entries, hasMore, nextTo: entries.length ? entries[0].timestamp : null });
+    } catch (error) {
+        console.error(`❌ Error searching logs for "${req.query.server} / ${req.query.resource}":`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Every resource of a server merged by timestamp, a page at a time (oldest first within the page)
+app.get('/logs/timeline', checkAuth, flushBeforeRead, async (req, res) => {
+    try {
+        const { server } = req.query;
+        if (!server) return res.status(400).json({ error: 'Server name is required.' });
+        const safeServer = sanitizeName(server);
+        const available = listResources(safeServer);
+        const requested = toArray(req.query.resources).flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+        const resources = requested.length ? available.filter(resource => requested.includes(resource)) : available;
+
+        const positions = req.query.before ? decodeTimelineToken(req.query.before) : undefined;
+        if (positions === null) return res.status(400).json({ error: 'Invalid "before" token.' });
+        const filter = parseLogFilter(req.query);
+        if (filter.error) return res.status(400).json({ error: filter.error });
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || LOG_PAGE_SIZE, 1), LOG_PAGE_MAX);
+
+        res.json({ server: safeServer, resources: available, ...await readTimelinePage(safeServer, resources, positions, filter, limit) });
+    } catch (error) {
+        console.error(`❌ Error reading the timeline for "${req.query.server}":`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// One resource in two captures (a.capture=<id>, or a.server=<name> with optional a.from/a.to; same for b)
+app.get('/logs/compare', checkAuth, flushBeforeRead, async (req, res) => {
+    try {
+        const { resource } = req.query;
+        if (!resource) return res.status(400).json({ error: 'Resource name is required.' });
+        if (typeof resource !== 'string') return res.status(400).json({ error: '"resource" may only be given once.' });
+        const safeResource = sanitizeName(resource);
+        const sideA = parseCompareSide(req.query, 'a');
+        if (sideA.error) return res.status(400).json({ error: sideA.error });
+        const sideB = parseCompareSide(req.query, 'b');
+        if (sideB.error) return res.status(400).json({ error: sideB.error });
+        const ignore = req.query.ignore === undefined
+            ? COMPARE_DEFAULT_IGNORE
+            : toArray(req.query.ignore).flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+
+        const a = await readCompareSide(sideA, safeResource);
+        const b = await readCompareSide(sideB, safeResource);
+        res.json({
+            resource: safeResource,
+            ignore,
+            a: describeCompareSide(sideA, a.entries, a.truncated),
+            b: describeCompareSide(sideB, b.entries, b.truncated),
+            ...compareCaptures(a.entries, b.entries, ignore),
+        });
+    } catch (error) {
+        console.error(`❌ Error comparing captures of "${req.query.resource}":`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Live stream of new log entries, optionally scoped to a server and/or resource
+app.get('/stream', checkAuth, (req, res) => {
+    const { server, resource } = req.query;
+    const filter = parseLogFilter(req.query);
+    if (filter.error) return res.status(400).json({ error: filter.error });
+
+    const client = {
+        res,
+        server: server ? sanitizeName(server) : null,
+        resource: resource ? sanitizeName(resource) : null,
+        filter: filter.active ? filter : null,
+    };
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.write('retry: 3000\n\n');
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId && !replayStreamEvents(client, lastEventId)) {
+        res.write('event: reset\ndata: {}\n\n');
+    }
+    res.write(`id: ${STREAM_BOOT_ID}:${lastEventSeq}\nevent: ready\ndata: {}\n\n`);
+
+    streamClients.add(client);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        streamClients.delete(client);
+    });
+});
+
+// Clear logs for a specific resource, or with `archive: true` move them to the server's archive
+app.post('/clear', requireRole('operator'), async (req, res) => {
+    try {
+        const { server, resource, archive } = req.body;
+        if (!server) return res.status(400).json({ error: 'Server name is required.' });
+        if (!resource) return res.status(400).json({ error: 'Resource name is required.' });
+
+        const safeServer = sanitizeName(server);
+        const safeResource = sanitizeName(resource);
+        const activePath = path.join(LOG_DIR, safeServer, `${safeResource}.jsonl`);
+        await flushLogFile(activePath);
+        resetLogFile(activePath);
+        const segments = listSegments(safeServer, safeResource);
+        resourceSchemas.delete(`${safeServer}/${safeResource}`);
+
+        if (segments.length === 0) {
+            return res.status(404).json({ message: `No logs found for ${safeServer} / ${safeResource}` });
+        }
+
+        if (archive === true || archive === 'true') {
+            archiveResource(safeServer, safeResource);
+            console.log(`🗄️ Logs archived for: ${safeServer} / ${safeResource}`);
+            return res.json({ message: `Logs archived for ${safeServer} / ${safeResource}` });
+        }
+
+        for (const segment of segments) {
+            if (segment.active) {
+                fs.writeFileSync(segment.filePath, '');
+                setActiveSegmentId(segment.filePath, null);
+            } else {
+                fs.unlinkSync(segment.filePath);
+                decompressedSegments.delete(segment.filePath);
+            }
+        }
+        console.log(`🗑️ Logs cleared for: ${safeServer} / ${safeResource}`);
+        return res.json({ message: `Logs cleared for ${safeServer} / ${safeResource}` });
+    } catch (error) {
+        console.error(`❌ Error clearing logs for "${req.body.server} / ${req.body.resource}":`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Schemas inferred from a resource's messages, as JSON or as a TypeScript declaration file
+app.get('/schema', checkAuth, flushBeforeRead, async (req, res) => {
+    try {
+        const { server, resource, format } = req.query;
+        if (!server || !resource) return res.status(400).json({ error: 'Server and resource are required.' });
+        const safeServer = sanitizeName(server);
+        const safeResource = sanitizeName(resource);
+        if (req.query.refresh === 'true') resourceSchemas.delete(`${safeServer}/${safeResource}`);
+
+        // Build from everything written so far; whatever comes next is added as it is written
+        const file = getLogFileState(path.join(LOG_DIR, safeServer, `${safeResource}.jsonl`));
+        const end = file.size > 0 ? `${file.segmentId}:${file.size}` : `${segmentIdFor(Date.now())}:0`;
+        const schema = getResourceSchema(safeServer, safeResource, end);
+        await schema.ready;
+        const groups = describeSchemaGroups(schema);
+
+        if (format === 'dts') {
+            res.setHeader('Content-Disposition', `attachment; filename="${safeResource}.d.ts"`);
+            return res.type('text/plain').send(toTypeScript(safeServer, safeResource, groups, schema.sampled));
+        }
+        res.json({ server: safeServer, resource: safeResource, sampled: schema.sampled, groups, mismatches: [...schema.mismatches].reverse() });
+    } catch (error) {
+        console.error('❌ Error inferring schema:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Calls of a resource paired with their responses, for the waterfall view
+app.get('/callbacks', checkAuth, flushBeforeRead, async (req, res) => {
+    try {
+        const { server, resource } = req.query;
+        if (!server || !resource) return res.status(400).json({ error: 'Server and resource are required.' });
+        const from = req.query.from ? parseTime(req.query.from) : null;
+        const to = req.query.to ? parseTime(req.query.to) : null;
+        if ((req.query.from && from === null) || (req.query.to && to === null)) {
+            return res.status(400).json({ error: '"from" and "to" must be dates or durations such as -15m.' });
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || CALLBACK_PAGE_SIZE, 1), LOG_PAGE_MAX);
+
+        const safeServer = sanitizeName(server);
+        const safeResource = sanitizeName(resource);
+        const result = await collectCallbacks(safeServer, safeResource, { from, to, limit });
+        res.json({ server: safeServer, resource: safeResource, slowMs: CALLBACK_SLOW_MS, ...result });
+    } catch (error) {
+        console.error(`❌ Error correlating callbacks for "${req.query.server} / ${req.query.resource}":`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// One call with its response
+app.get('/callbacks/pair', checkAuth, flushBeforeRead, async (req, res) => {
+    try {
+        const { server, resource } = req.query;
+        if (!server || !resource) return res.status(400).json({ error: 'Server and resource are required.' });
+        const cursor = parseCursor(req.query.cursor);
+        if (!cursor) return res.status(400).json({ error: 'A valid "cursor" is required.' });
+
+        const record = await findCallback(sanitizeName(server), sanitizeName(resource), cursor);
+        if (!record) return res.status(404).json({ error: 'No call at that cursor.' });
+        res.json(record);
+    } catch (error) {
+        console.error(`❌ Error finding the response for "${req.query.cursor}":`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Import a capture (.jsonl, .jsonl.gz, JSON array or .har) into a server
+app.post('/import', requireRole('operator'), express.raw({ type: () => true, limit: IMPORT_MAX_BYTES }), async (req, res) => {
+    try {
+        const { server, resource, defaultResource, create } = req.query;
+        if (!server) return res.status(400).json({ error: 'Server name is required.' });
+
+        const safeServer = sanitizeName(server);
+        const serverExists = listServers().includes(safeServer);
+        if (!serverExists && create !== 'true') {
+            return res.status(404).json({ error: `Server "${safeServer}" does not exist. Pass create=true to create it.` });
+        }
+
+        let records;
+        try {
+            records = parseImportPayload(req.body);
+        } catch (e) {
+            return res.status(400).json({ error: `Could not read the uploaded file: ${e.message}` });
+        }
+
+        const accepted = [];
+        const errors = [];
+        records.forEach((record, index) => {
+            const result = normalizeImportRecord(record, { resource, defaultResource });
+            if (result.error) errors.push(`Entry ${index + 1}: ${result.error}`);
+            else accepted.push(result);
+        });
+
+        accepted.sort((a, b) => a.entry.timestamp.localeCompare(b.entry.timestamp));
+        const resources = {};
+        for (const { resource: targetResource, entry } of accepted) {
+            await waitForWriteBuffer();
+            writeLog(safeServer, targetResource, entry, { silent: true });
+            resources[targetResource] = (resources[targetResource] || 0) + 1;
+        }
+
+        console.log(`📥 Imported ${accepted.length} entries into ${safeServer} (${errors.length} rejected)`);
+        res.json({
+            server: safeServer,
+            imported: accepted.length,
+            rejected: errors.length,
+            resources,
+            errors: errors.slice(0, IMPORT_ERROR_SAMPLE),
+        });
+    } catch (error) {
+        console.error(`❌ Error importing logs into "${req.query.server}":`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Export filtered logs as HAR, CSV or NDJSON
+app.get('/export', checkAuth, flushBeforeRead, async (req, res) => {
+    try {
+        const { server, resource, format = 'ndjson' } = req.query;
+        if (resource && !server) return res.status(400).json({ error: 'Server name is required when exporting a resource.' });
+        if (!['har', 'csv', 'ndjson'].includes(format)) return res.status(400).json({ error: 'Format must be one of: har, csv, ndjson.' });
+
+        const filter = parseLogFilter(req.query);
+        if (filter.error) return res.status(400).json({ error: filter.error });
+        const getItems = () => iterateFilteredEntries(server, resource, filter);
+
+        res.attachment(exportFileName(server, resource, format === 'ndjson' ? 'jsonl' : format));
+        if (format === 'har') {
+            res.type('application/json');
+            await writeHarExport(res, getItems());
+        } else if (format === 'csv') {
+            res.type('text/csv');
+            await writeCsvExport(res, getItems);
+        } else {
+            res.type('application/x-ndjson');
+            await writeNdjsonExport(res, getItems());
+        }
+    } catch (error) {
+        console.error(`❌ Error exporting logs for "${req.query.server} / ${req.query.resource}":`, error);
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Download every resource of a server as a zip of .jsonl files
+app.get('/export/bundle', checkAuth, flushBeforeRead, (req, res) => {
+    try {
+        const { server } = req.query;
+        if (!server) return res.status(400).json({ error: 'Server name is required.' });
+
+        const filter = parseLogFilter(req.query);
+        if (filter.error) return res.status(400).json({ error: filter.error });
+
+        const safeServer = sanitizeName(server);
+        const zip = archiver('zip', { zlib: { level: 6 } });
+        zip.on('error', (error) => {
+            console.error(`❌ Error bundling logs for "${safeServer}":`, error);
+            res.destroy(error);
+        });
+        res.attachment(exportFileName(safeServer, null, 'zip'));
+        zip.pipe(res);
+
+        for (const { resource } of listScopedResources(safeServer)) {
+            const lines = async function* () {
+                for await (const entry of iterateEntriesForward(safeServer, resource)) {
+                    if (filter.matches(entry)) yield JSON.stringify(stripInternalFields(entry)) + '\n';
+                }
+            };
+            zip.append(Readable.from(lines()), { name: `${safeServer}/${resource}.jsonl` });
+        }
+        zip.finalize();
+    } catch (error) {
+        console.error(`❌ Error bundling logs for "${req.query.server}":`, error);
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Serves a resource's UI files for the replay harness from a folder inside REPLAY_UI_ROOT
+app.get('/replay/ui/:folder/*file', requireRole('operator'), (req, res) => {
+    const resolved = resolveReplayUiFile(req.params.folder, req.params.file.join('/'));
+    if (resolved.error) return res.status(resolved.status).json({ error: resolved.error });
+    const { folder, file } = resolved;
+
+    // With ?mock=<server>, HTML pages load the mock shim before their own scripts
+    if (req.query.mock && /\.html?$/i.test(file)) {
+        const filePath = path.join(folder, file);
+        const shimUrl = `/mock/${sanitizeName(req.query.mock)}/shim.js` + (req.query.resource ? `?resource=${encodeURIComponent(req.query.resource)}` : '');
+        const shimTag = `<script src="${shimUrl}"></script>`;
+        const html = fs.readFileSync(filePath, 'utf8');
+        const withShim = /<head[^>]*>/i.test(html) ? html.replace(/<head[^>]*>/i, match => match + shimTag) : shimTag + html;
+        return res.type('html').send(withShim);
+    }
+
+    res.sendFile(file, { root: folder, dotfiles: 'deny' }, (error) => {
+        if (error && !res.headersSent) res.status(error.status || 404).json({ error: 'File not found.' });
+    });
+});
+
+// --- Mock Lua Backend Endpoints ---
+// The mock endpoints are public: the NUI under development calls them from any origin. Its calls
+// are answered for any server but logged only as checkMockIngest allows.
+app.get('/mock/:server/shim.js', allowAnyOrigin, (req, res) => {
+    const origin = `${req.protocol}://${req.get('host')}`;
+    res.type('application/javascript').send(mockShimScript(origin, sanitizeName(req.params.server), req.query.resource));
+});
+
+// Answers a NUI callback with its canned response and logs the call as nui_to_lua
+app.all('/mock/:server/:resource/*callback', allowAnyOrigin, async (req, res) => {
+    try {
+        const safeServer = sanitizeName(req.params.server);
+        const safeResource = sanitizeName(req.params.resource);
+        const callback = req.params.callback.join('/');
+        const body = req.body ? decodeJsonString(req.body) : {};
+        const mock = getResourceMocks(safeServer, safeResource)[callback];
+
+        const context = { body, callback, resource: safeResource, server: safeServer, now: new Date().toISOString() };
+        const response = mock ? renderTemplate(mock.response, context) : MOCK_DEFAULT_RESPONSE;
+        const status = mock ? mock.status : 200;
+        if (mock && mock.latencyMs > 0) await new Promise(resolve => setTimeout(resolve, mock.latencyMs));
+
+        const rejection = checkMockIngest(safeServer);
+        if (rejection) {
+            countIngestRejection(rejection);
+        } else {
+            await waitForWriteBuffer();
+            writeLog(safeServer, safeResource, {
+                type: 'nui_to_lua',
+                callback: `https://${safeResource}/${callback}`,
+                data: body,
+                response,
+                status,
+                duration: mock ? mock.latencyMs : 0,
+                mocked: mock ? 'callback' : 'default',
+            });
+        }
+        res.set('X-Mock-Match', mock ? 'callback' : 'none');
+        res.set('X-Mock-Logged', rejection ? rejection.reason : 'true');
+        res.status(status).json(response === undefined ? null : response);
+    } catch (error) {
+        console.error('❌ Error answering mock callback:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/mocks', checkAuth, (req, res) => {
+    const { server, resource } = req.query;
+    if (!server || !resource) return res.status(400).json({ error: 'Server and resource are required.' });
+    const safeServer = sanitizeName(server);
+    const safeResource = sanitizeName(resource);
+    res.json({ server: safeServer, resource: safeResource, mocks: getResourceMocks(safeServer, safeResource) });
+});
+
+app.put('/mocks', requireRole('operator'), (req, res) => {
+    const { server, resource, callback } = req.body;
+    if (!server || !resource || !callback) return res.status(400).json({ error: 'Server, resource and callback are required.' });
+    const name = String(callback).replace(/^\/+/, '');
+    if (!name || /[?#]/.test(name)) return res.status(400).json({ error: 'Invalid callback name.' });
+
+    const { mock, error } = normalizeMock(req.body);
+    if (error) return res.status(400).json({ error });
+    saveMock(sanitizeName(server), sanitizeName(resource), name, mock);
+    res.json({ callback: name, mock });
+});
+
+app.delete('/mocks', requireRole('operator'), (req, res) => {
+    const { server, resource, callback } = req.query;
+    if (!server || !resource || !callback) return res.status(400).json({ error: 'Server, resource and callback are required.' });
+    if (!deleteMock(sanitizeName(server), sanitizeName(resource), callback)) {
+        return res.status(404).json({ error: `No mock for "${callback}".` });
+    }
+    res.sendStatus(200);
+});
+
+app.post('/mocks/seed', requireRole('operator'), flushBeforeRead, async (req, res) => {
+    try {
+        const { server, resource } = req.body;
+        if (!server || !resource) return res.status(400).json({ error: 'Server and resource are required.' });
+        const safeServer = sanitizeName(server);
+        const safeResource = sanitizeName(resource);
+        const added = await seedMocks(safeServer, safeResource);
+        res.json({ added, mocks: getResourceMocks(safeServer, safeResource) });
+    } catch (error) {
+        console.error('❌ Error seeding mocks:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// --- Client Interceptor Endpoint ---
+// Public so the NUI can load it with a <script> tag; the key is checked here and baked into the script
+app.get('/interceptor.js', allowAnyOrigin, (req, res) => {
+    const { server, key, resource } = req.query;
+    if (typeof server !== 'string' || !NAME_PATTERN.test(server)) {
+        return res.status(400).json({ error: 'Server names may only contain letters, digits, dashes and underscores.' });
+    }
+    if (resource !== undefined && (typeof resource !== 'string' || !NAME_PATTERN.test(resource))) {
+        return res.status(400).json({ error: 'Resource names may only contain letters, digits, dashes and underscores.' });
+    }
+    const { types, error } = parseInterceptorTypes(req.query.types);
+    if (error) return res.status(400).json({ error });
+
+    if (INGEST_REQUIRE_KEY && !key) return res.status(400).json({ error: 'An ingestion key is required ("key").' });
+    if (key) {
+        const auth = authenticateIngest(String(key));
+        if (auth.error) return res.status(auth.status).json({ error: auth.error });
+        if (auth.record.server !== server) return res.status(403).json({ error: `This key can only log for "${auth.record.server}".` });
+    }
+
+    const origin = `${req.protocol}://${req.get('host')}`;
+    res.set('Cache-Control', 'no-store');
+    res.type('application/javascript').send(interceptorScript(origin, { server, key, types, resource }));
+});
+
+// Health check
+app.get('/health', (req, res) => {
+    res.json({ status: 'running', logDirectory: LOG_DIR, timestamp: new Date().toISOString() });
+});
+
+// Scrapers have no session, so they may send the metrics token instead
+const checkMetricsAuth = (req, res, next) => {
+    const header = Buffer.from(req.get('Authorization') || '');
+    const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+    if (METRICS_TOKEN && header.length === expected.length && crypto.timingSafeEqual(header, expected)) return next();
+    checkAuth(req, res, next);
+};
+
+// Prometheus scrape endpoint
+app.get('/metrics', checkMetricsAuth, (req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// Traffic counters for the stats page
+app.get('/metrics/summary', checkAuth, (req, res) => {
+    res.json(summarizeTraffic(req.query.server ? sanitizeName(req.query.server) : null));
+});
+
+// --- Capture Session Endpoints ---
+app.get('/captures', checkAuth, (req, res) => {
+    const server = req.query.server ? sanitizeName(req.query.server) : null;
+    const captures = captureStore.captures
+        .filter(capture => !server || capture.server === server)
+        .map(describeCapture)
+        .reverse();
+    res.json(captures);
+});
+
+app.post('/captures', requireRole('operator'), (req, res) => {
+    const { server } = req.body;
+    if (typeof server !== 'string' || !NAME_PATTERN.test(server)) {
+        return res.status(400).json({ error: 'Server names may only contain letters, digits, dashes and underscores.' });
+    }
+    const settings = parseCaptureSettings(req.body, { requireName: true });
+    if (settings.error) return res.status(400).json({ error: settings.error });
+    const running = activeCaptures.get(server);
+    if (running) return res.status(409).json({ error: `"${running.name}" is already recording on ${server}.`, capture: describeCapture(running) });
+
+    const capture = startCapture(server, { ...settings, startedBy: req.user.username });
+    res.status(201).json(describeCapture(capture));
+});
+
+app.post('/captures/:id/stop', requireRole('operator'), (req, res) => {
+    const capture = findCapture(req.params.id);
+    if (!capture) return res.status(404).json({ error: 'No such capture.' });
+    stopCapture(capture, 'manual');
+    res.json(describeCapture(capture));
+});
+
+app.put('/captures/:id', requireRole('operator'), (req, res) => {
+    const capture = findCapture(req.params.id);
+    if (!capture) return res.status(404).json({ error: 'No such capture.' });
+    const settings = parseCaptureSettings({ name: req.body.name }, { requireName: true });
+    if (settings.error) return res.status(400).json({ error: settings.error });
+    capture.name = settings.name;
+    saveCaptureStore();
+    publishEvent('capture', { server: capture.server, capture: describeCapture(capture) }, capture.server);
+    res.json(describeCapture(capture));
+});
+
+// Forgets the capture. Its entries stay in the resource logs, still tagged with the old id.
+app.delete('/captures/:id', requireRole('operator'), (req, res) => {
+    const capture = findCapture(req.params.id);
+    if (!capture) return res.status(404).json({ error: 'No such capture.' });
+    stopCapture(capture, 'manual');
+    captureStore.captures.splice(captureStore.captures.indexOf(capture), 1);
+    saveCaptureStore();
+    publishEvent('capture', { server: capture.server, capture: { ...describeCapture(capture), deleted: true } }, capture.server);
+    console.log(`🗑️ ${req.user.username} deleted capture "${capture.name}" (${capture.id})`);
+    res.json({ success: true });
+});
+
+// --- Alert Endpoints ---
+app.get('/alerts/rules', checkAuth, (req, res) => {
+    res.json(alertRuleStore.rules);
+});
+
+app.post('/alerts/rules', requireRole('operator'), (req, res) => {
+    const rule = parseAlertRule(req.body);
+    if (rule.error) return res.status(400).json({ error: rule.error });
+    const created = { id: crypto.randomBytes(4).toString('hex'), ...rule };
+    alertRuleStore.rules.push(created);
+    saveAlertRules();
+    console.log(`🚨 ${req.user.username} added alert rule "${created.name}"`);
+    res.status(201).json(created);
+});
+
+app.put('/alerts/rules/:id', requireRole('operator'), (req, res) => {
+    const index = alertRuleStore.rules.findIndex(rule => rule.id === req.params.id);
+    if (index === -1) return res.status(404).json({ error: 'No such rule.' });
+    const rule = parseAlertRule(req.body);
+    if (rule.error) return res.status(400).json({ error: rule.error });
+    alertRuleStore.rules[index] = { id: req.params.id, ...rule, mutedUntil: alertRuleStore.rules[index].mutedUntil };
+    saveAlertRules();
+    res.json(alertRuleStore.rules[index]);
+});
+
+app.delete('/alerts/rules/:id', requireRole('operator'), (req, res) => {
+    const index = alertRuleStore.rules.findIndex(rule => rule.id === req.params.id);
+    if (index === -1) return res.status(404).json({ error: 'No such rule.' });
+    const [rule] = alertRuleStore.rules.splice(index, 1);
+    saveAlertRules();
+    console.log(`🚨 ${req.user.username} deleted alert rule "${rule.name}"`);
+    res.json({ success: true });
+});
+
+// Mutes a rule for `minutes`, or until unmuted when `minutes` is omitted; `minutes: 0` unmutes
+app.post('/alerts/rules/:id/mute', requireRole('operator'), (req, res) => {
+    const rule = alertRuleStore.rules.find(item => item.id === req.params.id);
+    if (!rule) return res.status(404).json({ error: 'No such rule.' });
+    const minutes = req.body.minutes === undefined || req.body.minutes === null ? null : Number(req.body.minutes);
+    if (minutes !== null && (!Number.isFinite(minutes) || minutes < 0)) return res.status(400).json({ error: '"minutes" must be a number of at least 0.' });
+    if (minutes === 0) rule.mutedUntil = null;
+    else rule.mutedUntil = minutes === null ? 'forever' : new Date(Date.now() + minutes * 60000).toISOString();
+    saveAlertRules();
+    res.json(rule);
+});
+
+// Newest first; filter with server, resource, rule and unacknowledged=true
+app.get('/alerts/history', checkAuth, (req, res) => {
+    const { server, resource, rule } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || LOG_PAGE_SIZE, 1), ALERT_HISTORY_MAX);
+    const alerts = alertHistory.filter(alert => (!server || alert.server === sanitizeName(server))
+        && (!resource || alert.resource === sanitizeName(resource))
+        && (!rule || alert.rule === rule)
+        && (req.query.unacknowledged !== 'true' || !alert.acknowledgedAt));
+    res.json({
+        alerts: alerts.slice(-limit).reverse(),
+        unacknowledged: alertHistory.filter(alert => !alert.acknowledgedAt).length,
+    });
+});
+
+// Acknowledges the alerts listed in `ids`, or every one when `ids` is omitted
+app.post('/alerts/history/ack', requireRole('operator'), (req, res) => {
+    const ids = Array.isArray(req.body.ids) ? new Set(req.body.ids) : null;
+    const now = new Date().toISOString();
+    const acknowledged = [];
+    for (const alert of alertHistory) {
+        if (alert.acknowledgedAt || (ids && !ids.has(alert.id))) continue;
+        alert.acknowledgedAt = now;
+        alert.acknowledgedBy = req.user.username;
+        acknowledged.push(alert.id);
+    }
+    if (acknowledged.length) {
+        saveAlertHistory();
+        publishEvent('alert_ack', { ids: acknowledged, by: req.user.username });
+    }
+    res.json({ acknowledged: acknowledged.length });
+});
+
+// --- Ingestion Key Management ---
+app.get('/ingest', requireRole('admin'), (req, res) => {
+    res.json({
+        requireKey: INGEST_REQUIRE_KEY,
+        allowedServers: ingestStore.allowedServers,
+        keys: Object.entries(ingestStore.keys).map(([id, record]) => describeIngestKey(id, record)),
+        rejections: ingestRejections,
+    });
+});
+
+app.post('/ingest/servers', requireRole('admin'), (req, res) => {
+    const { server } = req.body;
+    if (typeof server !== 'string' || !NAME_PATTERN.test(server)) {
+        return res.status(400).json({ error: 'Server names may only contain letters, digits, dashes and underscores.' });
+    }
+    if (!ingestStore.allowedServers.includes(server)) {
+        ingestStore.allowedServers.push(server);
+        saveIngestStore();
+    }
+    res.json({ allowedServers: ingestStore.allowedServers });
+});
+
+app.delete('/ingest/servers/:server', requireRole('admin'), (req, res) => {
+    const index = ingestStore.allowedServers.indexOf(req.params.server);
+    if (index === -1) return res.status(404).json({ error: `"${req.params.server}" is not on the allow-list.` });
+    ingestStore.allowedServers.splice(index, 1);
+    saveIngestStore();
+    console.log(`🔒 ${req.user.username} removed "${req.params.server}" from the ingestion allow-list`);
+    res.json({ allowedServers: ingestStore.allowedServers });
+});
+
+// The key is only ever returned here
+app.post('/ingest/keys', requireRole('admin'), (req, res) => {
+    const { server, label } = req.body;
+    if (typeof server !== 'string' || !NAME_PATTERN.test(server)) {
+        return res.status(400).json({ error: 'Server names may only contain letters, digits, dashes and underscores.' });
+    }
+    const ratePerMinute = req.body.ratePerMinute === undefined ? INGEST_RATE_PER_MINUTE : Number(req.body.ratePerMinute);
+    const dailyQuota = req.body.dailyQuota === undefined ? INGEST_DAILY_QUOTA : Number(req.body.dailyQuota);
+    if (!Number.isInteger(ratePerMinute) || ratePerMinute < 1 || !Number.isInteger(dailyQuota) || dailyQuota < 1) {
+        return res.status(400).json({ error: 'Rate limit and quota must be positive whole numbers.' });
+    }
+
+    const { id, key } = issueIngestKey(server, { label: typeof label === 'string' ? label.slice(0, 100) : '', ratePerMinute, dailyQuota });
+    console.log(`🔑 ${req.user.username} issued ingestion key ${id} for "${server}"`);
+    res.status(201).json({ ...describeIngestKey(id, ingestStore.keys[id]), key });
+});
+
+app.delete('/ingest/keys/:id', requireRole('admin'), (req, res) => {
+    const { id } = req.params;
+    const record = Object.hasOwn(ingestStore.keys, id) ? ingestStore.keys[id] : null;
+    if (!record) return res.status(404).json({ error: 'No such key.' });
+    if (!record.revokedAt) {
+        record.revokedAt = new Date().toISOString();
+        saveIngestStore();
+        console.log(`🔒 ${req.user.username} revoked ingestion key ${id} for "${record.server}"`);
+    }
+    res.json(describeIngestKey(id, record));
+});
+
+// --- Redaction Rules ---
+app.get('/redaction', requireRole('admin'), (req, res) => {
+    res.json({ global: redactionStore.global, servers: redactionStore.servers });
+});
+
+// Replaces the rules of one scope: "global" or a server name
+app.put('/redaction', requireRole('admin'), (req, res) => {
+    const { scope, rules } = req.body;
+    if (typeof scope !== 'string' || !scope) return res.status(400).json({ error: 'A scope ("global" or a server name) is required.' });
+    if (!Array.isArray(rules)) return res.status(400).json({ error: 'Rules must be an array.' });
+    for (const rule of rules) {
+        const error = validateRedactionRule(rule);
+        if (error) return res.status(400).json({ error });
+    }
+
+    const normalized = rules.map(normalizeRedactionRule);
+    if (scope === 'global') {
+        redactionStore.global = normalized;
+    } else {
+        const safeServer = sanitizeName(scope);
+        if (safeServer in Object.prototype) return res.status(400).json({ error: 'Invalid server name.' });
+        if (normalized.length) redactionStore.servers[safeServer] = normalized;
+        else delete redactionStore.servers[safeServer];
+    }
+    saveRedactionStore();
+    console.log(`🕶️ ${req.user.username} saved ${normalized.length} redaction rules for ${scope}`);
+    res.json({ global: redactionStore.global, servers: redactionStore.servers });
+});
+
+// Shows what a set of (possibly unsaved) rules would change on the most recent stored entries
+app.post('/redaction/preview', requireRole('admin'), flushBeforeRead, async (req, res) => {
+    try {
+        const { server, resource, rules = {} } = req.body;
+        if (!server) return res.status(400).json({ error: 'Server name is required.' });
+        if (rules === null || typeof rules !== 'object' || Array.isArray(rules)) return res.status(400).json({ error: '"rules" must be an object with "global" and/or "server" arrays.' });
+        for (const scope of ['global', 'server']) {
+            if (rules[scope] !== undefined && !Array.isArray(rules[scope])) return res.status(400).json({ error: `"rules.${scope}" must be an array.` });
+        }
+        const safeServer = sanitizeName(server);
+        const savedServerRules = Object.hasOwn(redactionStore.servers, safeServer) ? redactionStore.servers[safeServer] : [];
+        const draft = [...(rules.global || redactionStore.global), ...(rules.server || savedServerRules)];
+        for (const rule of draft) {
+            const error = validateRedactionRule(rule);
+            if (error) return res.status(400).json({ error });
+        }
+        const compiled = compileRedactionRules(draft.map(normalizeRedactionRule));
+
+        const sources = listScopedResources(safeServer, resource).map(scope => ({
+            ...scope,
+            iterator: iterateEntriesBackward(scope.server, scope.resource),
+        }));
+        const entries = [];
+        let scanned = 0;
+        for await (const item of mergeEntries(sources, true)) {
+            if (scanned >= REDACTION_PREVIEW_SCAN || entries.length >= REDACTION_PREVIEW_LIMIT) break;
+            scanned++;
+            const { _cursor, ...stored } = item.entry;
+            const { entry, changes } = redactEntry(stored, compiled);
+            if (changes.length) entries.push({ server: item.server, resource: item.resource, cursor: _cursor, before: stored, after: entry, changes });
+        }
+        res.json({ scanned, entries });
+    } catch (error) {
+        console.error('❌ Error previewing redaction:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// --- Login Page Endpoints ---
+const LOGIN_MESSAGES = {
+    invalid: 'Wrong username or password.',
+    locked: 'Too many failed attempts. Try again later.',
+    loggedOut: 'You have been logged out.',
+};
+
+app.get('/login', (req, res) => {
+    const message = LOGIN_MESSAGES[req.query.error] || (req.query.loggedOut ? LOGIN_MESSAGES.loggedOut : '');
+    const html = `
+<!DOCTYPE html>
+<html lang="en" class="dark">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>NUI Logger - Login</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="bg-gray-900 text-gray-300 font-mono h-screen flex items-center justify-center">
     <form class="bg-gray-800 p-8 rounded-lg shadow-lg" method="POST" action="/login">
         <h1 class="text-white text-2xl font-bold mb-6 text-center">NUI Log Viewer</h1>
-        <label for="pin" class="block text-sm font-medium mb-2">Enter PIN</label>
-        <input type="password" id="pin" name="pin" class="w-full px-3 py-2 bg-gray-700 text-white rounded border border-gray-600 focus:outline-none focus:ring-2 focus:ring-cyan-500" autofocus>
+        ${message ? `<p class="text-sm ${req.query.error ? 'text-red-400' : 'text-green-400'} mb-4">${message}</p>` : ''}
+        <label for="username" class="block text-sm font-medium mb-2">Username</label>
+        <input type="text" id="username" name="username" autocomplete="username" class="w-full px-3 py-2 bg-gray-700 text-white rounded border border-gray-600 focus:outline-none focus:ring-2 focus:ring-cyan-500 mb-4" autofocus>
+        <label for="password" class="block text-sm font-medium mb-2">Password</label>
+        <input type="password" id="password" name="password" autocomplete="current-password" class="w-full px-3 py-2 bg-gray-700 text-white rounded border border-gray-600 focus:outline-none focus:ring-2 focus:ring-cyan-500">
         <button type="submit" class="w-full bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded mt-6">Login</button>
     </form>
 </body>
@@ -193,345 +4154,3890 @@ app.get('/login', (req, res) => {
     res.send(html);
 });
 
-app.post('/login', (req, res) => {
-    const { pin } = req.body;
-    if (pin === VIEWER_PIN) {
-        res.cookie(AUTH_COOKIE_NAME, VIEWER_PIN, {
-            httpOnly: true,
-            secure: req.protocol === 'https',
-            maxAge: 24 * 60 * 60 * 1000 // 1 day
-        });
-        res.redirect('/view');
-    } else {
-        res.redirect('/login');
-    }
-});
-
-// --- Interactive Log Viewer ---
-app.get('/', (req, res) => res.redirect('/view'));
-
-// Main viewer page
-app.get('/view', checkAuth, (req, res) => {
+// Returns { username, user } for good credentials, or { error: 'locked' | 'invalid' }
+function attemptLogin(req) {
+    if (isLoginBlocked(req.ip)) {
+        console.warn(`🚫 Login blocked for ${req.ip} after too many failed attempts`);
+        return { error: 'locked' };
+    }
+    const { username, password } = req.body;
+    const user = getUser(username);
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+        recordFailedLogin(req.ip);
+        return { error: 'invalid' };
+    }
+    loginAttempts.delete(req.ip);
+    return { username, user };
+}
+
+app.post('/login', (req, res) => {
+    const { username, user, error } = attemptLogin(req);
+    if (error) return res.redirect(`/login?error=${error}`);
+    setSessionCookie(req, res, username, user);
+    console.log(`🔓 ${username} logged in from ${req.ip}`);
+    res.redirect('/view');
+});
+
+// The same session as a token in the response, for the CLI. POST /logout with it ends it.
+app.post('/login/token', (req, res) => {
+    const { username, user, error } = attemptLogin(req);
+    if (error === 'locked') return res.status(429).json({ error: 'Too many failed logins. Try again later.' });
+    if (error) return res.status(401).json({ error: 'Invalid username or password.' });
+    const token = createSessionToken(username, user);
+    console.log(`🔓 ${username} logged in from ${req.ip} (token)`);
+    res.json({ token, username, role: user.role, expiresAt: new Date(readSessionToken(token).expiresAt).toISOString() });
+});
+
+app.post('/logout', checkAuth, (req, res) => {
+    const now = Date.now();
+    for (const [revoked, expiresAt] of Object.entries(authStore.revokedSessions)) {
+        if (expiresAt < now) delete authStore.revokedSessions[revoked];
+    }
+    authStore.revokedSessions[req.user.signature] = req.user.expiresAt;
+    saveAuthStore();
+    res.clearCookie(AUTH_COOKIE_NAME);
+    res.redirect('/login?loggedOut=1');
+});
+
+// --- User Management ---
+function describeUser(username, user) {
+    return { username, role: user.role, createdAt: user.createdAt };
+}
+
+app.get('/users', requireRole('admin'), (req, res) => {
+    res.json(Object.entries(authStore.users).map(([username, user]) => describeUser(username, user)));
+});
+
+app.post('/users', requireRole('admin'), (req, res) => {
+    const { username, password, role = 'viewer' } = req.body;
+    // Names such as "__proto__" would collide with the store object's own properties
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username) || username in Object.prototype) {
+        return res.status(400).json({ error: 'Usernames are 1-32 letters, digits, dots, dashes or underscores.' });
+    }
+    if (getUser(username)) return res.status(409).json({ error: `User "${username}" already exists.` });
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Passwords need at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+    if (!ROLES.includes(role)) return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}.` });
+
+    authStore.users[username] = createUserRecord(password, role);
+    saveAuthStore();
+    console.log(`👤 ${req.user.username} created user "${username}" (${role})`);
+    res.status(201).json(describeUser(username, authStore.users[username]));
+});
+
+// Changes a user's role or password, or signs them out everywhere. Each of these ends their sessions.
+app.put('/users/:username', requireRole('admin'), (req, res) => {
+    const { username } = req.params;
+    const user = getUser(username);
+    if (!user) return res.status(404).json({ error: `No user "${username}".` });
+    const { role, password, revokeSessions } = req.body;
+
+    if (role !== undefined) {
+        if (!ROLES.includes(role)) return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}.` });
+        if (user.role === 'admin' && role !== 'admin' && countAdmins() === 1) {
+            return res.status(400).json({ error: 'The last admin cannot be demoted.' });
+        }
+    }
+    if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+        return res.status(400).json({ error: `Passwords need at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+
+    if (role !== undefined) user.role = role;
+    if (password !== undefined) user.passwordHash = hashPassword(password);
+    if (role !== undefined || password !== undefined || revokeSessions) user.generation++;
+    saveAuthStore();
+    console.log(`👤 ${req.user.username} updated user "${username}"`);
+
+    // Keep the admin who made the change signed in
+    if (username === req.user.username && hasRole(user, 'admin')) setSessionCookie(req, res, username, user);
+    res.json(describeUser(username, user));
+});
+
+app.delete('/users/:username', requireRole('admin'), (req, res) => {
+    const { username } = req.params;
+    const user = getUser(username);
+    if (!user) return res.status(404).json({ error: `No user "${username}".` });
+    if (username === req.user.username) return res.status(400).json({ error: 'You cannot delete yourself.' });
+    if (user.role === 'admin' && countAdmins() === 1) return res.status(400).json({ error: 'The last admin cannot be deleted.' });
+
+    delete authStore.users[username];
+    saveAuthStore();
+    console.log(`👤 ${req.user.username} deleted user "${username}"`);
+    res.sendStatus(200);
+});
+
+// --- Interactive Log Viewer ---
+app.get('/', (req, res) => res.redirect('/view'));
+
+// Main viewer page
+app.get('/view', checkAuth, (req, res) => {
+    const html = `
+<!DOCTYPE html>
+<html lang="en" class="dark">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>FiveM NUI Log Viewer</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+    <style>
+        body { scrollbar-width: thin; scrollbar-color: #4b5563 #1f2937; }
+        ::-webkit-scrollbar { width: 8px; }
+        ::-webkit-scrollbar-track { background: #1f2937; }
+        ::-webkit-scrollbar-thumb { background-color: #4b5563; border-radius: 4px; }
+        .log-type-lua_to_nui  { border-left-color: #3b82f6; }
+        .log-type-nui_to_lua  { border-left-color: #22c55e; }
+        .log-type-fetch_call  { border-left-color: #eab308; }
+        .log-type-callback_response { border-left-color: #f97316; }
+        .log-type-console     { border-left-color: #a855f7; }
+        #toast-notification { transition: opacity 0.3s ease-in-out; }
+    </style>
+</head>
+<body class="bg-gray-900 text-gray-300 font-mono">
+<div class="flex h-screen">
+    <!-- Server List -->
+    <div class="w-1/4 h-screen bg-gray-800 p-4 overflow-y-auto">
+        <div class="flex items-center justify-between mb-4">
+            <h1 class="text-xl font-bold text-white">Servers</h1>
+            <button id="import-btn" class="${hasRole(req.user, 'operator') ? '' : 'hidden '}text-xs bg-gray-700 hover:bg-gray-600 text-gray-300 py-1 px-2 rounded">Import</button>
+        </div>
+        <div id="server-list" class="flex flex-col space-y-2"></div>
+        <form method="POST" action="/logout" class="mt-6 pt-4 border-t border-gray-700 text-xs text-gray-400 space-x-2">
+            <span>Signed in as <span class="text-white">${req.user.username}</span> (${req.user.role})</span>
+            <a href="/stats" class="text-cyan-400 hover:underline">Stats</a>
+            <a href="/sessions" class="text-cyan-400 hover:underline">Sessions</a>
+            <a href="/compare" class="text-cyan-400 hover:underline">Compare</a>
+            <a href="/alerts" class="text-cyan-400 hover:underline">Alerts <span id="alert-count" class="hidden bg-red-600 text-white rounded-full px-1.5"></span></a>
+            ${hasRole(req.user, 'admin') ? '<a href="/admin/users" class="text-cyan-400 hover:underline">Users</a> <a href="/admin/ingest" class="text-cyan-400 hover:underline">Ingestion</a> <a href="/admin/redaction" class="text-cyan-400 hover:underline">Redaction</a>' : ''}
+            <button type="submit" class="text-cyan-400 hover:underline">Logout</button>
+        </form>
+    </div>
+
+    <!-- Resource List -->
+    <div class="w-1/4 h-screen bg-gray-800 p-4 overflow-y-auto border-l border-gray-700">
+        <h1 class="text-xl font-bold text-white mb-4">Resources</h1>
+        <div id="resource-list" class="flex flex-col space-y-2"></div>
+    </div>
+
+    <!-- Main Content -->
+    <div class="w-1/2 h-screen flex flex-col">
+        <div id="log-header" class="p-4 bg-gray-800 border-b border-gray-700 flex items-center justify-between hidden">
+            <h2 class="text-lg font-bold text-white">
+                Logs for <span id="current-server" class="text-cyan-400"></span> / <span id="current-resource" class="text-cyan-400"></span>
+            </h2>
+            <div>
+                <span id="stream-status" class="inline-block w-2 h-2 rounded-full bg-gray-500 align-middle mr-1" title="Disconnected"></span>
+                <label class="mr-4">
+                    <input type="checkbox" id="live-updates" class="align-middle" checked> Live
+                </label>
+                <button id="capture-btn" class="hidden bg-gray-700 hover:bg-gray-600 text-gray-300 text-sm py-1 px-2 rounded mr-2"></button>
+                <a id="timeline-link" class="bg-gray-700 hover:bg-gray-600 text-gray-300 text-sm py-1 px-2 rounded mr-2" title="Every resource on this server, merged by time">Timeline</a>
+                <button id="waterfall-btn" class="bg-gray-700 hover:bg-gray-600 text-gray-300 text-sm py-1 px-2 rounded mr-2" title="Callback latency and failures">Waterfall</button>
+                <button id="schema-btn" class="bg-gray-700 hover:bg-gray-600 text-gray-300 text-sm py-1 px-2 rounded mr-2" title="Message shapes inferred from the logs">Schema</button>
+                <button id="mocks-btn" class="bg-gray-700 hover:bg-gray-600 text-gray-300 text-sm py-1 px-2 rounded mr-2" title="Canned Lua callback responses">Mocks</button>
+                <button id="replay-btn" class="hidden bg-cyan-600 hover:bg-cyan-700 text-white text-sm py-1 px-2 rounded mr-2"></button>
+                <span class="mr-2 text-sm">
+                    Export:
+                    <a data-export="har" class="bg-gray-700 hover:bg-gray-600 text-gray-300 py-1 px-2 rounded" download>HAR</a>
+                    <a data-export="csv" class="bg-gray-700 hover:bg-gray-600 text-gray-300 py-1 px-2 rounded" download>CSV</a>
+                    <a data-export="ndjson" class="bg-gray-700 hover:bg-gray-600 text-gray-300 py-1 px-2 rounded" download>NDJSON</a>
+                    <a data-export="zip" class="bg-gray-700 hover:bg-gray-600 text-gray-300 py-1 px-2 rounded" download title="Every resource on this server">ZIP</a>
+                </span>
+                <button id="clear-logs-btn" class="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded">
+                    Clear Logs
+                </button>
+            </div>
+        </div>
+        <form id="filter-bar" class="p-2 bg-gray-800 border-b border-gray-700 flex flex-wrap gap-2 text-sm">
+            <select name="scope" class="bg-gray-700 text-white rounded px-2 py-1">
+                <option value="resource">This resource</option>
+                <option value="server">All resources on server</option>
+                <option value="all">All servers</option>
+            </select>
+            <select name="type" class="bg-gray-700 text-white rounded px-2 py-1">
+                <option value="">All types</option>
+                <option value="lua_to_nui">lua_to_nui</option>
+                <option value="nui_to_lua">nui_to_lua</option>
+                <option value="fetch_call">fetch_call</option>
+                <option value="callback_response">callback_response</option>
+                <option value="console">console</option>
+            </select>
+            <select name="capture" class="bg-gray-700 text-white rounded px-2 py-1 max-w-xs" title="Only entries recorded in this capture session">
+                <option value="">All captures</option>
+            </select>
+            <input name="from" placeholder="From (-1h, ISO date)" class="bg-gray-700 text-white rounded px-2 py-1 w-40">
+            <input name="to" placeholder="To" class="bg-gray-700 text-white rounded px-2 py-1 w-32">
+            <input name="match" placeholder="Callback/URL (or /regex/)" class="bg-gray-700 text-white rounded px-2 py-1 w-48">
+            <input name="q" placeholder="Text" class="bg-gray-700 text-white rounded px-2 py-1 w-32">
+            <input name="where" placeholder="Fields: data.money.cash>1000; event.type==ON_OPEN" class="bg-gray-700 text-white rounded px-2 py-1 flex-grow">
+            <button type="submit" class="bg-cyan-600 hover:bg-cyan-700 text-white py-1 px-3 rounded">Filter</button>
+            <button type="button" id="filter-reset" class="bg-gray-600 hover:bg-gray-700 text-white py-1 px-3 rounded">Reset</button>
+        </form>
+        <div id="pinned-alerts" class="hidden p-2 bg-red-900 bg-opacity-40 border-b border-red-700 text-sm text-red-200 space-y-1 max-h-32 overflow-y-auto"></div>
+        <div id="log-container" class="flex-grow p-4 overflow-y-auto">
+            <div id="placeholder" class="text-gray-500">Select a server and resource to view logs.</div>
+        </div>
+    </div>
+</div>
+
+<script>
+    const serverList = document.getElementById('server-list');
+    const resourceList = document.getElementById('resource-list');
+    const logContainer = document.getElementById('log-container');
+    const logHeader = document.getElementById('log-header');
+    const currentServerSpan = document.getElementById('current-server');
+    const currentResourceSpan = document.getElementById('current-resource');
+    const placeholder = document.getElementById('placeholder');
+    const clearLogsBtn = document.getElementById('clear-logs-btn');
+    const liveCheckbox = document.getElementById('live-updates');
+    const streamStatus = document.getElementById('stream-status');
+    const replayBtn = document.getElementById('replay-btn');
+    const CURRENT_USER = ${toScriptJson({ username: req.user.username, role: req.user.role })};
+    const canOperate = CURRENT_USER.role !== 'viewer';
+    const mocksBtn = document.getElementById('mocks-btn');
+    const schemaBtn = document.getElementById('schema-btn');
+    const waterfallBtn = document.getElementById('waterfall-btn');
+    const timelineLink = document.getElementById('timeline-link');
+    const captureBtn = document.getElementById('capture-btn');
+    const pinnedBar = document.getElementById('pinned-alerts');
+    const alertCount = document.getElementById('alert-count');
+
+    let activeServer = null;
+    let activeResource = null;
+    let eventSource = null;
+    let streamScope = null;
+    let reconnectTimer = null;
+    let hasOlder = false;
+    let loadingOlder = false;
+    let olderQuery = null;
+    const renderedCursors = new Set();
+    const filterForm = document.getElementById('filter-bar');
+    const FILTER_FIELDS = ['type', 'capture', 'from', 'to', 'match', 'q'];
+    let jumpCursor = null; // Entry to open the resource at (?at=, e.g. from the server timeline)
+    let newerAfter = null; // Cursor of the last entry shown while newer ones are not loaded yet
+
+    const typeColors = {
+        'lua_to_nui': 'text-blue-400',
+        'nui_to_lua': 'text-green-400',
+        'fetch_call': 'text-yellow-400',
+        'callback_response': 'text-orange-400',
+        'console':    'text-purple-400',
+    };
+    const CALL_TYPES = ['nui_to_lua', 'fetch_call'];
+    const callbackStateColors = {
+        ok: 'text-green-400',
+        slow: 'text-yellow-400',
+        failed: 'text-red-400',
+        pending: 'text-gray-400',
+        unanswered: 'text-red-300',
+    };
+
+    // --- Notification and Clipboard Helpers ---
+    function showToast(message, isError = false) {
+        const existingToast = document.getElementById('toast-notification');
+        if (existingToast) existingToast.remove();
+        const toast = document.createElement('div');
+        toast.id = 'toast-notification';
+        toast.className = \`fixed top-5 right-5 text-white py-2 px-4 rounded shadow-lg z-50 \${isError ? 'bg-red-500' : 'bg-green-500'}\`;
+        toast.textContent = message;
+        document.body.appendChild(toast);
+        setTimeout(() => {
+            toast.style.opacity = '0';
+            setTimeout(() => { if(toast.parentElement) document.body.removeChild(toast); }, 300);
+        }, 2000);
+    }
+
+    function copyToClipboard(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            navigator.clipboard.writeText(text).then(() => showToast('Copied to clipboard!'), () => fallbackCopy(text));
+        } else {
+            fallbackCopy(text);
+        }
+    }
+
+    function fallbackCopy(text) {
+        const textArea = document.createElement('textarea');
+        textArea.value = text;
+        textArea.style.position = 'fixed'; textArea.style.top = '0'; textArea.style.left = '0'; textArea.style.opacity = '0';
+        document.body.appendChild(textArea);
+        textArea.focus(); textArea.select();
+        try {
+            document.execCommand('copy');
+            showToast('Copied to clipboard!');
+        } catch (err) {
+            showToast('Failed to copy.', true);
+        }
+        document.body.removeChild(textArea);
+    }
+    // --- End Helpers ---
+
+    async function fetchServers() {
+        try {
+            const response = await fetch('/logs');
+            const servers = await response.json();
+            updateList(serverList, servers, selectServer);
+        } catch (error) {
+            console.error('Failed to fetch servers:', error);
+            serverList.innerHTML = '<div class="text-red-400">Error loading servers.</div>';
+        }
+    }
+
+    async function fetchResources(server) {
+        if (!server) {
+            resourceList.innerHTML = '';
+            return;
+        }
+        try {
+            const response = await fetch(\`/logs?server=\${server}\`);
+            const resources = await response.json();
+            updateList(resourceList, resources, (resource) => selectResource(server, resource));
+        } catch (error) {
+            console.error('Failed to fetch resources:', error);
+            resourceList.innerHTML = '<div class="text-red-400">Error loading resources.</div>';
+        }
+    }
+    
+    function createListButton(item, onClickHandler) {
+        const button = document.createElement('button');
+        button.textContent = item;
+        button.dataset.name = item;
+        button.className = 'text-left p-2 rounded hover:bg-gray-700 focus:outline-none focus:bg-cyan-500 focus:text-white transition-colors';
+        button.onclick = () => onClickHandler(item);
+        return button;
+    }
+
+    function updateList(listElement, items, onClickHandler) {
+        const currentButtons = new Set(Array.from(listElement.children).map(btn => btn.dataset.name));
+        items.sort().forEach(item => {
+            if (!currentButtons.has(item)) {
+                listElement.appendChild(createListButton(item, onClickHandler));
+            }
+            currentButtons.delete(item);
+        });
+        currentButtons.forEach(itemName => {
+            const btn = listElement.querySelector(\`button[data-name="\${itemName}"]\`);
+            if(btn) btn.remove();
+        });
+    }
+
+    // Inserts a single item in sorted position, used for items announced by the live stream
+    function addListItem(listElement, item, onClickHandler) {
+        const buttons = Array.from(listElement.querySelectorAll('button'));
+        if (buttons.some(btn => btn.dataset.name === item)) return;
+        const nextButton = buttons.find(btn => btn.dataset.name > item);
+        listElement.insertBefore(createListButton(item, onClickHandler), nextButton || null);
+    }
+
+    function renderLogEntry(log) {
+        const logEntry = document.createElement('div');
+        if (log._cursor !== undefined) logEntry.dataset.cursor = log._cursor;
+        logEntry.className = 'log-entry bg-gray-800 p-3 rounded mb-2 border-l-4 ' + ('log-type-' + log.type);
+        
+        entryLogs.set(logEntry, log);
+        
+        let copyButtonHTML = '';
+        let commandData = '';
+        try {
+            if (log.type === 'lua_to_nui') {
+                commandData = \`top.citFrames['\${log._resource || activeResource}'].contentWindow.postMessage(\${JSON.stringify(log.event)}, "*");\`;
+            } else if (log.type === 'nui_to_lua' && log.callback) {
+                commandData = \`$.post("\${log.callback}", JSON.stringify(\${JSON.stringify(log.data)}));\`;
+            } else if (log.type === 'fetch_call') {
+                const options = log.options || {};
+                const body = options.body !== null && options.body !== undefined ? JSON.stringify(options.body) : 'null';
+                commandData = \`fetch("\${log.url}", { \\n  method: "\${options.method || 'GET'}", \\n  headers: \${JSON.stringify(options.headers || {})}, \\n  body: \${body} \\n});\`;
+            }
+        } catch(e) { console.error('Error generating command:', e, log); }
+        
+        if (commandData) {
+            copyButtonHTML = \`<button class="copy-btn text-xs bg-gray-700 hover:bg-gray-600 text-gray-300 py-1 px-2 rounded" onclick="copyToClipboard(this.dataset.command)" data-command="\${escapeHtml(commandData)}">Copy Cmd</button>\`;
+        }
+
+        const sourceLabel = log._server && getScope() !== 'resource'
+            ? \`<a class="text-xs text-cyan-400 hover:underline ml-2" title="Show in this resource's log" href="/view?\${escapeHtml(new URLSearchParams({ server: log._server, resource: log._resource, at: log._cursor }))}">\${escapeHtml(log._server)} / \${escapeHtml(log._resource)}</a>\`
+            : '';
+        const schemaBadge = log._schemaIssues
+            ? \`<span class="text-xs text-yellow-400 ml-2" title="\${escapeHtml(log._schemaIssues.join('\\n'))}">⚠ schema</span>\`
+            : '';
+        const captureBadge = log.capture
+            ? \`<span class="text-xs text-red-300 ml-2" title="Recorded in this capture session">● \${escapeHtml(captureNames.get(log.capture) || log.capture)}</span>\`
+            : '';
+        const responseDetails = CALL_TYPES.includes(log.type) && log._cursor !== undefined
+            ? '<details class="callback-response mt-1"><summary class="cursor-pointer text-xs text-gray-400">Response</summary><div class="text-sm mt-1">Loading...</div></details>'
+            : '';
+        const replayCheckbox = canOperate && log.type === 'lua_to_nui' && log._cursor !== undefined && getScope() === 'resource'
+            ? \`<input type="checkbox" class="replay-select align-middle mr-1" data-cursor="\${escapeHtml(log._cursor)}" title="Select for replay">\`
+            : '';
+
+        logEntry.innerHTML = \`
+            <div class="flex justify-between items-center mb-1">
+                <span>
+                    \${replayCheckbox}
+                    <span class="font-bold \${typeColors[log.type] || ''}">\${escapeHtml(log.type)}</span>
+                    \${sourceLabel}
+                    \${schemaBadge}
+                    \${captureBadge}
+                </span>
+                <div>
+                    <button class="diff-btn text-xs bg-gray-700 hover:bg-gray-600 text-gray-300 py-1 px-2 rounded" title="What changed since the previous entry of this type/callback">Diff</button>
+                    \${copyButtonHTML}
+                    <span class="text-xs text-gray-500 ml-2">\${escapeHtml(new Date(log.timestamp).toLocaleString())}</span>
+                </div>
+            </div>
+            <div class="entry-diff hidden text-sm bg-gray-900 rounded p-2 mb-1"></div>
+            \${responseDetails}
+        \`;
+        const { value, path } = entryPayload(log);
+        logEntry.insertBefore(renderJsonTree(value, path), logEntry.querySelector('.entry-diff').nextSibling);
+        logEntry.querySelector('.diff-btn').onclick = () => toggleDiff(logEntry, log);
+        applyAlertMarks(logEntry, log);
+        const details = logEntry.querySelector('.callback-response');
+        if (details) {
+            details.addEventListener('toggle', () => {
+                if (details.open && !details.dataset.loaded) loadCallbackResponse(details, log);
+            });
+        }
+        return logEntry;
+    }
+
+    function describeCallbackRecord(record) {
+        const parts = [record.state];
+        if (record.status !== null) parts.push(\`status \${record.status}\`);
+        if (record.duration !== null) parts.push(\`\${record.duration} ms\`);
+        if (record.matchedBy) parts.push(\`matched by \${record.matchedBy}\`);
+        return parts.join(' · ');
+    }
+
+    // Shows the response paired with a call, fetched the first time it is expanded
+    async function loadCallbackResponse(details, log) {
+        const body = details.querySelector('div');
+        try {
+            const params = new URLSearchParams({ server: log._server || activeServer, resource: log._resource || activeResource, cursor: log._cursor });
+            const response = await fetch('/callbacks/pair?' + params);
+            const record = await response.json();
+            if (!response.ok) {
+                body.textContent = record.error || 'Failed to load the response.';
+                return;
+            }
+            details.dataset.loaded = 'true';
+            body.innerHTML = '<div class="text-xs"></div>';
+            body.firstChild.className = 'text-xs ' + (callbackStateColors[record.state] || '');
+            body.firstChild.textContent = describeCallbackRecord(record);
+            if (record.response) {
+                const { body: responseBody, error } = record.response;
+                body.appendChild(renderJsonTree(error ? { error, body: responseBody } : responseBody, ''));
+            } else {
+                body.append(record.state === 'pending' ? 'No response yet.' : 'No response was recorded.');
+            }
+        } catch (error) {
+            console.error('Failed to load the callback response:', error);
+            body.textContent = 'Failed to load the response.';
+        }
+    }
+
+    // --- Payload Inspector ---
+    // Entries render as a collapsible JSON tree. Strings holding JSON (a fetch_call body, say) are
+    // shown as what they contain. Clicking a key copies its path (usable in the Fields filter),
+    // "copy" copies the value. Built with textContent only, so logged values never become markup.
+    const INSPECTOR_OPEN_DEPTH = 2; // Deeper objects start collapsed...
+    const INSPECTOR_OPEN_MAX_CHILDREN = 50; // ...and so do big ones
+    const entryLogs = new WeakMap(); // .log-entry element -> its log entry
+    const nodeValues = new WeakMap(); // tree node -> { value, path }
+
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    // The part of an entry worth inspecting, with the path it sits at inside the entry
+    function entryPayload(log) {
+        if (log.type === 'lua_to_nui') return { value: log.event, path: 'event' };
+        if (log.type === 'nui_to_lua') return log.data !== undefined ? { value: log.data, path: 'data' } : { value: log.callback, path: 'callback' };
+        if (log.type === 'fetch_call') return { value: { url: log.url, options: log.options }, path: '' };
+        if (log.type === 'callback_response') {
+            return { value: { callback: log.callback, requestId: log.requestId, status: log.status, duration: log.duration, body: log.body, error: log.error }, path: '' };
+        }
+        const { timestamp, type, capture, _cursor, _server, _resource, _schemaIssues, _alerts, ...rest } = log;
+        return { value: rest, path: '' };
+    }
+
+    function decodeEmbeddedJson(value) {
+        if (typeof value !== 'string') return undefined;
+        const text = value.trim();
+        if (!/^(\\{[\\s\\S]*\\}|\\[[\\s\\S]*\\])$/.test(text)) return undefined;
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            return undefined;
+        }
+    }
+
+    function decodeDeep(value) {
+        const decoded = decodeEmbeddedJson(value);
+        if (decoded !== undefined) return decodeDeep(decoded);
+        if (Array.isArray(value)) return value.map(decodeDeep);
+        if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, decodeDeep(item)]));
+        return value;
+    }
+
+    function childPath(path, key, isIndex) {
+        if (isIndex) return \`\${path}[\${key}]\`;
+        if (/^[A-Za-z_$][\\w$]*$/.test(key)) return path ? path + '.' + key : key;
+        return \`\${path}[\${JSON.stringify(key)}]\`;
+    }
+
+    function valueClass(value) {
+        if (typeof value === 'string') return 'text-green-300';
+        if (typeof value === 'number') return 'text-cyan-300';
+        return 'text-purple-300';
+    }
+
+    function renderJsonNode(key, value, path, depth, wasString = false) {
+        const decoded = decodeEmbeddedJson(value);
+        if (decoded !== undefined) return renderJsonNode(key, decoded, path, depth, true);
+
+        const isContainer = value !== null && typeof value === 'object';
+        const node = document.createElement(isContainer ? 'details' : 'div');
+        node.className = 'json-node' + (depth > 0 ? ' pl-4' : '');
+        nodeValues.set(node, { value, path });
+        const line = document.createElement(isContainer ? 'summary' : 'div');
+        line.className = 'json-line group';
+
+        if (key !== null) {
+            const keySpan = document.createElement('span');
+            keySpan.className = 'json-key text-sky-300 cursor-pointer hover:underline';
+            keySpan.title = 'Copy path ' + path;
+            keySpan.textContent = key;
+            line.append(keySpan, ': ');
+        }
+        const valueSpan = document.createElement('span');
+        if (isContainer) {
+            const size = Array.isArray(value) ? value.length : Object.keys(value).length;
+            valueSpan.className = 'text-gray-500';
+            valueSpan.textContent = Array.isArray(value) ? \`[\${size}]\` : \`{\${size}}\`;
+        } else {
+            valueSpan.className = valueClass(value);
+            valueSpan.textContent = value === undefined ? 'undefined' : JSON.stringify(value);
+        }
+        line.appendChild(valueSpan);
+        if (wasString) {
+            const badge = document.createElement('span');
+            badge.className = 'text-xs text-gray-500 ml-2';
+            badge.textContent = 'JSON string';
+            badge.title = 'Logged as a string and decoded for display';
+            line.appendChild(badge);
+        }
+        const copy = document.createElement('button');
+        copy.className = 'json-copy text-xs text-gray-500 hover:text-white ml-2 invisible group-hover:visible';
+        copy.textContent = 'copy';
+        line.appendChild(copy);
+        node.appendChild(line);
+
+        if (isContainer) {
+            const entries = Array.isArray(value) ? value.map((item, i) => [i, item]) : Object.entries(value);
+            // Children are built the first time the node is opened
+            const renderChildren = () => {
+                if (node.dataset.rendered) return;
+                node.dataset.rendered = 'true';
+                entries.forEach(([childKey, item]) => node.appendChild(renderJsonNode(String(childKey), item, childPath(path, childKey, Array.isArray(value)), depth + 1)));
+            };
+            node.open = depth < INSPECTOR_OPEN_DEPTH && entries.length <= INSPECTOR_OPEN_MAX_CHILDREN;
+            if (node.open) renderChildren();
+            else node.addEventListener('toggle', renderChildren);
+        }
+        return node;
+    }
+
+    function renderJsonTree(value, path) {
+        const tree = document.createElement('div');
+        tree.className = 'json-tree text-sm break-all';
+        tree.appendChild(renderJsonNode(null, value, path, 0));
+        return tree;
+    }
+
+    // Key clicks copy the path, "copy" copies the value (strings without their quotes)
+    function handleInspectorClick(e) {
+        const target = e.target;
+        if (!target.classList.contains('json-key') && !target.classList.contains('json-copy')) return;
+        e.preventDefault(); // Keep the surrounding <details> from toggling
+        const { value, path } = nodeValues.get(target.closest('.json-node'));
+        if (target.classList.contains('json-key')) copyToClipboard(path);
+        else copyToClipboard(typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+    }
+
+    // --- Entry Diffs ---
+    // An entry is compared with the previous one of the same kind: lua_to_nui by its type/action,
+    // calls and responses by callback URL, anything else by type.
+    function diffKey(log) {
+        if (log.type === 'lua_to_nui') {
+            const event = log.event;
+            const field = event && typeof event === 'object' ? ['type', 'action'].find(key => typeof event[key] === 'string') : null;
+            return 'lua_to_nui:' + (field ? field + '=' + event[field] : '');
+        }
+        if (log.type === 'fetch_call') return 'fetch_call:' + log.url;
+        if (log.type === 'nui_to_lua' || log.type === 'callback_response') return log.type + ':' + log.callback;
+        return log.type;
+    }
+
+    function diffValues(before, after, path, changes) {
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+        const bothObjects = before !== null && after !== null && typeof before === 'object' && typeof after === 'object'
+            && Array.isArray(before) === Array.isArray(after);
+        if (!bothObjects) {
+            changes.push({ path, kind: before === undefined ? 'added' : after === undefined ? 'removed' : 'changed', before, after });
+            return;
+        }
+        new Set([...Object.keys(before), ...Object.keys(after)])
+            .forEach(key => diffValues(before[key], after[key], childPath(path, key, Array.isArray(after)), changes));
+    }
+
+    function compareCursorText(a, b) {
+        const [segmentA, offsetA] = a.split(':');
+        const [segmentB, offsetB] = b.split(':');
+        return segmentA === segmentB ? Number(offsetA) - Number(offsetB) : (segmentA < segmentB ? -1 : 1);
+    }
+
+    function sameSource(a, b) {
+        return (a._server || activeServer) === (b._server || activeServer) && (a._resource || activeResource) === (b._resource || activeResource);
+    }
+
+    // Looks above the entry first, then asks the server for older entries of the same kind
+    async function findPreviousEntry(element, log) {
+        const key = diffKey(log);
+        for (let sibling = element.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+            const other = entryLogs.get(sibling);
+            if (other && diffKey(other) === key && sameSource(other, log)) return other;
+        }
+        if (log._cursor === undefined) return null;
+
+        const params = new URLSearchParams({
+            server: log._server || activeServer,
+            resource: log._resource || activeResource,
+            type: log.type,
+            to: log.timestamp,
+            limit: 200,
+        });
+        if (log.type === 'fetch_call') params.append('where', 'url==' + JSON.stringify(log.url));
+        else if (log.type === 'nui_to_lua' || log.type === 'callback_response') params.append('where', 'callback==' + JSON.stringify(log.callback));
+        const response = await fetch('/search?' + params);
+        if (!response.ok) return null;
+        const page = await response.json();
+        const earlier = page.entries.filter(other => diffKey(other) === key && sameSource(other, log) && compareCursorText(other._cursor, log._cursor) < 0);
+        return earlier.length ? earlier[earlier.length - 1] : null;
+    }
+
+    function renderDiff(container, previous, changes) {
+        container.innerHTML = '';
+        const heading = document.createElement('div');
+        heading.className = 'text-xs text-gray-400 mb-1';
+        container.appendChild(heading);
+        if (!previous) {
+            heading.textContent = 'No earlier entry of this kind to compare with.';
+            return;
+        }
+        const since = 'the previous one at ' + new Date(previous.timestamp).toLocaleString();
+        heading.textContent = changes.length ? \`\${changes.length} change\${changes.length === 1 ? '' : 's'} since \${since}\` : \`Identical to \${since}\`;
+        const colors = { added: 'text-green-400', removed: 'text-red-400', changed: 'text-yellow-400' };
+        const signs = { added: '+', removed: '-', changed: '~' };
+        const format = value => value === undefined ? '' : JSON.stringify(value);
+        changes.forEach(change => {
+            const row = document.createElement('div');
+            row.className = 'break-all';
+            const label = document.createElement('span');
+            label.className = colors[change.kind];
+            label.textContent = \`\${signs[change.kind]} \${change.path || '(value)'}: \`;
+            const values = document.createElement('span');
+            values.textContent = change.kind === 'changed' ? \`\${format(change.before)} → \${format(change.after)}\` : format(change.kind === 'added' ? change.after : change.before);
+            row.append(label, values);
+            container.appendChild(row);
+        });
+    }
+
+    async function toggleDiff(element, log) {
+        const container = element.querySelector('.entry-diff');
+        if (!container.classList.contains('hidden')) {
+            container.classList.add('hidden');
+            return;
+        }
+        container.classList.remove('hidden');
+        container.textContent = 'Looking for the previous entry...';
+        try {
+            const previous = await findPreviousEntry(element, log);
+            const changes = [];
+            if (previous) {
+                const before = entryPayload(previous);
+                const after = entryPayload(log);
+                diffValues(decodeDeep(before.value), decodeDeep(after.value), after.path, changes);
+            }
+            renderDiff(container, previous, changes);
+        } catch (error) {
+            console.error('Failed to diff entries:', error);
+            container.textContent = 'Failed to load the previous entry.';
+        }
+    }
+
+    // Entries can arrive both from a page request and the live stream, so track what is on screen
+    function isNewEntry(log) {
+        if (log._cursor === undefined) return true;
+        const key = (log._server || activeServer) + '/' + (log._resource || activeResource) + '/' + log._cursor;
+        if (renderedCursors.has(key)) return false;
+        renderedCursors.add(key);
+        return true;
+    }
+
+    // --- Alerts ---
+    // Entries that set off an alert rule are outlined and badged: live ones carry the marks, the
+    // rest are looked up in the alert history. Unacknowledged alerts of rules with the "pin"
+    // action stay in the bar above the logs until acknowledged.
+    const alertedEntries = new Map(); // "server/resource/cursor" -> rule names
+    let pinnedAlerts = [];
+    let unacknowledgedAlerts = 0;
+
+    function markAlerted(server, resource, cursor, name) {
+        const key = server + '/' + resource + '/' + cursor;
+        const names = alertedEntries.get(key) || [];
+        if (!names.includes(name)) names.push(name);
+        alertedEntries.set(key, names);
+    }
+
+    function applyAlertMarks(element, log) {
+        const key = (log._server || activeServer) + '/' + (log._resource || activeResource) + '/' + log._cursor;
+        const names = [...new Set([...(log._alerts || []).map(mark => mark.name), ...(alertedEntries.get(key) || [])])];
+        if (!names.length) return;
+        element.classList.add('ring-1', 'ring-red-500');
+        let badge = element.querySelector('.alert-badge');
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'alert-badge text-xs text-red-400 ml-2';
+            element.querySelector('span').appendChild(badge);
+        }
+        badge.textContent = '🚨 ' + names.join(', ');
+    }
+
+    function updateAlertCount() {
+        alertCount.textContent = unacknowledgedAlerts ? String(unacknowledgedAlerts) : '';
+        alertCount.classList.toggle('hidden', !unacknowledgedAlerts);
+    }
+
+    function renderPinnedAlerts() {
+        const visible = pinnedAlerts.filter(alert => isInView(alert.server, alert.resource));
+        pinnedBar.classList.toggle('hidden', !visible.length);
+        pinnedBar.innerHTML = '';
+        visible.forEach(alert => {
+            const row = document.createElement('div');
+            row.className = 'flex items-center gap-2';
+            const link = document.createElement('a');
+            link.className = 'flex-grow truncate hover:underline';
+            link.href = '/view?' + new URLSearchParams({ server: alert.server, resource: alert.resource, at: alert.cursor });
+            link.textContent = \`📌 \${alert.name} · \${alert.server} / \${alert.resource} · \${new Date(alert.firedAt).toLocaleTimeString()} · \${alert.summary}\`;
+            row.appendChild(link);
+            if (canOperate) {
+                const ack = document.createElement('button');
+                ack.className = 'text-xs bg-gray-700 hover:bg-gray-600 text-gray-300 py-0.5 px-2 rounded';
+                ack.textContent = 'Acknowledge';
+                ack.onclick = () => acknowledgeAlerts([alert.id]);
+                row.appendChild(ack);
+            }
+            pinnedBar.appendChild(row);
+        });
+    }
+
+    async function acknowledgeAlerts(ids) {
+        try {
+            const response = await fetch('/alerts/history/ack', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ids }),
+            });
+            if (!response.ok) throw new Error((await response.json()).error);
+        } catch (error) {
+            showToast(error.message || 'Failed to acknowledge the alert.', true);
+        }
+    }
+
+    async function loadAlerts() {
+        const params = new URLSearchParams({ limit: 1000 });
+        if (getScope() !== 'all' && activeServer) params.set('server', activeServer);
+        try {
+            const response = await fetch('/alerts/history?' + params);
+            if (!response.ok) return;
+            const { alerts, unacknowledged } = await response.json();
+            alerts.forEach(alert => markAlerted(alert.server, alert.resource, alert.cursor, alert.name));
+            pinnedAlerts = alerts.filter(alert => alert.actions.pin && !alert.acknowledgedAt);
+            unacknowledgedAlerts = unacknowledged;
+            updateAlertCount();
+            renderPinnedAlerts();
+            logContainer.querySelectorAll('.log-entry').forEach(element => {
+                const log = entryLogs.get(element);
+                if (log) applyAlertMarks(element, log);
+            });
+        } catch (error) {
+            console.error('Failed to load alerts:', error);
+        }
+    }
+
+    function handleAlertEvent(alert) {
+        markAlerted(alert.server, alert.resource, alert.cursor, alert.name);
+        unacknowledgedAlerts++;
+        updateAlertCount();
+        if (alert.actions.pin) {
+            pinnedAlerts.unshift(alert);
+            renderPinnedAlerts();
+        }
+        if (alert.actions.notify && 'Notification' in window && Notification.permission === 'granted') {
+            new Notification('🚨 ' + alert.name, { body: \`\${alert.server} / \${alert.resource}: \${alert.summary}\`, tag: alert.id });
+        }
+        const element = logContainer.querySelector(\`.log-entry[data-cursor="\${alert.cursor}"]\`);
+        const log = element && entryLogs.get(element);
+        if (log && (log._server || activeServer) === alert.server && (log._resource || activeResource) === alert.resource) applyAlertMarks(element, log);
+    }
+
+    function handleAlertAck({ ids }) {
+        pinnedAlerts = pinnedAlerts.filter(alert => !ids.includes(alert.id));
+        unacknowledgedAlerts = Math.max(0, unacknowledgedAlerts - ids.length);
+        updateAlertCount();
+        renderPinnedAlerts();
+    }
+
+    // --- Capture Sessions ---
+    let serverCaptures = []; // Captures of the active server, newest first
+    const captureNames = new Map(); // capture id -> name, for the entry badges
+
+    function recordingCapture() {
+        return serverCaptures.find(capture => capture.recording) || null;
+    }
+
+    async function loadCaptures() {
+        const server = activeServer;
+        try {
+            const response = await fetch('/captures?' + new URLSearchParams(server ? { server } : {}));
+            if (!response.ok) return;
+            const captures = await response.json();
+            if (server !== activeServer) return;
+            serverCaptures = captures;
+            captures.forEach(capture => captureNames.set(capture.id, capture.name));
+            renderCaptureFilter();
+            updateCaptureButton();
+        } catch (error) {
+            console.error('Failed to load captures:', error);
+        }
+    }
+
+    // Keeps the selected capture even when it is not in the list (e.g. deleted, or not loaded yet)
+    function renderCaptureFilter(selected = filterForm.elements.capture.value) {
+        const select = filterForm.elements.capture;
+        select.innerHTML = '<option value="">All captures</option>';
+        const options = serverCaptures.map(capture => [capture.id, (capture.recording ? '● ' : '') + capture.name]);
+        if (selected && !options.some(([id]) => id === selected)) options.push([selected, captureNames.get(selected) || selected]);
+        options.forEach(([id, label]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = selected;
+    }
+
+    function updateCaptureButton() {
+        const capture = recordingCapture();
+        captureBtn.classList.toggle('hidden', !activeServer);
+        captureBtn.classList.toggle('bg-red-600', !!capture);
+        captureBtn.classList.toggle('hover:bg-red-700', !!capture);
+        captureBtn.classList.toggle('text-white', !!capture);
+        captureBtn.classList.toggle('bg-gray-700', !capture);
+        captureBtn.classList.toggle('hover:bg-gray-600', !capture);
+        captureBtn.textContent = capture ? '■ Stop "' + capture.name + '"' : '● Record';
+        captureBtn.title = capture
+            ? \`Recording on \${capture.server} since \${new Date(capture.startedAt).toLocaleTimeString()}\${capture.autoStopAt ? ', stops at ' + new Date(capture.autoStopAt).toLocaleTimeString() : ''}\`
+            : 'Start a named capture session on this server';
+        captureBtn.disabled = !canOperate;
+    }
+
+    async function stopRecording(capture) {
+        try {
+            const response = await fetch(\`/captures/\${capture.id}/stop\`, { method: 'POST' });
+            if (!response.ok) throw new Error((await response.json()).error);
+            showToast(\`Stopped "\${capture.name}"\`);
+            loadCaptures();
+        } catch (error) {
+            showToast(error.message || 'Failed to stop the capture.', true);
+        }
+    }
+
+    function openCaptureDialog() {
+        const running = recordingCapture();
+        if (running) return stopRecording(running);
+        const existingModal = document.getElementById('capture-modal');
+        if (existingModal) existingModal.remove();
+        const inputClass = 'w-full mt-1 px-2 py-1 bg-gray-700 text-white rounded border border-gray-600';
+
+        const modal = document.createElement('div');
+        modal.id = 'capture-modal';
+        modal.className = 'fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center z-50';
+        modal.innerHTML = \`
+            <form class="bg-gray-800 p-6 rounded shadow-lg w-96 space-y-3 text-sm">
+                <h2 class="text-white text-lg font-bold">Record on <span class="text-cyan-400"></span></h2>
+                <p class="text-gray-400">Everything this server logs is tagged with the capture until it stops.</p>
+                <label class="block">Name
+                    <input name="name" required maxlength="100" class="\${inputClass}">
+                </label>
+                <label class="block">Stop after minutes
+                    <input name="autoStopMinutes" type="number" min="1" placeholder="Optional" class="\${inputClass}">
+                </label>
+                <label class="block">Stop after entries
+                    <input name="autoStopEntries" type="number" min="1" placeholder="Optional" class="\${inputClass}">
+                </label>
+                <div class="flex justify-end space-x-2 pt-2">
+                    <button type="button" id="capture-cancel" class="bg-gray-600 hover:bg-gray-700 text-white py-2 px-4 rounded">Cancel</button>
+                    <button type="submit" class="bg-red-600 hover:bg-red-700 text-white py-2 px-4 rounded">Start recording</button>
+                </div>
+            </form>
+        \`;
+        document.body.appendChild(modal);
+        modal.querySelector('h2 span').textContent = activeServer;
+        const form = modal.querySelector('form');
+        form.elements.name.value = 'Capture ' + new Date().toLocaleString();
+        form.elements.name.select();
+        document.getElementById('capture-cancel').onclick = () => modal.remove();
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            try {
+                const response = await fetch('/captures', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        server: activeServer,
+                        name: form.elements.name.value,
+                        autoStopMinutes: form.elements.autoStopMinutes.value,
+                        autoStopEntries: form.elements.autoStopEntries.value,
+                    }),
+                });
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error);
+                modal.remove();
+                showToast(\`Recording "\${result.name}"\`);
+                loadCaptures();
+            } catch (error) {
+                showToast(error.message || 'Failed to start recording.', true);
+            }
+        };
+    }
+
+    // --- Filters ---
+    function getScope() {
+        return filterForm.elements.scope.value;
+    }
+
+    function filterParams() {
+        const params = new URLSearchParams();
+        FILTER_FIELDS.forEach(name => {
+            const value = filterForm.elements[name].value.trim();
+            if (value) params.set(name, value);
+        });
+        filterForm.elements.where.value.split(';')
+            .map(predicate => predicate.trim()).filter(Boolean)
+            .forEach(predicate => params.append('where', predicate));
+        return params;
+    }
+
+    function isSearchActive() {
+        return getScope() !== 'resource' || filterParams().toString() !== '';
+    }
+
+    // Filter parameters plus the server/resource the current scope is limited to
+    function scopeParams() {
+        const params = isSearchActive() ? filterParams() : new URLSearchParams();
+        if (getScope() !== 'all' && activeServer) params.set('server', activeServer);
+        if (getScope() === 'resource' && activeResource) params.set('resource', activeResource);
+        return params;
+    }
+
+    function isInView(server, resource) {
+        if (getScope() === 'all') return true;
+        if (server !== activeServer) return false;
+        return getScope() === 'server' || resource === activeResource;
+    }
+
+    function currentViewUrl() {
+        if (getScope() === 'resource' && !activeResource) return null;
+        if (getScope() === 'server' && !activeServer) return null;
+        return (isSearchActive() ? '/search?' : '/logs?') + scopeParams();
+    }
+
+    // Keeps the selection and filters in the address bar so views can be bookmarked and shared
+    function syncUrl() {
+        const params = filterParams();
+        if (getScope() !== 'resource') params.set('scope', getScope());
+        if (activeServer) params.set('server', activeServer);
+        if (activeResource) params.set('resource', activeResource);
+        const query = params.toString();
+        history.replaceState(null, '', '/view' + (query ? '?' + query : ''));
+    }
+
+    function restoreFromUrl() {
+        const params = new URLSearchParams(location.search);
+        renderCaptureFilter(params.get('capture') || '');
+        FILTER_FIELDS.forEach(name => { filterForm.elements[name].value = params.get(name) || ''; });
+        filterForm.elements.where.value = params.getAll('where').join('; ');
+        filterForm.elements.scope.value = params.get('scope') || 'resource';
+        jumpCursor = params.get('at');
+        return { server: params.get('server'), resource: params.get('resource') };
+    }
+
+    function updateHeader() {
+        const scope = getScope();
+        const showHeader = scope === 'all' || (scope === 'server' && activeServer) || activeResource;
+        logHeader.classList.toggle('hidden', !showHeader);
+        currentServerSpan.textContent = scope === 'all' ? '*' : activeServer;
+        currentResourceSpan.textContent = scope === 'resource' ? activeResource : '*';
+        clearLogsBtn.classList.toggle('hidden', scope !== 'resource' || !canOperate);
+        mocksBtn.classList.toggle('hidden', scope !== 'resource');
+        schemaBtn.classList.toggle('hidden', scope !== 'resource');
+        waterfallBtn.classList.toggle('hidden', scope !== 'resource');
+        timelineLink.classList.toggle('hidden', !activeServer);
+        if (activeServer) timelineLink.href = '/timeline?' + new URLSearchParams({ server: activeServer });
+        updateCaptureButton();
+        updateExportLinks();
+        updateReplayButton();
+    }
+
+    // Exports use the same scope and filters as the current view
+    function updateExportLinks() {
+        document.querySelectorAll('[data-export]').forEach(link => {
+            const format = link.dataset.export;
+            if (format === 'zip') {
+                const params = filterParams();
+                if (activeServer) params.set('server', activeServer);
+                link.href = '/export/bundle?' + params;
+                link.classList.toggle('hidden', !activeServer || getScope() === 'all');
+            } else {
+                const params = scopeParams();
+                params.set('format', format);
+                link.href = '/export?' + params;
+            }
+        });
+    }
+
+    function refreshView() {
+        syncUrl();
+        updateHeader();
+        connectStream();
+        loadAlerts();
+        if (currentViewUrl()) {
+            fetchLogs();
+        } else {
+            logContainer.innerHTML = '<div class="text-gray-500">' + (activeServer ? 'Select a resource to view logs.' : 'Select a server and resource to view logs.') + '</div>';
+        }
+    }
+
+    async function fetchLogs() {
+        const url = currentViewUrl();
+        if (!url) return;
+        // A jump shows the page starting at that entry; older and newer ones are loaded on request
+        const jump = isSearchActive() ? null : jumpCursor;
+        jumpCursor = null;
+        try {
+            const response = await fetch(jump ? url + '&at=' + encodeURIComponent(jump) : url);
+            const page = await response.json();
+            if (url !== currentViewUrl()) return; // Selection changed meanwhile
+            logContainer.innerHTML = '';
+            renderedCursors.clear();
+            newerAfter = null;
+
+            if (!response.ok) {
+                const errorNotice = document.createElement('div');
+                errorNotice.className = 'text-red-400';
+                errorNotice.textContent = page.error || 'Error loading logs.';
+                logContainer.appendChild(errorNotice);
+                return;
+            }
+
+            setOlderQuery(page);
+            if (jump) hasOlder = true; // Only the entries from the jump onwards were loaded
+            if (page.entries.length === 0) {
+                logContainer.innerHTML = '<div id="empty-logs" class="text-gray-500">' + (isSearchActive() ? 'No matching logs.' : 'No logs for this resource.') + '</div>';
+                return;
+            }
+            
+            page.entries.filter(isNewEntry).forEach(log => logContainer.appendChild(renderLogEntry(log)));
+            updateLoadOlder();
+            const target = jump && logContainer.querySelector(\`.log-entry[data-cursor="\${jump}"]\`);
+            if (target) {
+                newerAfter = page.hasMore ? page.after : null;
+                updateLoadNewer();
+                target.classList.add('ring-2', 'ring-cyan-400');
+                target.scrollIntoView({ block: 'center' });
+            } else {
+                logContainer.scrollTop = logContainer.scrollHeight;
+            }
+        } catch (error) {
+            console.error('Failed to fetch logs:', error);
+            logContainer.innerHTML = '<div class="text-red-400">Error loading logs.</div>';
+        }
+    }
+
+    // Resource pages continue from a byte cursor, search results from the oldest timestamp shown
+    function setOlderQuery(page) {
+        hasOlder = page.hasMore;
+        if (page.nextTo) {
+            olderQuery = 'to=' + encodeURIComponent(page.nextTo);
+        } else if (page.before !== null && page.before !== undefined) {
+            olderQuery = 'before=' + encodeURIComponent(page.before);
+        }
+    }
+
+    function updateLoadOlder() {
+        let loader = document.getElementById('load-older');
+        if (!hasOlder) {
+            if (loader) loader.remove();
+            return;
+        }
+        if (!loader) {
+            loader = document.createElement('button');
+            loader.id = 'load-older';
+            loader.className = 'w-full text-center text-sm text-gray-400 hover:text-white py-2 mb-2';
+            loader.onclick = loadOlderLogs;
+            logContainer.prepend(loader);
+        }
+        loader.textContent = loadingOlder ? 'Loading...' : 'Load older';
+    }
+
+    async function loadOlderLogs() {
+        if (!hasOlder || loadingOlder) return;
+        const url = currentViewUrl();
+        loadingOlder = true;
+        updateLoadOlder();
+        try {
+            const response = await fetch(url + '&' + olderQuery);
+            const page = await response.json();
+            if (url !== currentViewUrl() || !response.ok) return;
+
+            // Insert above the current first entry and keep what the user was looking at in place
+            const previousHeight = logContainer.scrollHeight;
+            const anchor = document.getElementById('load-older').nextSibling;
+            page.entries.filter(isNewEntry).forEach(log => logContainer.insertBefore(renderLogEntry(log), anchor));
+            logContainer.scrollTop += logContainer.scrollHeight - previousHeight;
+            setOlderQuery(page);
+        } catch (error) {
+            console.error('Failed to load older logs:', error);
+            showToast('Failed to load older logs.', true);
+        } finally {
+            loadingOlder = false;
+            updateLoadOlder();
+        }
+    }
+
+    function updateLoadNewer() {
+        let loader = document.getElementById('load-newer');
+        if (!newerAfter) {
+            if (loader) loader.remove();
+            return;
+        }
+        if (!loader) {
+            loader = document.createElement('button');
+            loader.id = 'load-newer';
+            loader.className = 'w-full text-center text-sm text-gray-400 hover:text-white py-2';
+            loader.textContent = 'Load newer';
+            loader.onclick = loadNewerLogs;
+        }
+        logContainer.appendChild(loader);
+    }
+
+    async function loadNewerLogs() {
+        const url = currentViewUrl();
+        if (!newerAfter || !url) return;
+        try {
+            const response = await fetch(url + '&after=' + encodeURIComponent(newerAfter));
+            const page = await response.json();
+            if (url !== currentViewUrl() || !response.ok) return;
+            const loader = document.getElementById('load-newer');
+            page.entries.filter(isNewEntry).forEach(log => logContainer.insertBefore(renderLogEntry(log), loader));
+            // Once caught up, the live stream takes over again
+            newerAfter = page.hasMore ? page.after : null;
+            updateLoadNewer();
+        } catch (error) {
+            console.error('Failed to load newer logs:', error);
+            showToast('Failed to load newer logs.', true);
+        }
+    }
+
+    async function selectServer(server) {
+        // Capture ids belong to one server
+        if (activeServer && activeServer !== server) filterForm.elements.capture.value = '';
+        activeServer = server;
+        activeResource = null; // Clear resource
+        serverCaptures = [];
+        
+        // Highlight server
+        document.querySelectorAll('#server-list button').forEach(btn => {
+            btn.classList.toggle('bg-cyan-500', btn.dataset.name === server);
+            btn.classList.toggle('text-white', btn.dataset.name === server);
+        });
+
+        refreshView();
+        loadCaptures();
+        await fetchResources(server); // Fetch resources for this server
+    }
+
+    function selectResource(server, resource) {
+        activeServer = server;
+        activeResource = resource;
+        
+        // Highlight resource
+        document.querySelectorAll('#resource-list button').forEach(btn => {
+            btn.classList.toggle('bg-cyan-500', btn.dataset.name === resource);
+            btn.classList.toggle('text-white', btn.dataset.name === resource);
+        });
+
+        refreshView();
+    }
+    
+    async function clearLogs() {
+        if (!activeServer || !activeResource) return;
+        
+        const existingModal = document.getElementById('confirm-modal');
+        if (existingModal) existingModal.remove();
+
+        const customConfirm = document.createElement('div');
+        customConfirm.id = 'confirm-modal';
+        customConfirm.className = 'fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center z-50';
+        customConfirm.innerHTML = \`
+            <div class="bg-gray-800 p-6 rounded shadow-lg">
+                <p class="text-white mb-2">Are you sure you want to clear all logs for <strong class="text-cyan-400">\${activeServer} / \${activeResource}</strong>?</p>
+                <p class="text-sm text-gray-400 mb-4">Archiving keeps a compressed copy in the server's archive folder.</p>
+                <div class="flex justify-end space-x-2">
+                    <button id="confirm-cancel" class="bg-gray-600 hover:bg-gray-700 text-white py-2 px-4 rounded">Cancel</button>
+                    <button id="confirm-archive" class="bg-cyan-600 hover:bg-cyan-700 text-white py-2 px-4 rounded">Archive</button>
+                    <button id="confirm-ok" class="bg-red-600 hover:bg-red-700 text-white py-2 px-4 rounded">Clear</button>
+                </div>
+            </div>
+        \`;
+        document.body.appendChild(customConfirm);
+
+        document.getElementById('confirm-cancel').onclick = () => {
+            document.body.removeChild(customConfirm);
+        };
+        const submitClear = async (archive) => {
+            document.body.removeChild(customConfirm);
+            try {
+                await fetch('/clear', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ server: activeServer, resource: activeResource, archive })
+                });
+                fetchLogs(); // Refresh logs
+                showToast(\`Logs \${archive ? 'archived' : 'cleared'} for \${activeServer} / \${activeResource}\`);
+            } catch(error) {
+                console.error("Failed to clear logs:", error);
+                showToast("Failed to clear logs.", true);
+            }
+        };
+        document.getElementById('confirm-ok').onclick = () => submitClear(false);
+        document.getElementById('confirm-archive').onclick = () => submitClear(true);
+    }
+
+    function openImportDialog() {
+        const existingModal = document.getElementById('import-modal');
+        if (existingModal) existingModal.remove();
+
+        const servers = Array.from(serverList.querySelectorAll('button')).map(btn => btn.dataset.name);
+        const serverOptions = servers.map(server => \`<option value="\${server}" \${server === activeServer ? 'selected' : ''}>\${server}</option>\`).join('');
+        const inputClass = 'w-full mt-1 px-2 py-1 bg-gray-700 text-white rounded border border-gray-600';
+
+        const modal = document.createElement('div');
+        modal.id = 'import-modal';
+        modal.className = 'fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center z-50';
+        modal.innerHTML = \`
+            <form class="bg-gray-800 p-6 rounded shadow-lg w-96 space-y-3 text-sm">
+                <h2 class="text-white text-lg font-bold">Import capture</h2>
+                <p class="text-gray-400">Accepts .jsonl (optionally gzipped) and .har files.</p>
+                <input type="file" name="file" accept=".jsonl,.json,.gz,.har" class="block w-full" required>
+                <label class="block">Server
+                    <select name="server" class="\${inputClass}">
+                        \${serverOptions}
+                        <option value="__new" \${servers.length ? '' : 'selected'}>New server...</option>
+                    </select>
+                </label>
+                <input name="newServer" placeholder="New server name" class="\${inputClass} \${servers.length ? 'hidden' : ''}">
+                <label class="block">Resource
+                    <input name="resource" placeholder="Detected from callback/fetch URLs" class="\${inputClass}">
+                </label>
+                <label class="block"><input type="checkbox" name="forceResource" class="align-middle"> Use this resource for every entry</label>
+                <div class="flex justify-end space-x-2 pt-2">
+                    <button type="button" id="import-cancel" class="bg-gray-600 hover:bg-gray-700 text-white py-2 px-4 rounded">Cancel</button>
+                    <button type="submit" class="bg-cyan-600 hover:bg-cyan-700 text-white py-2 px-4 rounded">Import</button>
+                </div>
+            </form>
+        \`;
+        document.body.appendChild(modal);
+
+        const form = modal.querySelector('form');
+        form.elements.server.onchange = () => {
+            form.elements.newServer.classList.toggle('hidden', form.elements.server.value !== '__new');
+        };
+        document.getElementById('import-cancel').onclick = () => modal.remove();
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            const isNewServer = form.elements.server.value === '__new';
+            const server = isNewServer ? form.elements.newServer.value.trim() : form.elements.server.value;
+            if (!server) return showToast('Pick a server or enter a new name.', true);
+
+            const params = new URLSearchParams({ server });
+            if (isNewServer) params.set('create', 'true');
+            const resource = form.elements.resource.value.trim();
+            if (resource) params.set(form.elements.forceResource.checked ? 'resource' : 'defaultResource', resource);
+
+            try {
+                const response = await fetch('/import?' + params, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/octet-stream' },
+                    body: form.elements.file.files[0]
+                });
+                const result = await response.json();
+                if (!response.ok) return showToast(result.error || 'Import failed.', true);
+
+                modal.remove();
+                if (result.errors.length) console.warn('Rejected import entries:', result.errors);
+                showToast(\`Imported \${result.imported} entries into \${result.server} (\${result.rejected} rejected)\`, result.imported === 0);
+                await fetchServers();
+                if (result.server === activeServer) {
+                    fetchResources(activeServer);
+                    fetchLogs();
+                }
+            } catch (error) {
+                console.error('Failed to import logs:', error);
+                showToast('Failed to import logs.', true);
+            }
+        };
+    }
+
+    // --- Replay ---
+    function updateReplayButton() {
+        const selected = logContainer.querySelectorAll('.replay-select:checked').length;
+        replayBtn.classList.toggle('hidden', selected === 0);
+        replayBtn.textContent = \`Replay \${selected} selected\`;
+    }
+
+    // Replays every lua_to_nui event from the first to the last selected entry
+    function openReplay() {
+        const selected = Array.from(logContainer.querySelectorAll('.replay-select:checked'));
+        if (!selected.length) return;
+        const params = new URLSearchParams({
+            server: activeServer,
+            resource: activeResource,
+            from: selected[0].dataset.cursor,
+            to: selected[selected.length - 1].dataset.cursor,
+        });
+        window.open('/replay?' + params, '_blank');
+    }
+
+    // --- Mock Lua Backend ---
+    function mockQuery(extra = {}) {
+        return new URLSearchParams({ server: activeServer, resource: activeResource, ...extra });
+    }
+
+    function createMockForm(callback, mock) {
+        const inputClass = 'px-2 py-1 bg-gray-700 text-white rounded border border-gray-600';
+        const form = document.createElement('form');
+        form.className = 'bg-gray-900 p-3 rounded space-y-2';
+        form.innerHTML = \`
+            <div class="flex items-center gap-2">
+                <input name="callback" placeholder="Callback, e.g. getInventory" class="\${inputClass} flex-grow" required>
+                <label>Status <input name="status" type="number" min="100" max="599" class="\${inputClass} w-20"></label>
+                <label>Latency <input name="latencyMs" type="number" min="0" class="\${inputClass} w-24"> ms</label>
+                <span class="mock-source text-xs text-gray-500"></span>
+            </div>
+            <textarea name="response" rows="4" class="\${inputClass} w-full" placeholder="JSON response"></textarea>
+            <div class="flex justify-end space-x-2">
+                <button type="button" class="mock-delete bg-red-600 hover:bg-red-700 text-white py-1 px-3 rounded">Delete</button>
+                <button type="submit" class="bg-cyan-600 hover:bg-cyan-700 text-white py-1 px-3 rounded">Save</button>
+            </div>
+        \`;
+        const fields = form.elements;
+        fields.callback.value = callback || '';
+        fields.callback.readOnly = Boolean(callback);
+        fields.status.value = mock ? mock.status : 200;
+        fields.latencyMs.value = mock ? mock.latencyMs : 0;
+        fields.response.value = JSON.stringify(mock ? mock.response : {}, null, 2);
+        form.querySelector('.mock-source').textContent = mock ? mock.source : 'new';
+
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            let response;
+            try {
+                response = JSON.parse(fields.response.value);
+            } catch (error) {
+                return showToast('Response is not valid JSON.', true);
+            }
+            const result = await fetch('/mocks', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    server: activeServer,
+                    resource: activeResource,
+                    callback: fields.callback.value.trim(),
+                    status: fields.status.value,
+                    latencyMs: fields.latencyMs.value,
+                    response,
+                })
+            }).then(res => res.json());
+            if (result.error) return showToast(result.error, true);
+            fields.callback.value = result.callback;
+            fields.callback.readOnly = true;
+            form.querySelector('.mock-source').textContent = result.mock.source;
+            showToast(\`Saved mock for \${result.callback}\`);
+        };
+        form.querySelector('.mock-delete').onclick = async () => {
+            if (fields.callback.readOnly) {
+                const response = await fetch('/mocks?' + mockQuery({ callback: fields.callback.value }), { method: 'DELETE' });
+                if (!response.ok) return showToast('Failed to delete mock.', true);
+            }
+            form.remove();
+        };
+        return form;
+    }
+
+    function renderMocks(list, mocks) {
+        list.innerHTML = '';
+        const callbacks = Object.keys(mocks).sort();
+        if (!callbacks.length) list.innerHTML = '<div class="text-gray-500">No mocks yet. Seed them from the logs or add one.</div>';
+        callbacks.forEach(callback => list.appendChild(createMockForm(callback, mocks[callback])));
+    }
+
+    async function openMocksDialog() {
+        if (!activeServer || !activeResource) return;
+        const existingModal = document.getElementById('mocks-modal');
+        if (existingModal) existingModal.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'mocks-modal';
+        modal.className = 'fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center z-50';
+        modal.innerHTML = \`
+            <div class="bg-gray-800 p-6 rounded shadow-lg w-2/3 max-h-screen overflow-y-auto space-y-3 text-sm">
+                <div class="flex items-center justify-between">
+                    <h2 class="text-white text-lg font-bold">Mock callbacks for <span class="text-cyan-400">\${activeServer} / \${activeResource}</span></h2>
+                    <button id="mocks-close" class="bg-gray-600 hover:bg-gray-700 text-white py-1 px-3 rounded">Close</button>
+                </div>
+                <p class="text-gray-400">Load this before the page's own scripts to answer its https://\${activeResource}/... calls from here (click to copy):</p>
+                <code id="mocks-shim" class="block bg-gray-900 p-2 rounded break-all cursor-pointer"></code>
+                <p class="text-gray-400">Responses can use {{body.path}}, {{callback}}, {{resource}}, {{server}} and {{now}}. Every answered call is logged as nui_to_lua.</p>
+                <div class="space-x-2">
+                    <button id="mocks-add" class="bg-gray-700 hover:bg-gray-600 text-gray-300 py-1 px-2 rounded">Add callback</button>
+                    <button id="mocks-seed" class="bg-gray-700 hover:bg-gray-600 text-gray-300 py-1 px-2 rounded">Seed from logs</button>
+                </div>
+                <div id="mocks-list" class="space-y-3"></div>
+            </div>
+        \`;
+        document.body.appendChild(modal);
+
+        const list = document.getElementById('mocks-list');
+        const shim = document.getElementById('mocks-shim');
+        shim.textContent = \`<script src="\${location.origin}/mock/\${activeServer}/shim.js?resource=\${activeResource}"><\\/script>\`;
+        shim.onclick = () => copyToClipboard(shim.textContent);
+        document.getElementById('mocks-close').onclick = () => modal.remove();
+        document.getElementById('mocks-add').onclick = () => {
+            if (!list.querySelector('form')) list.innerHTML = '';
+            list.prepend(createMockForm(null, null));
+        };
+        document.getElementById('mocks-seed').onclick = async () => {
+            try {
+                const response = await fetch('/mocks/seed', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ server: activeServer, resource: activeResource })
+                });
+                const result = await response.json();
+                if (!response.ok) return showToast(result.error || 'Seeding failed.', true);
+                renderMocks(list, result.mocks);
+                showToast(\`Added \${result.added.length} callbacks from the logs\`);
+            } catch (error) {
+                console.error('Failed to seed mocks:', error);
+                showToast('Failed to seed mocks.', true);
+            }
+        };
+
+        try {
+            const { mocks } = await fetch('/mocks?' + mockQuery()).then(res => res.json());
+            renderMocks(list, mocks);
+        } catch (error) {
+            console.error('Failed to load mocks:', error);
+            showToast('Failed to load mocks.', true);
+        }
+    }
+
+    // --- Schema ---
+    async function openSchemaDialog(refresh = false) {
+        if (!activeServer || !activeResource) return;
+        const existingModal = document.getElementById('schema-modal');
+        if (existingModal) existingModal.remove();
+
+        const params = new URLSearchParams({ server: activeServer, resource: activeResource });
+        const modal = document.createElement('div');
+        modal.id = 'schema-modal';
+        modal.className = 'fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center z-50';
+        modal.innerHTML = \`
+            <div class="bg-gray-800 p-6 rounded shadow-lg w-2/3 max-h-screen overflow-y-auto space-y-3 text-sm">
+                <div class="flex items-center justify-between">
+                    <h2 class="text-white text-lg font-bold">Message schemas for <span class="text-cyan-400">\${activeServer} / \${activeResource}</span></h2>
+                    <div class="space-x-2">
+                        <a href="/schema?\${params}&format=dts" class="bg-cyan-600 hover:bg-cyan-700 text-white py-1 px-3 rounded" download>Download .d.ts</a>
+                        <button id="schema-refresh" class="bg-gray-700 hover:bg-gray-600 text-gray-300 py-1 px-3 rounded">Rebuild</button>
+                        <button id="schema-close" class="bg-gray-600 hover:bg-gray-700 text-white py-1 px-3 rounded">Close</button>
+                    </div>
+                </div>
+                <p id="schema-summary" class="text-gray-400">Inferring schemas...</p>
+                <div id="schema-mismatches" class="space-y-1"></div>
+                <div id="schema-groups" class="space-y-2"></div>
+            </div>
+        \`;
+        document.body.appendChild(modal);
+        document.getElementById('schema-close').onclick = () => modal.remove();
+        document.getElementById('schema-refresh').onclick = () => openSchemaDialog(true);
+
+        try {
+            if (refresh) params.set('refresh', 'true');
+            const response = await fetch('/schema?' + params);
+            const result = await response.json();
+            if (!response.ok) return showToast(result.error || 'Failed to infer schemas.', true);
+
+            document.getElementById('schema-summary').textContent =
+                \`\${result.groups.length} message kinds from \${result.sampled} messages. Fields missing from some messages are optional; fields seen with several types are unions.\`;
+            const mismatchList = document.getElementById('schema-mismatches');
+            result.mismatches.slice(0, 20).forEach(mismatch => {
+                const row = document.createElement('div');
+                row.className = 'text-yellow-400';
+                row.textContent = \`⚠ \${new Date(mismatch.timestamp).toLocaleString()} \${mismatch.direction} \${mismatch.name}: \${mismatch.issues.join('; ')}\`;
+                mismatchList.appendChild(row);
+            });
+
+            const groupList = document.getElementById('schema-groups');
+            result.groups.forEach(group => {
+                const details = document.createElement('details');
+                details.className = 'bg-gray-900 rounded p-2';
+                const summary = document.createElement('summary');
+                summary.className = 'cursor-pointer';
+                summary.innerHTML = \`<span class="\${typeColors[group.direction] || ''}">\${group.direction}</span> <span class="text-white"></span> <span class="text-gray-500">(\${group.count})</span>\`;
+                summary.querySelector('.text-white').textContent = group.name;
+                const pre = document.createElement('pre');
+                pre.className = 'whitespace-pre-wrap mt-2';
+                pre.textContent = JSON.stringify(group.schema, null, 2);
+                details.append(summary, pre);
+                groupList.appendChild(details);
+            });
+        } catch (error) {
+            console.error('Failed to load schemas:', error);
+            showToast('Failed to load schemas.', true);
+        }
+    }
+
+    // --- Callback Waterfall ---
+    const waterfallBarColors = {
+        ok: 'bg-green-600',
+        slow: 'bg-yellow-500',
+        failed: 'bg-red-600',
+        pending: 'bg-gray-500',
+        unanswered: 'bg-red-900',
+    };
+
+    function renderWaterfallStats(table, callbacks) {
+        table.innerHTML = '<tr class="text-gray-400 text-left"><th>Callback</th><th>Calls</th><th>Failed</th><th>Slow</th><th>Unanswered</th><th>p50</th><th>p95</th><th>Max</th></tr>';
+        callbacks.forEach(stats => {
+            const row = document.createElement('tr');
+            const cells = [stats.callback, stats.count, stats.failed, stats.slow, stats.unanswered, stats.p50, stats.p95, stats.max];
+            cells.forEach((value, index) => {
+                const cell = document.createElement('td');
+                cell.className = 'pr-4';
+                cell.textContent = value === null ? '-' : index >= 5 ? value + ' ms' : value;
+                row.appendChild(cell);
+            });
+            if (stats.failed || stats.unanswered) row.className = 'text-red-400';
+            else if (stats.slow) row.className = 'text-yellow-400';
+            table.appendChild(row);
+        });
+    }
+
+    function renderWaterfallRows(container, records) {
+        container.innerHTML = '';
+        if (!records.length) {
+            container.innerHTML = '<div class="text-gray-500">No calls in this range.</div>';
+            return;
+        }
+        const start = Date.parse(records[0].timestamp);
+        const end = Math.max(...records.map(record => Date.parse(record.timestamp) + (record.duration || 0)));
+        const span = Math.max(end - start, 1);
+
+        records.forEach(record => {
+            const offset = Date.parse(record.timestamp) - start;
+            const details = document.createElement('details');
+            details.className = 'bg-gray-900 rounded px-2 py-1';
+            const summary = document.createElement('summary');
+            summary.className = 'cursor-pointer flex items-center gap-2';
+            summary.innerHTML = \`
+                <span class="w-24 text-gray-500 shrink-0"></span>
+                <span class="w-40 truncate shrink-0"></span>
+                <span class="w-20 text-right shrink-0"></span>
+                <span class="relative flex-grow h-3 bg-gray-800 rounded"><span class="absolute top-0 h-3 rounded"></span></span>
+            \`;
+            const [time, name, latency, track] = summary.children;
+            time.textContent = new Date(record.timestamp).toLocaleTimeString();
+            name.textContent = record.callback;
+            name.title = record.url;
+            latency.className += ' ' + (callbackStateColors[record.state] || '');
+            latency.textContent = record.duration !== null ? record.duration + ' ms' : record.state;
+            const bar = track.firstElementChild;
+            bar.className += ' ' + waterfallBarColors[record.state];
+            bar.style.left = (offset / span * 100) + '%';
+            bar.style.width = Math.max((record.duration || 0) / span * 100, 0.5) + '%';
+            bar.title = describeCallbackRecord(record);
+
+            const pre = document.createElement('pre');
+            pre.className = 'whitespace-pre-wrap mt-2';
+            pre.textContent = JSON.stringify({
+                result: describeCallbackRecord(record),
+                request: record.request.data !== undefined ? record.request.data : record.request.options,
+                response: record.response ? (record.response.error ? { error: record.response.error, body: record.response.body } : record.response.body) : null,
+            }, null, 2);
+            details.append(summary, pre);
+            container.appendChild(details);
+        });
+    }
+
+    async function openWaterfallDialog() {
+        if (!activeServer || !activeResource) return;
+        const existingModal = document.getElementById('waterfall-modal');
+        if (existingModal) existingModal.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'waterfall-modal';
+        modal.className = 'fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center z-50';
+        modal.innerHTML = \`
+            <div class="bg-gray-800 p-6 rounded shadow-lg w-5/6 max-h-screen overflow-y-auto space-y-3 text-sm">
+                <div class="flex items-center justify-between">
+                    <h2 class="text-white text-lg font-bold">Callbacks for <span class="text-cyan-400">\${activeServer} / \${activeResource}</span></h2>
+                    <div class="space-x-2">
+                        <select id="waterfall-range" class="bg-gray-700 text-white rounded px-2 py-1">
+                            <option value="-15m">Last 15 minutes</option>
+                            <option value="-1h">Last hour</option>
+                            <option value="-24h">Last day</option>
+                            <option value="">Latest calls</option>
+                        </select>
+                        <label><input type="checkbox" id="waterfall-problems" class="align-middle"> Slow and failed only</label>
+                        <button id="waterfall-close" class="bg-gray-600 hover:bg-gray-700 text-white py-1 px-3 rounded">Close</button>
+                    </div>
+                </div>
+                <p id="waterfall-summary" class="text-gray-400">Pairing calls with their responses...</p>
+                <table id="waterfall-stats" class="text-xs"></table>
+                <div id="waterfall-rows" class="space-y-1 text-xs"></div>
+            </div>
+        \`;
+        document.body.appendChild(modal);
+        document.getElementById('waterfall-close').onclick = () => modal.remove();
+
+        const range = document.getElementById('waterfall-range');
+        const problemsOnly = document.getElementById('waterfall-problems');
+        let records = [];
+        const showRows = () => renderWaterfallRows(
+            document.getElementById('waterfall-rows'),
+            problemsOnly.checked ? records.filter(record => record.state !== 'ok' && record.state !== 'pending') : records
+        );
+        const load = async () => {
+            try {
+                const params = new URLSearchParams({ server: activeServer, resource: activeResource });
+                if (range.value) params.set('from', range.value);
+                const response = await fetch('/callbacks?' + params);
+                const result = await response.json();
+                if (!response.ok) return showToast(result.error || 'Failed to load callbacks.', true);
+
+                const { summary } = result;
+                document.getElementById('waterfall-summary').textContent =
+                    \`\${summary.count} calls: \${summary.failed} failed, \${summary.slow} slower than \${result.slowMs} ms, \${summary.unanswered} unanswered, \${summary.pending} pending. \` +
+                    \`p50 \${summary.p50 === null ? '-' : summary.p50 + ' ms'}, p95 \${summary.p95 === null ? '-' : summary.p95 + ' ms'}.\` +
+                    (result.records.length < summary.count ? \` Showing the latest \${result.records.length}.\` : '') +
+                    (result.truncated ? ' Older entries were not scanned.' : '');
+                renderWaterfallStats(document.getElementById('waterfall-stats'), summary.callbacks);
+                records = result.records;
+                showRows();
+            } catch (error) {
+                console.error('Failed to load callbacks:', error);
+                showToast('Failed to load callbacks.', true);
+            }
+        };
+        range.onchange = load;
+        problemsOnly.onchange = showRows;
+        await load();
+    }
+
+    // --- Live Stream ---
+    function appendLogEntry(log) {
+        if (newerAfter) return; // Not caught up yet; "Load newer" will bring it in order
+        // Only follow new entries if the user is already looking at the bottom
+        const stickToBottom = logContainer.scrollHeight - logContainer.scrollTop - logContainer.clientHeight < 40;
+        if (!isNewEntry(log)) return;
+        const emptyNotice = document.getElementById('empty-logs');
+        if (emptyNotice) emptyNotice.remove();
+        logContainer.appendChild(renderLogEntry(log));
+        if (stickToBottom) logContainer.scrollTop = logContainer.scrollHeight;
+    }
+
+    function setStreamStatus(connected) {
+        streamStatus.classList.toggle('bg-green-500', connected);
+        streamStatus.classList.toggle('bg-gray-500', !connected);
+        streamStatus.title = connected ? 'Connected' : 'Reconnecting...';
+    }
+
+    function connectStream(force = false) {
+        const scope = scopeParams().toString();
+        if (eventSource && streamScope === scope && !force) return;
+
+        if (eventSource) eventSource.close();
+        clearTimeout(reconnectTimer);
+        streamScope = scope;
+        eventSource = new EventSource('/stream' + (scope ? '?' + scope : ''));
+
+        eventSource.onopen = () => setStreamStatus(true);
+        eventSource.onerror = () => {
+            setStreamStatus(false);
+            // The browser retries by itself unless the request failed outright (e.g. expired login)
+            if (eventSource.readyState === EventSource.CLOSED) {
+                reconnectTimer = setTimeout(() => connectStream(true), 5000);
+            }
+        };
+        eventSource.addEventListener('server', (e) => {
+            const { server } = JSON.parse(e.data);
+            addListItem(serverList, server, selectServer);
+        });
+        eventSource.addEventListener('resource', (e) => {
+            const { server, resource } = JSON.parse(e.data);
+            if (server === activeServer) {
+                addListItem(resourceList, resource, (item) => selectResource(server, item));
+            }
+        });
+        eventSource.addEventListener('log', (e) => {
+            const { server, resource, entry } = JSON.parse(e.data);
+            if (isInView(server, resource) && liveCheckbox.checked && currentViewUrl()) {
+                appendLogEntry({ ...entry, _server: server, _resource: resource });
+            }
+        });
+        eventSource.addEventListener('alert', (e) => handleAlertEvent(JSON.parse(e.data).alert));
+        eventSource.addEventListener('alert_ack', (e) => handleAlertAck(JSON.parse(e.data)));
+        eventSource.addEventListener('capture', (e) => {
+            const { server, capture } = JSON.parse(e.data);
+            captureNames.set(capture.id, capture.name);
+            if (server === activeServer) loadCaptures();
+        });
+        // Sent when the server can't resume from our last event (restart or too far behind)
+        eventSource.addEventListener('reset', () => {
+            fetchServers();
+            fetchResources(activeServer);
+            fetchLogs();
+        });
+    }
+
+    clearLogsBtn.addEventListener('click', clearLogs);
+    document.getElementById('import-btn').addEventListener('click', openImportDialog);
+    replayBtn.addEventListener('click', openReplay);
+    mocksBtn.addEventListener('click', openMocksDialog);
+    schemaBtn.addEventListener('click', () => openSchemaDialog());
+    waterfallBtn.addEventListener('click', () => openWaterfallDialog());
+    captureBtn.addEventListener('click', openCaptureDialog);
+    logContainer.addEventListener('click', handleInspectorClick);
+    logContainer.addEventListener('change', (e) => {
+        if (e.target.classList.contains('replay-select')) updateReplayButton();
+    });
+    logContainer.addEventListener('scroll', () => {
+        if (logContainer.scrollTop < 100) loadOlderLogs();
+    });
+    liveCheckbox.addEventListener('change', () => {
+        // Catch up on whatever arrived while live updates were paused
+        if (liveCheckbox.checked) fetchLogs();
+    });
+    filterForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        refreshView();
+    });
+    filterForm.elements.scope.addEventListener('change', refreshView);
+    filterForm.elements.type.addEventListener('change', refreshView);
+    filterForm.elements.capture.addEventListener('change', refreshView);
+    document.getElementById('filter-reset').addEventListener('click', () => {
+        filterForm.reset();
+        refreshView();
+    });
+
+    // Initial load
+    (async () => {
+        const { server, resource } = restoreFromUrl();
+        await fetchServers();
+        if (server) await selectServer(server);
+        if (server && resource) selectResource(server, resource);
+        if (!server) refreshView();
+    })();
+</script>
+</body>
+</html>`;
+    res.setHeader('Content-Type', 'text/html');
+    res.send(html);
+});
+
+
+// --- Replay Harness Page ---
+// Operators only, like the UI files it loads
+app.get('/replay', requireRole('operator'), flushBeforeRead, (req, res) => {
+    const { server, resource } = req.query;
+    if (!server || !resource) return res.status(400).send('Server and resource are required.');
+    const from = parseCursor(req.query.from);
+    const to = parseCursor(req.query.to);
+    if (!from || !to) return res.status(400).send('Valid "from" and "to" cursors are required.');
+
+    const safeServer = sanitizeName(server);
+    const safeResource = sanitizeName(resource);
+    const events = collectReplayEvents(safeServer, safeResource, from, to);
+    const replay = { server: safeServer, resource: safeResource, ui: req.query.ui || '', uiRoot: REPLAY_UI_ROOT, events };
+
+    const html = `
+<!DOCTYPE html>
+<html lang="en" class="dark">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>NUI Replay - ${safeServer} / ${safeResource}</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+    <style>
+        .event-row.sent { color: #6b7280; }
+        .event-row.next { background-color: #164e63; color: #fff; }
+    </style>
+</head>
+<body class="bg-gray-900 text-gray-300 font-mono">
+<div class="flex h-screen">
+    <div class="w-1/3 h-screen bg-gray-800 flex flex-col border-r border-gray-700">
+        <div class="p-4 space-y-2 border-b border-gray-700 text-sm">
+            <h1 class="text-lg font-bold text-white">Replay <span class="text-cyan-400">${safeServer} / ${safeResource}</span></h1>
+            <label class="block">UI folder <span id="ui-root-hint" class="text-gray-500"></span>
+                <input id="ui-folder" class="w-full mt-1 px-2 py-1 bg-gray-700 text-white rounded" placeholder="my-resource/html">
+            </label>
+            <label class="block">Page
+                <input id="ui-page" class="w-full mt-1 px-2 py-1 bg-gray-700 text-white rounded" value="index.html">
+            </label>
+            <label class="block"><input type="checkbox" id="ui-mock" class="align-middle" checked> Answer callbacks with the mocks</label>
+            <button id="load-ui" class="bg-cyan-600 hover:bg-cyan-700 text-white py-1 px-3 rounded">Load UI</button>
+        </div>
+        <div class="p-4 space-x-2 border-b border-gray-700 text-sm">
+            <button id="play" class="bg-green-600 hover:bg-green-700 text-white py-1 px-3 rounded">Play</button>
+            <button id="step" class="bg-gray-600 hover:bg-gray-700 text-white py-1 px-3 rounded">Step</button>
+            <button id="restart" class="bg-gray-600 hover:bg-gray-700 text-white py-1 px-3 rounded">Restart</button>
+            <select id="speed" class="bg-gray-700 text-white rounded px-2 py-1">
+                <option value="0.25">0.25x</option>
+                <option value="0.5">0.5x</option>
+                <option value="1" selected>1x</option>
+                <option value="2">2x</option>
+                <option value="5">5x</option>
+                <option value="0">Instant</option>
+            </select>
+            <label><input type="checkbox" id="skip-gaps" class="align-middle" checked> Skip gaps &gt; 5s</label>
+            <div id="position" class="mt-2 text-gray-400"></div>
+        </div>
+        <div id="event-list" class="flex-grow overflow-y-auto text-sm"></div>
+    </div>
+    <div class="w-2/3 h-screen bg-black">
+        <iframe id="ui-frame" class="w-full h-full border-0" style="background: transparent"></iframe>
+    </div>
+</div>
+
+<script>
+    const REPLAY = ${toScriptJson(replay)};
+    const MAX_GAP_MS = 5000;
+    const frame = document.getElementById('ui-frame');
+    const folderInput = document.getElementById('ui-folder');
+    const pageInput = document.getElementById('ui-page');
+    const mockCheckbox = document.getElementById('ui-mock');
+    const playBtn = document.getElementById('play');
+    const speedSelect = document.getElementById('speed');
+    const skipGapsCheckbox = document.getElementById('skip-gaps');
+    const eventList = document.getElementById('event-list');
+    const positionLabel = document.getElementById('position');
+    const storageKey = 'nui-replay-ui:' + REPLAY.resource;
+
+    let index = 0; // Next event to send
+    let playing = false;
+    let timer = null;
+
+    function toBase64Url(text) {
+        const bytes = new TextEncoder().encode(text);
+        return btoa(String.fromCharCode(...bytes)).replace(/\\+/g, '-').replace(/\\//g, '_').replace(/=+$/, '');
+    }
+
+    function loadUi() {
+        const folder = folderInput.value.trim();
+        if (!folder || !REPLAY.uiRoot) return;
+        localStorage.setItem(storageKey, JSON.stringify({ folder, page: pageInput.value }));
+        const query = mockCheckbox.checked ? '?' + new URLSearchParams({ mock: REPLAY.server, resource: REPLAY.resource }) : '';
+        frame.src = '/replay/ui/' + toBase64Url(folder) + '/' + pageInput.value.replace(/^\\/+/, '') + query;
+    }
+
+    // NUI pages usually ask which resource they belong to
+    frame.addEventListener('load', () => {
+        try {
+            frame.contentWindow.GetParentResourceName = () => REPLAY.resource;
+        } catch (e) {
+            console.warn('Could not reach into the UI frame:', e);
+        }
+    });
+
+    function renderEvents() {
+        const start = REPLAY.events.length ? Date.parse(REPLAY.events[0].timestamp) : 0;
+        eventList.innerHTML = '';
+        REPLAY.events.forEach((item, i) => {
+            const row = document.createElement('div');
+            row.className = 'event-row px-4 py-1 border-b border-gray-700 cursor-pointer hover:bg-gray-700';
+            const label = item.event && (item.event.type || item.event.action) || JSON.stringify(item.event).slice(0, 60);
+            row.textContent = '#' + (i + 1) + '  +' + ((Date.parse(item.timestamp) - start) / 1000).toFixed(2) + 's  ' + label;
+            row.title = JSON.stringify(item.event, null, 2);
+            row.onclick = () => { pause(); index = i; updateControls(); };
+            eventList.appendChild(row);
+        });
+    }
+
+    function updateControls() {
+        Array.from(eventList.children).forEach((row, i) => {
+            row.classList.toggle('sent', i < index);
+            row.classList.toggle('next', i === index);
+        });
+        const nextRow = eventList.children[index];
+        if (nextRow) nextRow.scrollIntoView({ block: 'nearest' });
+        playBtn.textContent = playing ? 'Pause' : 'Play';
+        positionLabel.textContent = index + ' / ' + REPLAY.events.length + ' events sent';
+    }
+
+    function sendNext() {
+        if (index >= REPLAY.events.length) return false;
+        frame.contentWindow.postMessage(REPLAY.events[index].event, '*');
+        index++;
+        return true;
+    }
+
+    function delayBeforeNext() {
+        const speed = Number(speedSelect.value);
+        if (index === 0 || speed === 0) return 0;
+        let gap = Date.parse(REPLAY.events[index].timestamp) - Date.parse(REPLAY.events[index - 1].timestamp);
+        if (skipGapsCheckbox.checked) gap = Math.min(gap, MAX_GAP_MS);
+        return Math.max(0, gap / speed);
+    }
+
+    function scheduleNext() {
+        if (!playing) return;
+        if (index >= REPLAY.events.length) {
+            pause();
+            return;
+        }
+        timer = setTimeout(() => {
+            sendNext();
+            updateControls();
+            scheduleNext();
+        }, delayBeforeNext());
+    }
+
+    function play() {
+        playing = true;
+        updateControls();
+        scheduleNext();
+    }
+
+    function pause() {
+        playing = false;
+        clearTimeout(timer);
+        updateControls();
+    }
+
+    playBtn.onclick = () => (playing ? pause() : play());
+    document.getElementById('step').onclick = () => {
+        pause();
+        sendNext();
+        updateControls();
+    };
+    document.getElementById('restart').onclick = () => {
+        pause();
+        index = 0;
+        updateControls();
+        if (frame.src) frame.src = frame.src; // Reload the UI so it starts from a clean state
+    };
+    document.getElementById('load-ui').onclick = loadUi;
+
+    // Folders are relative to the server's replay UI root; without one there is nothing to load
+    if (REPLAY.uiRoot) {
+        document.getElementById('ui-root-hint').textContent = '(inside ' + REPLAY.uiRoot + ')';
+    } else {
+        document.getElementById('ui-root-hint').textContent = '(off: set "replayUiRoot" in the server config)';
+        folderInput.disabled = true;
+        document.getElementById('load-ui').disabled = true;
+    }
+
+    const saved = JSON.parse(localStorage.getItem(storageKey) || 'null');
+    folderInput.value = REPLAY.ui || (saved && saved.folder) || '';
+    if (saved && saved.page) pageInput.value = saved.page;
+    renderEvents();
+    updateControls();
+    if (folderInput.value) loadUi();
+</script>
+</body>
+</html>`;
+    res.setHeader('Content-Type', 'text/html');
+    res.send(html);
+});
+
+// --- Server Timeline Page ---
+app.get('/timeline', checkAuth, (req, res) => {
+    const { server } = req.query;
+    if (!server) return res.status(400).send('Server is required.');
+    const safeServer = sanitizeName(server);
+
+    const html = `
+<!DOCTYPE html>
+<html lang="en" class="dark">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Timeline - ${safeServer}</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="bg-gray-900 text-gray-300 font-mono">
+<div class="flex flex-col h-screen">
+    <div class="p-4 bg-gray-800 border-b border-gray-700 space-y-2 text-sm">
+        <div class="flex items-center justify-between">
+            <h1 class="text-lg font-bold text-white">Timeline for <span class="text-cyan-400">${safeServer}</span></h1>
+            <div class="space-x-2">
+                <select id="type-filter" class="bg-gray-700 text-white rounded px-2 py-1">
+                    <option value="">All types</option>
+                    ${LOG_TYPES.map(type => `<option value="${type}">${type}</option>`).join('')}
+                </select>
+                <label><input type="checkbox" id="live-updates" class="align-middle" checked> Live</label>
+                <a href="/view?server=${safeServer}" class="text-cyan-400 hover:underline">Back to the viewer</a>
+            </div>
+        </div>
+        <div class="flex flex-wrap items-center gap-2">
+            <button id="select-all" class="bg-gray-700 hover:bg-gray-600 text-gray-300 py-1 px-2 rounded">All</button>
+            <button id="select-none" class="bg-gray-700 hover:bg-gray-600 text-gray-300 py-1 px-2 rounded">None</button>
+            <div id="resource-toggles" class="flex flex-wrap gap-2"></div>
+        </div>
+    </div>
+    <div id="timeline" class="flex-grow overflow-y-auto p-2 text-sm"></div>
+</div>
+
+<script>
+    const SERVER = ${toScriptJson(safeServer)};
+    const PALETTE = ['#22d3ee', '#f472b6', '#a3e635', '#fb923c', '#c084fc', '#facc15', '#34d399', '#f87171', '#60a5fa', '#e879f9'];
+    const typeColors = {
+        'lua_to_nui': 'text-blue-400',
+        'nui_to_lua': 'text-green-400',
+        'fetch_call': 'text-yellow-400',
+        'callback_response': 'text-orange-400',
+        'console': 'text-purple-400',
+    };
+    const timeline = document.getElementById('timeline');
+    const toggles = document.getElementById('resource-toggles');
+    const typeFilter = document.getElementById('type-filter');
+    const liveCheckbox = document.getElementById('live-updates');
+
+    const resourceColors = new Map();
+    const hidden = new Set(JSON.parse(localStorage.getItem('nui-timeline-hidden:' + SERVER) || '[]'));
+    const renderedCursors = new Set();
+    let olderToken = null;
+    let loadingOlder = false;
+    let lastTime = null; // Timestamp of the newest row, for the gap shown on rows appended live
+
+    function colorFor(resource) {
+        if (!resourceColors.has(resource)) resourceColors.set(resource, PALETTE[resourceColors.size % PALETTE.length]);
+        return resourceColors.get(resource);
+    }
+
+    function selectedResources() {
+        return [...resourceColors.keys()].filter(resource => !hidden.has(resource));
+    }
+
+    function addToggle(resource) {
+        if (toggles.querySelector(\`[data-resource="\${resource}"]\`)) return;
+        const label = document.createElement('label');
+        label.dataset.resource = resource;
+        label.className = 'bg-gray-900 rounded px-2 py-1 cursor-pointer';
+        label.style.color = colorFor(resource);
+        label.innerHTML = '<input type="checkbox" class="align-middle mr-1"><span></span>';
+        label.querySelector('span').textContent = resource;
+        const checkbox = label.querySelector('input');
+        checkbox.checked = !hidden.has(resource);
+        checkbox.onchange = () => {
+            if (checkbox.checked) hidden.delete(resource);
+            else hidden.add(resource);
+            saveHidden();
+            loadTimeline();
+        };
+        toggles.appendChild(label);
+    }
+
+    function saveHidden() {
+        localStorage.setItem('nui-timeline-hidden:' + SERVER, JSON.stringify([...hidden]));
+    }
+
+    function setAll(visible) {
+        toggles.querySelectorAll('label').forEach(label => {
+            label.querySelector('input').checked = visible;
+            if (visible) hidden.delete(label.dataset.resource);
+            else hidden.add(label.dataset.resource);
+        });
+        saveHidden();
+        loadTimeline();
+    }
+
+    // One line describing the entry: the event type, callback or message
+    function summarize(entry) {
+        if (entry.type === 'lua_to_nui') {
+            const event = entry.event;
+            return event && typeof event === 'object' ? (event.type || event.action || JSON.stringify(event).slice(0, 80)) : String(event);
+        }
+        if (entry.type === 'callback_response') return entry.callback + ' → ' + (entry.error || entry.status || '');
+        if (entry.type === 'nui_to_lua') return entry.callback;
+        if (entry.type === 'fetch_call') return ((entry.options && entry.options.method) || 'GET') + ' ' + entry.url;
+        return JSON.stringify(entry.args || entry.message || entry.data || '').slice(0, 120);
+    }
+
+    function formatTime(timestamp) {
+        const date = new Date(timestamp);
+        return date.toLocaleTimeString([], { hourCycle: 'h23' }) + '.' + String(date.getMilliseconds()).padStart(3, '0');
+    }
+
+    function formatGap(ms) {
+        if (ms === null || Number.isNaN(ms)) return '';
+        return ms < 1000 ? '+' + ms + ' ms' : '+' + (ms / 1000).toFixed(1) + ' s';
+    }
+
+    function renderRow(entry, previousTime) {
+        const time = Date.parse(entry.timestamp);
+        const details = document.createElement('details');
+        details.className = 'timeline-row border-l-4 bg-gray-800 rounded mb-1 px-2 py-1';
+        details.style.borderLeftColor = colorFor(entry._resource);
+        details.dataset.time = time;
+        details.innerHTML = \`
+            <summary class="cursor-pointer flex items-center gap-3">
+                <span class="text-gray-500 shrink-0"></span>
+                <span class="timeline-gap w-16 text-right text-gray-500 shrink-0"></span>
+                <span class="w-32 truncate shrink-0"></span>
+                <span class="w-36 shrink-0"></span>
+                <span class="flex-grow truncate"></span>
+                <a class="text-xs text-cyan-400 hover:underline shrink-0">Open</a>
+            </summary>
+            <pre class="whitespace-pre-wrap mt-1"></pre>
+        \`;
+        const [clock, gap, resource, type, summary, link] = details.querySelector('summary').children;
+        clock.textContent = formatTime(entry.timestamp);
+        gap.textContent = previousTime === null ? '' : formatGap(time - previousTime);
+        resource.textContent = entry._resource;
+        resource.style.color = colorFor(entry._resource);
+        type.textContent = entry.type;
+        type.className += ' ' + (typeColors[entry.type] || '');
+        summary.textContent = summarize(entry);
+        link.href = '/view?' + new URLSearchParams({ server: SERVER, resource: entry._resource, at: entry._cursor });
+        link.title = 'Show this entry in ' + entry._resource;
+        const { _cursor, _server, _resource, ...rest } = entry;
+        details.querySelector('pre').textContent = JSON.stringify(rest, null, 2);
+        return details;
+    }
+
+    function entryKey(entry) {
+        return entry._resource + '/' + entry._cursor;
+    }
+
+    // Gaps are relative to the row above, so the first row of each batch needs the next one's gap fixed
+    function refreshGap(row) {
+        const previous = row && row.previousElementSibling;
+        if (!row || !row.classList.contains('timeline-row')) return;
+        row.querySelector('.timeline-gap').textContent = previous && previous.classList.contains('timeline-row')
+            ? formatGap(Number(row.dataset.time) - Number(previous.dataset.time))
+            : '';
+    }
+
+    function timelineQuery(extra = {}) {
+        const params = new URLSearchParams({ server: SERVER, ...extra });
+        const resources = selectedResources();
+        if (resources.length < resourceColors.size) params.set('resources', resources.join(','));
+        if (typeFilter.value) params.set('type', typeFilter.value);
+        return params;
+    }
+
+    function updateLoadOlder() {
+        let loader = document.getElementById('load-older');
+        if (!olderToken) {
+            if (loader) loader.remove();
+            return;
+        }
+        if (!loader) {
+            loader = document.createElement('button');
+            loader.id = 'load-older';
+            loader.className = 'w-full text-center text-sm text-gray-400 hover:text-white py-2 mb-2';
+            loader.onclick = loadOlder;
+            timeline.prepend(loader);
+        }
+        loader.textContent = loadingOlder ? 'Loading...' : 'Load older';
+    }
+
+    async function loadTimeline() {
+        const query = timelineQuery().toString();
+        timeline.innerHTML = '';
+        renderedCursors.clear();
+        lastTime = null;
+        olderToken = null;
+        if (resourceColors.size && !selectedResources().length) {
+            timeline.innerHTML = '<div class="text-gray-500">No resources selected.</div>';
+            return;
+        }
+        try {
+            const response = await fetch('/logs/timeline?' + query);
+            const page = await response.json();
+            if (query !== timelineQuery().toString()) return; // Selection changed meanwhile
+            if (!response.ok) {
+                timeline.textContent = page.error || 'Error loading the timeline.';
+                return;
+            }
+            page.resources.sort().forEach(addToggle);
+            page.entries.forEach(entry => {
+                renderedCursors.add(entryKey(entry));
+                timeline.appendChild(renderRow(entry, lastTime));
+                lastTime = Date.parse(entry.timestamp);
+            });
+            if (!page.entries.length) timeline.innerHTML = '<div id="empty-timeline" class="text-gray-500">No logs for this server.</div>';
+            olderToken = page.before;
+            updateLoadOlder();
+            timeline.scrollTop = timeline.scrollHeight;
+        } catch (error) {
+            console.error('Failed to load the timeline:', error);
+            timeline.textContent = 'Error loading the timeline.';
+        }
+    }
+
+    async function loadOlder() {
+        if (!olderToken || loadingOlder) return;
+        const query = timelineQuery().toString();
+        loadingOlder = true;
+        updateLoadOlder();
+        try {
+            const response = await fetch('/logs/timeline?' + timelineQuery({ before: olderToken }));
+            const page = await response.json();
+            if (query !== timelineQuery().toString() || !response.ok) return;
+
+            // Insert above the current first row and keep what the user was looking at in place
+            const previousHeight = timeline.scrollHeight;
+            const anchor = document.getElementById('load-older').nextSibling;
+            let previousTime = null;
+            page.entries.filter(entry => !renderedCursors.has(entryKey(entry))).forEach(entry => {
+                renderedCursors.add(entryKey(entry));
+                timeline.insertBefore(renderRow(entry, previousTime), anchor);
+                previousTime = Date.parse(entry.timestamp);
+            });
+            refreshGap(anchor);
+            timeline.scrollTop += timeline.scrollHeight - previousHeight;
+            olderToken = page.before;
+        } catch (error) {
+            console.error('Failed to load older entries:', error);
+        } finally {
+            loadingOlder = false;
+            updateLoadOlder();
+        }
+    }
+
+    function appendLive(resource, entry) {
+        const item = { ...entry, _server: SERVER, _resource: resource };
+        if (hidden.has(resource) || (typeFilter.value && entry.type !== typeFilter.value)) return;
+        if (renderedCursors.has(entryKey(item))) return;
+        renderedCursors.add(entryKey(item));
+        const empty = document.getElementById('empty-timeline');
+        if (empty) empty.remove();
+        const stickToBottom = timeline.scrollHeight - timeline.scrollTop - timeline.clientHeight < 40;
+        timeline.appendChild(renderRow(item, lastTime));
+        lastTime = Date.parse(item.timestamp);
+        if (stickToBottom) timeline.scrollTop = timeline.scrollHeight;
+    }
+
+    function connectStream() {
+        const eventSource = new EventSource('/stream?' + new URLSearchParams({ server: SERVER }));
+        eventSource.addEventListener('resource', (e) => {
+            const { server, resource } = JSON.parse(e.data);
+            if (server === SERVER) addToggle(resource);
+        });
+        eventSource.addEventListener('log', (e) => {
+            const { server, resource, entry } = JSON.parse(e.data);
+            if (server === SERVER && liveCheckbox.checked) appendLive(resource, entry);
+        });
+        eventSource.addEventListener('reset', loadTimeline);
+    }
+
+    timeline.addEventListener('scroll', () => {
+        if (timeline.scrollTop < 100) loadOlder();
+    });
+    typeFilter.onchange = loadTimeline;
+    liveCheckbox.onchange = () => {
+        // Catch up on whatever arrived while live updates were paused
+        if (liveCheckbox.checked) loadTimeline();
+    };
+    document.getElementById('select-all').onclick = () => setAll(true);
+    document.getElementById('select-none').onclick = () => setAll(false);
+
+    // Toggles come first so resources hidden last time stay out of the first page
+    (async () => {
+        try {
+            const resources = await fetch('/logs?' + new URLSearchParams({ server: SERVER })).then(res => res.json());
+            resources.sort().forEach(addToggle);
+        } catch (error) {
+            console.error('Failed to load resources:', error);
+        }
+        await loadTimeline();
+        connectStream();
+    })();
+</script>
+</body>
+</html>`;
+    res.setHeader('Content-Type', 'text/html');
+    res.send(html);
+});
+
+// --- Traffic Statistics Page ---
+app.get('/stats', checkAuth, (req, res) => {
+    const html = `
+<!DOCTYPE html>
+<html lang="en" class="dark">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Traffic Statistics</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="bg-gray-900 text-gray-300 font-mono p-6 text-sm">
+<div class="max-w-6xl mx-auto space-y-6">
+    <div class="flex items-center justify-between">
+        <h1 class="text-xl font-bold text-white">Traffic statistics</h1>
+        <div class="space-x-2">
+            <select id="server-filter" class="bg-gray-700 text-white rounded px-2 py-1"><option value="">All servers</option></select>
+            <a href="/metrics" class="text-cyan-400 hover:underline">Prometheus /metrics</a>
+            <a href="/view" class="text-cyan-400 hover:underline">Back to the viewer</a>
+        </div>
+    </div>
+    <p id="since" class="text-gray-400"></p>
+
+    <section class="bg-gray-800 rounded p-4 space-y-2">
+        <h2 class="text-white font-bold">Top talkers</h2>
+        <p class="text-gray-400">Rates cover the last few minutes. Click a resource to chart it.</p>
+        <table class="w-full text-left">
+            <thead class="text-gray-400"><tr><th>Resource</th><th>Msgs/s</th><th>Peak/min</th><th>Total</th><th>Bytes</th><th>Avg size</th><th>Errors</th><th>By type</th></tr></thead>
+            <tbody id="talkers"></tbody>
+        </table>
+    </section>
+
+    <section class="bg-gray-800 rounded p-4 space-y-2">
+        <h2 class="text-white font-bold">Messages per minute, last hour: <span id="chart-label" class="text-cyan-400"></span></h2>
+        <div id="rate-chart" class="flex items-end h-40 gap-px border-b border-gray-600"></div>
+        <div class="flex justify-between text-xs text-gray-500"><span id="chart-start"></span><span>now</span></div>
+    </section>
+
+    <section class="bg-gray-800 rounded p-4 space-y-2">
+        <h2 class="text-white font-bold">Payload sizes: <span id="histogram-label" class="text-cyan-400"></span></h2>
+        <div id="histogram" class="space-y-1"></div>
+    </section>
+
+    <section class="bg-gray-800 rounded p-4 space-y-2">
+        <h2 class="text-white font-bold">Busiest callbacks</h2>
+        <table class="w-full text-left">
+            <thead class="text-gray-400"><tr><th>Resource</th><th>Callback</th><th>Calls</th><th>Avg size</th><th>Failed</th></tr></thead>
+            <tbody id="callbacks"></tbody>
+        </table>
+    </section>
+</div>
+
+<script>
+    const REFRESH_THROTTLE_MS = 1000; // Busy resources log many times a second; refresh at most this often
+    const serverFilter = document.getElementById('server-filter');
+    let selectedKey = null; // "server/resource" charted below, or null for everything shown
+    let latest = null;
+    let eventSource = null;
+    let refreshTimer = null;
+
+    function formatBytes(bytes) {
+        if (bytes < 1024) return bytes + ' B';
+        if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+        return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+    }
+
+    function cell(row, text, className = '') {
+        const td = document.createElement('td');
+        td.className = 'pr-4 py-1 ' + className;
+        td.textContent = text;
+        row.appendChild(td);
+        return td;
+    }
+
+    function keyOf(item) {
+        return item.server + '/' + item.resource;
+    }
+
+    function renderTalkers(resources) {
+        const body = document.getElementById('talkers');
+        body.innerHTML = '';
+        if (!resources.length) body.innerHTML = '<tr><td colspan="8" class="text-gray-500 py-1">Nothing received since the server started.</td></tr>';
+        resources.forEach(item => {
+            const row = document.createElement('tr');
+            row.className = 'cursor-pointer hover:bg-gray-700' + (keyOf(item) === selectedKey ? ' bg-gray-700' : '');
+            row.onclick = () => {
+                selectedKey = keyOf(item) === selectedKey ? null : keyOf(item);
+                render();
+            };
+            const name = cell(row, keyOf(item), 'text-white');
+            if (item.everyFrame) {
+                const flag = document.createElement('span');
+                flag.className = 'ml-2 text-red-400';
+                flag.textContent = '⚠ every frame?';
+                flag.title = \`Peaked at \${item.peakPerMinute} messages in a minute, over \${latest.frameRatePerSecond} per second.\`;
+                name.appendChild(flag);
+            }
+            cell(row, item.perSecond, item.perSecond >= latest.frameRatePerSecond ? 'text-red-400' : '');
+            cell(row, item.peakPerMinute);
+            cell(row, item.total);
+            cell(row, formatBytes(item.bytes));
+            cell(row, item.total ? formatBytes(Math.round(item.bytes / item.total)) : '-');
+            cell(row, item.errors, item.errors ? 'text-red-400' : '');
+            cell(row, Object.entries(item.types).map(([type, stats]) => type + ' ' + stats.count).join(', '), 'text-gray-400');
+            body.appendChild(row);
+        });
+    }
+
+    // Sums the series or histograms of the charted resources
+    function sumArrays(arrays, length) {
+        const total = new Array(length).fill(0);
+        arrays.forEach(values => values.forEach((value, i) => { total[i] += value; }));
+        return total;
+    }
+
+    function renderRateChart(items) {
+        const chart = document.getElementById('rate-chart');
+        const series = sumArrays(items.map(item => item.series), 60);
+        const max = Math.max(1, ...series);
+        const start = Date.parse(latest.seriesStart);
+        chart.innerHTML = '';
+        series.forEach((count, i) => {
+            const bar = document.createElement('div');
+            bar.className = 'flex-1 ' + (count / 60 >= latest.frameRatePerSecond ? 'bg-red-500' : 'bg-cyan-600');
+            bar.style.height = (count / max * 100) + '%';
+            bar.title = new Date(start + i * 60000).toLocaleTimeString() + ': ' + count + ' messages';
+            chart.appendChild(bar);
+        });
+        document.getElementById('chart-start').textContent = new Date(start).toLocaleTimeString();
+    }
+
+    function renderHistogram(items) {
+        const container = document.getElementById('histogram');
+        const counts = sumArrays(items.map(item => item.histogram), latest.sizeBuckets.length + 1);
+        const max = Math.max(1, ...counts);
+        container.innerHTML = '';
+        counts.forEach((count, i) => {
+            const row = document.createElement('div');
+            row.className = 'flex items-center gap-2';
+            row.innerHTML = '<span class="w-28 text-right text-gray-400"></span><span class="flex-grow h-3 bg-gray-900 rounded"><span class="block h-3 rounded bg-purple-500"></span></span><span class="w-20"></span>';
+            const [label, track, value] = row.children;
+            label.textContent = i < latest.sizeBuckets.length ? '≤ ' + formatBytes(latest.sizeBuckets[i]) : '> ' + formatBytes(latest.sizeBuckets[i - 1]);
+            track.firstElementChild.style.width = (count / max * 100) + '%';
+            value.textContent = count;
+            container.appendChild(row);
+        });
+    }
+
+    function renderCallbacks(callbacks) {
+        const body = document.getElementById('callbacks');
+        body.innerHTML = '';
+        if (!callbacks.length) body.innerHTML = '<tr><td colspan="5" class="text-gray-500 py-1">No callbacks yet.</td></tr>';
+        callbacks.forEach(item => {
+            const row = document.createElement('tr');
+            cell(row, keyOf(item), 'text-gray-400');
+            cell(row, item.callback, 'text-white');
+            cell(row, item.calls);
+            cell(row, item.calls ? formatBytes(Math.round(item.bytes / item.calls)) : '-');
+            cell(row, item.errors, item.errors ? 'text-red-400' : '');
+            body.appendChild(row);
+        });
+    }
+
+    function render() {
+        const selected = latest.resources.find(item => keyOf(item) === selectedKey);
+        const charted = selected ? [selected] : latest.resources;
+        const label = selected ? selectedKey : (serverFilter.value || 'all servers');
+        document.getElementById('since').textContent = 'Counting since ' + new Date(latest.since).toLocaleString() + '.';
+        document.getElementById('chart-label').textContent = label;
+        document.getElementById('histogram-label').textContent = label;
+        renderTalkers(latest.resources);
+        renderRateChart(charted);
+        renderHistogram(charted);
+        renderCallbacks(latest.callbacks);
+    }
+
+    async function refresh() {
+        try {
+            const params = serverFilter.value ? '?' + new URLSearchParams({ server: serverFilter.value }) : '';
+            const response = await fetch('/metrics/summary' + params);
+            if (!response.ok) return;
+            latest = await response.json();
+            render();
+        } catch (error) {
+            console.error('Failed to load statistics:', error);
+        }
+    }
+
+    function scheduleRefresh() {
+        if (!refreshTimer) refreshTimer = setTimeout(() => {
+            refreshTimer = null;
+            refresh();
+        }, REFRESH_THROTTLE_MS);
+    }
+
+    function addServerOption(server) {
+        if ([...serverFilter.options].some(option => option.value === server)) return;
+        const option = document.createElement('option');
+        option.value = option.textContent = server;
+        serverFilter.appendChild(option);
+    }
+
+    async function loadServers() {
+        try {
+            const servers = await fetch('/logs').then(res => res.json());
+            servers.sort().forEach(addServerOption);
+        } catch (error) {
+            console.error('Failed to load servers:', error);
+        }
+    }
+
+    // The numbers change when entries arrive, so new entries on the stream trigger a refresh
+    function connectStream() {
+        if (eventSource) eventSource.close();
+        eventSource = new EventSource('/stream' + (serverFilter.value ? '?' + new URLSearchParams({ server: serverFilter.value }) : ''));
+        eventSource.addEventListener('log', scheduleRefresh);
+        eventSource.addEventListener('server', (e) => addServerOption(JSON.parse(e.data).server));
+        eventSource.addEventListener('reset', refresh);
+    }
+
+    serverFilter.onchange = () => {
+        selectedKey = null;
+        connectStream();
+        refresh();
+    };
+    loadServers();
+    connectStream();
+    refresh();
+</script>
+</body>
+</html>`;
+    res.setHeader('Content-Type', 'text/html');
+    res.send(html);
+});
+
+
+// --- Capture Sessions Page ---
+app.get('/sessions', checkAuth, (req, res) => {
+    const html = `
+<!DOCTYPE html>
+<html lang="en" class="dark">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Capture Sessions</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="bg-gray-900 text-gray-300 font-mono p-6 text-sm">
+<div class="max-w-6xl mx-auto space-y-6">
+    <div class="flex items-center justify-between">
+        <h1 class="text-xl font-bold text-white">Capture sessions</h1>
+        <div class="space-x-2">
+            <select id="server-filter" class="bg-gray-700 text-white rounded px-2 py-1"><option value="">All servers</option></select>
+            <a href="/view" class="text-cyan-400 hover:underline">Back to the viewer</a>
+        </div>
+    </div>
+
+    <form id="start-form" class="${hasRole(req.user, 'operator') ? '' : 'hidden '}bg-gray-800 rounded p-4 flex flex-wrap items-end gap-2">
+        <label>Server<br><select name="server" class="bg-gray-700 text-white rounded px-2 py-1" required></select></label>
+        <label class="flex-grow">Name<br><input name="name" required maxlength="100" placeholder="e.g. Inventory bug repro" class="w-full bg-gray-700 text-white rounded px-2 py-1"></label>
+        <label>Stop after minutes<br><input name="autoStopMinutes" type="number" min="1" class="w-24 bg-gray-700 text-white rounded px-2 py-1"></label>
+        <label>Stop after entries<br><input name="autoStopEntries" type="number" min="1" class="w-24 bg-gray-700 text-white rounded px-2 py-1"></label>
+        <button type="submit" class="bg-red-600 hover:bg-red-700 text-white py-1 px-3 rounded">● Start recording</button>
+    </form>
+
+    <section class="bg-gray-800 rounded p-4 space-y-2">
+        <div class="flex items-center justify-between">
+            <h2 class="text-white font-bold">Sessions</h2>
+            <button id="compare-btn" class="bg-cyan-600 hover:bg-cyan-700 text-white py-1 px-3 rounded disabled:opacity-50" disabled title="Tick two sessions to compare">Compare</button>
+        </div>
+        <table class="w-full text-left">
+            <thead class="text-gray-400"><tr><th></th><th>Name</th><th>Server</th><th>Status</th><th>Started</th><th>Duration</th><th>Entries</th><th>Resources</th><th></th></tr></thead>
+            <tbody id="captures"></tbody>
+        </table>
+    </section>
+
+</div>
+
+<script>
+    const CAN_OPERATE = ${toScriptJson(hasRole(req.user, 'operator'))};
+    const serverFilter = document.getElementById('server-filter');
+    const startForm = document.getElementById('start-form');
+    const compareBtn = document.getElementById('compare-btn');
+    const selected = new Set(); // Capture ids ticked for comparison, in the order they were ticked
+    let latestCaptures = [];
+    const stopReasons = { manual: 'stopped', time: 'time limit', entries: 'entry limit' };
+
+    function cell(row, text, className = '') {
+        const td = document.createElement('td');
+        td.className = 'pr-4 py-1 ' + className;
+        td.textContent = text;
+        row.appendChild(td);
+        return td;
+    }
+
+    function formatDuration(ms) {
+        const seconds = Math.round(ms / 1000);
+        if (seconds < 60) return seconds + 's';
+        if (seconds < 3600) return Math.floor(seconds / 60) + 'm ' + (seconds % 60) + 's';
+        return Math.floor(seconds / 3600) + 'h ' + Math.floor(seconds % 3600 / 60) + 'm';
+    }
+
+    function actionLink(parent, label, onClick, className = 'text-cyan-400') {
+        const button = document.createElement('button');
+        button.className = className + ' hover:underline mr-2';
+        button.textContent = label;
+        button.onclick = onClick;
+        parent.appendChild(button);
+    }
+
+    async function send(method, url, body) {
+        const response = await fetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined,
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+        return result;
+    }
+
+    async function run(action) {
+        try {
+            await action();
+            refresh();
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    function renderCaptures(captures) {
+        latestCaptures = captures;
+        const body = document.getElementById('captures');
+        body.innerHTML = '';
+        if (!captures.length) body.innerHTML = '<tr><td colspan="9" class="text-gray-500 py-1">No capture sessions yet.</td></tr>';
+        [...selected].forEach(id => { if (!captures.some(capture => capture.id === id)) selected.delete(id); });
+        captures.forEach(capture => {
+            const row = document.createElement('tr');
+            const tick = document.createElement('input');
+            tick.type = 'checkbox';
+            tick.checked = selected.has(capture.id);
+            tick.onchange = () => {
+                if (tick.checked) selected.add(capture.id);
+                else selected.delete(capture.id);
+                // Only the last two ticked are compared
+                while (selected.size > 2) selected.delete(selected.values().next().value);
+                refresh();
+            };
+            cell(row, '').appendChild(tick);
+            cell(row, capture.name, 'text-white');
+            cell(row, capture.server);
+            const status = capture.recording
+                ? '● recording' + (capture.autoStopAt ? ' until ' + new Date(capture.autoStopAt).toLocaleTimeString() : '') + (capture.autoStopEntries ? ' / ' + capture.autoStopEntries + ' entries' : '')
+                : stopReasons[capture.stopReason] || 'stopped';
+            cell(row, status, capture.recording ? 'text-red-400' : 'text-gray-400');
+            cell(row, new Date(capture.startedAt).toLocaleString());
+            cell(row, formatDuration((capture.stoppedAt ? Date.parse(capture.stoppedAt) : Date.now()) - Date.parse(capture.startedAt)));
+            cell(row, capture.entries);
+            cell(row, capture.resources.join(', ') || '-', 'text-gray-400');
+
+            const actions = cell(row, '', 'whitespace-nowrap');
+            const view = document.createElement('a');
+            view.className = 'text-cyan-400 hover:underline mr-2';
+            view.textContent = 'View';
+            view.href = '/view?' + new URLSearchParams({ server: capture.server, scope: 'server', capture: capture.id });
+            actions.appendChild(view);
+            ['ndjson', 'har', 'csv'].forEach(format => {
+                const link = document.createElement('a');
+                link.className = 'text-cyan-400 hover:underline mr-2';
+                link.textContent = format.toUpperCase();
+                link.href = '/export?' + new URLSearchParams({ server: capture.server, capture: capture.id, format });
+                link.download = '';
+                actions.appendChild(link);
+            });
+            if (CAN_OPERATE) {
+                if (capture.recording) actionLink(actions, 'Stop', () => run(() => send('POST', \`/captures/\${capture.id}/stop\`)), 'text-red-400');
+                actionLink(actions, 'Rename', () => {
+                    const name = prompt('New name', capture.name);
+                    if (name) run(() => send('PUT', \`/captures/\${capture.id}\`, { name }));
+                });
+                actionLink(actions, 'Delete', () => {
+                    if (confirm(\`Delete "\${capture.name}"? Its entries stay in the resource logs.\`)) run(() => send('DELETE', \`/captures/\${capture.id}\`));
+                }, 'text-red-400');
+            }
+            body.appendChild(row);
+        });
+        compareBtn.disabled = selected.size !== 2;
+    }
+
+    // Opens the comparison page on a resource both captures recorded, if there is one
+    function compare() {
+        const [a, b] = [...selected].map(id => latestCaptures.find(capture => capture.id === id));
+        const resource = a.resources.find(item => b.resources.includes(item)) || a.resources[0] || '';
+        location.href = '/compare?' + new URLSearchParams({ resource, 'a.capture': a.id, 'b.capture': b.id });
+    }
+
+    async function refresh() {
+        try {
+            const params = serverFilter.value ? '?' + new URLSearchParams({ server: serverFilter.value }) : '';
+            const response = await fetch('/captures' + params);
+            if (!response.ok) return;
+            renderCaptures(await response.json());
+        } catch (error) {
+            console.error('Failed to load captures:', error);
+        }
+    }
+
+    async function loadServers() {
+        try {
+            const servers = await fetch('/logs').then(res => res.json());
+            servers.sort().forEach(server => {
+                const option = document.createElement('option');
+                option.value = option.textContent = server;
+                serverFilter.appendChild(option);
+                startForm.elements.server.appendChild(option.cloneNode(true));
+            });
+        } catch (error) {
+            console.error('Failed to load servers:', error);
+        }
+    }
+
+    startForm.onsubmit = (e) => {
+        e.preventDefault();
+        const body = Object.fromEntries(new FormData(startForm));
+        run(async () => {
+            await send('POST', '/captures', body);
+            startForm.elements.name.value = '';
+        });
+    };
+    serverFilter.onchange = refresh;
+    compareBtn.onclick = compare;
+
+    // Sessions starting, stopping or changing reload the list; recording ones report their counts
+    const eventSource = new EventSource('/stream');
+    eventSource.addEventListener('capture', refresh);
+    eventSource.addEventListener('capture_entries', (e) => {
+        const { capture: id, entries, resources } = JSON.parse(e.data);
+        const capture = latestCaptures.find(item => item.id === id);
+        if (!capture) return;
+        Object.assign(capture, { entries, resources });
+        renderCaptures(latestCaptures);
+    });
+    eventSource.addEventListener('reset', refresh);
+
+    loadServers();
+    refresh();
+</script>
+</body>
+</html>`;
+    res.setHeader('Content-Type', 'text/html');
+    res.send(html);
+});
+
+
+// --- Capture Comparison Page ---
+app.get('/compare', checkAuth, (req, res) => {
+    const sideForm = (side) => `
+        <fieldset class="bg-gray-800 rounded p-4 space-y-2" data-side="${side}">
+            <legend class="text-white font-bold px-1">${side.toUpperCase()}</legend>
+            <label class="block">Server<br><select name="${side}.server" class="w-full bg-gray-700 text-white rounded px-2 py-1"><option value="">Choose...</option></select></label>
+            <label class="block">Capture session<br><select name="${side}.capture" class="w-full bg-gray-700 text-white rounded px-2 py-1"><option value="">None (time range below)</option></select></label>
+            <div class="flex gap-2">
+                <label class="flex-1">From<br><input name="${side}.from" placeholder="-1h, ISO date" class="w-full bg-gray-700 text-white rounded px-2 py-1"></label>
+                <label class="flex-1">To<br><input name="${side}.to" placeholder="Now" class="w-full bg-gray-700 text-white rounded px-2 py-1"></label>
+            </div>
+        </fieldset>`;
+    const html = `
+<!DOCTYPE html>
+<html lang="en" class="dark">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Compare Captures</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="bg-gray-900 text-gray-300 font-mono p-6 text-sm">
+<div class="max-w-6xl mx-auto space-y-6">
+    <div class="flex items-center justify-between">
+        <h1 class="text-xl font-bold text-white">Compare captures</h1>
+        <div class="space-x-2">
+            <a href="/sessions" class="text-cyan-400 hover:underline">Sessions</a>
+            <a href="/view" class="text-cyan-400 hover:underline">Back to the viewer</a>
+        </div>
+    </div>
+
+    <form id="compare-form" class="space-y-4">
+        <div class="grid grid-cols-2 gap-4">${sideForm('a')}${sideForm('b')}</div>
+        <div class="bg-gray-800 rounded p-4 flex flex-wrap items-end gap-2">
+            <label>Resource<br><input name="resource" list="resource-options" required class="bg-gray-700 text-white rounded px-2 py-1"></label>
+            <datalist id="resource-options"></datalist>
+            <label class="flex-grow">Ignore fields (key names or paths like data.items[].id)<br><input name="ignore" class="w-full bg-gray-700 text-white rounded px-2 py-1"></label>
+            <button type="submit" class="bg-cyan-600 hover:bg-cyan-700 text-white py-1 px-3 rounded">Compare</button>
+            <a id="json-link" class="hidden text-cyan-400 hover:underline py-1" target="_blank">JSON</a>
+        </div>
+    </form>
+
+    <section id="results" class="hidden space-y-4">
+        <div class="bg-gray-800 rounded p-4 space-y-1">
+            <p id="summary" class="font-bold"></p>
+            <p id="sides" class="text-gray-400"></p>
+        </div>
+        <div class="bg-gray-800 rounded p-4 space-y-2">
+            <h2 class="text-white font-bold">Messages</h2>
+            <p class="text-gray-400">Click a row for its field differences.</p>
+            <table class="w-full text-left">
+                <thead class="text-gray-400"><tr><th></th><th>Message</th><th>A</th><th>B</th><th>Change</th><th>Fields</th></tr></thead>
+                <tbody id="kinds"></tbody>
+            </table>
+        </div>
+        <div class="bg-gray-800 rounded p-4 space-y-2">
+            <h2 class="text-white font-bold">Order of first appearance</h2>
+            <div class="grid grid-cols-2 gap-4">
+                <ol id="order-a" class="list-decimal list-inside"></ol>
+                <ol id="order-b" class="list-decimal list-inside"></ol>
+            </div>
+        </div>
+    </section>
+</div>
+
+<script>
+    const DEFAULT_IGNORE = ${toScriptJson(COMPARE_DEFAULT_IGNORE)};
+    const IGNORE_STORAGE_KEY = 'nui-logger-compare-ignore';
+    const SIDE_FIELDS = ['server', 'capture', 'from', 'to'];
+    const form = document.getElementById('compare-form');
+    const statusStyles = {
+        same: ['=', 'text-gray-500'],
+        changed: ['~', 'text-yellow-400'],
+        added: ['+', 'text-green-400'],
+        removed: ['-', 'text-red-400'],
+    };
+    let captures = [];
+
+    function cell(row, text, className = '') {
+        const td = document.createElement('td');
+        td.className = 'pr-4 py-1 ' + className;
+        td.textContent = text;
+        row.appendChild(td);
+        return td;
+    }
+
+    function field(name) {
+        return form.elements[name];
+    }
+
+    function formatValue(value) {
+        return value === undefined ? '(none)' : JSON.stringify(value);
+    }
+
+    function fillCaptureOptions(side) {
+        const select = field(side + '.capture');
+        const selected = select.value;
+        const server = field(side + '.server').value;
+        select.innerHTML = '<option value="">None (time range below)</option>';
+        captures.filter(capture => !server || capture.server === server).forEach(capture => {
+            const option = document.createElement('option');
+            option.value = capture.id;
+            option.textContent = capture.name + ' (' + new Date(capture.startedAt).toLocaleString() + ')';
+            select.appendChild(option);
+        });
+        select.value = selected;
+    }
+
+    async function fillResourceOptions() {
+        const servers = new Set(['a', 'b'].map(side => field(side + '.server').value).filter(Boolean));
+        const resources = new Set(captures.filter(capture => ['a', 'b'].some(side => field(side + '.capture').value === capture.id)).flatMap(capture => capture.resources));
+        for (const server of servers) {
+            try {
+                (await fetch('/logs?' + new URLSearchParams({ server })).then(res => res.json())).forEach(resource => resources.add(resource));
+            } catch (error) {
+                console.error('Failed to load resources:', error);
+            }
+        }
+        const list = document.getElementById('resource-options');
+        list.innerHTML = '';
+        [...resources].sort().forEach(resource => {
+            const option = document.createElement('option');
+            option.value = resource;
+            list.appendChild(option);
+        });
+    }
+
+    function compareParams() {
+        const params = new URLSearchParams({ resource: field('resource').value.trim() });
+        ['a', 'b'].forEach(side => SIDE_FIELDS.forEach(name => {
+            const value = field(side + '.' + name).value.trim();
+            if (value) params.set(side + '.' + name, value);
+        }));
+        params.set('ignore', field('ignore').value.split(',').map(value => value.trim()).filter(Boolean).join(','));
+        return params;
+    }
+
+    function describeSide(label, side) {
+        const source = side.capture ? '"' + side.capture.name + '" on ' + side.server : side.server;
+        const range = side.from || side.to ? ' from ' + (side.from ? new Date(side.from).toLocaleString() : 'the start') + ' to ' + (side.to ? new Date(side.to).toLocaleString() : 'now') : '';
+        return label + ': ' + source + range + ', ' + side.entries + ' messages' + (side.truncated ? ' (newest only)' : '');
+    }
+
+    function renderFields(item) {
+        const row = document.createElement('tr');
+        row.className = 'hidden';
+        const td = cell(row, '', 'pl-8 text-xs');
+        td.colSpan = 6;
+        if (!item.fields.length) td.textContent = item.a && item.b ? 'No field differences.' : 'Only on one side.';
+        item.fields.forEach(change => {
+            const line = document.createElement('div');
+            line.className = 'break-all';
+            const label = document.createElement('span');
+            label.className = statusStyles[change.change][1];
+            label.textContent = change.path + (change.count > 1 ? ' (' + change.count + '×)' : '') + ': ';
+            const values = document.createElement('span');
+            values.textContent = formatValue(change.a) + ' → ' + formatValue(change.b);
+            line.append(label, values);
+            td.appendChild(line);
+        });
+        if (item.fieldsTruncated) td.append('...');
+        return row;
+    }
+
+    function renderResult(result) {
+        document.getElementById('results').classList.remove('hidden');
+        const summary = document.getElementById('summary');
+        const { added, removed, countChanged, moved, fieldChanges } = result.summary;
+        summary.className = 'font-bold ' + (result.identical ? 'text-green-400' : 'text-yellow-400');
+        summary.textContent = result.identical
+            ? '✓ Same behaviour: every message kind matches.'
+            : \`\${added} added, \${removed} removed, \${countChanged} with a different count, \${moved} moved, \${fieldChanges} changed fields.\`;
+        document.getElementById('sides').textContent = describeSide('A', result.a) + ' · ' + describeSide('B', result.b) + ' · Ignoring: ' + (result.ignore.join(', ') || 'nothing');
+
+        const body = document.getElementById('kinds');
+        body.innerHTML = '';
+        // Differences first
+        const order = { removed: 0, added: 1, changed: 2, same: 3 };
+        [...result.kinds].sort((x, y) => order[x.status] - order[y.status]).forEach(item => {
+            const [sign, color] = statusStyles[item.status];
+            const row = document.createElement('tr');
+            row.className = 'cursor-pointer hover:bg-gray-700';
+            cell(row, sign, color);
+            cell(row, item.kind, 'text-white break-all');
+            cell(row, item.a);
+            cell(row, item.b);
+            const changes = [];
+            if (item.status === 'added') changes.push('only in B');
+            else if (item.status === 'removed') changes.push('only in A');
+            else if (item.delta) changes.push((item.delta > 0 ? '+' : '') + item.delta);
+            if (item.moved) changes.push('moved');
+            cell(row, changes.join(', ') || '-', color);
+            cell(row, item.fields.length ? item.fields.length + (item.fieldsTruncated ? '+' : '') : '-', item.fields.length ? 'text-yellow-400' : '');
+            const details = renderFields(item);
+            row.onclick = () => details.classList.toggle('hidden');
+            body.append(row, details);
+        });
+
+        [['order-a', result.order.a], ['order-b', result.order.b]].forEach(([id, kinds]) => {
+            const list = document.getElementById(id);
+            list.innerHTML = '';
+            kinds.forEach(kind => {
+                const item = document.createElement('li');
+                item.className = 'break-all' + (result.order.moved.includes(kind) ? ' text-yellow-400' : '');
+                item.textContent = kind;
+                list.appendChild(item);
+            });
+        });
+    }
+
+    async function runCompare() {
+        const params = compareParams();
+        localStorage.setItem(IGNORE_STORAGE_KEY, params.get('ignore'));
+        history.replaceState(null, '', '/compare?' + params);
+        const jsonLink = document.getElementById('json-link');
+        jsonLink.href = '/logs/compare?' + params;
+        jsonLink.classList.remove('hidden');
+        try {
+            const response = await fetch('/logs/compare?' + params);
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error);
+            renderResult(result);
+        } catch (error) {
+            alert(error.message || 'Failed to compare.');
+        }
+    }
+
+    async function init() {
+        const params = new URLSearchParams(location.search);
+        try {
+            const [servers, captureList] = await Promise.all([fetch('/logs').then(res => res.json()), fetch('/captures').then(res => res.json())]);
+            captures = captureList;
+            ['a', 'b'].forEach(side => servers.sort().forEach(server => {
+                const option = document.createElement('option');
+                option.value = option.textContent = server;
+                field(side + '.server').appendChild(option);
+            }));
+        } catch (error) {
+            console.error('Failed to load servers and captures:', error);
+        }
+
+        ['a', 'b'].forEach(side => {
+            const capture = captures.find(item => item.id === params.get(side + '.capture'));
+            field(side + '.server').value = params.get(side + '.server') || (capture ? capture.server : '');
+            fillCaptureOptions(side);
+            ['capture', 'from', 'to'].forEach(name => { field(side + '.' + name).value = params.get(side + '.' + name) || ''; });
+            field(side + '.server').onchange = () => {
+                fillCaptureOptions(side);
+                fillResourceOptions();
+            };
+            field(side + '.capture').onchange = () => {
+                const selected = captures.find(item => item.id === field(side + '.capture').value);
+                if (selected) field(side + '.server').value = selected.server;
+                fillResourceOptions();
+            };
+        });
+        field('resource').value = params.get('resource') || '';
+        field('ignore').value = params.has('ignore') ? params.get('ignore') : (localStorage.getItem(IGNORE_STORAGE_KEY) ?? DEFAULT_IGNORE.join(', '));
+        fillResourceOptions();
+        if (field('resource').value && ['a', 'b'].every(side => field(side + '.server').value)) runCompare();
+    }
+
+    form.onsubmit = (e) => {
+        e.preventDefault();
+        runCompare();
+    };
+    init();
+</script>
+</body>
+</html>`;
+    res.setHeader('Content-Type', 'text/html');
+    res.send(html);
+});
+
+
+// --- Alerts Page ---
+app.get('/alerts', checkAuth, (req, res) => {
+    const canOperate = hasRole(req.user, 'operator');
+    const inputClass = 'w-full bg-gray-700 text-white rounded px-2 py-1';
+    const html = `
+<!DOCTYPE html>
+<html lang="en" class="dark">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Alerts</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="bg-gray-900 text-gray-300 font-mono p-6 text-sm">
+<div class="max-w-6xl mx-auto space-y-6">
+    <div class="flex items-center justify-between">
+        <h1 class="text-xl font-bold text-white">Alerts</h1>
+        <div class="space-x-2">
+            <button id="notify-btn" class="hidden bg-gray-700 hover:bg-gray-600 text-gray-300 py-1 px-2 rounded">Enable browser notifications</button>
+            <a href="/view" class="text-cyan-400 hover:underline">Back to the viewer</a>
+        </div>
+    </div>
+
+    <section class="bg-gray-800 rounded p-4 space-y-2">
+        <div class="flex items-center justify-between">
+            <h2 class="text-white font-bold">History</h2>
+            <div class="space-x-2">
+                <label><input type="checkbox" id="open-only" class="align-middle"> Unacknowledged only</label>
+                <button id="ack-all" class="${canOperate ? '' : 'hidden '}bg-cyan-600 hover:bg-cyan-700 text-white py-1 px-3 rounded">Acknowledge all</button>
+            </div>
+        </div>
+        <table class="w-full text-left">
+            <thead class="text-gray-400"><tr><th>Fired</th><th>Rule</th><th>Where</th><th>Message</th><th>Count</th><th>Status</th><th></th></tr></thead>
+            <tbody id="history"></tbody>
+        </table>
+    </section>
+
+    <section class="bg-gray-800 rounded p-4 space-y-2">
+        <h2 class="text-white font-bold">Rules</h2>
+        <table class="w-full text-left">
+            <thead class="text-gray-400"><tr><th>Name</th><th>Scope</th><th>Matches</th><th>Fires</th><th>Actions</th><th>Status</th><th></th></tr></thead>
+            <tbody id="rules"></tbody>
+        </table>
+    </section>
+
+    <form id="rule-form" class="${canOperate ? '' : 'hidden '}bg-gray-800 rounded p-4 space-y-3">
+        <h2 class="text-white font-bold" id="rule-form-title">New rule</h2>
+        <div class="grid grid-cols-4 gap-2">
+            <label class="col-span-2">Name<br><input name="name" required maxlength="100" class="${inputClass}"></label>
+            <label>Server<br><input name="server" placeholder="Any" class="${inputClass}"></label>
+            <label>Resource<br><input name="resource" placeholder="Any" class="${inputClass}"></label>
+            <label>Type<br><select name="type" class="${inputClass}"><option value="">Any</option>${LOG_TYPES.map(type => `<option>${type}</option>`).join('')}</select></label>
+            <label>Callback/URL<br><input name="match" placeholder="Substring or /regex/" class="${inputClass}"></label>
+            <label class="col-span-2">Fields<br><input name="where" placeholder="level==error; data.amount>1000" class="${inputClass}"></label>
+            <label>More than (count)<br><input name="thresholdCount" type="number" min="1" placeholder="Every match" class="${inputClass}"></label>
+            <label>Within (seconds)<br><input name="thresholdSeconds" type="number" min="1" placeholder="1" class="${inputClass}"></label>
+            <label>Cooldown (seconds)<br><input name="cooldownSeconds" type="number" min="0" placeholder="${ALERT_DEFAULT_COOLDOWN_SECONDS}" class="${inputClass}"></label>
+            <label>Webhook<br><input name="webhook" placeholder="http://localhost:9000/hook" class="${inputClass}"></label>
+        </div>
+        <div class="space-x-4">
+            <label><input type="checkbox" name="highlight" class="align-middle" checked> Highlight</label>
+            <label><input type="checkbox" name="pin" class="align-middle"> Pin in the viewer</label>
+            <label><input type="checkbox" name="notify" class="align-middle"> Browser notification</label>
+            <label><input type="checkbox" name="log" class="align-middle"> Append to the alerts log</label>
+            <label><input type="checkbox" name="enabled" class="align-middle" checked> Enabled</label>
+        </div>
+        <div class="space-x-2">
+            <button type="submit" class="bg-cyan-600 hover:bg-cyan-700 text-white py-1 px-3 rounded">Save rule</button>
+            <button type="button" id="rule-cancel" class="hidden bg-gray-600 hover:bg-gray-700 text-white py-1 px-3 rounded">Cancel editing</button>
+        </div>
+    </form>
+</div>
+
+<script>
+    const CAN_OPERATE = ${toScriptJson(canOperate)};
+    const ruleForm = document.getElementById('rule-form');
+    const openOnly = document.getElementById('open-only');
+    const notifyBtn = document.getElementById('notify-btn');
+    let rules = [];
+    let editingId = null;
+
+    function cell(row, text, className = '') {
+        const td = document.createElement('td');
+        td.className = 'pr-4 py-1 align-top ' + className;
+        td.textContent = text;
+        row.appendChild(td);
+        return td;
+    }
+
+    function actionLink(parent, label, onClick, className = 'text-cyan-400') {
+        const button = document.createElement('button');
+        button.className = className + ' hover:underline mr-2';
+        button.textContent = label;
+        button.onclick = onClick;
+        parent.appendChild(button);
+    }
+
+    async function send(method, url, body) {
+        const response = await fetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined,
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+        return result;
+    }
+
+    async function run(action) {
+        try {
+            await action();
+            await Promise.all([loadRules(), loadHistory()]);
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    function mutedLabel(rule) {
+        if (!rule.mutedUntil) return null;
+        if (rule.mutedUntil === 'forever') return 'muted';
+        return Date.parse(rule.mutedUntil) > Date.now() ? 'muted until ' + new Date(rule.mutedUntil).toLocaleTimeString() : null;
+    }
+
+    function renderRules() {
+        const body = document.getElementById('rules');
+        body.innerHTML = '';
+        if (!rules.length) body.innerHTML = '<tr><td colspan="7" class="text-gray-500 py-1">No rules yet.</td></tr>';
+        rules.forEach(rule => {
+            const row = document.createElement('tr');
+            cell(row, rule.name, 'text-white');
+            cell(row, (rule.server || '*') + ' / ' + (rule.resource || '*'));
+            cell(row, [rule.type.join(','), rule.match, rule.where.join('; ')].filter(Boolean).join(' · ') || 'everything', 'text-gray-400 break-all');
+            cell(row, rule.threshold ? \`> \${rule.threshold.count} in \${rule.threshold.seconds}s\` : 'every match');
+            cell(row, ['highlight', 'pin', 'notify', 'log'].filter(action => rule.actions[action]).concat(rule.actions.webhook ? ['webhook'] : []).join(', ') || '-', 'text-gray-400');
+            const muted = mutedLabel(rule);
+            cell(row, !rule.enabled ? 'disabled' : muted || 'active', !rule.enabled || muted ? 'text-yellow-400' : 'text-green-400');
+            const actions = cell(row, '', 'whitespace-nowrap');
+            if (CAN_OPERATE) {
+                if (muted) actionLink(actions, 'Unmute', () => run(() => send('POST', \`/alerts/rules/\${rule.id}/mute\`, { minutes: 0 })));
+                else {
+                    actionLink(actions, 'Mute 1h', () => run(() => send('POST', \`/alerts/rules/\${rule.id}/mute\`, { minutes: 60 })));
+                    actionLink(actions, 'Mute', () => run(() => send('POST', \`/alerts/rules/\${rule.id}/mute\`, {})));
+                }
+                actionLink(actions, 'Edit', () => editRule(rule));
+                actionLink(actions, 'Delete', () => {
+                    if (confirm(\`Delete the rule "\${rule.name}"?\`)) run(() => send('DELETE', \`/alerts/rules/\${rule.id}\`));
+                }, 'text-red-400');
+            }
+            body.appendChild(row);
+        });
+    }
+
+    function renderHistory(alerts) {
+        const body = document.getElementById('history');
+        body.innerHTML = '';
+        if (!alerts.length) body.innerHTML = '<tr><td colspan="7" class="text-gray-500 py-1">No alerts.</td></tr>';
+        alerts.forEach(alert => {
+            const row = document.createElement('tr');
+            if (!alert.acknowledgedAt) row.className = 'bg-red-900 bg-opacity-30';
+            cell(row, new Date(alert.firedAt).toLocaleString(), 'whitespace-nowrap');
+            cell(row, alert.name, 'text-white');
+            cell(row, alert.server + ' / ' + alert.resource);
+            const message = cell(row, alert.type + (alert.target ? ' ' + alert.target : ''), 'break-all');
+            const summary = document.createElement('div');
+            summary.className = 'text-xs text-gray-400';
+            summary.textContent = alert.summary;
+            message.appendChild(summary);
+            cell(row, alert.count + (alert.suppressed ? \` (+\${alert.suppressed} during cooldown)\` : ''));
+            cell(row, alert.acknowledgedAt ? 'acknowledged by ' + alert.acknowledgedBy : 'open', alert.acknowledgedAt ? 'text-gray-500' : 'text-red-400');
+            const actions = cell(row, '', 'whitespace-nowrap');
+            const open = document.createElement('a');
+            open.className = 'text-cyan-400 hover:underline mr-2';
+            open.textContent = 'Open';
+            open.href = '/view?' + new URLSearchParams({ server: alert.server, resource: alert.resource, at: alert.cursor });
+            actions.appendChild(open);
+            if (CAN_OPERATE) {
+                if (!alert.acknowledgedAt) actionLink(actions, 'Acknowledge', () => run(() => send('POST', '/alerts/history/ack', { ids: [alert.id] })));
+                if (rules.some(rule => rule.id === alert.rule && !mutedLabel(rule))) {
+                    actionLink(actions, 'Mute rule 1h', () => run(() => send('POST', \`/alerts/rules/\${alert.rule}/mute\`, { minutes: 60 })));
+                }
+            }
+            body.appendChild(row);
+        });
+    }
+
+    function editRule(rule) {
+        editingId = rule.id;
+        document.getElementById('rule-form-title').textContent = 'Edit "' + rule.name + '"';
+        document.getElementById('rule-cancel').classList.remove('hidden');
+        const elements = ruleForm.elements;
+        ['name', 'server', 'resource', 'match'].forEach(name => { elements[name].value = rule[name] || ''; });
+        elements.type.value = rule.type[0] || '';
+        elements.where.value = rule.where.join('; ');
+        elements.thresholdCount.value = rule.threshold ? rule.threshold.count : '';
+        elements.thresholdSeconds.value = rule.threshold ? rule.threshold.seconds : '';
+        elements.cooldownSeconds.value = rule.cooldownSeconds;
+        elements.webhook.value = rule.actions.webhook || '';
+        ['highlight', 'pin', 'notify', 'log'].forEach(action => { elements[action].checked = rule.actions[action]; });
+        elements.enabled.checked = rule.enabled;
+        ruleForm.scrollIntoView();
+    }
+
+    function resetRuleForm() {
+        editingId = null;
+        ruleForm.reset();
+        document.getElementById('rule-form-title').textContent = 'New rule';
+        document.getElementById('rule-cancel').classList.add('hidden');
+    }
+
+    async function loadRules() {
+        rules = await fetch('/alerts/rules').then(res => res.json());
+        renderRules();
+    }
+
+    async function loadHistory() {
+        const params = new URLSearchParams({ limit: 500 });
+        if (openOnly.checked) params.set('unacknowledged', 'true');
+        const { alerts } = await fetch('/alerts/history?' + params).then(res => res.json());
+        renderHistory(alerts);
+    }
+
+    function updateNotifyButton() {
+        notifyBtn.classList.toggle('hidden', !('Notification' in window) || Notification.permission !== 'default');
+    }
+
+    ruleForm.onsubmit = (e) => {
+        e.preventDefault();
+        const elements = ruleForm.elements;
+        const rule = {
+            name: elements.name.value,
+            server: elements.server.value.trim(),
+            resource: elements.resource.value.trim(),
+            type: elements.type.value,
+            match: elements.match.value,
+            where: elements.where.value,
+            threshold: elements.thresholdCount.value ? { count: elements.thresholdCount.value, seconds: elements.thresholdSeconds.value || 1 } : null,
+            cooldownSeconds: elements.cooldownSeconds.value,
+            enabled: elements.enabled.checked,
+            actions: {
+                highlight: elements.highlight.checked,
+                pin: elements.pin.checked,
+                notify: elements.notify.checked,
+                log: elements.log.checked,
+                webhook: elements.webhook.value.trim(),
+            },
+        };
+        run(async () => {
+            await send(editingId ? 'PUT' : 'POST', editingId ? '/alerts/rules/' + editingId : '/alerts/rules', rule);
+            resetRuleForm();
+        });
+    };
+    document.getElementById('rule-cancel').onclick = resetRuleForm;
+    document.getElementById('ack-all').onclick = () => run(() => send('POST', '/alerts/history/ack', {}));
+    openOnly.onchange = loadHistory;
+    notifyBtn.onclick = () => Notification.requestPermission().then(updateNotifyButton);
+
+    // New alerts from every server
+    const eventSource = new EventSource('/stream');
+    eventSource.addEventListener('alert', (e) => {
+        const { alert } = JSON.parse(e.data);
+        if (alert.actions.notify && 'Notification' in window && Notification.permission === 'granted') {
+            new Notification('🚨 ' + alert.name, { body: \`\${alert.server} / \${alert.resource}: \${alert.summary}\`, tag: alert.id });
+        }
+        loadHistory();
+    });
+    eventSource.addEventListener('alert_ack', loadHistory);
+    // Sent when the server can't resume from our last event, so alerts may have been missed
+    eventSource.addEventListener('reset', () => loadRules().then(loadHistory).catch(error => console.error('Failed to load alerts:', error)));
+
+    updateNotifyButton();
+    loadRules().then(loadHistory).catch(error => console.error('Failed to load alerts:', error));
+</script>
+</body>
+</html>`;
+    res.setHeader('Content-Type', 'text/html');
+    res.send(html);
+});
+
+
+// --- Ingestion Key Management Page ---
+app.get('/admin/ingest', requireRole('admin'), (req, res) => {
+    const html = `
+<!DOCTYPE html>
+<html lang="en" class="dark">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>NUI Logger - Ingestion Keys</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="bg-gray-900 text-gray-300 font-mono p-8">
+<div class="max-w-4xl mx-auto space-y-6 text-sm">
+    <div class="flex items-center justify-between">
+        <h1 class="text-2xl font-bold text-white">Ingestion Keys</h1>
+        <div class="space-x-4">
+            <a href="/admin/users" class="text-cyan-400 hover:underline">Users</a>
+            <a href="/admin/redaction" class="text-cyan-400 hover:underline">Redaction</a>
+            <a href="/view" class="text-cyan-400 hover:underline">Back to logs</a>
+        </div>
+    </div>
+    <p class="text-gray-400">Game servers send their key in the <code>${INGEST_KEY_HEADER}</code> header of every POST /log.
+        ${INGEST_REQUIRE_KEY ? '' : '<span class="text-yellow-400">Keys are currently not required (INGEST_REQUIRE_KEY is off).</span>'}</p>
+
+    <section class="space-y-2">
+        <h2 class="text-lg font-bold text-white">Allowed servers</h2>
+        <div id="servers" class="flex flex-wrap gap-2"></div>
+        <form id="add-server" class="flex gap-2">
+            <input name="server" placeholder="Server name" class="bg-gray-700 text-white rounded px-2 py-1" required>
+            <button type="submit" class="bg-gray-700 hover:bg-gray-600 py-1 px-3 rounded">Allow</button>
+        </form>
+    </section>
+
+    <section class="space-y-2">
+        <h2 class="text-lg font-bold text-white">Keys</h2>
+        <table class="w-full">
+            <thead class="text-left text-gray-400 border-b border-gray-700">
+                <tr><th class="py-2">Server</th><th>Label</th><th>Limits</th><th>Today</th><th>Accepted / rejected</th><th>Last used</th><th></th></tr>
+            </thead>
+            <tbody id="key-rows"></tbody>
+        </table>
+        <form id="issue-key" class="bg-gray-800 p-4 rounded flex flex-wrap gap-2">
+            <input name="server" placeholder="Server name" class="bg-gray-700 text-white rounded px-2 py-1" required>
+            <input name="label" placeholder="Label (optional)" class="bg-gray-700 text-white rounded px-2 py-1 flex-grow">
+            <input name="ratePerMinute" type="number" min="1" value="${INGEST_RATE_PER_MINUTE}" title="Entries per minute" class="bg-gray-700 text-white rounded px-2 py-1 w-24">
+            <input name="dailyQuota" type="number" min="1" value="${INGEST_DAILY_QUOTA}" title="Entries per day" class="bg-gray-700 text-white rounded px-2 py-1 w-28">
+            <button type="submit" class="bg-cyan-600 hover:bg-cyan-700 text-white py-1 px-3 rounded">Issue key</button>
+        </form>
+        <div id="new-key" class="hidden bg-gray-800 border border-cyan-600 p-4 rounded space-y-1">
+            <p class="text-white">Copy this key now, it will not be shown again:</p>
+            <code id="new-key-value" class="block break-all text-cyan-400"></code>
+            <p class="text-white pt-2">Or load the interceptor, with the key baked in, before the NUI's own scripts:</p>
+            <code id="new-key-script" class="block break-all text-cyan-400"></code>
+        </div>
+    </section>
+
+    <section class="space-y-2">
+        <h2 class="text-lg font-bold text-white">Rejected entries since startup</h2>
+        <div id="rejections" class="text-gray-400"></div>
+    </section>
+    <div id="message"></div>
+</div>
+
+<script>
+    const serverBox = document.getElementById('servers');
+    const keyRows = document.getElementById('key-rows');
+    const messageBox = document.getElementById('message');
+
+    function showMessage(text, isError = false) {
+        messageBox.textContent = text;
+        messageBox.className = isError ? 'text-red-400' : 'text-green-400';
+    }
+
+    async function request(method, url, body) {
+        const response = await fetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const result = response.headers.get('Content-Type')?.includes('json') ? await response.json() : null;
+        if (!response.ok) throw new Error((result && result.error) || response.statusText);
+        return result;
+    }
+
+    function renderServers(servers) {
+        serverBox.innerHTML = servers.length ? '' : '<span class="text-gray-500">No servers allowed yet.</span>';
+        servers.forEach(server => {
+            const chip = document.createElement('span');
+            chip.className = 'bg-gray-800 rounded px-2 py-1';
+            chip.textContent = server + ' ';
+            const remove = document.createElement('button');
+            remove.className = 'text-red-400 hover:text-red-300';
+            remove.textContent = '×';
+            remove.title = 'Remove from the allow-list';
+            remove.onclick = () => run(() => request('DELETE', '/ingest/servers/' + encodeURIComponent(server)), \`\${server} can no longer log.\`);
+            chip.appendChild(remove);
+            serverBox.appendChild(chip);
+        });
+    }
+
+    function renderKey(key) {
+        const row = document.createElement('tr');
+        row.className = 'border-b border-gray-800' + (key.revokedAt ? ' text-gray-600' : '');
+        const usage = key.usage || { today: 0, accepted: 0, rejected: 0, lastUsedAt: null };
+        const cells = [
+            key.server,
+            key.label || '',
+            \`\${key.ratePerMinute}/min, \${key.dailyQuota}/day\`,
+            String(usage.today),
+            \`\${usage.accepted} / \${usage.rejected}\`,
+            key.revokedAt ? 'revoked ' + new Date(key.revokedAt).toLocaleString() : (usage.lastUsedAt ? new Date(usage.lastUsedAt).toLocaleString() : 'never'),
+        ];
+        cells.forEach((value, i) => {
+            const cell = document.createElement('td');
+            if (i === 0) cell.className = 'py-2';
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        const actions = document.createElement('td');
+        actions.className = 'text-right';
+        if (!key.revokedAt) {
+            const revoke = document.createElement('button');
+            revoke.className = 'bg-red-600 hover:bg-red-700 text-white py-1 px-2 rounded';
+            revoke.textContent = 'Revoke';
+            revoke.onclick = () => confirm('Revoke this key?') && run(() => request('DELETE', '/ingest/keys/' + key.id), 'Key revoked.');
+            actions.appendChild(revoke);
+        }
+        row.appendChild(actions);
+        return row;
+    }
+
+    async function run(action, successMessage) {
+        try {
+            await action();
+            showMessage(successMessage);
+        } catch (error) {
+            showMessage(error.message, true);
+        }
+        load();
+    }
+
+    async function load() {
+        try {
+            const state = await request('GET', '/ingest');
+            renderServers(state.allowedServers);
+            keyRows.innerHTML = '';
+            state.keys.forEach(key => keyRows.appendChild(renderKey(key)));
+            const reasons = Object.entries(state.rejections);
+            document.getElementById('rejections').textContent = reasons.length
+                ? reasons.map(([reason, count]) => reason + ': ' + count).join(', ')
+                : 'None';
+        } catch (error) {
+            showMessage(error.message, true);
+        }
+    }
+
+    document.getElementById('add-server').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const server = e.target.elements.server.value.trim();
+        run(() => request('POST', '/ingest/servers', { server }), \`\${server} is allowed.\`);
+        e.target.reset();
+    });
+
+    document.getElementById('issue-key').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const fields = e.target.elements;
+        try {
+            const issued = await request('POST', '/ingest/keys', {
+                server: fields.server.value.trim(),
+                label: fields.label.value.trim(),
+                ratePerMinute: Number(fields.ratePerMinute.value),
+                dailyQuota: Number(fields.dailyQuota.value),
+            });
+            const box = document.getElementById('new-key');
+            document.getElementById('new-key-value').textContent = issued.key;
+            const scriptUrl = \`\${location.origin}/interceptor.js?server=\${encodeURIComponent(issued.server)}&key=\${encodeURIComponent(issued.key)}\`;
+            document.getElementById('new-key-script').textContent = \`<script src="\${scriptUrl}"><\\/script>\`;
+            box.classList.remove('hidden');
+            showMessage(\`Issued a key for \${issued.server}.\`);
+        } catch (error) {
+            showMessage(error.message, true);
+        }
+        load();
+    });
+
+    load();
+</script>
+</body>
+</html>`;
+    res.setHeader('Content-Type', 'text/html');
+    res.send(html);
+});
+
+// --- Redaction Rules Page ---
+app.get('/admin/redaction', requireRole('admin'), (req, res) => {
     const html = `
 <!DOCTYPE html>
 <html lang="en" class="dark">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>FiveM NUI Log Viewer</title>
+    <title>NUI Logger - Redaction</title>
     <script src="https://cdn.tailwindcss.com"></script>
-    <style>
-        body { scrollbar-width: thin; scrollbar-color: #4b5563 #1f2937; }
-        ::-webkit-scrollbar { width: 8px; }
-        ::-webkit-scrollbar-track { background: #1f2937; }
-        ::-webkit-scrollbar-thumb { background-color: #4b5563; border-radius: 4px; }
-        .log-type-lua_to_nui  { border-left-color: #3b82f6; }
-        .log-type-nui_to_lua  { border-left-color: #22c55e; }
-        .log-type-fetch_call  { border-left-color: #eab308; }
-        .log-type-console     { border-left-color: #a855f7; }
-        #toast-notification { transition: opacity 0.3s ease-in-out; }
-    </style>
 </head>
-<body class="bg-gray-900 text-gray-300 font-mono">
-<div class="flex h-screen">
-    <!-- Server List -->
-    <div class="w-1/4 h-screen bg-gray-800 p-4 overflow-y-auto">
-        <h1 class="text-xl font-bold text-white mb-4">Servers</h1>
-        <div id="server-list" class="flex flex-col space-y-2"></div>
+<body class="bg-gray-900 text-gray-300 font-mono p-8">
+<div class="max-w-6xl mx-auto space-y-6 text-sm">
+    <div class="flex items-center justify-between">
+        <h1 class="text-2xl font-bold text-white">Redaction</h1>
+        <div class="space-x-4">
+            <a href="/admin/users" class="text-cyan-400 hover:underline">Users</a>
+            <a href="/admin/ingest" class="text-cyan-400 hover:underline">Ingestion keys</a>
+            <a href="/view" class="text-cyan-400 hover:underline">Back to logs</a>
+        </div>
     </div>
+    <p class="text-gray-400">Rules run before an entry is written or shown live; entries already on disk are not changed.
+        Global rules apply to every server, followed by the server's own. Patterns: a key name such as <code>citizenid</code>,
+        a path such as <code>body.data.charinfo.phone</code> or <code>event.players.*.name</code>, or a regex such as <code>/\\d{3}-\\d{4}/</code>.</p>
 
-    <!-- Resource List -->
-    <div class="w-1/4 h-screen bg-gray-800 p-4 overflow-y-auto border-l border-gray-700">
-        <h1 class="text-xl font-bold text-white mb-4">Resources</h1>
-        <div id="resource-list" class="flex flex-col space-y-2"></div>
+    <div class="flex items-center gap-2">
+        <label>Rules for
+            <select id="scope" class="bg-gray-700 text-white rounded px-2 py-1"></select>
+        </label>
+        <button id="add-rule" class="bg-gray-700 hover:bg-gray-600 py-1 px-3 rounded">Add rule</button>
+        <button id="add-suggested" class="bg-gray-700 hover:bg-gray-600 py-1 px-3 rounded" title="citizenid, phone, account, names, birthdate">Add common player fields</button>
+        <button id="save" class="bg-cyan-600 hover:bg-cyan-700 text-white py-1 px-3 rounded">Save</button>
+        <span id="message"></span>
     </div>
+    <table class="w-full">
+        <thead class="text-left text-gray-400 border-b border-gray-700">
+            <tr><th class="py-2">On</th><th>Match</th><th>Pattern</th><th>Action</th><th></th></tr>
+        </thead>
+        <tbody id="rule-rows"></tbody>
+    </table>
 
-    <!-- Main Content -->
-    <div class="w-1/2 h-screen flex flex-col">
-        <div id="log-header" class="p-4 bg-gray-800 border-b border-gray-700 flex items-center justify-between hidden">
-            <h2 class="text-lg font-bold text-white">
-                Logs for <span id="current-server" class="text-cyan-400"></span> / <span id="current-resource" class="text-cyan-400"></span>
-            </h2>
-            <div>
-                <label class="mr-4">
-                    <input type="checkbox" id="auto-refresh" class="align-middle"> Auto-refresh
-                </label>
-                <button id="clear-logs-btn" class="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded">
-                    Clear Logs
-                </button>
-            </div>
-        </div>
-        <div id="log-container" class="flex-grow p-4 overflow-y-auto">
-            <div id="placeholder" class="text-gray-500">Select a server and resource to view logs.</div>
+    <section class="space-y-2 border-t border-gray-700 pt-4">
+        <h2 class="text-lg font-bold text-white">Preview</h2>
+        <p class="text-gray-400">Runs the rules above (saved or not) over the most recent entries of a server.</p>
+        <div class="flex gap-2">
+            <select id="preview-server" class="bg-gray-700 text-white rounded px-2 py-1"></select>
+            <select id="preview-resource" class="bg-gray-700 text-white rounded px-2 py-1"><option value="">All resources</option></select>
+            <button id="preview" class="bg-cyan-600 hover:bg-cyan-700 text-white py-1 px-3 rounded">Preview</button>
         </div>
-    </div>
+        <div id="preview-summary" class="text-gray-400"></div>
+        <div id="preview-results" class="space-y-3"></div>
+    </section>
 </div>
 
 <script>
-    const serverList = document.getElementById('server-list');
-    const resourceList = document.getElementById('resource-list');
-    const logContainer = document.getElementById('log-container');
-    const logHeader = document.getElementById('log-header');
-    const currentServerSpan = document.getElementById('current-server');
-    const currentResourceSpan = document.getElementById('current-resource');
-    const placeholder = document.getElementById('placeholder');
-    const clearLogsBtn = document.getElementById('clear-logs-btn');
-    const autoRefreshCheckbox = document.getElementById('auto-refresh');
+    const MATCHES = ${toScriptJson(REDACTION_MATCHES)};
+    const ACTIONS = ${toScriptJson(REDACTION_ACTIONS)};
+    const SUGGESTED_KEYS = ['citizenid', 'phone', 'account', 'firstname', 'lastname', 'birthdate'];
+    const scopeSelect = document.getElementById('scope');
+    const ruleRows = document.getElementById('rule-rows');
+    const messageBox = document.getElementById('message');
+    const previewServer = document.getElementById('preview-server');
+    const previewResource = document.getElementById('preview-resource');
+    let store = { global: [], servers: {} };
+    let drafts = {}; // scope -> rules being edited
 
-    let activeServer = null;
-    let activeResource = null;
-    let refreshInterval = null;
+    function showMessage(text, isError = false) {
+        messageBox.textContent = text;
+        messageBox.className = isError ? 'text-red-400' : 'text-green-400';
+    }
 
-    const typeColors = {
-        'lua_to_nui': 'text-blue-400',
-        'nui_to_lua': 'text-green-400',
-        'fetch_call': 'text-yellow-400',
-        'console':    'text-purple-400',
-    };
+    function optionsHtml(values, selected) {
+        return values.map(value => \`<option value="\${value}" \${value === selected ? 'selected' : ''}>\${value}</option>\`).join('');
+    }
 
-    // --- Notification and Clipboard Helpers ---
-    function showToast(message, isError = false) {
-        const existingToast = document.getElementById('toast-notification');
-        if (existingToast) existingToast.remove();
-        const toast = document.createElement('div');
-        toast.id = 'toast-notification';
-        toast.className = \`fixed top-5 right-5 text-white py-2 px-4 rounded shadow-lg z-50 \${isError ? 'bg-red-500' : 'bg-green-500'}\`;
-        toast.textContent = message;
-        document.body.appendChild(toast);
-        setTimeout(() => {
-            toast.style.opacity = '0';
-            setTimeout(() => { if(toast.parentElement) document.body.removeChild(toast); }, 300);
-        }, 2000);
+    function rulesFor(scope) {
+        if (!drafts[scope]) drafts[scope] = JSON.parse(JSON.stringify(scope === 'global' ? store.global : (store.servers[scope] || [])));
+        return drafts[scope];
     }
 
-    function copyToClipboard(text) {
-        if (navigator.clipboard && window.isSecureContext) {
-            navigator.clipboard.writeText(text).then(() => showToast('Copied to clipboard!'), () => fallbackCopy(text));
-        } else {
-            fallbackCopy(text);
-        }
+    function renderRules() {
+        const rules = rulesFor(scopeSelect.value);
+        ruleRows.innerHTML = '';
+        rules.forEach((rule, index) => {
+            const row = document.createElement('tr');
+            row.className = 'border-b border-gray-800';
+            row.innerHTML = \`
+                <td class="py-2"><input type="checkbox" data-field="enabled" \${rule.enabled !== false ? 'checked' : ''}></td>
+                <td><select data-field="match" class="bg-gray-700 text-white rounded px-2 py-1">\${optionsHtml(MATCHES, rule.match)}</select></td>
+                <td><input data-field="pattern" class="bg-gray-700 text-white rounded px-2 py-1 w-full"></td>
+                <td><select data-field="action" class="bg-gray-700 text-white rounded px-2 py-1">\${optionsHtml(ACTIONS, rule.action)}</select></td>
+                <td class="text-right"><button class="bg-red-600 hover:bg-red-700 text-white py-1 px-2 rounded">Remove</button></td>
+            \`;
+            row.querySelector('[data-field="pattern"]').value = rule.pattern;
+            row.querySelectorAll('[data-field]').forEach(input => {
+                input.onchange = () => {
+                    rule[input.dataset.field] = input.type === 'checkbox' ? input.checked : input.value;
+                };
+            });
+            row.querySelector('button').onclick = () => {
+                rules.splice(index, 1);
+                renderRules();
+            };
+            ruleRows.appendChild(row);
+        });
+        if (!rules.length) ruleRows.innerHTML = '<tr><td colspan="5" class="py-2 text-gray-500">No rules.</td></tr>';
     }
 
-    function fallbackCopy(text) {
-        const textArea = document.createElement('textarea');
-        textArea.value = text;
-        textArea.style.position = 'fixed'; textArea.style.top = '0'; textArea.style.left = '0'; textArea.style.opacity = '0';
-        document.body.appendChild(textArea);
-        textArea.focus(); textArea.select();
-        try {
-            document.execCommand('copy');
-            showToast('Copied to clipboard!');
-        } catch (err) {
-            showToast('Failed to copy.', true);
-        }
-        document.body.removeChild(textArea);
+    function renderScopes(servers) {
+        const current = scopeSelect.value || 'global';
+        const scopes = ['global', ...new Set([...servers, ...Object.keys(store.servers)])];
+        scopeSelect.innerHTML = scopes.map(scope => \`<option value="\${scope}">\${scope === 'global' ? 'All servers (global)' : scope}</option>\`).join('');
+        scopeSelect.value = current;
+        previewServer.innerHTML = optionsHtml(servers, previewServer.value);
     }
-    // --- End Helpers ---
 
-    async function fetchServers() {
-        try {
-            const response = await fetch('/logs');
-            const servers = await response.json();
-            updateList(serverList, servers, selectServer);
-        } catch (error) {
-            console.error('Failed to fetch servers:', error);
-            serverList.innerHTML = '<div class="text-red-400">Error loading servers.</div>';
-        }
+    async function loadResources() {
+        previewResource.innerHTML = '<option value="">All resources</option>';
+        if (!previewServer.value) return;
+        const resources = await fetch('/logs?server=' + encodeURIComponent(previewServer.value)).then(res => res.json());
+        previewResource.innerHTML += optionsHtml(resources, '');
     }
 
-    async function fetchResources(server) {
-        if (!server) {
-            resourceList.innerHTML = '';
-            return;
-        }
-        try {
-            const response = await fetch(\`/logs?server=\${server}\`);
-            const resources = await response.json();
-            updateList(resourceList, resources, (resource) => selectResource(server, resource));
-        } catch (error) {
-            console.error('Failed to fetch resources:', error);
-            resourceList.innerHTML = '<div class="text-red-400">Error loading resources.</div>';
-        }
+    async function save() {
+        const scope = scopeSelect.value;
+        const response = await fetch('/redaction', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ scope, rules: rulesFor(scope) })
+        });
+        const result = await response.json();
+        if (!response.ok) return showMessage(result.error, true);
+        store = result;
+        delete drafts[scope];
+        renderRules();
+        showMessage('Saved.');
     }
-    
-    function updateList(listElement, items, onClickHandler) {
-        const currentButtons = new Set(Array.from(listElement.children).map(btn => btn.dataset.name));
-        items.sort().forEach(item => {
-            if (!currentButtons.has(item)) {
-                const button = document.createElement('button');
-                button.textContent = item;
-                button.dataset.name = item;
-                button.className = 'text-left p-2 rounded hover:bg-gray-700 focus:outline-none focus:bg-cyan-500 focus:text-white transition-colors';
-                button.onclick = () => onClickHandler(item);
-                listElement.appendChild(button);
-            }
-            currentButtons.delete(item);
+
+    function renderPreviewEntry(item) {
+        const box = document.createElement('div');
+        box.className = 'bg-gray-800 rounded p-3 space-y-2';
+        const title = document.createElement('div');
+        title.className = 'text-gray-400';
+        title.textContent = \`\${item.resource} · \${item.before.type} · \${new Date(item.before.timestamp).toLocaleString()} · \${item.changes.map(change => change.path + ' (' + change.action + ')').join(', ')}\`;
+        const columns = document.createElement('div');
+        columns.className = 'grid grid-cols-2 gap-2';
+        [item.before, item.after].forEach((entry, i) => {
+            const pre = document.createElement('pre');
+            pre.className = 'whitespace-pre-wrap bg-gray-900 p-2 rounded ' + (i ? 'text-green-300' : 'text-red-300');
+            pre.textContent = JSON.stringify(entry, null, 2);
+            columns.appendChild(pre);
         });
-        currentButtons.forEach(itemName => {
-            const btn = listElement.querySelector(\`button[data-name="\${itemName}"]\`);
-            if(btn) btn.remove();
+        box.append(title, columns);
+        return box;
+    }
+
+    // Previews the drafts of both the global rules and the previewed server's rules
+    async function preview() {
+        const server = previewServer.value;
+        if (!server) return showMessage('There are no servers to preview.', true);
+        const rules = { global: rulesFor('global'), server: rulesFor(server) };
+
+        const response = await fetch('/redaction/preview', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ server, resource: previewResource.value || undefined, rules })
         });
+        const result = await response.json();
+        if (!response.ok) return showMessage(result.error, true);
+        document.getElementById('preview-summary').textContent = \`\${result.entries.length} of the \${result.scanned} most recent entries would change.\`;
+        const results = document.getElementById('preview-results');
+        results.innerHTML = '';
+        result.entries.forEach(item => results.appendChild(renderPreviewEntry(item)));
     }
 
-    async function fetchLogs(server, resource) {
-        if (!server || !resource) return;
-        try {
-            const response = await fetch(\`/logs?server=\${server}&resource=\${resource}\`);
-            const logs = await response.json();
-            logContainer.innerHTML = '';
+    document.getElementById('add-rule').onclick = () => {
+        rulesFor(scopeSelect.value).push({ match: 'key', pattern: '', action: 'mask', enabled: true });
+        renderRules();
+    };
+    document.getElementById('add-suggested').onclick = () => {
+        const rules = rulesFor(scopeSelect.value);
+        SUGGESTED_KEYS
+            .filter(key => !rules.some(rule => rule.match === 'key' && rule.pattern.toLowerCase() === key))
+            .forEach(key => rules.push({ match: 'key', pattern: key, action: 'hash', enabled: true }));
+        renderRules();
+    };
+    document.getElementById('save').onclick = save;
+    document.getElementById('preview').onclick = preview;
+    scopeSelect.onchange = renderRules;
+    previewServer.onchange = loadResources;
 
-            if (logs.length === 0) {
-                logContainer.innerHTML = '<div class="text-gray-500">No logs for this resource.</div>';
-                return;
-            }
-            
-            logs.forEach(log => {
-                const logEntry = document.createElement('div');
-                logEntry.className = 'log-entry bg-gray-800 p-3 rounded mb-2 border-l-4 ' + ('log-type-' + log.type);
-                
-                const data = log.data || log.event || log.callback || { url: log.url, options: log.options };
-                const formattedData = JSON.stringify(data, null, 2);
-                
-                let copyButtonHTML = '';
-                let commandData = '';
-                try {
-                    if (log.type === 'lua_to_nui') {
-                        commandData = \`top.citFrames['\${activeResource}'].contentWindow.postMessage(\${JSON.stringify(log.event)}, "*");\`;
-                    } else if (log.type === 'nui_to_lua' && log.callback) {
-                        commandData = \`$.post("\${log.callback}", JSON.stringify(\${JSON.stringify(log.data)}));\`;
-                    } else if (log.type === 'fetch_call') {
-                        const options = log.options || {};
-                        const body = options.body !== null && options.body !== undefined ? JSON.stringify(options.body) : 'null';
-                        commandData = \`fetch("\${log.url}", { \\n  method: "\${options.method || 'GET'}", \\n  headers: \${JSON.stringify(options.headers || {})}, \\n  body: \${body} \\n});\`;
-                    }
-                } catch(e) { console.error('Error generating command:', e, log); }
-                
-                if (commandData) {
-                    const escapedCommand = commandData.replace(/&/g, '&amp;').replace(/'/g, '&apos;').replace(/"/g, '&quot;');
-                    copyButtonHTML = \`<button class="copy-btn text-xs bg-gray-700 hover:bg-gray-600 text-gray-300 py-1 px-2 rounded" onclick="copyToClipboard(this.dataset.command)" data-command="\${escapedCommand}">Copy Cmd</button>\`;
-                }
+    (async () => {
+        const [saved, servers] = await Promise.all([
+            fetch('/redaction').then(res => res.json()),
+            fetch('/logs').then(res => res.json()),
+        ]);
+        store = saved;
+        renderScopes(servers);
+        renderRules();
+        loadResources();
+    })();
+</script>
+</body>
+</html>`;
+    res.setHeader('Content-Type', 'text/html');
+    res.send(html);
+});
 
-                logEntry.innerHTML = \`
-                    <div class="flex justify-between items-center mb-1">
-                        <span class="font-bold \${typeColors[log.type] || ''}">\${log.type}</span>
-                        <div>
-                            \${copyButtonHTML}
-                            <span class="text-xs text-gray-500 ml-2">\${new Date(log.timestamp).toLocaleString()}</span>
-                        </div>
-                    </div>
-                    <pre class="text-sm whitespace-pre-wrap"><code>\${formattedData}</code></pre>
-                \`;
-                logContainer.appendChild(logEntry);
-            });
-        } catch (error) {
-            console.error('Failed to fetch logs:', error);
-            logContainer.innerHTML = '<div class="text-red-400">Error loading logs.</div>';
-        }
-    }
+// --- User Management Page ---
+app.get('/admin/users', requireRole('admin'), (req, res) => {
+    const html = `
+<!DOCTYPE html>
+<html lang="en" class="dark">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>NUI Logger - Users</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="bg-gray-900 text-gray-300 font-mono p-8">
+<div class="max-w-3xl mx-auto space-y-6">
+    <div class="flex items-center justify-between">
+        <h1 class="text-2xl font-bold text-white">Users</h1>
+        <div class="space-x-4 text-sm">
+            <a href="/admin/ingest" class="text-cyan-400 hover:underline">Ingestion keys</a>
+            <a href="/admin/redaction" class="text-cyan-400 hover:underline">Redaction</a>
+            <a href="/view" class="text-cyan-400 hover:underline">Back to logs</a>
+        </div>
+    </div>
+    <p class="text-sm text-gray-400">Viewers can read logs. Operators can also clear, import and edit mocks. Admins also manage users.
+        Changing a role or password signs that user out everywhere.</p>
+    <table class="w-full text-sm">
+        <thead class="text-left text-gray-400 border-b border-gray-700">
+            <tr><th class="py-2">User</th><th>Role</th><th>Created</th><th></th></tr>
+        </thead>
+        <tbody id="user-rows"></tbody>
+    </table>
+    <form id="add-user" class="bg-gray-800 p-4 rounded flex flex-wrap gap-2 text-sm">
+        <input name="username" placeholder="Username" class="bg-gray-700 text-white rounded px-2 py-1" required>
+        <input name="password" type="password" placeholder="Password (${MIN_PASSWORD_LENGTH}+ characters)" class="bg-gray-700 text-white rounded px-2 py-1 flex-grow" required>
+        <select name="role" class="bg-gray-700 text-white rounded px-2 py-1">
+            ${ROLES.map(role => `<option value="${role}">${role}</option>`).join('')}
+        </select>
+        <button type="submit" class="bg-cyan-600 hover:bg-cyan-700 text-white py-1 px-3 rounded">Add user</button>
+    </form>
+    <div id="message" class="text-sm"></div>
+</div>
 
-    function selectServer(server) {
-        activeServer = server;
-        activeResource = null; // Clear resource
-        
-        // Highlight server
-        document.querySelectorAll('#server-list button').forEach(btn => {
-            btn.classList.toggle('bg-cyan-500', btn.dataset.name === server);
-            btn.classList.toggle('text-white', btn.dataset.name === server);
-        });
+<script>
+    const ROLES = ${toScriptJson(ROLES)};
+    const CURRENT_USER = ${toScriptJson(req.user.username)};
+    const rows = document.getElementById('user-rows');
+    const messageBox = document.getElementById('message');
+    const addForm = document.getElementById('add-user');
 
-        fetchResources(server); // Fetch resources for this server
-        logContainer.innerHTML = '<div class="text-gray-500">Select a resource to view logs.</div>';
-        logHeader.classList.add('hidden');
-        placeholder.classList.remove('hidden');
-        stopAutoRefresh();
+    function showMessage(text, isError = false) {
+        messageBox.textContent = text;
+        messageBox.className = 'text-sm ' + (isError ? 'text-red-400' : 'text-green-400');
     }
 
-    function selectResource(server, resource) {
-        activeServer = server;
-        activeResource = resource;
-        currentServerSpan.textContent = server;
-        currentResourceSpan.textContent = resource;
-        logHeader.classList.remove('hidden');
-        placeholder.classList.add('hidden');
-        
-        // Highlight resource
-        document.querySelectorAll('#resource-list button').forEach(btn => {
-            btn.classList.toggle('bg-cyan-500', btn.dataset.name === resource);
-            btn.classList.toggle('text-white', btn.dataset.name === resource);
+    async function request(method, url, body) {
+        const response = await fetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
         });
-
-        fetchLogs(server, resource);
-        if (autoRefreshCheckbox.checked) {
-            startAutoRefresh();
-        } else {
-            stopAutoRefresh();
-        }
+        const result = response.headers.get('Content-Type')?.includes('json') ? await response.json() : null;
+        if (!response.ok) throw new Error((result && result.error) || response.statusText);
+        return result;
     }
-    
-    async function clearLogs() {
-        if (!activeServer || !activeResource) return;
-        
-        const existingModal = document.getElementById('confirm-modal');
-        if (existingModal) existingModal.remove();
 
-        const customConfirm = document.createElement('div');
-        customConfirm.id = 'confirm-modal';
-        customConfirm.className = 'fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center z-50';
-        customConfirm.innerHTML = \`
-            <div class="bg-gray-800 p-6 rounded shadow-lg">
-                <p class="text-white mb-4">Are you sure you want to clear all logs for <strong class="text-cyan-400">\${activeServer} / \${activeResource}</strong>?</p>
-                <div class="flex justify-end space-x-2">
-                    <button id="confirm-cancel" class="bg-gray-600 hover:bg-gray-700 text-white py-2 px-4 rounded">Cancel</button>
-                    <button id="confirm-ok" class="bg-red-600 hover:bg-red-700 text-white py-2 px-4 rounded">Clear</button>
-                </div>
-            </div>
+    function renderUser(user) {
+        const row = document.createElement('tr');
+        row.className = 'border-b border-gray-800';
+        row.innerHTML = \`
+            <td class="py-2 text-white"></td>
+            <td><select class="bg-gray-700 text-white rounded px-2 py-1">\${ROLES.map(role => \`<option value="\${role}">\${role}</option>\`).join('')}</select></td>
+            <td class="text-gray-500">\${new Date(user.createdAt).toLocaleDateString()}</td>
+            <td class="text-right space-x-1">
+                <button data-action="password" class="bg-gray-700 hover:bg-gray-600 py-1 px-2 rounded">Set password</button>
+                <button data-action="revoke" class="bg-gray-700 hover:bg-gray-600 py-1 px-2 rounded">Sign out everywhere</button>
+                <button data-action="delete" class="bg-red-600 hover:bg-red-700 text-white py-1 px-2 rounded">Delete</button>
+            </td>
         \`;
-        document.body.appendChild(customConfirm);
-
-        document.getElementById('confirm-cancel').onclick = () => {
-            document.body.removeChild(customConfirm);
+        row.querySelector('td').textContent = user.username + (user.username === CURRENT_USER ? ' (you)' : '');
+        const roleSelect = row.querySelector('select');
+        roleSelect.value = user.role;
+        roleSelect.onchange = () => updateUser(user.username, { role: roleSelect.value }, \`\${user.username} is now \${roleSelect.value}.\`);
+        row.querySelector('[data-action="password"]').onclick = () => {
+            const password = prompt(\`New password for \${user.username}\`);
+            if (password) updateUser(user.username, { password }, \`Password changed for \${user.username}.\`);
         };
-        document.getElementById('confirm-ok').onclick = async () => {
-            document.body.removeChild(customConfirm);
+        row.querySelector('[data-action="revoke"]').onclick = () => updateUser(user.username, { revokeSessions: true }, \`\${user.username} was signed out everywhere.\`);
+        row.querySelector('[data-action="delete"]').onclick = async () => {
+            if (!confirm(\`Delete \${user.username}?\`)) return;
             try {
-                await fetch('/clear', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ server: activeServer, resource: activeResource })
-                });
-                fetchLogs(activeServer, activeResource); // Refresh logs
-                showToast(\`Logs cleared for \${activeServer} / \${activeResource}\`);
-            } catch(error) {
-                console.error("Failed to clear logs:", error);
-                showToast("Failed to clear logs.", true);
+                await request('DELETE', '/users/' + encodeURIComponent(user.username));
+                showMessage(\`Deleted \${user.username}.\`);
+            } catch (error) {
+                showMessage(error.message, true);
             }
+            loadUsers();
         };
+        return row;
     }
 
-    function startAutoRefresh() {
-        if (refreshInterval) clearInterval(refreshInterval);
-        if (activeServer && activeResource) {
-            refreshInterval = setInterval(() => fetchLogs(activeServer, activeResource), 2000);
+    async function updateUser(username, changes, successMessage) {
+        try {
+            await request('PUT', '/users/' + encodeURIComponent(username), changes);
+            showMessage(successMessage);
+        } catch (error) {
+            showMessage(error.message, true);
         }
+        loadUsers();
     }
 
-    function stopAutoRefresh() {
-        clearInterval(refreshInterval);
-        refreshInterval = null;
+    async function loadUsers() {
+        try {
+            const users = await request('GET', '/users');
+            rows.innerHTML = '';
+            users.forEach(user => rows.appendChild(renderUser(user)));
+        } catch (error) {
+            showMessage(error.message, true);
+        }
     }
 
-    clearLogsBtn.addEventListener('click', clearLogs);
-    autoRefreshCheckbox.addEventListener('change', () => {
-        if (autoRefreshCheckbox.checked) {
-            startAutoRefresh();
-        } else {
-            stopAutoRefresh();
+    addForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            const user = await request('POST', '/users', {
+                username: addForm.elements.username.value.trim(),
+                password: addForm.elements.password.value,
+                role: addForm.elements.role.value,
+            });
+            addForm.reset();
+            showMessage(\`Added \${user.username} as \${user.role}.\`);
+        } catch (error) {
+            showMessage(error.message, true);
         }
+        loadUsers();
     });
 
-    // Initial load
-    fetchServers();
-    setInterval(fetchServers, 5000); // Refresh server list every 5 seconds
+    loadUsers();
 </script>
 </body>
 </html>`;
@@ -539,6 +8045,15 @@ app.get('/view', checkAuth, (req, res) => {
     res.send(html);
 });
 
+// Body parser failures (oversized or malformed JSON) answer in JSON like the rest of the API
+app.use((error, req, res, next) => {
+    if (!error.type || !error.status) return next(error);
+    if (req.path === '/log' || req.path === '/log/batch') {
+        const reason = error.type === 'entity.too.large' ? 'payload_too_large' : 'malformed_body';
+        ingestRejections[reason] = (ingestRejections[reason] || 0) + 1;
+    }
+    res.status(error.status).json({ error: error.message });
+});
 
 // --- Server Start ---
 app.listen(PORT, '0.0.0.0', () => {
@@ -546,21 +8061,71 @@ app.listen(PORT, '0.0.0.0', () => {
     console.log('║   🎮 FiveM NUI Interceptor Logger Server   ║');
     console.log('╚══════════════════════════════════════════════╝\n');
     console.log(`✅ Server running, access the viewer at: http://localhost:${PORT}/login`);
-    console.log(`📁 Logging to directory: ${LOG_DIR}`);
-    console.log(`  POST /log         - Receive NUI intercepts (Public)`);
+    console.log(`📁 Logging to directory: ${LOG_DIR} (rotating at ${ROTATE_MAX_BYTES / 1024 / 1024} MB${ROTATE_DAILY ? ' and daily' : ''}, keeping ${RETENTION_MAX_AGE_DAYS} days)`);
+    console.log(`  POST /log         - Receive NUI intercepts (${INGEST_REQUIRE_KEY ? `${INGEST_KEY_HEADER} header` : 'Public'})`);
+    console.log(`  POST /log/batch   - Receive many intercepts as a JSON array or NDJSON, optionally gzipped`);
     console.log(`  GET  /login       - View login page`);
-    console.log(`  GET  /view        - View logs (PIN Required)`);
-    console.log(`  GET  /logs        - API: List servers (PIN Required)`);
-    console.log(`  GET  /logs?server=<name> - API: List resources (PIN Required)`);
-    console.log(`  GET  /logs?server=<name>&resource=<name> - API: View logs (PIN Required)`);
-    console.log(`  POST /clear       - API: Clear logs (PIN Required)`);
+    console.log(`  GET  /view        - View logs (Login Required)`);
+    console.log(`  POST /logout      - End the current session`);
+    console.log(`  POST /login/token - API: Log in for a session token, sent as "Authorization: Bearer <token>" (used by the CLI)`);
+    console.log(`  GET  /admin/users - Manage users and roles (Admin)`);
+    console.log(`  GET  /admin/ingest - Manage ingestion keys and allowed servers (Admin)`);
+    console.log(`  GET  /admin/redaction - Edit and preview PII redaction rules (Admin)`);
+    console.log(`  GET  /users, POST /users, PUT|DELETE /users/<name> - API: Manage users (Admin)`);
+    console.log(`  GET  /logs        - API: List servers (Login Required)`);
+    console.log(`  GET  /logs?server=<name> - API: List resources (Login Required)`);
+    console.log(`  GET  /logs?server=<name>&resource=<name>[&before|after|at=<cursor>&limit=<n>] - API: Page through logs (Login Required)`);
+    console.log(`  GET  /logs/timeline?server=<name>[&resources=a,b&before=<token>] - API: A server's resources merged by time (Login Required)`);
+    console.log(`  GET  /logs/compare?resource=<name>&a.capture=<id>|a.server=<name>[&a.from=&a.to=]&b...[&ignore=a,b] - API: Differences between two captures (Login Required)`);
+    console.log(`  GET  /search?server=&resource=&type=&from=&to=&match=&q=&where=&capture= - API: Search logs (Login Required)`);
+    console.log(`  GET  /stream?server=<name>&resource=<name> - API: Live log stream (Login Required)`);
+    console.log(`  POST /import?server=<name>[&resource=<name>&create=true] - API: Import a capture (Operator)`);
+    console.log(`  GET  /export?format=har|csv|ndjson&<filters> - API: Export logs (Login Required)`);
+    console.log(`  GET  /schema?server=<name>&resource=<name>[&format=dts] - API: Inferred message schemas (Login Required)`);
+    console.log(`  GET  /export/bundle?server=<name> - API: Zip of every resource on a server (Login Required)`);
+    console.log(`  POST /clear       - API: Clear or archive logs (Operator)`);
+    console.log(`  GET  /callbacks?server=<name>&resource=<name>[&from=&to=], GET /callbacks/pair?...&cursor= - API: Calls paired with their responses (Login Required)`);
+    console.log(`  GET  /timeline?server=<name> - Server-wide timeline (Login Required)`);
+    console.log(`  GET  /replay?server=<name>&resource=<name>&from=<cursor>&to=<cursor> - NUI replay harness (Operator)`);
+    console.log(`  POST /mock/<server>/<resource>/<callback> - Mock Lua callback answers (Public, logged for allowed servers)`);
+    console.log(`  GET  /mock/<server>/shim.js[?resource=<name>] - Script pointing a NUI page at the mocks (Public)`);
+    console.log(`  GET  /interceptor.js?server=<name>&key=<key>[&types=<a,b>][&resource=<name>] - Client interceptor posting to /log/batch (Public)`);
+    console.log(`  GET  /mocks, PUT /mocks, DELETE /mocks, POST /mocks/seed - API: Read mock responses (Login Required), edit them (Operator)`);
+    console.log(`  GET  /sessions    - Capture sessions (Login Required)`);
+    console.log(`  GET  /captures[?server=<name>], POST /captures, POST /captures/<id>/stop, PUT|DELETE /captures/<id> - API: List (Login Required), record and manage capture sessions (Operator)`);
+    console.log(`  GET  /compare     - Compare two captures of a resource (Login Required)`);
+    console.log(`  GET  /alerts      - Alert history and rules (Login Required)`);
+    console.log(`  GET  /alerts/rules, POST /alerts/rules, PUT|DELETE /alerts/rules/<id>, POST /alerts/rules/<id>/mute - API: Read alert rules (Login Required), edit and mute them (Operator)`);
+    console.log(`  GET  /alerts/history[?server=&resource=&unacknowledged=true], POST /alerts/history/ack - API: Fired alerts (Login Required), acknowledge them (Operator)`);
+    console.log(`  GET  /stats       - Traffic statistics (Login Required)`);
+    console.log(`  GET  /metrics     - Prometheus metrics (Login or Metrics Token), GET /metrics/summary - API: Traffic statistics (Login Required)`);
     console.log(`  GET  /health      - Health check (Public)\n`);
+    if (INGEST_REQUIRE_KEY && !Object.values(ingestStore.keys).some(key => !key.revokedAt)) {
+        console.warn('⚠️  No ingestion keys yet, so POST /log rejects everything. Issue one at /admin/ingest.\n');
+    }
     console.log('📡 Waiting for NUI data...\n');
 });
 
+// Retention runs once at startup and then periodically in the background
+const runRetention = () => {
+    try {
+        enforceRetention();
+    } catch (error) {
+        console.error('❌ Error enforcing log retention:', error);
+    }
+};
+runRetention();
+setInterval(runRetention, RETENTION_INTERVAL_MS).unref();
+resumeCaptures();
+
 // Graceful shutdown
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
     console.log('\n\n👋 Shutting down gracefully...');
+    // Buffered entries must reach the disk first, but a stuck disk should not keep us alive forever
+    setTimeout(() => process.exit(1), 10000).unref();
+    if (captureSaveTimer) saveCaptureStore();
+    if (alertSaveTimer) saveAlertHistory();
+    await flushLogFiles();
     process.exit(0);
 });
 
@@ -0,0 +1,43 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+let admin;
+
+const saveRule = rule => server.json('POST', '/alerts/rules', { token: admin, body: { name: 'rule', ...rule } });
+
+before(async () => {
+    server = await startServer();
+    admin = await server.login();
+});
+
+after(() => server.close());
+
+test('webhooks may point at this machine or literal private addresses', async () => {
+    for (const webhook of ['http://localhost:9000/hook', 'http://127.0.0.1/hook', 'http://[::1]:8080/', 'http://10.0.0.5/', 'http://172.16.0.1/', 'http://172.31.255.1/', 'https://192.168.1.20/hook']) {
+        const { status, body } = await saveRule({ actions: { webhook } });
+        assert.equal(status, 201, webhook);
+        assert.equal(body.actions.webhook, new URL(webhook).href);
+    }
+});
+
+test('webhooks may not point at names that only look local, or public addresses', async () => {
+    for (const webhook of ['http://10.evil.com/', 'http://127.attacker.net/', 'http://192.168.1.example.org/', 'http://localhost.example.com/', 'http://172.32.0.1/', 'http://8.8.8.8/', 'ftp://127.0.0.1/']) {
+        const { status } = await saveRule({ actions: { webhook } });
+        assert.equal(status, 400, webhook);
+    }
+});
+
+test('a rule with a threshold only fires once it is crossed', async () => {
+    const { body: rule } = await saveRule({ name: 'bursts', server: 's1', match: 'select', threshold: { count: 2, seconds: 60 }, cooldownSeconds: 0 });
+    const key = await server.issueKey(admin, 's1');
+    const history = async () => (await server.json('GET', '/alerts/history', { token: admin })).body.alerts.filter(alert => alert.rule === rule.id);
+
+    for (let i = 0; i < 2; i++) await server.log(key, { type: 'nui_to_lua', callback: 'https://r1/select', data: { i } });
+    assert.equal((await history()).length, 0);
+    await server.log(key, { type: 'nui_to_lua', callback: 'https://r1/select', data: { i: 2 } });
+    const alerts = await history();
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].count, 3);
+});
@@ -0,0 +1,67 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+let admin;
+
+before(async () => {
+    server = await startServer();
+    admin = await server.login();
+});
+
+after(() => server.close());
+
+test('API requests without a session are sent to the login page', async () => {
+    const response = await server.request('GET', '/logs');
+    assert.equal(response.status, 302);
+    assert.equal(response.headers.get('Location'), '/login');
+});
+
+test('an invalid bearer token is rejected', async () => {
+    const { status } = await server.json('GET', '/logs', { token: 'forged.token' });
+    assert.equal(status, 401);
+});
+
+test('wrong passwords do not get a token', async () => {
+    const { status } = await server.json('POST', '/login/token', { body: { username: 'admin', password: 'not-the-password' } });
+    assert.equal(status, 401);
+});
+
+test('roles gate what a user can do', async () => {
+    const viewer = await server.loginAs(admin, 'viewer');
+    const operator = await server.loginAs(admin, 'operator');
+
+    assert.equal((await server.json('GET', '/logs', { token: viewer })).status, 200);
+    assert.equal((await server.json('POST', '/clear', { token: viewer, body: { server: 's1', resource: 'r1' } })).status, 403);
+    assert.equal((await server.json('GET', '/users', { token: operator })).status, 403);
+    assert.equal((await server.json('POST', '/clear', { token: operator, body: { server: 's1', resource: 'r1' } })).status, 404);
+    assert.equal((await server.json('GET', '/users', { token: admin })).status, 200);
+});
+
+test('changing a role ends the user\'s sessions', async () => {
+    const token = await server.loginAs(admin, 'operator');
+    const username = JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString()).user;
+    await server.json('PUT', `/users/${username}`, { token: admin, body: { role: 'viewer' } });
+    assert.equal((await server.json('GET', '/logs', { token })).status, 401);
+});
+
+test('a deleted user\'s sessions do not carry over to a new account of the same name', async () => {
+    const password = 'first-password';
+    assert.equal((await server.json('POST', '/users', { token: admin, body: { username: 'sam', password, role: 'viewer' } })).status, 201);
+    const token = await server.login('sam', password);
+    assert.equal((await server.json('DELETE', '/users/sam', { token: admin })).status, 200);
+    assert.equal((await server.json('POST', '/users', { token: admin, body: { username: 'sam', password: 'second-password', role: 'admin' } })).status, 201);
+    assert.equal((await server.json('GET', '/users', { token })).status, 401);
+});
+
+test('a logged-out session stays revoked after a restart', async () => {
+    const token = await server.login();
+    assert.equal((await server.request('POST', '/logout', { token })).status, 302);
+    assert.equal((await server.json('GET', '/logs', { token })).status, 401);
+
+    await server.restart();
+    assert.equal((await server.json('GET', '/logs', { token })).status, 401);
+    admin = await server.login();
+    assert.equal((await server.json('GET', '/logs', { token: admin })).status, 200);
+});
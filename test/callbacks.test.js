@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+let admin;
+let records;
+
+const call = (callback, extra = {}) => ({ type: 'nui_to_lua', callback: `https://r1/${callback}`, data: {}, ...extra });
+const response = (callback, extra = {}) => ({ type: 'callback_response', callback: `https://r1/${callback}`, status: 200, body: { ok: true }, ...extra });
+const byCallback = name => records.find(record => record.callback === name);
+
+before(async () => {
+    server = await startServer();
+    admin = await server.login();
+    const key = await server.issueKey(admin, 's1');
+    const entries = [
+        call('open', { requestId: 'a' }),
+        call('close', { requestId: 'b' }),
+        // Answered out of order: ids decide the pairs
+        response('close', { requestId: 'b', duration: 12 }),
+        response('open', { requestId: 'a', duration: 40 }),
+        call('buy'),
+        response('buy', { status: 500, error: 'no money', duration: 5 }),
+        call('load', { requestId: 'c' }),
+        response('load', { requestId: 'c', duration: 900 }),
+        call('gone', { timestamp: new Date(Date.now() - 5 * 60 * 1000).toISOString() }),
+        call('wait'),
+    ];
+    for (const entry of entries) assert.equal((await server.log(key, entry)).status, 200);
+    await server.request('POST', '/mock/s1/r1/select', { raw: '{"slot":1}' });
+
+    const { status, body } = await server.json('GET', '/callbacks?server=s1&resource=r1', { token: admin });
+    assert.equal(status, 200);
+    records = body.records;
+});
+
+after(() => server.close());
+
+test('responses pair with their calls by request id, then by URL', () => {
+    assert.deepEqual([byCallback('open').matchedBy, byCallback('open').duration, byCallback('open').state], ['id', 40, 'ok']);
+    assert.deepEqual([byCallback('close').matchedBy, byCallback('close').duration], ['id', 12]);
+    assert.equal(byCallback('buy').matchedBy, 'heuristic');
+    assert.equal(byCallback('select').matchedBy, 'inline');
+    assert.deepEqual(byCallback('select').response, { status: 200, body: {} });
+});
+
+test('calls are flagged failed, slow, pending or unanswered', async () => {
+    assert.deepEqual(['buy', 'load', 'wait', 'gone'].map(name => byCallback(name).state), ['failed', 'slow', 'pending', 'unanswered']);
+
+    const { body } = await server.json('GET', '/callbacks?server=s1&resource=r1', { token: admin });
+    assert.deepEqual([body.summary.count, body.summary.failed, body.summary.slow], [7, 1, 1]);
+});
+
+test('a single call is found by its cursor', async () => {
+    const { status, body } = await server.json('GET', `/callbacks/pair?server=s1&resource=r1&cursor=${byCallback('open').cursor}`, { token: admin });
+    assert.equal(status, 200);
+    assert.equal(body.response.requestId, 'a');
+
+    const [segment] = byCallback('open').cursor.split(':');
+    assert.equal((await server.json('GET', `/callbacks/pair?server=s1&resource=r1&cursor=${segment}:1`, { token: admin })).status, 404);
+    assert.equal((await server.json('GET', '/callbacks/pair?server=s1&resource=r1&cursor=nope', { token: admin })).status, 400);
+});
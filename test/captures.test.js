@@ -0,0 +1,51 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+let admin;
+let key;
+
+const select = (resource, i) => server.log(key, { type: 'nui_to_lua', callback: `https://${resource}/select`, data: { i } });
+
+before(async () => {
+    server = await startServer();
+    admin = await server.login();
+    key = await server.issueKey(admin, 's1');
+});
+
+after(() => server.close());
+
+test('a capture tags what its server receives while it records', async () => {
+    await select('r1', 0);
+    const { status, body: capture } = await server.json('POST', '/captures', { token: admin, body: { server: 's1', name: 'repro' } });
+    assert.equal(status, 201);
+    await select('r1', 1);
+    await select('r2', 2);
+    await select('r1', 3);
+    assert.equal((await server.json('POST', `/captures/${capture.id}/stop`, { token: admin })).status, 200);
+    await select('r1', 4);
+
+    const { body: captures } = await server.json('GET', '/captures?server=s1', { token: admin });
+    assert.equal(captures[0].entries, 3);
+    assert.deepEqual(captures[0].resources, ['r1', 'r2']);
+    assert.equal(captures[0].recording, false);
+    assert.equal(captures[0].cursors, undefined);
+
+    const { body } = await server.json('GET', `/search?server=s1&resource=r1&capture=${capture.id}`, { token: admin });
+    assert.deepEqual(body.entries.map(entry => entry.data.i), [1, 3]);
+});
+
+test('a capture stops itself after its entry limit', async () => {
+    const { body: capture } = await server.json('POST', '/captures', { token: admin, body: { server: 's1', name: 'short', autoStopEntries: 2 } });
+    for (let i = 0; i < 4; i++) await select('r3', i);
+    const { body: captures } = await server.json('GET', '/captures?server=s1', { token: admin });
+    const stopped = captures.find(item => item.id === capture.id);
+    assert.equal(stopped.entries, 2);
+    assert.equal(stopped.stopReason, 'entries');
+});
+
+test('viewers cannot start captures', async () => {
+    const viewer = await server.loginAs(admin, 'viewer');
+    assert.equal((await server.json('POST', '/captures', { token: viewer, body: { server: 's1', name: 'nope' } })).status, 403);
+});
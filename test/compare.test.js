@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+let admin;
+let key;
+let captureA;
+let captureB;
+
+const call = (name, data = {}) => server.log(key, { type: 'nui_to_lua', callback: `https://r1/${name}`, data });
+
+const record = async (name, calls) => {
+    const { body: capture } = await server.json('POST', '/captures', { token: admin, body: { server: 's1', name } });
+    for (const [callback, data] of calls) await call(callback, data);
+    await server.json('POST', `/captures/${capture.id}/stop`, { token: admin });
+    return capture;
+};
+
+const compare = async query => {
+    const { status, body } = await server.json('GET', `/logs/compare?resource=r1&a.capture=${captureA.id}&b.capture=${captureB.id}&${query}`, { token: admin });
+    assert.equal(status, 200);
+    return body;
+};
+
+before(async () => {
+    server = await startServer();
+    admin = await server.login();
+    key = await server.issueKey(admin, 's1');
+    captureA = await record('before', [
+        ['open'],
+        ['select', { slot: 1, items: [{ id: 1, name: 'bread' }] }],
+        ['close'],
+        ['ping'],
+    ]);
+    await call('select', { slot: 9 });
+    captureB = await record('after', [
+        ['select', { slot: 2, items: [{ id: 2, name: 'water' }] }],
+        ['close'],
+        ['open'],
+        ['notify'],
+    ]);
+});
+
+after(() => server.close());
+
+test('each side holds only its capture\'s entries', async () => {
+    const body = await compare('');
+    assert.equal(body.a.entries, 4);
+    assert.equal(body.b.entries, 4);
+    assert.deepEqual(body.a.capture, { id: captureA.id, name: 'before' });
+});
+
+test('kinds missing from one side are reported as added or removed', async () => {
+    const body = await compare('');
+    const status = Object.fromEntries(body.kinds.map(kind => [kind.kind, kind.status]));
+    assert.equal(status['nui_to_lua /ping'], 'removed');
+    assert.equal(status['nui_to_lua /notify'], 'added');
+    assert.equal(body.summary.added, 1);
+    assert.equal(body.summary.removed, 1);
+    assert.equal(body.identical, false);
+});
+
+test('kinds sent out of order are marked as moved', async () => {
+    const body = await compare('');
+    assert.deepEqual(body.order.a, ['nui_to_lua /open', 'nui_to_lua /select', 'nui_to_lua /close']);
+    assert.deepEqual(body.order.b, ['nui_to_lua /select', 'nui_to_lua /close', 'nui_to_lua /open']);
+    assert.deepEqual(body.order.moved, ['nui_to_lua /open']);
+    assert.equal(body.kinds.find(kind => kind.kind === 'nui_to_lua /open').status, 'changed');
+    assert.equal(body.kinds.find(kind => kind.kind === 'nui_to_lua /close').status, 'same');
+});
+
+test('field differences are listed per kind, minus ignored fields', async () => {
+    const select = body => body.kinds.find(kind => kind.kind === 'nui_to_lua /select');
+    const fields = select(await compare('')).fields.map(field => [field.path, field.a, field.b]);
+    assert.deepEqual(fields.sort(), [
+        ['data.items[].id', 1, 2],
+        ['data.items[].name', 'bread', 'water'],
+        ['data.slot', 1, 2],
+    ]);
+
+    const ignored = select(await compare('ignore=timestamp,capture,items[].id,slot'));
+    assert.deepEqual(ignored.fields.map(field => field.path), ['data.items[].name']);
+});
+
+test('compare refuses parameters given more than once', async () => {
+    for (const query of ['a.server=s1&a.server=s2&b.server=s1', 'a.server=s1&b.server=s1&b.from=-1h&b.from=-2h', 'resource=r2&a.server=s1&b.server=s1']) {
+        const { status, body } = await server.json('GET', `/logs/compare?resource=r1&${query}`, { token: admin });
+        assert.equal(status, 400);
+        assert.match(body.error, /only be given once/);
+    }
+});
@@ -0,0 +1,101 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { startServer } = require('./helpers');
+
+let server;
+let admin;
+let key;
+
+const download = async query => {
+    const response = await server.request('GET', `/export?${query}`, { token: admin });
+    assert.equal(response.status, 200);
+    return { disposition: response.headers.get('Content-Disposition'), text: await response.text() };
+};
+
+// Names and contents of the files in a zip, read through its central directory
+function readZip(buffer) {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const files = {};
+    for (let i = 0; i < count; i++) {
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const entryLength = 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        files[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8');
+        offset += entryLength;
+    }
+    return files;
+}
+
+before(async () => {
+    server = await startServer();
+    admin = await server.login();
+    key = await server.issueKey(admin, 's1');
+    const entries = [
+        { server: 's1', type: 'nui_to_lua', callback: 'https://shop/buy?fast=1', data: { item: 'bread', note: 'say "hi", then leave' } },
+        { server: 's1', type: 'fetch_call', url: 'https://shop/price', options: { method: 'put', headers: { 'Content-Type': 'text/plain' }, body: 'bread' } },
+        { server: 's1', type: 'console', resource: 'shop', message: 'Bought bread' },
+        { server: 's1', type: 'console', resource: 'bank', message: 'Opened' },
+    ];
+    for (const entry of entries) assert.equal((await server.log(key, entry)).status, 200);
+});
+
+after(() => server.close());
+
+test('NDJSON exports the matching entries, oldest first, without internal fields', async () => {
+    const { disposition, text } = await download('server=s1&resource=shop');
+    assert.match(disposition, /attachment; filename=".*\.jsonl"/);
+    const entries = text.trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(entries.map(entry => entry.type), ['nui_to_lua', 'fetch_call', 'console']);
+    assert.equal(entries.some(entry => Object.keys(entry).some(key => key.startsWith('_'))), false);
+
+    const consoleOnly = await download('server=s1&type=console');
+    assert.equal(consoleOnly.text.trim().split('\n').length, 2);
+});
+
+test('HAR exports callbacks and fetches as requests', async () => {
+    const { disposition, text } = await download('server=s1&resource=shop&format=har');
+    assert.match(disposition, /\.har"/);
+    const { log } = JSON.parse(text);
+    assert.equal(log.version, '1.2');
+    const [callback, fetchCall] = log.entries;
+    assert.equal(log.entries.length, 2);
+    assert.equal(callback.request.method, 'POST');
+    assert.deepEqual(callback.request.queryString, [{ name: 'fast', value: '1' }]);
+    assert.deepEqual(JSON.parse(callback.request.postData.text), { item: 'bread', note: 'say "hi", then leave' });
+    assert.equal(fetchCall.request.method, 'PUT');
+    assert.deepEqual(fetchCall.request.postData, { mimeType: 'text/plain', text: 'bread' });
+    assert.equal(fetchCall._resource, 'shop');
+});
+
+test('CSV flattens entries into one column per field', async () => {
+    const { disposition, text } = await download('server=s1&resource=shop&format=csv');
+    assert.match(disposition, /\.csv"/);
+    const [header, callback] = text.trim().split('\r\n');
+    const columns = header.split(',');
+    assert.deepEqual(columns.slice(0, 4), ['timestamp', 'server', 'resource', 'type']);
+    assert.ok(columns.includes('data.item') && columns.includes('options.method'));
+    assert.ok(callback.includes(',s1,shop,nui_to_lua,'));
+    assert.ok(callback.includes('"say ""hi"", then leave"'));
+});
+
+test('bundles zip one file per resource', async () => {
+    const response = await server.request('GET', '/export/bundle?server=s1', { token: admin });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('Content-Disposition'), /\.zip"/);
+    const files = readZip(Buffer.from(await response.arrayBuffer()));
+    assert.deepEqual(Object.keys(files).sort(), ['s1/bank.jsonl', 's1/shop.jsonl']);
+    assert.equal(files['s1/shop.jsonl'].trim().split('\n').length, 3);
+    assert.equal(JSON.parse(files['s1/bank.jsonl']).message, 'Opened');
+});
+
+test('unknown formats are refused', async () => {
+    assert.equal((await server.json('GET', '/export?server=s1&format=xml', { token: admin })).status, 400);
+});
@@ -0,0 +1,188 @@
+// Starts server.js as a child process in a fresh temporary directory, so every test file gets its
+// own logs, data and port, and talks to it over HTTP like the viewer and the CLI do.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const SERVER_PATH = path.join(__dirname, '..', 'server.js');
+const ADMIN_PASSWORD = 'test-admin-password';
+const START_TIMEOUT_MS = 10000;
+const STREAM_TIMEOUT_MS = 5000;
+
+function findFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+async function waitForHealth(url, child) {
+    const deadline = Date.now() + START_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        if (child.exitCode !== null) throw new Error(`The server exited with code ${child.exitCode}.`);
+        try {
+            if ((await fetch(`${url}/health`)).ok) return;
+        } catch (e) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error('The server did not start in time.');
+}
+
+// One "id:/event:/data:" block of an event stream, or null for comments and retry hints
+function parseStreamEvent(block) {
+    const event = { id: null, event: 'message', data: '' };
+    let hasData = false;
+    for (const line of block.split('\n')) {
+        const [, field, value] = line.match(/^([^:]*):?\s?(.*)$/);
+        if (field === 'id') event.id = value;
+        else if (field === 'event') event.event = value;
+        else if (field === 'data') {
+            event.data += value;
+            hasData = true;
+        }
+    }
+    if (!hasData) return null;
+    event.data = JSON.parse(event.data);
+    return event;
+}
+
+// `setup(dir)` runs before the first start, e.g. to place old log segments
+async function startServer({ env = {}, setup } = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nui-logger-test-'));
+    if (setup) setup(dir);
+    const port = await findFreePort();
+    const url = `http://127.0.0.1:${port}`;
+    const server = { dir, url, output: '', child: null };
+
+    server.start = async () => {
+        const child = spawn(process.execPath, [SERVER_PATH], {
+            cwd: dir,
+            env: { ...process.env, NUI_LOGGER_CONFIG: '', NUI_LOGGER_PORT: String(port), NUI_LOGGER_LOG_DIR: './logs', NUI_LOGGER_ADMIN_PASSWORD: ADMIN_PASSWORD, ...env },
+            stdio: ['ignore', 'pipe', 'pipe'],
+        });
+        child.stdout.on('data', chunk => server.output += chunk);
+        child.stderr.on('data', chunk => server.output += chunk);
+        server.child = child;
+        await waitForHealth(url, child);
+    };
+
+    // SIGINT flushes buffered writes, like stopping it from the terminal
+    server.stop = async () => {
+        const { child } = server;
+        if (!child || child.exitCode !== null) return;
+        await new Promise(resolve => {
+            child.once('exit', resolve);
+            child.kill('SIGINT');
+        });
+    };
+
+    server.restart = async () => {
+        await server.stop();
+        await server.start();
+    };
+
+    server.close = async () => {
+        await server.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    };
+
+    server.request = async (method, pathname, { token, body, headers = {}, raw } = {}) => {
+        if (token) headers.Authorization = `Bearer ${token}`;
+        if (body !== undefined && raw === undefined) headers['Content-Type'] = 'application/json';
+        return fetch(`${url}${pathname}`, {
+            method,
+            headers,
+            body: raw !== undefined ? raw : body === undefined ? undefined : JSON.stringify(body),
+            redirect: 'manual',
+        });
+    };
+
+    server.json = async (method, pathname, options) => {
+        const response = await server.request(method, pathname, options);
+        const text = await response.text();
+        const isJson = (response.headers.get('Content-Type') || '').includes('json');
+        return { status: response.status, body: isJson && text ? JSON.parse(text) : text, headers: response.headers };
+    };
+
+    server.login = async (username = 'admin', password = ADMIN_PASSWORD) => {
+        const { status, body } = await server.json('POST', '/login/token', { body: { username, password } });
+        if (status !== 200) throw new Error(`Login as ${username} failed with ${status}.`);
+        return body.token;
+    };
+
+    // Creates a user with `role` and returns their token
+    server.loginAs = async (adminToken, role) => {
+        const username = `${role}-${Math.random().toString(36).slice(2, 8)}`;
+        const password = `${role}-password`;
+        const { status } = await server.json('POST', '/users', { token: adminToken, body: { username, password, role } });
+        if (status !== 201) throw new Error(`Creating ${username} failed with ${status}.`);
+        return server.login(username, password);
+    };
+
+    server.issueKey = async (adminToken, serverName, limits = {}) => {
+        const { body } = await server.json('POST', '/ingest/keys', { token: adminToken, body: { server: serverName, ...limits } });
+        return body.key;
+    };
+
+    server.log = (key, entry) => server.json('POST', '/log', { headers: key ? { 'X-Ingest-Key': key } : {}, body: entry });
+
+    // Opens an event stream. `next(name)` resolves with the next event of that name, skipping others.
+    server.stream = async (pathname, { token, lastEventId } = {}) => {
+        const controller = new AbortController();
+        const headers = { ...(token && { Authorization: `Bearer ${token}` }), ...(lastEventId && { 'Last-Event-ID': lastEventId }) };
+        const response = await fetch(`${url}${pathname}`, { headers, signal: controller.signal, redirect: 'manual' });
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+
+        const readEvent = async () => {
+            for (;;) {
+                const end = buffer.indexOf('\n\n');
+                if (end !== -1) {
+                    const event = parseStreamEvent(buffer.slice(0, end));
+                    buffer = buffer.slice(end + 2);
+                    if (event) return event;
+                    continue;
+                }
+                const { value, done } = await reader.read();
+                if (done) throw new Error('The stream ended.');
+                buffer += value;
+            }
+        };
+
+        return {
+            status: response.status,
+            next: async name => {
+                let timer;
+                const timeout = new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error(`No "${name}" event within ${STREAM_TIMEOUT_MS} ms.`)), STREAM_TIMEOUT_MS);
+                });
+                const wanted = (async () => {
+                    for (;;) {
+                        const event = await readEvent();
+                        if (event.event === name) return event;
+                    }
+                })();
+                wanted.catch(() => {}); // Reported through the race, or moot once the stream is closed
+                try {
+                    return await Promise.race([wanted, timeout]);
+                } finally {
+                    clearTimeout(timer);
+                }
+            },
+            close: () => controller.abort(),
+        };
+    };
+
+    await server.start();
+    return server;
+}
+
+module.exports = { startServer, ADMIN_PASSWORD };
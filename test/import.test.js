@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { startServer } = require('./helpers');
+
+let server;
+let admin;
+let key;
+
+const importFile = (query, raw, headers = { 'Content-Type': 'application/x-ndjson' }) => server.json('POST', `/import?${query}`, { token: admin, raw, headers });
+
+before(async () => {
+    server = await startServer();
+    admin = await server.login();
+    key = await server.issueKey(admin, 's1');
+    for (let i = 0; i < 5; i++) {
+        const { status } = await server.log(key, { server: 's1', type: 'nui_to_lua', callback: 'https://r1/select', data: { i } });
+        assert.equal(status, 200);
+    }
+});
+
+after(() => server.close());
+
+test('imports report what was accepted and rejected', async () => {
+    const lines = [
+        JSON.stringify({ timestamp: '2025-01-01T00:00:00.000Z', type: 'nui_to_lua', callback: 'https://r1/select', data: { old: true } }),
+        JSON.stringify({ timestamp: 'yesterday-ish', type: 'console', resource: 'r1' }),
+        'not json',
+    ];
+    const { status, body } = await importFile('server=s1', lines.join('\n'));
+    assert.equal(status, 200);
+    assert.equal(body.imported, 1);
+    assert.equal(body.rejected, 2);
+    assert.deepEqual(body.resources, { r1: 1 });
+});
+
+test('a backdated import does not hide newer entries from time-filtered reads', async () => {
+    const search = await server.json('GET', '/search?server=s1&resource=r1&from=-1h', { token: admin });
+    assert.equal(search.body.entries.length, 5);
+
+    const timeline = await server.json('GET', '/logs/timeline?server=s1&from=-1h', { token: admin });
+    assert.equal(timeline.body.entries.length, 5);
+
+    const compare = await server.json('GET', '/logs/compare?resource=r1&a.server=s1&a.from=-1h&b.server=s1', { token: admin });
+    assert.equal(compare.body.a.entries, 5);
+    assert.equal(compare.body.b.entries, 6);
+
+    const from = encodeURIComponent(new Date(Date.now() - 60 * 60 * 1000).toISOString());
+    const callbacks = await server.json('GET', `/callbacks?server=s1&resource=r1&from=${from}`, { token: admin });
+    assert.equal(callbacks.body.records.length, 5);
+});
+
+test('the imported entry is still found by its own date', async () => {
+    const { body } = await server.json('GET', '/search?server=s1&resource=r1&from=2024-12-31&to=2025-01-02', { token: admin });
+    assert.deepEqual(body.entries.map(entry => entry.data), [{ old: true }]);
+});
+
+test('new servers are only created on request', async () => {
+    const line = JSON.stringify({ timestamp: '2025-01-01T00:00:00.000Z', type: 'console', resource: 'r1', message: 'hi' });
+    assert.equal((await importFile('server=s2', line)).status, 404);
+    const { status, body } = await importFile('server=s2&create=true', zlib.gzipSync(line));
+    assert.equal(status, 200);
+    assert.equal(body.imported, 1);
+});
+
+test('HAR files become fetch calls in the resource their URLs name', async () => {
+    const har = { log: { entries: [{ startedDateTime: '2025-02-01T10:00:00.000Z', request: { method: 'POST', url: 'https://r3/buy', headers: [{ name: 'X-Test', value: '1' }], postData: { text: '{"item":"bread"}' } } }] } };
+    const { status, body } = await importFile('server=s1', JSON.stringify(har), { 'Content-Type': 'application/json' });
+    assert.equal(status, 200);
+    assert.deepEqual(body.resources, { r3: 1 });
+
+    const { body: page } = await server.json('GET', '/logs?server=s1&resource=r3', { token: admin });
+    const [entry] = page.entries;
+    assert.equal(entry.type, 'fetch_call');
+    assert.equal(entry.timestamp, '2025-02-01T10:00:00.000Z');
+    assert.deepEqual(entry.options, { method: 'POST', headers: { 'X-Test': '1' }, body: '{"item":"bread"}' });
+});
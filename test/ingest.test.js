@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+const ENTRY = { type: 'nui_to_lua', callback: 'https://r1/select', data: { slot: 1 } };
+
+let server;
+let admin;
+let key;
+
+before(async () => {
+    server = await startServer();
+    admin = await server.login();
+    key = await server.issueKey(admin, 's1');
+});
+
+after(() => server.close());
+
+test('entries need a valid key for their own server', async () => {
+    assert.equal((await server.log(null, ENTRY)).status, 401);
+    assert.equal((await server.log(`${key}x`, ENTRY)).status, 401);
+
+    const wrongServer = await server.log(key, { ...ENTRY, server: 's2' });
+    assert.equal(wrongServer.status, 403);
+    assert.equal(wrongServer.body.reason, 'wrong_server');
+
+    assert.equal((await server.log(key, ENTRY)).status, 200);
+});
+
+test('invalid entries are rejected', async () => {
+    const untyped = await server.log(key, { data: {} });
+    assert.equal(untyped.status, 400);
+    assert.equal(untyped.body.reason, 'invalid_entry');
+
+    const badName = await server.log(key, { ...ENTRY, resource: '../etc' });
+    assert.equal(badName.status, 400);
+});
+
+test('removing a server from the allow-list cuts off its keys', async () => {
+    const s3Key = await server.issueKey(admin, 's3');
+    assert.equal((await server.json('DELETE', '/ingest/servers/s3', { token: admin })).status, 200);
+    const { status, body } = await server.log(s3Key, ENTRY);
+    assert.equal(status, 403);
+    assert.equal(body.reason, 'server_not_allowed');
+});
+
+test('keys over their rate are told when to retry', async () => {
+    const slowKey = await server.issueKey(admin, 's4', { ratePerMinute: 2 });
+    assert.equal((await server.log(slowKey, ENTRY)).status, 200);
+    assert.equal((await server.log(slowKey, ENTRY)).status, 200);
+    const { status, body, headers } = await server.log(slowKey, ENTRY);
+    assert.equal(status, 429);
+    assert.equal(body.reason, 'rate_limited');
+    assert.ok(Number(headers.get('Retry-After')) > 0);
+});
+
+test('mock calls are answered for any server but only logged for allowed ones', async () => {
+    const unknown = await server.request('POST', '/mock/intruder/r1/select', { raw: '{"slot":1}' });
+    assert.equal(unknown.status, 200);
+    assert.equal(unknown.headers.get('X-Mock-Logged'), 'server_not_allowed');
+    assert.equal(fs.existsSync(path.join(server.dir, 'logs', 'intruder')), false);
+
+    const allowed = await server.request('POST', '/mock/s1/r1/select', { raw: '{"slot":2}' });
+    assert.equal(allowed.headers.get('X-Mock-Logged'), 'true');
+    const { body } = await server.json('GET', '/search?server=s1&resource=r1', { token: admin });
+    assert.ok(body.entries.some(entry => entry.mocked && entry.data.slot === 2));
+});
+
+test('mock calls are limited to the size of a single entry', async () => {
+    const response = await server.request('POST', '/mock/s1/r1/select', { raw: 'x'.repeat(2 * 1024 * 1024) });
+    assert.equal(response.status, 413);
+});
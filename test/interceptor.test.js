@@ -0,0 +1,44 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+let key;
+
+const script = query => server.request('GET', `/interceptor.js?${query}`);
+
+before(async () => {
+    server = await startServer();
+    key = await server.issueKey(await server.login(), 's1');
+});
+
+after(() => server.close());
+
+test('the script is configured for its server, key and types', async () => {
+    const response = await script(`server=s1&key=${key}&types=nui_to_lua,console&resource=r1`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('Content-Type'), /javascript/);
+    const body = await response.text();
+    assert.match(body, /\/log\/batch/);
+    assert.ok(body.includes(JSON.stringify(key)));
+    assert.match(body, /"types":\["nui_to_lua","console"\]/);
+});
+
+test('the script needs a key for its own server and known types', async () => {
+    assert.equal((await script('server=s1')).status, 400);
+    assert.equal((await script(`server=s1&key=${key}x`)).status, 401);
+    assert.equal((await script(`server=s2&key=${key}`)).status, 403);
+    assert.equal((await script(`server=s1&key=${key}&types=everything`)).status, 400);
+    assert.equal((await script(`server=../s1&key=${key}`)).status, 400);
+});
+
+test('batches from the script are logged entry by entry', async () => {
+    const lines = [
+        { type: 'nui_to_lua', callback: 'https://r1/select', data: { slot: 1 } },
+        { type: 'console', resource: 'r1', message: 'hello' },
+        { data: {} },
+    ].map(entry => JSON.stringify(entry)).join('\n');
+    const { status, body } = await server.json('POST', '/log/batch', { raw: lines, headers: { 'X-Ingest-Key': key, 'Content-Type': 'application/x-ndjson' } });
+    assert.equal(status, 200);
+    assert.deepEqual([body.accepted, body.rejected, body.errors[0].index], [2, 1, 2]);
+});
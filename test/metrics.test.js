@@ -0,0 +1,39 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const METRICS_TOKEN = 'test-metrics-token';
+
+let server;
+let admin;
+
+before(async () => {
+    server = await startServer({ env: { NUI_LOGGER_METRICS_TOKEN: METRICS_TOKEN } });
+    admin = await server.login();
+    const key = await server.issueKey(admin, 's1');
+    await server.log(key, { type: 'nui_to_lua', callback: 'https://r1/select', data: { slot: 1 } });
+    await server.log(key, { type: 'console', resource: 'r1', level: 'error', message: 'boom' });
+});
+
+after(() => server.close());
+
+test('metrics name nothing without a login or the metrics token', async () => {
+    const anonymous = await server.request('GET', '/metrics');
+    assert.notEqual(anonymous.status, 200);
+    assert.equal((await anonymous.text()).includes('r1'), false);
+    assert.equal((await server.request('GET', '/metrics', { token: 'wrong-token' })).status, 401);
+});
+
+test('scrapers read metrics with the metrics token', async () => {
+    const { status, body } = await server.json('GET', '/metrics', { token: METRICS_TOKEN });
+    assert.equal(status, 200);
+    assert.match(body, /nui_logger_messages_total\{server="s1",resource="r1",type="nui_to_lua"\} 1/);
+    assert.match(body, /nui_logger_messages_total\{server="s1",resource="r1",type="console"\} 1/);
+});
+
+test('logged-in users read metrics and their summary', async () => {
+    assert.equal((await server.request('GET', '/metrics', { token: admin })).status, 200);
+    const { status, body } = await server.json('GET', '/metrics/summary?server=s1', { token: admin });
+    assert.equal(status, 200);
+    assert.ok(JSON.stringify(body).includes('r1'));
+});
@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+let admin;
+let key;
+
+const saveMock = (callback, mock) => server.json('PUT', '/mocks', { token: admin, body: { server: 's1', resource: 'r1', callback, ...mock } });
+const callMock = (callback, body) => server.json('POST', `/mock/s1/r1/${callback}`, { raw: JSON.stringify(body), headers: { 'Content-Type': 'text/plain' } });
+
+before(async () => {
+    server = await startServer();
+    admin = await server.login();
+    key = await server.issueKey(admin, 's1');
+});
+
+after(() => server.close());
+
+test('callbacks without a mock get an empty answer, like cb({})', async () => {
+    const { status, body, headers } = await callMock('close', {});
+    assert.equal(status, 200);
+    assert.deepEqual(body, {});
+    assert.equal(headers.get('X-Mock-Match'), 'none');
+    assert.equal(headers.get('Access-Control-Allow-Origin'), '*');
+});
+
+test('mocks answer with their template filled from the call', async () => {
+    const saved = await saveMock('inventory/use', {
+        status: 201,
+        response: { ok: true, used: '{{body.items[0].id}}', count: '{{body.count}}', message: 'Used {{body.items[0].name}} in {{resource}}' },
+    });
+    assert.equal(saved.status, 200);
+
+    const { status, body, headers } = await callMock('inventory/use', { count: 2, items: [{ id: 7, name: 'bread' }] });
+    assert.equal(status, 201);
+    assert.equal(headers.get('X-Mock-Match'), 'callback');
+    assert.deepEqual(body, { ok: true, used: 7, count: 2, message: 'Used bread in r1' });
+});
+
+test('mocked calls are logged with their answer', async () => {
+    const { body } = await server.json('GET', '/search?server=s1&resource=r1&match=inventory', { token: admin });
+    const [entry] = body.entries;
+    assert.equal(entry.type, 'nui_to_lua');
+    assert.equal(entry.mocked, 'callback');
+    assert.deepEqual(entry.data, { count: 2, items: [{ id: 7, name: 'bread' }] });
+    assert.equal(entry.response.used, 7);
+});
+
+test('mocks persist across restarts and can be removed', async () => {
+    await server.restart();
+    const { body } = await server.json('GET', '/mocks?server=s1&resource=r1', { token: admin });
+    assert.deepEqual(Object.keys(body.mocks), ['inventory/use']);
+
+    assert.equal((await server.json('DELETE', '/mocks?server=s1&resource=r1&callback=inventory/use', { token: admin })).status, 200);
+    assert.equal((await callMock('inventory/use', {})).headers.get('X-Mock-Match'), 'none');
+    assert.equal((await server.json('DELETE', '/mocks?server=s1&resource=r1&callback=inventory/use', { token: admin })).status, 404);
+});
+
+test('invalid mocks are refused', async () => {
+    assert.equal((await saveMock('a', { status: 99 })).status, 400);
+    assert.equal((await saveMock('a', { latencyMs: -1 })).status, 400);
+    assert.equal((await saveMock('a?b', {})).status, 400);
+});
+
+test('seeding adds a mock for each callback seen, with its recorded reply', async () => {
+    await server.log(key, { server: 's1', type: 'nui_to_lua', callback: 'https://r2/open', data: {} });
+    await server.log(key, { server: 's1', type: 'nui_to_lua', callback: 'https://r2/buy', data: {}, response: { ok: false } });
+    const { status, body } = await server.json('POST', '/mocks/seed', { token: admin, body: { server: 's1', resource: 'r2' } });
+    assert.equal(status, 200);
+    assert.deepEqual(Object.keys(body.mocks).sort(), ['buy', 'open']);
+    assert.deepEqual(body.mocks.buy.response, { ok: false });
+});
+
+test('the shim points a page\'s callbacks at the mocks', async () => {
+    const response = await server.request('GET', '/mock/s1/shim.js?resource=r1');
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('Content-Type'), /javascript/);
+    assert.match(await response.text(), /\/mock\/s1\//);
+});
@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+const PHONE = '555-0142';
+
+let server;
+let admin;
+let key;
+
+const saveRules = (scope, rules, token = admin) => server.json('PUT', '/redaction', { token, body: { scope, rules } });
+
+before(async () => {
+    server = await startServer();
+    admin = await server.login();
+    key = await server.issueKey(admin, 's1');
+});
+
+after(() => server.close());
+
+test('only admins change redaction rules, and broken rules are refused', async () => {
+    const operator = await server.loginAs(admin, 'operator');
+    assert.equal((await saveRules('global', [], operator)).status, 403);
+    assert.equal((await saveRules('global', [{ match: 'regex', pattern: '/(/', action: 'mask' }])).status, 400);
+    assert.equal((await saveRules('global', [{ match: 'key', pattern: 'password', action: 'explode' }])).status, 400);
+});
+
+test('values are redacted before they are stored', async () => {
+    assert.equal((await saveRules('global', [{ match: 'key', pattern: 'password', action: 'mask' }])).status, 200);
+    assert.equal((await saveRules('s1', [
+        { match: 'path', pattern: 'data.charinfo.phone', action: 'hash' },
+        { match: 'key', pattern: 'citizenid', action: 'drop' },
+        { match: 'regex', pattern: '/\\d{3}-\\d{4}/', action: 'mask' },
+    ])).status, 200);
+
+    await server.log(key, { type: 'nui_to_lua', callback: 'https://r1/login', data: { Password: 'hunter2', citizenid: 'ABC123', charinfo: { phone: PHONE } } });
+    await server.log(key, { type: 'fetch_call', url: 'https://r1/call', options: { body: JSON.stringify({ note: `call me at ${PHONE}` }) } });
+
+    const { body } = await server.json('GET', '/search?server=s1&resource=r1', { token: admin });
+    const [login, call] = body.entries;
+    assert.deepEqual(Object.keys(login.data).sort(), ['Password', 'charinfo']);
+    assert.equal(login.data.Password, '[REDACTED]');
+    assert.match(login.data.charinfo.phone, /^sha256:[0-9a-f]{16}$/);
+    assert.deepEqual(JSON.parse(call.options.body), { note: 'call me at [REDACTED]' });
+
+    const stored = fs.readFileSync(path.join(server.dir, 'logs', 's1', 'r1.jsonl'), 'utf8');
+    assert.equal(stored.includes('hunter2') || stored.includes('ABC123') || stored.includes(PHONE), false);
+});
+
+test('imported entries are redacted too', async () => {
+    const line = JSON.stringify({ timestamp: '2025-01-01T00:00:00.000Z', type: 'nui_to_lua', callback: 'https://r2/login', data: { password: 'swordfish' } });
+    const { status } = await server.json('POST', '/import?server=s1', { token: admin, raw: line, headers: { 'Content-Type': 'application/x-ndjson' } });
+    assert.equal(status, 200);
+    const { body } = await server.json('GET', '/search?server=s1&resource=r2', { token: admin });
+    assert.equal(body.entries[0].data.password, '[REDACTED]');
+});
+
+test('other servers get only the global rules', async () => {
+    const s2Key = await server.issueKey(admin, 's2');
+    await server.log(s2Key, { type: 'nui_to_lua', callback: 'https://r1/login', data: { password: 'hunter2', citizenid: 'ABC123' } });
+    const { body } = await server.json('GET', '/search?server=s2&resource=r1', { token: admin });
+    assert.deepEqual(body.entries[0].data, { password: '[REDACTED]', citizenid: 'ABC123' });
+});
+
+test('previews refuse rules that are not arrays', async () => {
+    for (const rules of [{ global: { match: 'key' } }, { server: 'password' }, null, ['global']]) {
+        const { status, body } = await server.json('POST', '/redaction/preview', { token: admin, body: { server: 's1', rules } });
+        assert.equal(status, 400, JSON.stringify(rules));
+        assert.match(body.error, /must be/);
+    }
+    const { status, body } = await server.json('POST', '/redaction/preview', { token: admin, body: { server: 's1', rules: { global: [{ match: 'key', pattern: 'slot', action: 'mask' }] } } });
+    assert.equal(status, 200);
+    assert.equal(typeof body.scanned, 'number');
+});
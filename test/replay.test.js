@@ -0,0 +1,88 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+const encode = folder => Buffer.from(folder).toString('base64url');
+
+let server;
+let admin;
+let key;
+
+// The root is the server's own working directory, so data/ and logs/ sit inside it
+before(async () => {
+    server = await startServer({
+        env: { NUI_LOGGER_REPLAY_UI_ROOT: '.' },
+        setup(dir) {
+            fs.mkdirSync(path.join(dir, 'ui', 'html'), { recursive: true });
+            fs.writeFileSync(path.join(dir, 'ui', 'html', 'index.html'), '<html><head></head><body>hello</body></html>');
+            fs.mkdirSync(path.join(dir, 'data'));
+            fs.writeFileSync(path.join(dir, 'data', 'mocks.json'), JSON.stringify({ s9: { r9: { 'secret-callback': { response: {} } } } }));
+            fs.symlinkSync(path.join(dir, 'data'), path.join(dir, 'ui', 'html', 'linked'));
+        },
+    });
+    admin = await server.login();
+    key = await server.issueKey(admin, 's1');
+    for (const action of ['open', 'update', 'close']) {
+        await server.log(key, { server: 's1', resource: 'r1', type: 'lua_to_nui', event: { action } });
+        await server.log(key, { server: 's1', type: 'nui_to_lua', callback: 'https://r1/ack', data: { action } });
+    }
+});
+
+after(() => server.close());
+
+test('the harness replays the lua_to_nui events between two cursors', async () => {
+    const { body: page } = await server.json('GET', '/logs?server=s1&resource=r1', { token: admin });
+    const events = page.entries.filter(entry => entry.type === 'lua_to_nui');
+    const { status, body } = await server.json('GET', `/replay?server=s1&resource=r1&from=${events[0]._cursor}&to=${events[1]._cursor}`, { token: admin });
+    assert.equal(status, 200);
+    const replay = JSON.parse(body.match(/const REPLAY = (.*);/)[1]);
+    assert.deepEqual(replay.events.map(event => event.event.action), ['open', 'update']);
+    assert.equal(replay.uiRoot, '.');
+
+    assert.equal((await server.json('GET', '/replay?server=s1&resource=r1&from=nope&to=x:0', { token: admin })).status, 400);
+});
+
+test('UI files load from inside the root, with the mock shim when asked', async () => {
+    const response = await server.request('GET', `/replay/ui/${encode('ui/html')}/index.html?mock=s1&resource=r1`, { token: admin });
+    assert.equal(response.status, 200);
+    const html = await response.text();
+    assert.match(html, /hello/);
+    assert.match(html, /<script src="\/mock\/s1\/shim\.js\?resource=r1"><\/script>/);
+});
+
+test('viewers can open neither the harness nor its UI files', async () => {
+    const viewer = await server.loginAs(admin, 'viewer');
+    const { status } = await server.json('GET', `/replay/ui/${encode('ui/html')}/index.html`, { token: viewer });
+    assert.equal(status, 403);
+    const harness = await server.json('GET', '/replay?server=s1&resource=r1&from=x:0&to=x:0', { token: viewer });
+    assert.equal(harness.status, 403);
+});
+
+test('folders outside the root are refused', async () => {
+    for (const folder of ['/etc', '..', 'ui/../..', path.dirname(server.dir)]) {
+        const { status } = await server.json('GET', `/replay/ui/${encode(folder)}/hostname`, { token: admin });
+        assert.ok([403, 404].includes(status), `${folder} answered ${status}`);
+    }
+});
+
+test('the data and log directories are never served', async () => {
+    const files = [['data', 'mocks.json'], ['data', 'auth.json'], ['.', 'data/auth.json'], [path.join(server.dir, 'data'), 'auth.json'], ['ui/html', 'linked/auth.json'], ['ui/html', 'linked/mocks.json'], ['logs', 's1/r1.jsonl'], ['.', 'logs/s1/r1.jsonl']];
+    for (const [folder, file] of files) {
+        const { status, body } = await server.json('GET', `/replay/ui/${encode(folder)}/${file}`, { token: admin });
+        assert.equal(status, 403, `${folder} ${file}`);
+        assert.doesNotMatch(JSON.stringify(body), /sessionSecret|secret-callback|lua_to_nui/);
+    }
+});
+
+test('nothing is served without a configured root', async () => {
+    const closed = await startServer();
+    try {
+        const token = await closed.login();
+        const { status } = await closed.json('GET', `/replay/ui/${encode(path.join(closed.dir, 'data'))}/auth.json`, { token });
+        assert.equal(status, 403);
+    } finally {
+        await closed.close();
+    }
+});
@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+let admin;
+let key;
+
+const logSelect = async data => {
+    const { status } = await server.log(key, { type: 'nui_to_lua', callback: 'https://r1/select', data });
+    assert.equal(status, 200);
+};
+
+const selectGroup = async (query = '') => {
+    const { status, body } = await server.json('GET', `/schema?server=s1&resource=r1${query}`, { token: admin });
+    assert.equal(status, 200);
+    return { group: body.groups.find(group => group.name === 'select'), mismatches: body.mismatches };
+};
+
+before(async () => {
+    server = await startServer();
+    admin = await server.login();
+    key = await server.issueKey(admin, 's1');
+    for (let i = 0; i < 5; i++) await logSelect({ slot: i });
+    // The schema is rebuilt from the file after a restart
+    await server.restart();
+    admin = await server.login();
+});
+
+after(() => server.close());
+
+test('entries from before and after the schema started building are each counted once', async () => {
+    for (let i = 5; i < 10; i++) await logSelect({ slot: i });
+    const { group } = await selectGroup();
+    assert.equal(group.count, 10);
+    assert.equal(group.schema.properties.slot.type, 'integer');
+
+    const refreshed = await selectGroup('&refresh=true');
+    assert.equal(refreshed.group.count, 10);
+});
+
+test('payloads that do not match the schema are flagged', async () => {
+    await logSelect({ slot: 'ten' });
+    const { group, mismatches } = await selectGroup();
+    assert.equal(group.count, 11);
+    assert.equal(mismatches.length, 1);
+    assert.equal(mismatches[0].name, 'select');
+});
+
+test('schemas are served as TypeScript declarations too', async () => {
+    const response = await server.request('GET', '/schema?server=s1&resource=r1&format=dts', { token: admin });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('Content-Disposition'), /r1\.d\.ts/);
+    assert.match(await response.text(), /slot/);
+});
@@ -0,0 +1,60 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+let admin;
+let keys;
+
+const search = async query => {
+    const { status, body } = await server.json('GET', `/search?${query}`, { token: admin });
+    assert.equal(status, 200, JSON.stringify(body));
+    return body.entries;
+};
+
+before(async () => {
+    server = await startServer();
+    admin = await server.login();
+    keys = { s1: await server.issueKey(admin, 's1'), s2: await server.issueKey(admin, 's2') };
+    const entries = [
+        { server: 's1', type: 'nui_to_lua', callback: 'https://shop/buy', data: { item: 'bread', money: { cash: 500 } } },
+        { server: 's1', type: 'nui_to_lua', callback: 'https://shop/buy', data: { item: 'water', money: { cash: 2500 } } },
+        { server: 's1', type: 'fetch_call', url: 'https://bank/withdraw', options: { body: JSON.stringify({ amount: 75 }) } },
+        { server: 's1', type: 'console', resource: 'bank', level: 'error', message: 'Withdraw failed' },
+        { server: 's2', type: 'nui_to_lua', callback: 'https://shop/sell', data: { item: 'bread' } },
+    ];
+    for (const entry of entries) assert.equal((await server.log(keys[entry.server], entry)).status, 200);
+});
+
+after(() => server.close());
+
+test('search filters by type, callback pattern and free text', async () => {
+    assert.deepEqual((await search('server=s1&type=console')).map(entry => entry.message), ['Withdraw failed']);
+    assert.equal((await search('server=s1&match=/buy$/')).length, 2);
+    assert.equal((await search('server=s1&match=WITHDRAW')).length, 1);
+    const bread = await search('q=bread');
+    assert.deepEqual(bread.map(entry => entry._server).sort(), ['s1', 's2']);
+});
+
+test('field predicates compare values, including inside JSON strings', async () => {
+    assert.deepEqual((await search('server=s1&resource=shop&where=data.money.cash>1000')).map(entry => entry.data.item), ['water']);
+    assert.deepEqual((await search('server=s1&where=data.item==bread')).map(entry => entry._resource), ['shop']);
+    assert.equal((await search('server=s1&where=options.body.amount>=75')).length, 1);
+    assert.equal((await search('server=s1&where=level?&where=message~fail')).length, 1);
+});
+
+test('unparseable filters are refused', async () => {
+    for (const query of ['type=nope', 'from=whenever', 'where=data.item', 'resource=shop']) {
+        const { status } = await server.json('GET', `/search?${query}`, { token: admin });
+        assert.equal(status, 400, query);
+    }
+});
+
+test('filtered streams skip entries that do not match', async () => {
+    const stream = await server.stream('/stream?server=s1&type=console', { token: admin });
+    await stream.next('ready');
+    await server.log(keys.s1, { server: 's1', type: 'nui_to_lua', callback: 'https://shop/buy', data: { item: 'milk' } });
+    await server.log(keys.s1, { server: 's1', type: 'console', resource: 'shop', message: 'Bought milk' });
+    assert.equal((await stream.next('log')).data.entry.message, 'Bought milk');
+    stream.close();
+});
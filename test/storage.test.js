@@ -0,0 +1,115 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { startServer } = require('./helpers');
+
+const OLD_SEGMENT = 'r9.20200101T000000000Z.jsonl.gz';
+const RECENT_SEGMENT = 'r9.20990101T000000000Z.jsonl.gz';
+
+let server;
+let admin;
+let key;
+
+const serverFiles = () => fs.readdirSync(path.join(server.dir, 'logs', 's1'));
+const logPage = async (query, resource = 'r1') => {
+    const { status, body } = await server.json('GET', `/logs?server=s1&resource=${resource}&${query}`, { token: admin });
+    assert.equal(status, 200);
+    return body;
+};
+
+before(async () => {
+    server = await startServer({
+        // Rotated segments past retention are removed when the server starts, and r2's active
+        // file is from a past day
+        setup: dir => {
+            const serverDir = path.join(dir, 'logs', 's1');
+            fs.mkdirSync(serverDir, { recursive: true });
+            const line = `${JSON.stringify({ timestamp: '2020-01-01T00:00:00.000Z', type: 'console', message: 'old' })}\n`;
+            fs.writeFileSync(path.join(serverDir, OLD_SEGMENT), zlib.gzipSync(line));
+            fs.utimesSync(path.join(serverDir, OLD_SEGMENT), new Date('2020-01-02'), new Date('2020-01-02'));
+            fs.writeFileSync(path.join(serverDir, RECENT_SEGMENT), zlib.gzipSync(line));
+            fs.writeFileSync(path.join(serverDir, 'r2.jsonl'), line);
+        },
+    });
+    admin = await server.login();
+    key = await server.issueKey(admin, 's1');
+
+    // Clients with wrong clocks must not decide rotation or segment names
+    const dates = { 0: '2025-01-01T00:00:00.000Z', 3: '2030-06-01T00:00:00.000Z' };
+    for (let i = 0; i < 6; i++) {
+        const { status } = await server.log(key, { ...(dates[i] && { timestamp: dates[i] }), server: 's1', type: 'nui_to_lua', callback: 'https://r1/select', data: { i } });
+        assert.equal(status, 200);
+    }
+});
+
+after(() => server.close());
+
+test('backdated and future-dated entries do not rotate the file', async () => {
+    await logPage('limit=1');
+    assert.deepEqual(serverFiles().filter(file => file.startsWith('r1.')), ['r1.jsonl']);
+});
+
+test('pages walk back and forth by cursor', async () => {
+    const newest = await logPage('limit=2');
+    assert.deepEqual(newest.entries.map(entry => entry.data.i), [4, 5]);
+    assert.equal(newest.hasMore, true);
+
+    const older = await logPage(`limit=2&before=${newest.before}`);
+    assert.deepEqual(older.entries.map(entry => entry.data.i), [2, 3]);
+
+    const newer = await logPage(`limit=2&after=${older.after}`);
+    assert.deepEqual(newer.entries.map(entry => entry.data.i), [4, 5]);
+
+    const at = await logPage(`limit=3&at=${older.before}`);
+    assert.deepEqual(at.entries.map(entry => entry.data.i), [2, 3, 4]);
+
+    const oldest = await logPage(`limit=5&before=${older.before}`);
+    assert.deepEqual(oldest.entries.map(entry => entry.data.i), [0, 1]);
+    assert.equal(oldest.hasMore, false);
+
+    assert.equal((await server.json('GET', '/logs?server=s1&resource=r1&before=nope', { token: admin })).status, 400);
+});
+
+test('cursors stay valid after a restart', async () => {
+    const { entries } = await logPage('limit=6');
+    assert.equal(entries.length, 6);
+    await server.restart();
+    admin = await server.login();
+
+    const page = await logPage(`limit=1&at=${entries[0]._cursor}`);
+    assert.deepEqual(page.entries.map(entry => entry.data.i), [0]);
+    const after = await logPage(`limit=6&after=${entries[0]._cursor}`);
+    assert.deepEqual(after.entries.map(entry => entry.data.i), [1, 2, 3, 4, 5]);
+});
+
+test('streamed entries carry the cursor they were written at', async () => {
+    const stream = await server.stream('/stream?server=s1&resource=r1', { token: admin });
+    await stream.next('ready');
+    await server.log(key, { server: 's1', type: 'nui_to_lua', callback: 'https://r1/select', data: { i: 6 } });
+    const { data } = await stream.next('log');
+    stream.close();
+
+    const page = await logPage('limit=1');
+    assert.equal(page.entries[0]._cursor, data.entry._cursor);
+});
+
+test('the first write of a new day rotates and compresses the old file', async () => {
+    await server.log(key, { server: 's1', type: 'console', resource: 'r2', message: 'new' });
+    const segment = 'r2.20200101T000000000Z.jsonl.gz';
+    for (let i = 0; i < 50 && !serverFiles().includes(segment); i++) await new Promise(resolve => setTimeout(resolve, 100));
+    assert.deepEqual(serverFiles().filter(file => file.startsWith('r2.')).sort(), [segment, 'r2.jsonl']);
+
+    const newest = await logPage('limit=1', 'r2');
+    assert.deepEqual(newest.entries.map(entry => entry.message), ['new']);
+    const older = await logPage(`limit=1&before=${newest.before}`, 'r2');
+    assert.deepEqual(older.entries.map(entry => entry.message), ['old']);
+    assert.equal(older.hasMore, false);
+});
+
+test('retention removes old rotated segments and keeps recent ones', () => {
+    const files = serverFiles();
+    assert.equal(files.includes(OLD_SEGMENT), false);
+    assert.equal(files.includes(RECENT_SEGMENT), true);
+});
@@ -0,0 +1,67 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+let admin;
+let key;
+
+const select = (resource, i) => server.log(key, { server: 's1', type: 'nui_to_lua', callback: `https://${resource}/select`, data: { i } });
+
+before(async () => {
+    server = await startServer();
+    admin = await server.login();
+    key = await server.issueKey(admin, 's1');
+});
+
+after(() => server.close());
+
+test('the stream needs a login', async () => {
+    const response = await server.request('GET', '/stream');
+    assert.equal(response.status, 302);
+});
+
+test('new entries are pushed to open streams in their scope', async () => {
+    const all = await server.stream('/stream', { token: admin });
+    const r2 = await server.stream('/stream?server=s1&resource=r2', { token: admin });
+    await all.next('ready');
+    await r2.next('ready');
+
+    await select('r1', 1);
+    await select('r2', 2);
+    const first = await all.next('log');
+    assert.equal(first.data.resource, 'r1');
+    assert.deepEqual(first.data.entry.data, { i: 1 });
+    assert.equal((await all.next('log')).data.resource, 'r2');
+
+    const scoped = await r2.next('log');
+    assert.equal(scoped.data.resource, 'r2');
+    assert.deepEqual(scoped.data.entry.data, { i: 2 });
+    all.close();
+    r2.close();
+});
+
+test('a reconnecting client gets the events it missed', async () => {
+    const stream = await server.stream('/stream?server=s1', { token: admin });
+    const { id } = await stream.next('ready');
+    stream.close();
+
+    await select('r1', 3);
+    await select('r1', 4);
+    const resumed = await server.stream('/stream?server=s1', { token: admin, lastEventId: id });
+    assert.deepEqual((await resumed.next('log')).data.entry.data, { i: 3 });
+    assert.deepEqual((await resumed.next('log')).data.entry.data, { i: 4 });
+    await resumed.next('ready');
+    resumed.close();
+});
+
+test('a client that cannot resume is told to reset', async () => {
+    const stream = await server.stream('/stream?server=s1', { token: admin });
+    const { id } = await stream.next('ready');
+    stream.close();
+    await server.restart();
+
+    const stale = await server.stream('/stream?server=s1', { token: admin, lastEventId: id });
+    await stale.next('reset');
+    stale.close();
+});
@@ -0,0 +1,56 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+let admin;
+
+const timeline = async query => {
+    const { status, body } = await server.json('GET', `/logs/timeline?server=s1&${query}`, { token: admin });
+    assert.equal(status, 200);
+    return body;
+};
+const labels = entries => entries.map(entry => `${entry._resource}:${entry.data.i}`);
+
+before(async () => {
+    server = await startServer();
+    admin = await server.login();
+    const key = await server.issueKey(admin, 's1');
+    // Resources take turns unevenly, so pages draw from some and not others
+    const order = ['r1', 'r2', 'r2', 'r3', 'r1', 'r2', 'r1', 'r1'];
+    for (const [i, resource] of order.entries()) {
+        const { status } = await server.log(key, { type: 'nui_to_lua', callback: `https://${resource}/select`, data: { i } });
+        assert.equal(status, 200);
+    }
+});
+
+after(() => server.close());
+
+test('pages merge every resource newest first and resume where each left off', async () => {
+    const seen = [];
+    let page = await timeline('limit=3');
+    seen.unshift(...labels(page.entries));
+    while (page.hasMore) {
+        page = await timeline(`limit=3&before=${page.before}`);
+        seen.unshift(...labels(page.entries));
+    }
+    assert.deepEqual(seen, ['r1:0', 'r2:1', 'r2:2', 'r3:3', 'r1:4', 'r2:5', 'r1:6', 'r1:7']);
+    assert.equal(page.before, null);
+});
+
+test('filtered pages skip what does not match without losing their place', async () => {
+    const newest = await timeline('limit=2&resources=r1,r3');
+    assert.deepEqual(labels(newest.entries), ['r1:6', 'r1:7']);
+    const older = await timeline(`limit=2&resources=r1,r3&before=${newest.before}`);
+    assert.deepEqual(labels(older.entries), ['r3:3', 'r1:4']);
+
+    const matched = await timeline('limit=2&q=https://r2/');
+    assert.deepEqual(labels(matched.entries), ['r2:2', 'r2:5']);
+    assert.deepEqual(labels((await timeline(`limit=2&q=https://r2/&before=${matched.before}`)).entries), ['r2:1']);
+});
+
+test('malformed page tokens are refused', async () => {
+    for (const token of ['nope', Buffer.from('[1]').toString('base64url'), Buffer.from('{"r1":"x"}').toString('base64url')]) {
+        assert.equal((await server.json('GET', `/logs/timeline?server=s1&before=${token}`, { token: admin })).status, 400);
+    }
+});